@@ -17,7 +17,7 @@ class CharacterRenderer {
         // Loading state
         this.loaded = false;
         this.loadProgress = 0;
-        this.totalAssets = 18; // Updated for 4 new monsters + 3 bosses
+        this.totalAssets = 19; // Updated for 4 new monsters + 3 bosses + final boss
         
         // Hero direction (radians)
         this.heroDirection = 0;
@@ -41,7 +41,8 @@ class CharacterRenderer {
             crystal_golem: '#4a9d8b',
             lord_of_bones: '#c4b494',
             blood_queen: '#8b0000',
-            void_lord: '#2d1a4a'
+            void_lord: '#2d1a4a',
+            devil: '#5c0f0f'
         };
 
         // Character radii for canvas fallback
@@ -63,7 +64,8 @@ class CharacterRenderer {
             crystal_golem: 22,
             lord_of_bones: 35,
             blood_queen: 32,
-            void_lord: 40
+            void_lord: 40,
+            devil: 45
         };
 
         // Asset paths
@@ -85,7 +87,8 @@ class CharacterRenderer {
             crystal_golem: 'assets/monsters/crystal_golem.svg',
             lord_of_bones: 'assets/monsters/lord_of_bones.svg',
             blood_queen: 'assets/monsters/blood_queen.svg',
-            void_lord: 'assets/monsters/void_lord.svg'
+            void_lord: 'assets/monsters/void_lord.svg',
+            devil: 'assets/monsters/devil.svg'
         };
     }
     
@@ -0,0 +1,58 @@
+// ==================== GAME CONFIGURATION ====================
+export const CONFIG = {
+    // Default view in world units - headless runs, and replays recorded before views were stored
+    CANVAS_WIDTH: 1920,
+    CANVAS_HEIGHT: 1080,
+    MIN_ZOOM: 0.5,                     // Pinch-zoom limits (see Viewport)
+    MAX_ZOOM: 2,
+    FPS: 60,
+    PLAYER_BASE_SPEED: 180,
+    PLAYER_BASE_HP: 100,
+    PLAYER_RADIUS: 16,
+    MAP_BOUNDS: { width: 4000, height: 4000 },
+    CAMERA_SMOOTHING: 0.1,
+    XP_BASELINE: 10,
+    MAX_LEVEL: 50,
+
+    // Entity limits - swap-remove lists and the per-frame spatial grid keep 500+ enemies
+    // at 60 FPS (check with tools/benchmark.js or index.html?benchmark=500)
+    MAX_ENEMIES: 500,
+    MAX_PROJECTILES: 100,
+    MAX_PARTICLES: 150,
+
+    // Special Event Configuration - when events happen is up to the stage script (src/data/stages)
+    BLOOD_MOON_DURATION: 30,           // 30 seconds
+    BLOOD_MOON_SPEED_MULTIPLIER: 1.5,  // +50% speed
+    BLOOD_MOON_DAMAGE_MULTIPLIER: 1.25,// +25% damage
+    BLOOD_MOON_SPAWN_MULTIPLIER: 0.5,  // Spawn rate doubles (interval halved)
+
+    TREASURE_WAVE_XP_BONUS: 0.50,      // +50% XP from gems
+    // Health packs removed due to performance issues
+
+    // Boss Ability Configuration
+    BOSS_ABILITY_INTERVAL: 3,          // Seconds between special abilities
+    BOSS_TELEGRAPH_TIME: 0.9,          // Warning time before an ability fires
+    BOSS_PHASE_THRESHOLDS: [0.66, 0.33], // HP % that trigger phase 2 and 3
+    BOSS_PHASE_INTERVAL_MULTIPLIER: 0.75, // Ability interval x0.75 per phase
+    SCREEN_SHAKE_DECAY: 20,            // Shake pixels lost per second (boss spawns shake by 10)
+
+    // Endless mode (past the stage duration)
+    ENDLESS_MULTIPLIER_GROWTH: 1.05,   // Wave multiplier compounds +5% per overtime wave
+    ENDLESS_BOSS_INTERVAL: 5,          // A boss every 5 overtime waves, cycling through all bosses
+    ENDLESS_CURSE_INTERVAL: 3,         // A new curse every 3 overtime waves
+
+    // Meta-progression (souls spent in the shop between runs)
+    SOULS_PER_KILL: 0.1,               // 1 soul per 10 kills
+    SOULS_PER_WAVE: 5,                 // Per wave reached
+    SOULS_VICTORY_BONUS: 100,          // Surviving the full 30 minutes
+    REVIVE_HP_PERCENT: 0.5,            // Revives restore 50% max HP
+    REVIVE_INVINCIBILITY: 2,           // Seconds of invincibility after a revive
+    RUN_HISTORY_LIMIT: 200,            // Runs kept for the leaderboard, oldest dropped first
+
+    // Input
+    GAMEPAD_DEADZONE: 0.2,             // Left stick travel ignored around center
+    RESUME_COUNTDOWN: 3,               // Seconds counted down before play picks up after a pause
+
+    // Biome hazards (which biome has which hazard is in src/data/biomes.js)
+    ICE_ACCELERATION: 2.5              // How fast the player's momentum turns on ice (per second)
+};
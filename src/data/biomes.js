@@ -0,0 +1,128 @@
+// ==================== BIOMES ====================
+// Chosen on the start screen. Each biome sets the ground colors, how many of each
+// decoration to scatter and their palettes, spawn weight multipliers for ENEMIES
+// (0 removes a type, missing means x1) and optional hazards:
+//   ice  - { count, minRadius, maxRadius } slippery patches that give the player momentum
+//   lava - { interval, radius, duration, damage, tickRate, minDistance, maxDistance }
+//          enemy GroundEffects that erupt near the player
+// Decoration palettes are cached here so renderers never build colors per frame.
+export const BIOMES = {
+    graveyard: {
+        id: 'graveyard',
+        name: 'Graveyard',
+        icon: '🪦',
+        description: 'Crumbling ruins and restless graves',
+        background: '#1a1a2e',
+        grid: '#252545',
+        decorations: { tree: 80, rock: 60, grass: 100, ruins: 25, tombstone: 40 },
+        palettes: {
+            tree: [
+                { foliage: '#0d0d1a', trunk: '#1a1a1a', shadow: '#06060a' },
+                { foliage: '#1a2a2a', trunk: '#1a2020', shadow: '#0a1a1a' },
+                { foliage: '#0f1f1f', trunk: '#151515', shadow: '#050f0f' },
+                { foliage: '#1a3a3a', trunk: '#1a2525', shadow: '#0a1f1f' }
+            ],
+            rock: [
+                { base: '#2a2a3a', highlight: '#3a3a4a', crack: '#1a1a2a' },
+                { base: '#3a3a4a', highlight: '#4a4a5a', crack: '#2a2a3a' },
+                { base: '#2a3a3a', highlight: '#3a4a4a', crack: '#1a2a2a' },
+                { base: '#3a2a4a', highlight: '#4a3a5a', crack: '#2a1a3a' }
+            ],
+            grass: [
+                { blade: '#1a3a1a', center: '#0f2a0f' },
+                { blade: '#1a4a2a', center: '#0f3a1f' },
+                { blade: '#2a5a3a', center: '#1a4a2a' },
+                { blade: '#0f2a0f', center: '#0a1a0a' }
+            ],
+            ruins: [
+                { base: '#3a3a4a', stroke: '#2a2a3a', missing: '#1a1a2e' },
+                { base: '#4a4a5a', stroke: '#3a3a4a', missing: '#2a2a3e' },
+                { base: '#3a4a5a', stroke: '#2a3a4a', missing: '#1a2a3e' },
+                { base: '#4a3a5a', stroke: '#3a2a4a', missing: '#2a1a3e' }
+            ],
+            tombstone: [
+                { base: '#3a3a4a', stroke: '#2a2a3a', engraving: '#2a2a3a' },
+                { base: '#4a4a5a', stroke: '#3a3a4a', engraving: '#3a3a4a' },
+                { base: '#3a4a4a', stroke: '#2a3a3a', engraving: '#2a3a3a' }
+            ]
+        },
+        enemyWeights: {},
+        hazards: {}
+    },
+    frozenLake: {
+        id: 'frozenLake',
+        name: 'Frozen Lake',
+        icon: '❄️',
+        description: 'Slippery ice sheets - wraiths and golems thrive in the cold',
+        background: '#15213a',
+        grid: '#21345a',
+        decorations: { tree: 50, rock: 80, grass: 30, ruins: 15, tombstone: 20 },
+        palettes: {
+            tree: [
+                { foliage: '#1e3a4f', trunk: '#2a2f3a', shadow: '#132636' },
+                { foliage: '#2b4a63', trunk: '#30343f', shadow: '#1a3346' },
+                { foliage: '#c8dff0', trunk: '#3a3f4a', shadow: '#9fbdd6' }
+            ],
+            rock: [
+                { base: '#4a6076', highlight: '#9cc3e0', crack: '#2f4256' },
+                { base: '#5a7088', highlight: '#b5d6ee', crack: '#3a5066' },
+                { base: '#3e5468', highlight: '#8ab4d4', crack: '#283a4c' }
+            ],
+            grass: [
+                { blade: '#7f9fb3', center: '#5a7a8e' },
+                { blade: '#a3c2d4', center: '#7896a8' }
+            ],
+            ruins: [
+                { base: '#56687c', stroke: '#3c4c5e', missing: '#15213a' },
+                { base: '#66788c', stroke: '#4a5a6c', missing: '#1d2b46' }
+            ],
+            tombstone: [
+                { base: '#6a7e92', stroke: '#4c5e70', engraving: '#3c4c5e' },
+                { base: '#7a8ea2', stroke: '#5a6c7e', engraving: '#4a5a6c' }
+            ]
+        },
+        enemyWeights: { cryptWraith: 2, crystalGolem: 2, shadowStalker: 1.5, demonImp: 0.3, plagueBats: 0.5 },
+        hazards: {
+            ice: { count: 14, minRadius: 150, maxRadius: 320 }
+        }
+    },
+    hellscape: {
+        id: 'hellscape',
+        name: 'Hellscape',
+        icon: '🌋',
+        description: 'Lava erupts underfoot - demons and berserkers swarm',
+        background: '#24100e',
+        grid: '#3a1a16',
+        decorations: { tree: 40, rock: 90, grass: 40, ruins: 35, tombstone: 20 },
+        palettes: {
+            tree: [
+                { foliage: '#1a0d0a', trunk: '#2a1510', shadow: '#0d0504' },
+                { foliage: '#2a120c', trunk: '#3a1a12', shadow: '#140806' }
+            ],
+            rock: [
+                { base: '#2a1c1c', highlight: '#5a2a1a', crack: '#ff6b35' },
+                { base: '#1c1414', highlight: '#4a2216', crack: '#f97316' },
+                { base: '#3a2420', highlight: '#6a3420', crack: '#dc2626' }
+            ],
+            grass: [
+                { blade: '#7a2a10', center: '#4a1808' },
+                { blade: '#9a3a12', center: '#5a200a' },
+                { blade: '#5a1c0c', center: '#3a1006' }
+            ],
+            ruins: [
+                { base: '#3a2222', stroke: '#2a1616', missing: '#24100e' },
+                { base: '#4a2a26', stroke: '#3a1e1a', missing: '#2e1412' }
+            ],
+            tombstone: [
+                { base: '#3a2626', stroke: '#2a1a1a', engraving: '#ef4444' },
+                { base: '#4a2e2a', stroke: '#3a201c', engraving: '#f97316' }
+            ]
+        },
+        enemyWeights: { demonImp: 3, berserkerMutant: 2, ghoul: 1.5, witch: 0.5, cryptWraith: 0.5 },
+        hazards: {
+            lava: { interval: 5, radius: 80, duration: 8, damage: 10, tickRate: 0.5, minDistance: 150, maxDistance: 500 }
+        }
+    }
+};
+
+export const DEFAULT_BIOME = 'graveyard';
@@ -0,0 +1,45 @@
+// ==================== ENDLESS CURSES ====================
+// Endless runs pick up a random curse every few waves past the stage duration.
+// Curses stack: each stack adds valuePerStack to its stat (see Game.getCurseBonus)
+export const CURSES = {
+    vigor: {
+        id: 'vigor',
+        name: 'Curse of Vigor',
+        icon: '💀',
+        description: 'Enemies have +25% HP',
+        stat: 'enemyHp',
+        valuePerStack: 0.25
+    },
+    haste: {
+        id: 'haste',
+        name: 'Curse of Haste',
+        icon: '💨',
+        description: 'Enemies move 15% faster',
+        stat: 'enemySpeed',
+        valuePerStack: 0.15
+    },
+    wrath: {
+        id: 'wrath',
+        name: 'Curse of Wrath',
+        icon: '🔥',
+        description: 'Enemies deal +20% damage',
+        stat: 'enemyDamage',
+        valuePerStack: 0.2
+    },
+    famine: {
+        id: 'famine',
+        name: 'Curse of Famine',
+        icon: '🥀',
+        description: '-15% XP from gems',
+        stat: 'xpGain',
+        valuePerStack: -0.15
+    },
+    swarm: {
+        id: 'swarm',
+        name: 'Curse of the Swarm',
+        icon: '🦇',
+        description: 'Enemies spawn 20% faster',
+        stat: 'spawnRate',
+        valuePerStack: 0.2
+    }
+};
@@ -0,0 +1,276 @@
+// ==================== ENEMY DEFINITIONS ====================
+// Regular enemies spawn from wave `waveRequirement` with relative `spawnWeight`.
+// Bosses have no spawnWeight - they are spawned by the boss waves instead.
+// Optional traits: enrageThreshold, thornReflect, summon, heal, isMiniBoss/loot, ignoresObstacles
+export const ENEMIES = {
+    zombie: {
+        id: 'zombie',
+        name: 'Zombie',
+        color: '#4a7c4e',
+        baseHp: 30, // +30% HP, +15% damage
+        baseDamage: 6,
+        baseSpeed: 66, // 60 * 1.1 = 66
+        radius: 14,
+        xpValue: 5,
+        attackSpeed: 1.0,
+        waveRequirement: 1,
+        spawnWeight: 50,
+        spawnWeightFalloff: { fromWave: 10, perWave: 0.5, min: 15 } // Thins out in later waves
+    },
+    ghoul: {
+        id: 'ghoul',
+        name: 'Ghoul',
+        color: '#8b4513',
+        baseHp: 20, // +30% HP, +15% damage
+        baseDamage: 9,
+        baseSpeed: 154, // 140 * 1.1 = 154
+        radius: 12,
+        xpValue: 8,
+        attackSpeed: 0.8,
+        waveRequirement: 2,
+        spawnWeight: 25
+    },
+    skeleton: {
+        id: 'skeleton',
+        name: 'Skeleton',
+        color: '#d4c5a3',
+        baseHp: 156, // +30% HP, +15% damage
+        baseDamage: 17,
+        baseSpeed: 44, // 40 * 1.1 = 44
+        radius: 18,
+        xpValue: 25,
+        attackSpeed: 1.5,
+        knockbackResist: 0.5,
+        waveRequirement: 4,
+        spawnWeight: 15
+    },
+    witch: {
+        id: 'witch',
+        name: 'Witch',
+        color: '#6b2c91',
+        baseHp: 59, // +30% HP, +15% damage
+        baseDamage: 14,
+        baseSpeed: 88, // 80 * 1.1 = 88
+        radius: 14,
+        xpValue: 20,
+        attackSpeed: 2.0,
+        attackRange: 300,
+        isRanged: true,
+        waveRequirement: 5,
+        spawnWeight: 12
+    },
+    shadowStalker: {
+        id: 'shadowStalker',
+        name: 'Shadow Stalker',
+        color: '#2d2d2d',
+        baseHp: 49, // +30% HP, +15% damage
+        baseDamage: 12,
+        baseSpeed: 121, // 110 * 1.1 = 121
+        radius: 13,
+        xpValue: 12,
+        attackSpeed: 0.9,
+        waveRequirement: 4,
+        spawnWeight: 15
+    },
+    demonImp: {
+        id: 'demonImp',
+        name: 'Demon Imp',
+        color: '#c44536',
+        baseHp: 16, // +30% HP, +15% damage
+        baseDamage: 7,
+        baseSpeed: 176, // 160 * 1.1 = 176
+        radius: 10,
+        xpValue: 10,
+        attackSpeed: 0.7,
+        waveRequirement: 3,
+        spawnWeight: 20
+    },
+    cursedKnight: {
+        id: 'cursedKnight',
+        name: 'Cursed Knight',
+        color: '#5a6b7c',
+        baseHp: 234, // +30% HP, +15% damage
+        baseDamage: 21,
+        baseSpeed: 39, // 35 * 1.1 = 38.5 -> 39
+        radius: 20,
+        xpValue: 35,
+        attackSpeed: 1.8,
+        knockbackResist: 0.7,
+        waveRequirement: 6,
+        spawnWeight: 10
+    },
+    plagueBats: {
+        id: 'plagueBats',
+        name: 'Plague Bats',
+        color: '#6b8c42',
+        baseHp: 23, // +30% HP, +15% damage
+        baseDamage: 5,
+        baseSpeed: 143, // 130 * 1.1 = 143
+        radius: 8,
+        xpValue: 8,
+        attackSpeed: 0.6,
+        waveRequirement: 5,
+        spawnWeight: 15,
+        ignoresObstacles: true // Flies over decorations
+    },
+    necromancer: {
+        id: 'necromancer',
+        name: 'Necromancer',
+        color: '#4a2d5c',
+        baseHp: 88, // +30% HP, +15% damage
+        baseDamage: 9,
+        baseSpeed: 61, // 55 * 1.1 = 60.5 -> 61
+        radius: 14,
+        xpValue: 30,
+        attackSpeed: 2.5,
+        attackRange: 350,
+        isRanged: true,
+        waveRequirement: 7,
+        spawnWeight: 8,
+        summon: { type: 'zombie', count: 2, interval: 6 } // Raises zombies instead of shooting
+    },
+    voidReaper: {
+        id: 'voidReaper',
+        name: 'Void Reaper',
+        color: '#3d1f4a',
+        baseHp: 780, // +30% HP, +15% damage
+        baseDamage: 29,
+        baseSpeed: 77, // 70 * 1.1 = 77
+        radius: 24,
+        xpValue: 150,
+        attackSpeed: 1.2,
+        knockbackResist: 0.8,
+        waveRequirement: 10,
+        spawnWeight: 2, // Rare,
+        isMiniBoss: true,
+        loot: { xpGems: 6, healthPack: 0.3 } // Extra gems + a 30% health pack on death
+    },
+    cryptWraith: {
+        id: 'cryptWraith',
+        name: 'Crypt Wraith',
+        color: '#7d6b8f',
+        baseHp: 46, // +30% HP, +15% damage
+        baseDamage: 14,
+        baseSpeed: 83, // 75 * 1.1 = 82.5 -> 83
+        radius: 15,
+        xpValue: 22,
+        attackSpeed: 1.0,
+        waveRequirement: 5,
+        spawnWeight: 12,
+        knockbackResist: 1.0, // Can't be knocked back
+        ignoresObstacles: true // Drifts through walls
+    },
+    berserkerMutant: {
+        id: 'berserkerMutant',
+        name: 'Berserker Mutant',
+        color: '#8b3d3d',
+        baseHp: 72, // +30% HP, +15% damage
+        baseDamage: 23,
+        baseSpeed: 105, // 95 * 1.1 = 104.5 -> 105
+        radius: 18,
+        xpValue: 30,
+        attackSpeed: 1.5,
+        waveRequirement: 6,
+        spawnWeight: 12,
+        enrageThreshold: 0.5, // Enrages below 50% HP
+        enrageSpeedMultiplier: 1.6
+    },
+    darkPriest: {
+        id: 'darkPriest',
+        name: 'Dark Priest',
+        color: '#2d1a4a',
+        baseHp: 65, // +30% HP, +15% damage
+        baseDamage: 17,
+        baseSpeed: 50, // 45 * 1.1 = 49.5 -> 50
+        radius: 16,
+        xpValue: 35,
+        attackSpeed: 2.0,
+        attackRange: 350,
+        isRanged: true,
+        waveRequirement: 8,
+        spawnWeight: 8,
+        heal: { percent: 0.15, radius: 180, interval: 4 } // Heals nearby allies instead of shooting
+    },
+    crystalGolem: {
+        id: 'crystalGolem',
+        name: 'Crystal Golem',
+        color: '#4a9d8b',
+        baseHp: 195, // +30% HP, +15% damage
+        baseDamage: 21,
+        baseSpeed: 28, // 25 * 1.1 = 27.5 -> 28
+        radius: 22,
+        xpValue: 50,
+        attackSpeed: 1.2,
+        knockbackResist: 0.9,
+        waveRequirement: 9,
+        spawnWeight: 6,
+        thornReflect: 0.1 // Reflects 10% damage
+    },
+    // BOSSES
+    lordOfBones: {
+        id: 'lordOfBones',
+        name: 'Lord of Bones',
+        color: '#c4b494',
+        baseHp: 1040, // +30% HP, +15% damage
+        baseDamage: 35,
+        baseSpeed: 44, // 40 * 1.1 = 44
+        radius: 35,
+        xpValue: 500,
+        attackSpeed: 1.5,
+        knockbackResist: 1.0,
+        waveRequirement: 5,
+        isBoss: true,
+        ignoresObstacles: true,
+        specialAbility: 'bone_spear' // Fires bone spears
+    },
+    bloodQueen: {
+        id: 'bloodQueen',
+        name: 'Blood Queen',
+        color: '#8b0000',
+        baseHp: 1560, // +30% HP, +15% damage
+        baseDamage: 40,
+        baseSpeed: 61, // 55 * 1.1 = 60.5 -> 61
+        radius: 32,
+        xpValue: 750,
+        attackSpeed: 1.8,
+        knockbackResist: 1.0,
+        waveRequirement: 10,
+        isBoss: true,
+        ignoresObstacles: true,
+        specialAbility: 'blood_bolt' // Fires homing blood bolts
+    },
+    voidLord: {
+        id: 'voidLord',
+        name: 'Void Lord',
+        color: '#2d1a4a',
+        baseHp: 2600, // +30% HP, +15% damage
+        baseDamage: 52,
+        baseSpeed: 39, // 35 * 1.1 = 38.5 -> 39
+        radius: 40,
+        xpValue: 1500,
+        attackSpeed: 1.2,
+        knockbackResist: 1.0,
+        waveRequirement: 15,
+        isBoss: true,
+        ignoresObstacles: true,
+        specialAbility: 'void_blast' // Creates void zones
+    },
+    // FINAL BOSS
+    devil: {
+        id: 'devil',
+        name: 'Devil',
+        color: '#8b0000',
+        baseHp: 20000,
+        baseDamage: 50,
+        baseSpeed: 210, // Faster than player (180)
+        radius: 45,
+        xpValue: 5000,
+        attackSpeed: 1.0,
+        knockbackResist: 1.0,
+        waveRequirement: 25,
+        isBoss: true,
+        ignoresObstacles: true,
+        isFinalBoss: true,
+        specialAbility: 'devil_blast'
+    }
+};
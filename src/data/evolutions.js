@@ -0,0 +1,71 @@
+// ==================== WEAPON EVOLUTIONS ====================
+// A max level weapon plus its max level passive can evolve on a level-up card.
+// The evolved weapon keeps the maxed weapon's stats, scaled by the multipliers and bonuses below
+export const EVOLUTIONS = {
+    arcaneBarrage: {
+        id: 'arcaneBarrage',
+        name: 'Arcane Barrage',
+        icon: '✨',
+        description: 'Homing bolts split between every nearby enemy and pierce through them',
+        from: 'magicWand',
+        passive: 'amplification',
+        damageMultiplier: 1.5,
+        cooldownMultiplier: 0.8,
+        bonus: { projectileCount: 2, pierce: 2 }
+    },
+    bloodReaver: {
+        id: 'bloodReaver',
+        name: 'Blood Reaver',
+        icon: '🩸',
+        description: 'Throws a ring of daggers in every direction, each hit heals 2 HP',
+        from: 'vampireDagger',
+        passive: 'regeneration',
+        damageMultiplier: 1.4,
+        cooldownMultiplier: 0.7,
+        bonus: { lifestealHeal: 1 }
+    },
+    thousandEdges: {
+        id: 'thousandEdges',
+        name: 'Thousand Edges',
+        icon: '🗡️',
+        description: 'Knives fly forward and backward, piercing with a higher crit chance',
+        from: 'throwingKnife',
+        passive: 'swiftness',
+        damageMultiplier: 1.3,
+        cooldownMultiplier: 0.7,
+        bonus: { critChance: 0.15 }
+    },
+    hellfire: {
+        id: 'hellfire',
+        name: 'Hellfire',
+        icon: '☄️',
+        description: 'Fireballs leave burning ground where they land',
+        from: 'fireballArc',
+        passive: 'power',
+        damageMultiplier: 1.5,
+        cooldownMultiplier: 0.9,
+        bonus: { explosionRadius: 30 }
+    },
+    thunderstorm: {
+        id: 'thunderstorm',
+        name: 'Thunderstorm',
+        icon: '🌩️',
+        description: 'Chain lightning strikes three enemies at once',
+        from: 'lightningBolt',
+        passive: 'cooldown',
+        damageMultiplier: 1.3,
+        cooldownMultiplier: 0.8,
+        bonus: { chainCount: 2 }
+    },
+    sanctuary: {
+        id: 'sanctuary',
+        name: 'Sanctuary',
+        icon: '⛲',
+        description: 'Consecrates the ground around you and heals you while enemies burn',
+        from: 'holyWater',
+        passive: 'vitality',
+        damageMultiplier: 1.5,
+        cooldownMultiplier: 1,
+        bonus: { poolRadius: 40, poolDuration: 1 }
+    }
+};
@@ -0,0 +1,17 @@
+// ==================== INPUT BINDINGS ====================
+// Default keyboard (KeyboardEvent.code) and gamepad (standard mapping button index)
+// bindings per action. Rebinds from the controls screen are saved per device by InputHandler
+export const INPUT_ACTIONS = {
+    up: { id: 'up', name: 'Move Up', keys: ['KeyW', 'ArrowUp'], buttons: [12] },
+    down: { id: 'down', name: 'Move Down', keys: ['KeyS', 'ArrowDown'], buttons: [13] },
+    left: { id: 'left', name: 'Move Left', keys: ['KeyA', 'ArrowLeft'], buttons: [14] },
+    right: { id: 'right', name: 'Move Right', keys: ['KeyD', 'ArrowRight'], buttons: [15] },
+    pause: { id: 'pause', name: 'Pause', keys: ['Escape'], buttons: [9] },
+    confirm: { id: 'confirm', name: 'Pick Card', keys: ['Enter', 'Space'], buttons: [0] }
+};
+
+// Standard gamepad mapping (Xbox layout names)
+export const GAMEPAD_BUTTON_NAMES = [
+    'A', 'B', 'X', 'Y', 'LB', 'RB', 'LT', 'RT', 'Back', 'Start',
+    'L3', 'R3', 'D-Pad Up', 'D-Pad Down', 'D-Pad Left', 'D-Pad Right', 'Home'
+];
@@ -0,0 +1,94 @@
+// ==================== PASSIVE DEFINITIONS ====================
+export const PASSIVES = {
+    swiftness: {
+        id: 'swiftness',
+        name: 'Swiftness Boots',
+        icon: '👢',
+        description: 'Increases movement speed',
+        maxLevel: 5,
+        values: [0.1, 0.1, 0.1, 0.1, 0.1],
+        stat: 'movementSpeed'
+    },
+    power: {
+        id: 'power',
+        name: 'Power Crystal',
+        icon: '💎',
+        description: 'Increases all damage',
+        maxLevel: 5,
+        values: [0.1, 0.1, 0.1, 0.1, 0.1],
+        stat: 'damage'
+    },
+    vitality: {
+        id: 'vitality',
+        name: 'Vitality Heart',
+        icon: '❤️',
+        description: 'Increases max health',
+        maxLevel: 5,
+        values: [20, 20, 30, 30, 50],
+        stat: 'maxHealth'
+    },
+    amplification: {
+        id: 'amplification',
+        name: 'Amplification Orb',
+        icon: '🔊',
+        description: 'Increases area of effect',
+        maxLevel: 5,
+        values: [0.1, 0.1, 0.15, 0.15, 0.2],
+        stat: 'area'
+    },
+    cooldown: {
+        id: 'cooldown',
+        name: 'Cooldown Charm',
+        icon: '📿',
+        description: 'Reduces cooldowns',
+        maxLevel: 5,
+        values: [0.05, 0.05, 0.07, 0.08, 0.1],
+        stat: 'cooldownReduction'
+    },
+    goldMagnet: {
+        id: 'goldMagnet',
+        name: 'Gold Magnet',
+        icon: '🧲',
+        description: 'Increases pickup range for XP gems and gold',
+        maxLevel: 5,
+        values: [0.1, 0.1, 0.15, 0.15, 0.2],
+        stat: 'pickupRange'
+    },
+    regeneration: {
+        id: 'regeneration',
+        name: 'Regeneration Candle',
+        icon: '🕯️',
+        description: 'Regenerates HP over time',
+        maxLevel: 5,
+        values: [1, 1, 1, 1, 1],
+        stat: 'regeneration'
+    },
+    luck: {
+        id: 'luck',
+        name: 'Luck Clover',
+        icon: '🍀',
+        description: 'Increases crit chance and XP gain',
+        maxLevel: 5,
+        values: [0.03, 0.03, 0.03, 0.03, 0.03],
+        xpBonus: [0.05, 0.05, 0.05, 0.05, 0.05],
+        stat: 'luck'
+    },
+    thorns: {
+        id: 'thorns',
+        name: 'Thorn Armor',
+        icon: '🛡️',
+        description: 'Reflects damage when hit',
+        maxLevel: 5,
+        values: [5, 2, 2, 2, 2],
+        stat: 'thornDamage'
+    },
+    immortalityShield: {
+        id: 'immortalityShield',
+        name: 'Immortality Shield',
+        icon: '🛡️',
+        description: 'Blocks incoming damage with charges that recharge over time',
+        maxLevel: 1,
+        values: [1],
+        stat: 'immortalityShield'
+    }
+};
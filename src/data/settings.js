@@ -0,0 +1,130 @@
+// ==================== SETTINGS ====================
+// Shared by the volume settings - values are AudioEngine gains
+const VOLUME_OPTIONS = [
+    { value: 0, label: 'Off' },
+    { value: 0.25, label: '25%' },
+    { value: 0.5, label: '50%' },
+    { value: 0.75, label: '75%' },
+    { value: 1, label: '100%' }
+];
+
+// Options on the settings screen, saved with the start screen toggles in
+// localStorage ('shadowSurvivorSettings'). Clicking an option cycles through its values
+export const SETTINGS = {
+    masterVolume: {
+        id: 'masterVolume',
+        name: 'Master Volume',
+        default: 1,
+        options: VOLUME_OPTIONS
+    },
+    sfxVolume: {
+        id: 'sfxVolume',
+        name: 'Sound Effects',
+        default: 0.75,
+        options: VOLUME_OPTIONS
+    },
+    musicVolume: {
+        id: 'musicVolume',
+        name: 'Music',
+        default: 0.5,
+        options: VOLUME_OPTIONS
+    },
+    zoom: {
+        id: 'zoom',
+        name: 'Zoom',
+        default: 1,
+        options: [ // Pinch-zoom on touch screens goes from here until the setting is applied again
+            { value: 0.75, label: '75%' },
+            { value: 1, label: '100%' },
+            { value: 1.25, label: '125%' },
+            { value: 1.5, label: '150%' }
+        ]
+    },
+    screenShake: {
+        id: 'screenShake',
+        name: 'Screen Shake',
+        default: true,
+        options: [
+            { value: true, label: 'On' },
+            { value: false, label: 'Off' }
+        ]
+    },
+    damageNumbers: {
+        id: 'damageNumbers',
+        name: 'Damage Numbers',
+        default: true,
+        options: [
+            { value: true, label: 'On' },
+            { value: false, label: 'Off' }
+        ]
+    },
+    particleDensity: {
+        id: 'particleDensity',
+        name: 'Particles',
+        default: 'normal',
+        options: [
+            { value: 'low', label: 'Low', multiplier: 0.5 }, // x CONFIG.MAX_PARTICLES
+            { value: 'normal', label: 'Normal', multiplier: 1 },
+            { value: 'high', label: 'High', multiplier: 2 }
+        ]
+    },
+    showFps: {
+        id: 'showFps',
+        name: 'FPS Counter',
+        default: false,
+        options: [
+            { value: false, label: 'Off' },
+            { value: true, label: 'On' }
+        ]
+    },
+    joystickSize: {
+        id: 'joystickSize',
+        name: 'Joystick Size',
+        default: 'medium',
+        options: [
+            { value: 'small', label: 'Small', scale: 0.8 },
+            { value: 'medium', label: 'Medium', scale: 1 },
+            { value: 'large', label: 'Large', scale: 1.25 }
+        ]
+    },
+    joystickSide: {
+        id: 'joystickSide',
+        name: 'Joystick Side',
+        default: 'left',
+        options: [
+            { value: 'left', label: 'Left' },
+            { value: 'right', label: 'Right' }
+        ]
+    },
+    colorblind: {
+        id: 'colorblind',
+        name: 'Colourblind Palette',
+        default: false,
+        options: [
+            { value: false, label: 'Off' },
+            { value: true, label: 'On' }
+        ]
+    }
+};
+
+// Okabe-Ito colours - XP gem tiers and enemy projectiles stay distinct without red/green
+export const COLORBLIND_PALETTE = {
+    xpGems: {
+        small: '#56b4e9',  // Sky blue (instead of blue)
+        medium: '#f0e442', // Yellow (instead of green)
+        large: '#d55e00',  // Vermillion (instead of red)
+        huge: '#cc79a7'    // Pink (instead of gold)
+    },
+    enemyProjectile: '#e69f00', // Orange with a white outline
+    enemyProjectileOutline: '#ffffff'
+};
+
+/**
+ * The option object for a setting's current value (falls back to the first option)
+ * @param {string} id - SETTINGS id
+ * @param {*} value - Current value
+ */
+export function getSettingOption(id, value) {
+    const options = SETTINGS[id].options;
+    return options.find(option => option.value === value) || options[0];
+}
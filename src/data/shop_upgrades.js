@@ -0,0 +1,44 @@
+// ==================== SHOP UPGRADE DEFINITIONS ====================
+// Permanent upgrades bought with souls between runs (saveData.permanentUpgrades)
+export const SHOP_UPGRADES = {
+    maxHp: {
+        id: 'maxHp',
+        name: 'Hardened Heart',
+        icon: '❤️',
+        description: '+10 max HP at the start of every run',
+        maxLevel: 5,
+        valuePerLevel: 10,
+        costs: [50, 100, 200, 350, 500],
+        stat: 'maxHealth'
+    },
+    damage: {
+        id: 'damage',
+        name: 'Cursed Edge',
+        icon: '⚔️',
+        description: '+5% damage with all weapons',
+        maxLevel: 5,
+        valuePerLevel: 0.05,
+        costs: [75, 150, 300, 500, 750],
+        stat: 'damage'
+    },
+    pickupRange: {
+        id: 'pickupRange',
+        name: 'Soul Magnet',
+        icon: '🧲',
+        description: '+10% XP and health pickup range',
+        maxLevel: 5,
+        valuePerLevel: 0.1,
+        costs: [40, 80, 160, 280, 400],
+        stat: 'pickupRange'
+    },
+    revival: {
+        id: 'revival',
+        name: 'Second Chance',
+        icon: '✨',
+        description: 'Revive once per run at 50% HP',
+        maxLevel: 2,
+        valuePerLevel: 1,
+        costs: [500, 1500],
+        stat: 'revives'
+    }
+};
@@ -0,0 +1,83 @@
+// ==================== SOUNDS ====================
+// Synthesized sound recipes played by AudioEngine - no audio files needed.
+//   wave:      oscillator type ('sine', 'square', 'sawtooth', 'triangle') or 'noise'
+//   freq:      start frequency in Hz (ignored for noise)
+//   freqEnd:   frequency the pitch slides to over the duration (optional)
+//   duration:  seconds per note
+//   volume:    peak gain (0-1) before the SFX/master volume settings
+//   attack:    fade-in seconds (optional, defaults to a click-free 5ms)
+//   filter:    lowpass cutoff in Hz (optional)
+//   notes:     semitone offsets from freq played one after another (optional)
+//   noteLength: seconds between notes
+//   minInterval: seconds before the same sound can play again (optional)
+export const SOUNDS = {
+    kill: { wave: 'square', freq: 320, freqEnd: 90, duration: 0.07, volume: 0.06, filter: 1500, minInterval: 0.04 },
+    bossKill: { wave: 'sawtooth', freq: 200, freqEnd: 40, duration: 0.9, volume: 0.35, filter: 1200 },
+    playerHurt: { wave: 'square', freq: 200, freqEnd: 70, duration: 0.15, volume: 0.22, filter: 1200, minInterval: 0.1 },
+    shieldBlock: { wave: 'triangle', freq: 900, freqEnd: 1400, duration: 0.2, volume: 0.2, notes: [0, 12], noteLength: 0.06 },
+    levelUp: { wave: 'square', freq: 523, duration: 0.12, volume: 0.12, filter: 3000, notes: [0, 4, 7, 12], noteLength: 0.07 },
+    bloodMoon: { wave: 'sawtooth', freq: 110, freqEnd: 55, duration: 1.6, volume: 0.35, attack: 0.3, filter: 500 },
+    bossSpawn: { wave: 'sawtooth', freq: 82, duration: 0.4, volume: 0.3, filter: 700, notes: [0, 1, 0, -5], noteLength: 0.25 },
+    batSwarm: { wave: 'noise', duration: 0.9, volume: 0.15, attack: 0.25, filter: 2500 },
+    victory: { wave: 'triangle', freq: 392, duration: 0.3, volume: 0.25, notes: [0, 4, 7, 12, 16, 19, 24], noteLength: 0.12 },
+    gameOver: { wave: 'sawtooth', freq: 220, duration: 0.6, volume: 0.25, filter: 900, notes: [0, -2, -5, -12], noteLength: 0.3 },
+    countdown: { wave: 'square', freq: 660, duration: 0.1, volume: 0.12, filter: 2000 } // Each tick of the resume countdown
+};
+
+// Played from Game.fireWeapon() by WEAPONS/EVOLUTIONS id.
+// Magic Aura pulses constantly, so it stays silent
+export const WEAPON_SOUNDS = {
+    magicWand: { wave: 'sine', freq: 900, freqEnd: 1400, duration: 0.08, volume: 0.1 },
+    fireballArc: { wave: 'sawtooth', freq: 180, freqEnd: 60, duration: 0.25, volume: 0.15, filter: 800 },
+    throwingKnife: { wave: 'noise', duration: 0.05, volume: 0.1, filter: 4000 },
+    lightningBolt: { wave: 'sawtooth', freq: 1200, freqEnd: 80, duration: 0.18, volume: 0.12, filter: 3000 },
+    holyWater: { wave: 'noise', duration: 0.2, volume: 0.12, filter: 1500 },
+    iceShard: { wave: 'triangle', freq: 1800, freqEnd: 2400, duration: 0.07, volume: 0.1 },
+    sacredCross: { wave: 'triangle', freq: 660, duration: 0.1, volume: 0.1, notes: [0, 7, 12], noteLength: 0.05 },
+    poisonDagger: { wave: 'noise', duration: 0.06, volume: 0.1, filter: 2500 },
+    spinBlade: { wave: 'sawtooth', freq: 300, freqEnd: 500, duration: 0.1, volume: 0.08, filter: 1200 },
+    soulOrb: { wave: 'sine', freq: 440, freqEnd: 880, duration: 0.3, volume: 0.12, attack: 0.05 },
+    boneSpear: { wave: 'square', freq: 220, freqEnd: 110, duration: 0.1, volume: 0.08, filter: 900 },
+    bloodMoonChakram: { wave: 'sawtooth', freq: 500, freqEnd: 250, duration: 0.15, volume: 0.1, filter: 1500 },
+    vampireDagger: { wave: 'noise', duration: 0.06, volume: 0.1, filter: 3500 },
+    // EVOLUTIONS
+    arcaneBarrage: { wave: 'sine', freq: 1000, freqEnd: 1600, duration: 0.06, volume: 0.1, notes: [0, 4, 7], noteLength: 0.03 },
+    bloodReaver: { wave: 'sawtooth', freq: 260, freqEnd: 130, duration: 0.2, volume: 0.12, filter: 1000 },
+    thousandEdges: { wave: 'noise', duration: 0.04, volume: 0.1, filter: 5000 },
+    hellfire: { wave: 'noise', duration: 0.35, volume: 0.2, filter: 600 },
+    thunderstorm: { wave: 'sawtooth', freq: 900, freqEnd: 60, duration: 0.3, volume: 0.15, filter: 2500 },
+    sanctuary: { wave: 'sine', freq: 523, duration: 0.2, volume: 0.12, notes: [0, 4, 7, 12], noteLength: 0.06 }
+};
+
+// Background music - an arpeggio over a looping minor progression with a bass note
+// every half bar. Blood Moon swaps to the faster, harsher mood with drums
+export const MUSIC = {
+    progression: [57, 53, 55, 52], // MIDI chord roots, one per bar: A, F, G, E
+    stepsPerBar: 8,                // Eighth notes
+    moods: {
+        normal: {
+            tempo: 100,
+            transpose: 0,
+            arp: [0, 3, 7, 12, 7, 3, 0, 3], // Semitones above the root, one per step
+            arpWave: 'triangle',
+            arpVolume: 0.05,
+            arpFilter: 2000,
+            bassWave: 'triangle',
+            bassVolume: 0.12,
+            drums: false
+        },
+        bloodMoon: {
+            tempo: 140,
+            transpose: -1,
+            arp: [0, 1, 7, 12, 13, 7, 1, 0], // Flat second for a Phrygian edge
+            arpWave: 'sawtooth',
+            arpVolume: 0.05,
+            arpFilter: 1400,
+            bassWave: 'sawtooth',
+            bassVolume: 0.14,
+            drums: true
+        }
+    },
+    kick: { wave: 'sine', freq: 150, freqEnd: 40, duration: 0.15, volume: 0.3 },
+    hat: { wave: 'noise', duration: 0.04, volume: 0.04, filter: 9000 }
+};
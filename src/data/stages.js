@@ -0,0 +1,125 @@
+import { ENEMIES } from './enemies.js';
+
+// ==================== STAGE SCRIPTS ====================
+// Stages are JSON files in ./stages, loaded at runtime by loadStages(). Ship a new
+// stage by adding its file to ./stages/index.json - no engine changes needed.
+//
+// Top level:
+//   id             - STAGES key, picked with ?stage=<id> or --stage <id>
+//   duration       - Seconds to survive for victory
+//   waveDuration   - Seconds per wave
+//   spawnInterval  - { base, min, decay }: interval = max(min, base * decay^(wave - 1))
+//   waves          - Entries checked in order whenever a new wave starts
+//   timeline       - Entries fired once when the run clock passes `at` seconds
+//
+// Wave entries select waves with `wave` (exact) or `every` (+ optional `from`/`to`, inclusive).
+// Every entry may roll a `chance` (0-1) and performs one action:
+//   event - 'bloodMoon' | 'siege' | 'treasureWave' | 'batSwarm'
+//   boss  - ENEMIES id of a boss
+//   spawn - { type, count, formation } - type defaults to the wave's spawn table,
+//           formation is 'ring' (around the player), 'line' (a wall) or 'cluster'
+export const STAGE_EVENTS = ['bloodMoon', 'siege', 'treasureWave', 'batSwarm'];
+export const STAGE_FORMATIONS = ['ring', 'line', 'cluster'];
+export const STAGE_MANIFEST = 'index.json'; // { stages: [file, ...] } in ./stages
+
+// Stage id -> script, filled by loadStages()
+export const STAGES = {};
+
+export const DEFAULT_STAGE = 'classic';
+
+/**
+ * Check a stage script for mistakes a designer could make
+ * @param {Object} stage - Parsed stage JSON
+ * @returns {string[]} - Problems found, empty if the stage is valid
+ */
+export function validateStage(stage) {
+    const errors = [];
+    if (!stage || typeof stage !== 'object') return ['Stage is not an object'];
+    if (typeof stage.id !== 'string') errors.push('Missing id');
+    if (!(stage.duration > 0)) errors.push('duration must be a positive number');
+    if (!(stage.waveDuration > 0)) errors.push('waveDuration must be a positive number');
+    const interval = stage.spawnInterval;
+    if (!interval || !(interval.base > 0) || !(interval.min > 0) || !(interval.decay > 0)) {
+        errors.push('spawnInterval needs positive base, min and decay');
+    }
+
+    const checkAction = (entry, where) => {
+        const actions = ['event', 'boss', 'spawn'].filter(key => entry[key] !== undefined);
+        if (actions.length !== 1) {
+            errors.push(`${where}: needs exactly one of event, boss or spawn`);
+            return;
+        }
+        if (entry.chance !== undefined && !(entry.chance >= 0 && entry.chance <= 1)) {
+            errors.push(`${where}: chance must be between 0 and 1`);
+        }
+        if (entry.event !== undefined && !STAGE_EVENTS.includes(entry.event)) {
+            errors.push(`${where}: unknown event "${entry.event}"`);
+        }
+        if (entry.boss !== undefined && !(ENEMIES[entry.boss] && ENEMIES[entry.boss].isBoss)) {
+            errors.push(`${where}: unknown boss "${entry.boss}"`);
+        }
+        if (entry.spawn !== undefined) {
+            const spawn = entry.spawn;
+            if (spawn.type !== undefined && !ENEMIES[spawn.type]) {
+                errors.push(`${where}: unknown enemy "${spawn.type}"`);
+            }
+            if (!(spawn.count > 0)) errors.push(`${where}: spawn count must be positive`);
+            if (spawn.formation !== undefined && !STAGE_FORMATIONS.includes(spawn.formation)) {
+                errors.push(`${where}: unknown formation "${spawn.formation}"`);
+            }
+        }
+    };
+
+    (stage.waves || []).forEach((entry, i) => {
+        if (!(entry.wave > 0) && !(entry.every > 0)) {
+            errors.push(`waves[${i}]: needs wave or every`);
+        }
+        checkAction(entry, `waves[${i}]`);
+    });
+    (stage.timeline || []).forEach((entry, i) => {
+        if (!(entry.at >= 0)) errors.push(`timeline[${i}]: needs at (seconds)`);
+        checkAction(entry, `timeline[${i}]`);
+    });
+
+    return errors;
+}
+
+/**
+ * Load the manifest and every stage it lists into STAGES. A stage that fails to
+ * load or validate is logged and left out; the rest still load.
+ * @param {Function} readJson - (file) => Promise of the parsed JSON file in ./stages
+ *                              (fetch in the browser, fs in tools/)
+ * @returns {Promise<Object>} - STAGES
+ * @throws If the manifest cannot be read or the default stage is missing
+ */
+export async function loadStages(readJson) {
+    const manifest = await readJson(STAGE_MANIFEST);
+    if (!manifest || !Array.isArray(manifest.stages)) {
+        throw new Error(`${STAGE_MANIFEST} needs a stages array`);
+    }
+
+    const loaded = await Promise.all(manifest.stages.map(file => readJson(file).catch(error => {
+        console.error(`[STAGE] Could not load ${file}: ${error.message}`);
+        return null;
+    })));
+
+    loaded.forEach((stage, i) => {
+        const file = manifest.stages[i];
+        if (!stage) return;
+        const errors = validateStage(stage);
+        if (errors.length > 0) {
+            console.error(`[STAGE] ${file} is invalid:\n  ${errors.join('\n  ')}`);
+            return;
+        }
+        if (STAGES[stage.id]) {
+            console.error(`[STAGE] ${file} reuses the id "${stage.id}", skipping it`);
+            return;
+        }
+        STAGES[stage.id] = stage;
+    });
+
+    if (!STAGES[DEFAULT_STAGE]) {
+        throw new Error(`Default stage "${DEFAULT_STAGE}" did not load`);
+    }
+    return STAGES;
+}
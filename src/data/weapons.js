@@ -0,0 +1,322 @@
+// ==================== WEAPON DEFINITIONS ====================
+// Weapons without an `unlock` condition can always be picked as the starting weapon.
+// Projectiles of `blockedByObstacles` weapons break on solid decorations (trees, rocks, ruins)
+export const WEAPONS = {
+    magicAura: {
+        id: 'magicAura',
+        name: 'Magic Aura',
+        icon: '🔮',
+        description: 'Damages all enemies around you',
+        baseDamage: 8,
+        baseCooldown: 0.5,
+        baseRange: 80,
+        tickRate: 0.5,
+        maxLevel: 8,
+        upgrades: [
+            { level: 2, damage: 3 },
+            { level: 3, range: 20 },
+            { level: 4, damage: 3 },
+            { level: 5, damage: 5 },
+            { level: 6, range: 20 },
+            { level: 7, damage: 6 },
+            { level: 8, damage: 7 },
+        ]
+    },
+    fireballArc: {
+        id: 'fireballArc',
+        name: 'Fireball Arc',
+        icon: '🔥',
+        description: 'Explosive projectiles rain from above',
+        baseDamage: 25,
+        baseCooldown: 1.2,
+        baseRange: 400,
+        projectileSpeed: 300,
+        explosionRadius: 60,
+        projectileCount: 1,
+        maxLevel: 8,
+        upgrades: [
+            { level: 2, damage: 10 },
+            { level: 3, damage: 8 },
+            { level: 4, range: 50 },
+            { level: 5, damage: 10 },
+            { level: 6, explosionRadius: 30 },
+            { level: 7, damage: 8 },
+            { level: 8, range: 50 },
+        ]
+    },
+    magicWand: {
+        id: 'magicWand',
+        name: 'Magic Wand',
+        icon: '🪄',
+        description: 'Homing projectile seeks enemies',
+        baseDamage: 15,
+        baseCooldown: 0.8,
+        baseRange: 500,
+        projectileSpeed: 400,
+        projectileCount: 1,
+        pierce: 1,
+        maxLevel: 8,
+        upgrades: [
+            { level: 2, damage: 8 },
+            { level: 3, damage: 6 },
+            { level: 4, pierce: 1 },
+            { level: 5, damage: 8 },
+            { level: 6, damage: 6 },
+            { level: 7, pierce: 1 },
+            { level: 8, damage: 8 },
+        ]
+    },
+    throwingKnife: {
+        id: 'throwingKnife',
+        name: 'Throwing Knife',
+        icon: '🗡️',
+        description: 'Fast projectiles in facing direction',
+        baseDamage: 12,
+        baseCooldown: 0.4,
+        baseRange: 250,
+        projectileSpeed: 600,
+        projectileCount: 1,
+        critChance: 0.1,
+        blockedByObstacles: true, // Solid decorations stop it
+        maxLevel: 8,
+        upgrades: [
+            { level: 2, damage: 5 },
+            { level: 3, damage: 4 },
+            { level: 4, critChance: 0.05 },
+            { level: 5, damage: 5 },
+            { level: 6, damage: 4 },
+            { level: 7, range: 50 },
+            { level: 8, damage: 5 },
+        ]
+    },
+    lightningBolt: {
+        id: 'lightningBolt',
+        name: 'Lightning Bolt',
+        icon: '⚡',
+        description: 'Chains electricity between enemies',
+        baseDamage: 20,
+        baseCooldown: 1.0,
+        baseRange: 400,
+        chainCount: 3,
+        chainRange: 150,
+        maxLevel: 8,
+        upgrades: [
+            { level: 2, damage: 10 },
+            { level: 3, chainCount: 2 },
+            { level: 4, damage: 10 },
+            { level: 5, chainRange: 50 },
+            { level: 6, damage: 10 },
+            { level: 7, chainCount: 2 },
+            { level: 8, damage: 10 },
+        ]
+    },
+    holyWater: {
+        id: 'holyWater',
+        name: 'Holy Water',
+        icon: '💧',
+        description: 'Creates damaging pools on ground',
+        baseDamage: 10,
+        baseCooldown: 1.5,
+        baseRange: 500,
+        poolDuration: 3,
+        poolRadius: 70,
+        tickRate: 0.3,
+        maxLevel: 8,
+        upgrades: [
+            { level: 2, damage: 5 },
+            { level: 3, poolDuration: 1 },
+            { level: 4, poolRadius: 25 },
+            { level: 5, damage: 5 },
+            { level: 6, damage: 6 },
+            { level: 7, poolDuration: 1 },
+            { level: 8, damage: 7 },
+        ]
+    },
+    iceShard: {
+        id: 'iceShard',
+        name: 'Ice Shard',
+        icon: '🧊',
+        description: 'Piercing projectiles that slow enemies',
+        unlock: { type: 'wave', value: 10 },
+        baseDamage: 10,
+        baseCooldown: 0.6,
+        baseRange: 350,
+        projectileSpeed: 500,
+        projectileCount: 1,
+        pierce: 2,
+        blockedByObstacles: true, // Solid decorations stop it
+        maxLevel: 8,
+        upgrades: [
+            { level: 2, damage: 4 },
+            { level: 3, pierce: 1 },
+            { level: 4, range: 50 },
+            { level: 5, damage: 4 },
+            { level: 6, damage: 5 },
+            { level: 7, pierce: 1 },
+            { level: 8, damage: 4 },
+        ]
+    },
+    sacredCross: {
+        id: 'sacredCross',
+        name: 'Sacred Cross',
+        icon: '✝️',
+        description: 'Rotating cross orbits around you',
+        unlock: { type: 'bossKill', enemy: 'lordOfBones' },
+        baseDamage: 6,
+        baseCooldown: 0.3,
+        baseRange: 100,
+        projectileCount: 1,
+        maxLevel: 8,
+        upgrades: [
+            { level: 2, damage: 3 },
+            { level: 3, range: 25 },
+            { level: 4, damage: 4 },
+            { level: 5, damage: 5 },
+            { level: 6, range: 25 },
+            { level: 7, damage: 6 },
+            { level: 8, damage: 7 },
+        ]
+    },
+    poisonDagger: {
+        id: 'poisonDagger',
+        name: 'Poison Dagger',
+        icon: '🏹',
+        description: 'Applies poison dealing % max HP damage',
+        unlock: { type: 'totalKills', value: 1000 },
+        baseDamage: 8,
+        baseCooldown: 0.5,
+        baseRange: 280,
+        projectileSpeed: 550,
+        projectileCount: 1,
+        blockedByObstacles: true, // Solid decorations stop it
+        maxLevel: 8,
+        upgrades: [
+            { level: 2, damage: 3 },
+            { level: 3, damage: 4 },
+            { level: 4, range: 50 },
+            { level: 5, damage: 3 },
+            { level: 6, damage: 4 },
+            { level: 7, range: 50 },
+            { level: 8, damage: 4 },
+        ]
+    },
+    spinBlade: {
+        id: 'spinBlade',
+        name: 'Spin Blade',
+        icon: '🌀',
+        description: 'Boomerang blade hits twice',
+        unlock: { type: 'wave', value: 15 },
+        baseDamage: 18,
+        baseCooldown: 1.0,
+        baseRange: 300,
+        projectileSpeed: 400,
+        projectileCount: 1,
+        pierce: 0,
+        maxLevel: 8,
+        upgrades: [
+            { level: 2, damage: 6 },
+            { level: 3, range: 50 },
+            { level: 4, damage: 7 },
+            { level: 5, damage: 8 },
+            { level: 6, range: 50 },
+            { level: 7, damage: 9 },
+            { level: 8, damage: 10 },
+        ]
+    },
+    soulOrb: {
+        id: 'soulOrb',
+        name: 'Soul Orb',
+        icon: '🔮',
+        description: '3 orbs orbit you and explode on enemy contact',
+        unlock: { type: 'bossKill', enemy: 'voidLord' },
+        baseDamage: 25,
+        baseCooldown: 4.0, // Spawn orbs every 4 seconds
+        baseRange: 200,
+        projectileSpeed: 250,
+        projectileCount: 3, // Always 3 orbs per spawn
+        orbLifetime: 4, // Orbs last 4 seconds then explode
+        explosionDamage: 1.5, // 150% damage on explosion
+        maxLevel: 8,
+        upgrades: [
+            { level: 2, damage: 10 },
+            { level: 3, explosionDamage: 0.5 },
+            { level: 4, range: 30 },
+            { level: 5, damage: 10 },
+            { level: 6, orbLifetime: 1 },
+            { level: 7, range: 30 },
+            { level: 8, damage: 10 },
+        ]
+    },
+    boneSpear: {
+        id: 'boneSpear',
+        name: 'Bone Spear',
+        icon: '🦴',
+        description: 'Piercing projectile that travels in a straight line',
+        unlock: { type: 'totalKills', value: 3000 },
+        baseDamage: 25,
+        baseCooldown: 1.2,
+        baseRange: 500,
+        projectileSpeed: 550,
+        projectileCount: 1,
+        pierce: 999,
+        blockedByObstacles: true, // Solid decorations stop it
+        maxLevel: 8,
+        upgrades: [
+            { level: 2, damage: 10 },
+            { level: 3, damage: 8 },
+            { level: 4, damage: 10 },
+            { level: 5, range: 50 },
+            { level: 6, damage: 8 },
+            { level: 7, damage: 10 },
+            { level: 8, range: 50 },
+        ]
+    },
+    bloodMoonChakram: {
+        id: 'bloodMoonChakram',
+        name: 'Blood Moon Chakram',
+        icon: '🌙',
+        description: 'Crescent blade that flies out and returns',
+        unlock: { type: 'bossKill', enemy: 'bloodQueen' },
+        baseDamage: 30,
+        baseCooldown: 1.0,
+        baseRange: 350,
+        projectileSpeed: 400,
+        projectileCount: 1,
+        pierce: 1,
+        maxLevel: 8,
+        upgrades: [
+            { level: 2, damage: 10 },
+            { level: 3, damage: 8 },
+            { level: 4, range: 40 },
+            { level: 5, damage: 10 },
+            { level: 6, damage: 8 },
+            { level: 7, pierce: 1 },
+            { level: 8, damage: 10 },
+        ]
+    },
+    vampireDagger: {
+        id: 'vampireDagger',
+        name: 'Vampire Dagger',
+        icon: '🗡️',
+        description: 'Dagger that fires every 3s and heals +1 HP on hit',
+        unlock: { type: 'wave', value: 25 },
+        baseDamage: 25,
+        baseCooldown: 3.0, // Fires once every 3 seconds
+        baseRange: 200,
+        projectileSpeed: 500,
+        projectileCount: 1,
+        lifestealHeal: 1, // Fixed +1 HP heal (doesn't scale)
+        critChance: 0.1, // Base 10% crit chance
+        blockedByObstacles: true, // Solid decorations stop it
+        maxLevel: 8,
+        upgrades: [
+            { level: 2, damage: 10 },
+            { level: 3, critChance: 0.05 }, // +5% crit
+            { level: 4, damage: 10 },
+            { level: 5, damage: 10 },
+            { level: 6, critChance: 0.05 }, // +5% crit
+            { level: 7, damage: 10 },
+            { level: 8, critChance: 0.05 }, // +5% crit (total +15%)
+        ]
+    }
+};
@@ -0,0 +1,43 @@
+// ==================== ENTITY LISTS ====================
+// OPTIMIZATION: O(1) removal for the hot arrays (enemies, projectiles, XP gems, particles,
+// ground effects, lightning bolts, health packs).
+// The last entity moves into the gap instead of splicing, so order is not kept -
+// loops that remove while iterating walk backwards, where the moved entity was already visited.
+
+/**
+ * Remove the entity at index by moving the last one into its place
+ * @param {Object[]} list
+ * @param {number} index
+ */
+export function swapRemove(list, index) {
+    const last = list.pop();
+    if (index < list.length) {
+        list[index] = last;
+        if (last.listIndex !== undefined) {
+            last.listIndex = index;
+        }
+    }
+}
+
+/**
+ * Append an entity that tracks its own index, so removeEntity() needs no search
+ * @param {Object[]} list
+ * @param {Object} entity
+ */
+export function addEntity(list, entity) {
+    entity.listIndex = list.length;
+    list.push(entity);
+}
+
+/**
+ * @param {Object[]} list
+ * @param {Object} entity - Added with addEntity()
+ * @returns {boolean} - False if the entity was not in the list
+ */
+export function removeEntity(list, entity) {
+    const index = entity.listIndex;
+    if (!(index >= 0) || list[index] !== entity) return false;
+    swapRemove(list, index);
+    entity.listIndex = -1;
+    return true;
+}
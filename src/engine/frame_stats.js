@@ -0,0 +1,18 @@
+import { CONFIG } from '../config.js';
+
+// ==================== FRAME STATS ====================
+// Shared by the in-browser benchmark report (Game) and tools/benchmark.js
+export const FRAME_BUDGET_MS = 1000 / CONFIG.FPS;
+
+/**
+ * @param {number[]} times - Milliseconds, one per frame
+ * @returns {{avgMs: number, p95Ms: number, maxMs: number}}
+ */
+export function summarizeFrameTimes(times) {
+    const sorted = [...times].sort((a, b) => a - b);
+    return {
+        avgMs: times.reduce((sum, t) => sum + t, 0) / times.length,
+        p95Ms: sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * 0.95))],
+        maxMs: sorted[sorted.length - 1]
+    };
+}
@@ -0,0 +1,46 @@
+// ==================== OBJECT POOLING ====================
+export class ObjectPool {
+    constructor(createFn, resetFn, initialSize = 100) {
+        this.createFn = createFn;
+        this.resetFn = resetFn;
+        this.pool = [];
+        this.active = [];
+        
+        for (let i = 0; i < initialSize; i++) {
+            this.pool.push(createFn());
+        }
+    }
+    
+    get() {
+        let obj;
+        if (this.pool.length > 0) {
+            obj = this.pool.pop();
+        } else {
+            obj = this.createFn();
+        }
+        obj.poolIndex = this.active.length;
+        this.active.push(obj);
+        return obj;
+    }
+    
+    // OPTIMIZATION: Objects remember their slot in active, release swaps the last one in
+    release(obj) {
+        const index = obj.poolIndex;
+        if (!(index >= 0) || this.active[index] !== obj) return;
+
+        const last = this.active.pop();
+        if (index < this.active.length) {
+            this.active[index] = last;
+            last.poolIndex = index;
+        }
+        obj.poolIndex = -1;
+        this.resetFn(obj);
+        this.pool.push(obj);
+    }
+    
+    releaseAll() {
+        while (this.active.length > 0) {
+            this.release(this.active[this.active.length - 1]);
+        }
+    }
+}
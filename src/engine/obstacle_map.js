@@ -0,0 +1,118 @@
+import { SpatialHash } from './spatial_hash.js';
+
+// ==================== OBSTACLE MAP ====================
+// Solid decorations as circles in a SpatialHash. Obstacles never move, so the hash
+// is built once per run, on the first query after the last add().
+const STEER_LOOKAHEAD = 60; // How far ahead enemies look for obstacles
+const STEER_STRENGTH = 2;   // How hard they turn away
+
+export class ObstacleMap {
+    constructor(cellSize = 200) {
+        this.hash = new SpatialHash(cellSize);
+        this.obstacles = [];
+        this.maxRadius = 0;
+        this.dirty = false;
+    }
+
+    /**
+     * @param {{x: number, y: number, radius: number}} obstacle
+     */
+    add(obstacle) {
+        this.obstacles.push(obstacle);
+        this.maxRadius = Math.max(this.maxRadius, obstacle.radius);
+        this.dirty = true;
+    }
+
+    /**
+     * Obstacles that may overlap a circle (padded by the largest obstacle radius,
+     * so steering also sees obstacles just past its lookahead)
+     */
+    query(x, y, radius) {
+        if (this.dirty) {
+            this.hash.build(this.obstacles);
+            this.dirty = false;
+        }
+        return this.hash.query(x, y, radius + this.maxRadius);
+    }
+
+    /**
+     * Whether a circle overlaps any obstacle
+     */
+    blocks(x, y, radius) {
+        const nearby = this.query(x, y, radius);
+        for (let i = 0; i < nearby.length; i++) {
+            const o = nearby[i];
+            const dx = x - o.x;
+            const dy = y - o.y;
+            const combined = radius + o.radius;
+            if (dx * dx + dy * dy < combined * combined) return true;
+        }
+        return false;
+    }
+
+    /**
+     * Push an entity out of every obstacle it overlaps. Only the part of the motion
+     * that went into the obstacle is undone, so entities slide along its edge.
+     * @param {{x: number, y: number, radius: number}} entity
+     */
+    resolve(entity) {
+        const nearby = this.query(entity.x, entity.y, entity.radius);
+        for (let i = 0; i < nearby.length; i++) {
+            const o = nearby[i];
+            const dx = entity.x - o.x;
+            const dy = entity.y - o.y;
+            const combined = entity.radius + o.radius;
+            const distSq = dx * dx + dy * dy;
+            if (distSq >= combined * combined) continue;
+
+            const dist = Math.sqrt(distSq);
+            if (dist > 0) {
+                entity.x = o.x + (dx / dist) * combined;
+                entity.y = o.y + (dy / dist) * combined;
+            } else {
+                entity.x = o.x + combined; // Dead center - pick a side
+            }
+        }
+    }
+
+    /**
+     * Bend a heading around obstacles in the way - turns away from whichever side
+     * the obstacle is on, harder the closer and more head-on it is
+     * @param {{x: number, y: number, radius: number}} entity
+     * @param {number} dirX - Normalized heading
+     * @param {number} dirY
+     * @returns {{x: number, y: number}} - Normalized steered heading
+     */
+    steer(entity, dirX, dirY) {
+        const reach = entity.radius + STEER_LOOKAHEAD;
+        const nearby = this.query(entity.x, entity.y, reach);
+        let steerX = 0;
+        let steerY = 0;
+
+        for (let i = 0; i < nearby.length; i++) {
+            const o = nearby[i];
+            const ox = o.x - entity.x;
+            const oy = o.y - entity.y;
+            const ahead = ox * dirX + oy * dirY;
+            const range = reach + o.radius;
+            if (ahead <= 0 || ahead > range) continue;
+
+            // Lateral offset from the heading, positive = obstacle on the left
+            const side = ox * -dirY + oy * dirX;
+            const clearance = entity.radius + o.radius;
+            if (Math.abs(side) >= clearance) continue;
+
+            const strength = (1 - Math.abs(side) / clearance) * (1 - ahead / range);
+            const turn = side >= 0 ? -1 : 1;
+            steerX += -dirY * turn * strength;
+            steerY += dirX * turn * strength;
+        }
+
+        if (steerX === 0 && steerY === 0) return { x: dirX, y: dirY };
+
+        const x = dirX + steerX * STEER_STRENGTH;
+        const y = dirY + steerY * STEER_STRENGTH;
+        const len = Math.sqrt(x * x + y * y);
+        return len > 0 ? { x: x / len, y: y / len } : { x: dirX, y: dirY };
+    }
+}
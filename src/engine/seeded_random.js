@@ -0,0 +1,40 @@
+// ==================== SEEDED RANDOM ====================
+// Deterministic PRNG (mulberry32) - the same seed reproduces the same run
+export class SeededRandom {
+    constructor(seed) {
+        this.seed = seed >>> 0;
+        this.state = this.seed;
+    }
+
+    // Returns a float in [0, 1) like Math.random()
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    static randomSeed() {
+        return Math.floor(Math.random() * 4294967296) >>> 0;
+    }
+
+    /**
+     * Parse seed text from the start screen - numbers are used as-is, other text is hashed
+     * @param {string} text - Seed input value
+     * @returns {number|null} - 32-bit seed, or null for a random run
+     */
+    static parseSeed(text) {
+        const value = (text || '').trim();
+        if (value === '') return null;
+        if (/^\d+$/.test(value)) return Number(value) >>> 0;
+
+        // FNV-1a string hash
+        let hash = 0x811C9DC5;
+        for (let i = 0; i < value.length; i++) {
+            hash ^= value.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+}
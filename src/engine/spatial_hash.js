@@ -0,0 +1,181 @@
+import { CONFIG } from '../config.js';
+
+// ==================== SPATIAL HASH GRID ====================
+// OPTIMIZATION: Persistent uniform grid over the map, rebuilt once per frame.
+// Entries are counting-sorted by cell into typed arrays (positions and radii
+// stored structure-of-arrays), so a rebuild allocates nothing and a query only
+// touches the cells it overlaps. Entities outside the map land in the edge cells.
+// Entities spawned between rebuilds are insert()ed into a short pending list
+// that queries check one by one, so they are hittable the frame they appear.
+export class SpatialHash {
+    /**
+     * @param {number} [cellSize]
+     * @param {number} [width] - World width covered by the grid
+     * @param {number} [height] - World height covered by the grid
+     */
+    constructor(cellSize = 100, width = CONFIG.MAP_BOUNDS.width, height = CONFIG.MAP_BOUNDS.height) {
+        this.cellSize = cellSize;
+        this.cols = Math.ceil(width / cellSize);
+        this.rows = Math.ceil(height / cellSize);
+        const cellCount = this.cols * this.rows;
+        this.cellStart = new Int32Array(cellCount + 1); // Entry range per cell: [start, start of next)
+        this.cellFill = new Int32Array(cellCount);
+
+        // Entries in cell order
+        this.capacity = 0;
+        this.count = 0;
+        this.entities = [];
+        this.xs = null;
+        this.ys = null;
+        this.radii = null;
+        this.alive = null;     // 0 once remove()d - killed mid-frame
+        this.entryCell = null; // Scratch: cell of each input entity during build()
+        this.maxRadius = 0;
+        this.grow(256);
+        this.pending = []; // insert()ed since the last build()
+
+        this.results = []; // Reused by query()
+    }
+
+    grow(capacity) {
+        this.capacity = capacity;
+        this.xs = new Float64Array(capacity);
+        this.ys = new Float64Array(capacity);
+        this.radii = new Float64Array(capacity);
+        this.alive = new Uint8Array(capacity);
+        this.entryCell = new Int32Array(capacity);
+    }
+
+    clear() {
+        this.count = 0;
+        this.entities.length = 0;
+        this.pending.length = 0;
+        this.maxRadius = 0;
+    }
+
+    clampColumn(x) {
+        return Math.min(this.cols - 1, Math.max(0, Math.floor(x / this.cellSize)));
+    }
+
+    clampRow(y) {
+        return Math.min(this.rows - 1, Math.max(0, Math.floor(y / this.cellSize)));
+    }
+
+    cellIndex(x, y) {
+        return this.clampRow(y) * this.cols + this.clampColumn(x);
+    }
+
+    /**
+     * Re-sort every entity into the grid at its current position
+     * @param {Object[]} entities - Anything with x, y and radius
+     */
+    build(entities) {
+        const count = entities.length;
+        if (count > this.capacity) {
+            this.grow(Math.max(count, this.capacity * 2));
+        }
+        this.count = count;
+        this.entities.length = count;
+        this.pending.length = 0;
+        this.maxRadius = 0;
+
+        // Count per cell, then prefix-sum into start offsets
+        const cellStart = this.cellStart;
+        cellStart.fill(0);
+        for (let i = 0; i < count; i++) {
+            const entity = entities[i];
+            const cell = this.cellIndex(entity.x, entity.y);
+            this.entryCell[i] = cell;
+            cellStart[cell + 1]++;
+            if (entity.radius > this.maxRadius) this.maxRadius = entity.radius;
+        }
+        for (let c = 1; c < cellStart.length; c++) {
+            cellStart[c] += cellStart[c - 1];
+        }
+
+        const fill = this.cellFill;
+        fill.set(cellStart.subarray(0, fill.length));
+        for (let i = 0; i < count; i++) {
+            const entity = entities[i];
+            const slot = fill[this.entryCell[i]]++;
+            this.entities[slot] = entity;
+            this.xs[slot] = entity.x;
+            this.ys[slot] = entity.y;
+            this.radii[slot] = entity.radius;
+            this.alive[slot] = 1;
+            entity.gridSlot = slot;
+        }
+    }
+
+    /**
+     * Make a new entity queryable before the next build(), at its live position
+     * @param {Object} entity - Anything with x, y and radius
+     */
+    insert(entity) {
+        entity.gridSlot = -1;
+        this.pending.push(entity);
+    }
+
+    /**
+     * Drop an entity from queries until the next build() (e.g. it died this frame)
+     */
+    remove(entity) {
+        const slot = entity.gridSlot;
+        if (slot >= 0 && slot < this.count && this.entities[slot] === entity) {
+            this.alive[slot] = 0;
+        } else if (slot === -1) {
+            const index = this.pending.indexOf(entity);
+            if (index >= 0) {
+                this.pending[index] = this.pending[this.pending.length - 1];
+                this.pending.pop();
+            }
+        }
+    }
+
+    /**
+     * Entities whose circle overlaps a circle, as of the last build() plus anything insert()ed since
+     * @param {number} x
+     * @param {number} y
+     * @param {number} radius - 0 for entities touching a point
+     * @param {Object[]} [results] - Array to fill. Defaults to one shared by every
+     *                               query, so only use that before the next query
+     * @returns {Object[]}
+     */
+    query(x, y, radius, results = this.results) {
+        results.length = 0;
+        for (let i = 0; i < this.pending.length; i++) {
+            const entity = this.pending[i];
+            const dx = entity.x - x;
+            const dy = entity.y - y;
+            const combined = radius + entity.radius;
+            if (dx * dx + dy * dy < combined * combined) {
+                results.push(entity);
+            }
+        }
+        if (this.count === 0) return results;
+
+        const reach = radius + this.maxRadius;
+        const minGx = this.clampColumn(x - reach);
+        const maxGx = this.clampColumn(x + reach);
+        const minGy = this.clampRow(y - reach);
+        const maxGy = this.clampRow(y + reach);
+
+        for (let gy = minGy; gy <= maxGy; gy++) {
+            const row = gy * this.cols;
+            for (let gx = minGx; gx <= maxGx; gx++) {
+                const cell = row + gx;
+                const end = this.cellStart[cell + 1];
+                for (let i = this.cellStart[cell]; i < end; i++) {
+                    if (!this.alive[i]) continue;
+                    const dx = this.xs[i] - x;
+                    const dy = this.ys[i] - y;
+                    const combined = radius + this.radii[i];
+                    if (dx * dx + dy * dy < combined * combined) {
+                        results.push(this.entities[i]);
+                    }
+                }
+            }
+        }
+        return results;
+    }
+}
@@ -0,0 +1,132 @@
+// ==================== SPRITE ATLAS ====================
+// OPTIMIZATION: Vector art is drawn once per key into shared offscreen canvases,
+// then stamped with drawImage. A sprite costs one blit per frame however many
+// paths, gradients and shadows its art uses. Frames are packed in shelves (rows
+// as tall as their tallest frame) and a full page starts another canvas.
+const PAGE_SIZE = 1024;
+const MAX_PAGES = 4;  // Past this the atlas starts over and re-bakes what is still used
+const PADDING = 1;    // Transparent gap so scaled frames never sample a neighbour
+
+export class SpriteAtlas {
+    /**
+     * @param {number} [pageSize] - Width and height of each atlas canvas
+     */
+    constructor(pageSize = PAGE_SIZE) {
+        this.pageSize = pageSize;
+        this.pages = [];
+        this.frames = new Map(); // Key -> { canvas, sx, sy, size, half }
+        this.resolution = 1;     // Atlas pixels per CSS pixel
+        this.page = null;        // { canvas, ctx } being filled
+        this.shelfX = 0;
+        this.shelfY = 0;
+        this.shelfHeight = 0;
+    }
+
+    clear() {
+        this.pages.length = 0;
+        this.frames.clear();
+        this.page = null;
+    }
+
+    /**
+     * Bake at this many atlas pixels per CSS pixel (devicePixelRatio x zoom) -
+     * a change throws away every frame so they re-bake sharp
+     * @param {number} resolution - Whole number
+     */
+    setResolution(resolution) {
+        if (resolution === this.resolution) return;
+        this.resolution = resolution;
+        this.clear();
+    }
+
+    addPage() {
+        if (this.pages.length >= MAX_PAGES) {
+            console.warn(`[ATLAS] ${this.frames.size} frames filled ${MAX_PAGES} pages, starting over`);
+            this.clear();
+        }
+        const canvas = document.createElement('canvas');
+        canvas.width = this.pageSize;
+        canvas.height = this.pageSize;
+        this.page = { canvas, ctx: canvas.getContext('2d') };
+        this.pages.push(this.page);
+        this.shelfX = 0;
+        this.shelfY = 0;
+        this.shelfHeight = 0;
+    }
+
+    /**
+     * @param {string} key
+     * @returns {Object|undefined} Frame for draw(), if the key has been baked
+     */
+    get(key) {
+        return this.frames.get(key);
+    }
+
+    /**
+     * Bake a frame - art is clipped to a square of half-width half around its origin
+     * @param {string} key
+     * @param {number} half - Half the frame's width and height, in CSS pixels
+     * @param {Function} draw - Called with the atlas context, origin at the frame's center
+     * @returns {Object} Frame for draw()
+     */
+    add(key, half, draw) {
+        const resolution = this.resolution;
+        half = Math.min(Math.ceil(half), Math.floor((this.pageSize - PADDING * 2) / (resolution * 2)));
+        const size = half * 2 * resolution; // In atlas pixels
+        const cell = size + PADDING * 2;
+
+        if (!this.page || this.shelfX + cell > this.pageSize) {
+            this.shelfX = 0;
+            this.shelfY += this.shelfHeight;
+            this.shelfHeight = 0;
+        }
+        if (!this.page || this.shelfY + cell > this.pageSize) {
+            this.addPage();
+        }
+
+        const frame = {
+            canvas: this.page.canvas,
+            sx: this.shelfX + PADDING,
+            sy: this.shelfY + PADDING,
+            size,
+            half
+        };
+        this.shelfX += cell;
+        this.shelfHeight = Math.max(this.shelfHeight, cell);
+
+        const ctx = this.page.ctx;
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(frame.sx, frame.sy, size, size);
+        ctx.clip();
+        ctx.translate(frame.sx + size / 2, frame.sy + size / 2);
+        ctx.scale(resolution, resolution);
+        draw(ctx);
+        ctx.restore();
+
+        this.frames.set(key, frame);
+        return frame;
+    }
+
+    /**
+     * Stamp a frame centered on x, y
+     * @param {CanvasRenderingContext2D} ctx
+     * @param {Object} frame - From get() or add()
+     * @param {number} x
+     * @param {number} y
+     * @param {number} [scale] - Drawn size relative to the baked size
+     * @param {number} [rotation] - Radians
+     */
+    draw(ctx, frame, x, y, scale = 1, rotation = 0) {
+        const half = frame.half * scale;
+        if (rotation === 0) {
+            ctx.drawImage(frame.canvas, frame.sx, frame.sy, frame.size, frame.size, x - half, y - half, half * 2, half * 2);
+            return;
+        }
+        ctx.save();
+        ctx.translate(x, y);
+        ctx.rotate(rotation);
+        ctx.drawImage(frame.canvas, frame.sx, frame.sy, frame.size, frame.size, -half, -half, half * 2, half * 2);
+        ctx.restore();
+    }
+}
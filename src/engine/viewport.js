@@ -0,0 +1,110 @@
+import { CONFIG } from '../config.js';
+
+// ==================== VIEWPORT ====================
+// How much of the world is on screen and how it maps onto the canvas.
+// Screen sizes are CSS pixels - the canvas backing store is pixelRatio times
+// larger so it stays sharp on high-DPI displays. Zooming in shows less world.
+// Headless runs never resize, so they simulate the default CONFIG view.
+export class Viewport {
+    /**
+     * @param {number} [screenWidth] - CSS pixels
+     * @param {number} [screenHeight] - CSS pixels
+     */
+    constructor(screenWidth = CONFIG.CANVAS_WIDTH, screenHeight = CONFIG.CANVAS_HEIGHT) {
+        this.screenWidth = screenWidth;
+        this.screenHeight = screenHeight;
+        this.pixelRatio = 1;
+        this.zoom = 1;
+        this.locked = null; // { width, height } of world a replay recorded, shown letterboxed
+
+        // Derived in update() - read every frame by spawning, the camera and culling
+        this.width = 0;   // Visible world units
+        this.height = 0;
+        this.scale = 1;   // CSS pixels per world unit
+        this.offsetX = 0; // Letterbox margin around a locked view
+        this.offsetY = 0;
+        this.update();
+    }
+
+    /**
+     * @param {number} screenWidth - CSS pixels
+     * @param {number} screenHeight - CSS pixels
+     * @param {number} pixelRatio - window.devicePixelRatio
+     */
+    resize(screenWidth, screenHeight, pixelRatio) {
+        this.screenWidth = screenWidth;
+        this.screenHeight = screenHeight;
+        this.pixelRatio = pixelRatio;
+        this.update();
+    }
+
+    /**
+     * @param {number} zoom - Clamped to CONFIG.MIN_ZOOM-MAX_ZOOM
+     */
+    setZoom(zoom) {
+        this.zoom = Math.max(CONFIG.MIN_ZOOM, Math.min(CONFIG.MAX_ZOOM, zoom));
+        this.update();
+    }
+
+    /**
+     * Show exactly this much world whatever the screen size, so a replay
+     * re-simulates with the view it was recorded with
+     * @param {number} width - World units
+     * @param {number} height - World units
+     */
+    lock(width, height) {
+        if (this.locked && this.locked.width === width && this.locked.height === height) return;
+        this.locked = { width, height };
+        this.update();
+    }
+
+    unlock() {
+        if (!this.locked) return;
+        this.locked = null;
+        this.update();
+    }
+
+    update() {
+        if (this.locked) {
+            this.width = this.locked.width;
+            this.height = this.locked.height;
+            this.scale = Math.min(this.screenWidth / this.width, this.screenHeight / this.height);
+        } else {
+            this.scale = this.zoom;
+            this.width = this.screenWidth / this.zoom;
+            this.height = this.screenHeight / this.zoom;
+        }
+        this.offsetX = (this.screenWidth - this.width * this.scale) / 2;
+        this.offsetY = (this.screenHeight - this.height * this.scale) / 2;
+    }
+
+    /**
+     * Draw in CSS pixels from the top-left of the screen
+     * @param {CanvasRenderingContext2D} ctx
+     */
+    applyScreenTransform(ctx) {
+        ctx.setTransform(this.pixelRatio, 0, 0, this.pixelRatio, 0, 0);
+    }
+
+    /**
+     * Draw in world units - call after applyScreenTransform()
+     * @param {CanvasRenderingContext2D} ctx
+     * @param {{x: number, y: number}} camera - World position of the view's top-left corner
+     */
+    applyWorldTransform(ctx, camera) {
+        ctx.translate(this.offsetX, this.offsetY);
+        ctx.scale(this.scale, this.scale);
+        ctx.translate(-camera.x, -camera.y);
+    }
+
+    /**
+     * Screen position (CSS pixels) of a world position
+     */
+    toScreenX(worldX, cameraX) {
+        return (worldX - cameraX) * this.scale + this.offsetX;
+    }
+
+    toScreenY(worldY, cameraY) {
+        return (worldY - cameraY) * this.scale + this.offsetY;
+    }
+}
@@ -0,0 +1,192 @@
+import { ENEMIES } from '../data/enemies.js';
+
+// ==================== ENEMY ====================
+export class Enemy {
+    constructor(type, x, y, waveMultiplier) {
+        const data = ENEMIES[type];
+        this.type = type;
+        this.x = x;
+        this.y = y;
+        this.hp = data.baseHp * waveMultiplier;
+        this.maxHp = this.hp;
+        // REDUCED damage scaling: 0.08 → 0.02 (4x slower damage growth)
+        this.damage = data.baseDamage * (1 + 0.02 * waveMultiplier);
+        this.baseSpeed = data.baseSpeed;
+        this.speed = this.baseSpeed;
+        this.radius = data.radius;
+        this.xpValue = data.xpValue;
+        this.attackSpeed = data.attackSpeed;
+        this.attackCooldown = 0;
+        this.knockbackResist = data.knockbackResist || 0;
+        this.attackRange = data.attackRange || 0;
+        this.isRanged = data.isRanged || false;
+        this.color = data.color;
+        this.pushX = 0;
+        this.pushY = 0;
+        // Debuff tracking
+        this.poisonDamage = 0;
+        this.poisonDuration = 0;
+        this.poisonTickTimer = 0;
+        this.poisonDamageTaken = 0; // Poison ticks since the game last recorded them
+        this.slowMultiplier = 1;
+        this.slowDuration = 0;
+
+        // Traits (see ENEMIES) - the game drives summon/heal/loot, the enemy tracks its own state
+        this.enrageThreshold = data.enrageThreshold || 0;
+        this.enrageSpeedMultiplier = data.enrageSpeedMultiplier || 1;
+        this.enraged = false;
+        this.thornReflect = data.thornReflect || 0;
+        this.reflectedDamage = 0; // Pending damage to bounce back at the player
+        this.summon = data.summon || null;
+        this.summonTimer = this.summon ? this.summon.interval : 0;
+        this.heal = data.heal || null;
+        this.healTimer = this.heal ? this.heal.interval : 0;
+        this.isMiniBoss = data.isMiniBoss || false;
+        this.loot = data.loot || null;
+        // Support casters keep their distance but summon/heal instead of shooting
+        this.isSupport = !!(this.summon || this.heal);
+        this.ignoresObstacles = data.ignoresObstacles || false; // Fliers, ghosts and bosses
+
+        this.lastDamageSource = null; // Damage source credited with the kill (see Game.recordDamage)
+
+        // OPTIMIZATION: Slots for O(1) removal from Game.enemies and the spatial grid
+        this.listIndex = -1;
+        this.gridSlot = -1;
+    }
+
+    /**
+     * @param {number} dt
+     * @param {Player} player
+     * @param {ObstacleMap} [obstacles] - Solid decorations to steer around and slide along
+     * @returns {number} - Distance to the player
+     */
+    update(dt, player, obstacles = null) {
+        const solid = this.ignoresObstacles ? null : obstacles;
+
+        // Apply pushback decay
+        this.x += this.pushX * dt;
+        this.y += this.pushY * dt;
+        this.pushX *= 0.9;
+        this.pushY *= 0.9;
+
+        // Update poison DoT - tick every 1 second
+        if (this.poisonDuration > 0) {
+            this.poisonDuration -= dt;
+            
+            // Poison tick timer - deal damage every 1 second
+            if (this.poisonTickTimer === undefined) {
+                this.poisonTickTimer = 0;
+            }
+            this.poisonTickTimer += dt;
+            
+            if (this.poisonTickTimer >= 1.0) {
+                this.poisonTickTimer = 0;
+                // Poison deals 2% max HP per tick (once per second)
+                const poisonTickDamage = this.maxHp * 0.02;
+                this.hp -= poisonTickDamage;
+                this.poisonDamageTaken += poisonTickDamage;
+                
+                // DEBUG: Log poison damage for bosses
+                if (this.isBoss) {
+                    console.log(`[POISON] ${this.type}: -${poisonTickDamage.toFixed(1)} dmg (${(this.maxHp * 0.02 * 100).toFixed(0)}% max HP), HP ${this.hp.toFixed(1)}`);
+                }
+                
+                if (this.hp <= 0) {
+                    this.poisonDuration = 0;
+                    this.poisonTickTimer = 0;
+                    return player ? Math.sqrt((player.x - this.x) ** 2 + (player.y - this.y) ** 2) : 0;
+                }
+            }
+            
+            if (this.poisonDuration <= 0) {
+                this.poisonTickTimer = 0;
+            }
+        }
+        
+        // Enrage once HP drops below the threshold - lasts until death
+        if (!this.enraged && this.enrageThreshold > 0 && this.hp > 0 && this.hp / this.maxHp <= this.enrageThreshold) {
+            this.enraged = true;
+            this.speed *= this.enrageSpeedMultiplier;
+        }
+
+        // Update slow effect
+        if (this.slowDuration > 0) {
+            this.slowDuration -= dt;
+            if (this.slowDuration <= 0) {
+                this.slowMultiplier = 1;
+            }
+        }
+
+        const dx = player.x - this.x;
+        const dy = player.y - this.y;
+        const distSqr = dx * dx + dy * dy;
+        const dist = Math.sqrt(distSqr);
+
+        // Early exit for enemies very far from player (>1500 units)
+        // Skip movement and attack logic to save CPU
+        if (distSqr > 2250000) { // 1500^2
+            return dist;
+        }
+
+        if (this.isRanged) {
+            // Ranged enemy: maintain distance
+            const desiredDist = this.attackRange * 0.7;
+            if (dist < desiredDist) {
+                // Move away
+                this.move(-dx / dist, -dy / dist, dt, solid);
+            } else if (dist > this.attackRange) {
+                // Move closer
+                this.move(dx / dist, dy / dist, dt, solid);
+            }
+        } else {
+            // Melee enemy: move toward player
+            if (dist > 0) {
+                this.move(dx / dist, dy / dist, dt, solid);
+            }
+        }
+
+        if (solid) {
+            solid.resolve(this);
+        }
+
+        // Attack cooldown
+        if (this.attackCooldown > 0) {
+            this.attackCooldown -= dt;
+        }
+
+        return dist;
+    }
+
+    /**
+     * Step along a normalized heading, steering around obstacles when given
+     */
+    move(dirX, dirY, dt, obstacles) {
+        if (obstacles) {
+            const heading = obstacles.steer(this, dirX, dirY);
+            dirX = heading.x;
+            dirY = heading.y;
+        }
+        this.x += dirX * this.speed * this.slowMultiplier * dt;
+        this.y += dirY * this.speed * this.slowMultiplier * dt;
+    }
+
+    applyPoison(duration) {
+        this.poisonDuration = duration;
+    }
+    
+    applySlow(multiplier, duration) {
+        this.slowMultiplier = Math.max(0.1, multiplier);
+        this.slowDuration = duration;
+    }
+
+    takeDamage(amount, knockbackX, knockbackY) {
+        this.hp -= amount;
+        if (this.thornReflect > 0) {
+            this.reflectedDamage += amount * this.thornReflect;
+        }
+        const kbMultiplier = 1 - this.knockbackResist;
+        this.pushX = knockbackX * kbMultiplier;
+        this.pushY = knockbackY * kbMultiplier;
+        return this.hp <= 0;
+    }
+}
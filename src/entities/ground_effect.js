@@ -0,0 +1,25 @@
+// ==================== GROUND EFFECT CLASS ====================
+export class GroundEffect {
+    constructor(x, y, radius, duration, damage, tickRate, color, owner = 'player') {
+        this.x = x;
+        this.y = y;
+        this.radius = radius;
+        this.duration = duration;
+        this.maxDuration = duration;
+        this.damage = damage;
+        this.tickRate = tickRate;
+        this.tickCooldown = 0;
+        this.color = color;
+        this.owner = owner; // 'player' pools hurt enemies, 'enemy' pools hurt the player
+        this.weaponId = null; // WEAPONS id for damage attribution
+        this.hitEnemies = new Set();
+    }
+    
+    update(dt) {
+        this.duration -= dt;
+        if (this.tickCooldown > 0) {
+            this.tickCooldown -= dt;
+        }
+        return this.duration > 0;
+    }
+}
@@ -0,0 +1,52 @@
+// ==================== HEALTH PACK ====================
+export class HealthPack {
+    constructor(x, y, healPercent) {
+        this.x = x;
+        this.y = y;
+        this.healPercent = healPercent;
+        this.radius = 12;
+        this.magnetized = false;
+        this.bobOffset = Math.random() * Math.PI * 2;
+    }
+
+    update(dt, player) {
+        // Bob animation
+        this.bobOffset += dt * 3;
+
+        const dx = player.x - this.x;
+        const dy = player.y - this.y;
+        const distSq = dx * dx + dy * dy;
+
+        const magnetRange = 100 * (1 + (player.passives.goldMagnet || 0) + player.pickupRangeBonus);
+        const magnetRangeSq = magnetRange * magnetRange;
+
+        if (distSq < magnetRangeSq) {
+            this.magnetized = true;
+        }
+
+        if (this.magnetized) {
+            const speed = 350;
+            const dist = Math.sqrt(distSq);
+            if (dist > 0) {
+                this.x += (dx / dist) * speed * dt;
+                this.y += (dy / dist) * speed * dt;
+            }
+
+            const collectDx = player.x - this.x;
+            const collectDy = player.y - this.y;
+            const collectDistSq = collectDx * collectDx + collectDy * collectDy;
+            const combinedRadius = player.radius + this.radius;
+
+            if (collectDistSq < combinedRadius * combinedRadius) {
+                return true;
+            }
+            return false;
+        }
+
+        const combinedRadius = player.radius + this.radius;
+        if (distSq < combinedRadius * combinedRadius) {
+            return true;
+        }
+        return false;
+    }
+}
@@ -0,0 +1,210 @@
+import { CONFIG } from '../config.js';
+import { SHOP_UPGRADES } from '../data/shop_upgrades.js';
+
+// ==================== PLAYER ====================
+export class Player {
+    constructor() {
+        this.x = CONFIG.MAP_BOUNDS.width / 2;
+        this.y = CONFIG.MAP_BOUNDS.height / 2;
+        this.hp = CONFIG.PLAYER_BASE_HP;
+        this.maxHp = CONFIG.PLAYER_BASE_HP;
+        this.speed = CONFIG.PLAYER_BASE_SPEED;
+        this.level = 1;
+        this.xp = 0;
+        this.xpToNext = this.getXpForLevel(1);
+        this.weapons = [];
+        this.passives = {};
+        this.damageMultiplier = 1;
+        this.attackSpeedMultiplier = 1;
+        this.cooldownReduction = 0;
+        this.areaMultiplier = 1;
+        this.projectileBonus = 0;
+        this.movementBonus = 0;
+        this.facing = { x: 1, y: 0 }; // Default facing right
+        this.invincible = false;
+        this.invincibleTimer = 0;
+        this.radius = CONFIG.PLAYER_RADIUS;
+        this.regeneration = 0; // HP per second from regeneration
+        // Immortality Shield properties
+        this.shieldCharges = 0;
+        this.shieldMaxCharges = 3;
+        this.shieldRechargeTimer = 0;
+        this.shieldRechargeInterval = 10; // Recharge 1 charge every 10 seconds
+        // Luck Clover and Thorn Armor
+        this.critBonus = 0;
+        this.xpBonus = 0;
+        this.thornDamage = 0;
+        // Meta-shop bonuses
+        this.pickupRangeBonus = 0;
+        this.revives = 0;
+        // Biome hazards - on ice the velocity only slowly turns toward the input
+        this.onIce = false;
+        this.vx = 0;
+        this.vy = 0;
+    }
+
+    /**
+     * Apply permanent upgrades bought in the shop (saveData.permanentUpgrades)
+     * @param {Object} permanentUpgrades - Upgrade id -> purchased level
+     */
+    applyPermanentUpgrades(permanentUpgrades) {
+        for (const [id, level] of Object.entries(permanentUpgrades)) {
+            const upgrade = SHOP_UPGRADES[id];
+            if (!upgrade || level <= 0) continue;
+
+            const value = upgrade.valuePerLevel * Math.min(level, upgrade.maxLevel);
+            switch (upgrade.stat) {
+                case 'maxHealth':
+                    this.maxHp += value;
+                    this.hp = this.maxHp;
+                    break;
+                case 'damage':
+                    this.damageMultiplier += value;
+                    break;
+                case 'pickupRange':
+                    this.pickupRangeBonus += value;
+                    break;
+                case 'revives':
+                    this.revives += value;
+                    break;
+            }
+        }
+    }
+    
+    getXpForLevel(level) {
+        if (level < 10) {
+            return CONFIG.XP_BASELINE + (level - 1) * 5;
+        }
+        return 95 + (level - 10) * 25;
+    }
+    
+    addXp(amount) {
+        this.xp += amount;
+        let leveledUp = false;
+
+        while (this.xp >= this.xpToNext && this.level < CONFIG.MAX_LEVEL) {
+            this.xp -= this.xpToNext;
+            this.level++;
+            this.xpToNext = this.getXpForLevel(this.level);
+            leveledUp = true;
+        }
+
+        return leveledUp;
+    }
+    
+    takeDamage(amount) {
+        if (this.invincible) return false;
+
+        // Check for Immortality Shield - consume charge to block damage
+        if (this.passives.immortalityShield && this.shieldCharges > 0) {
+            this.shieldCharges--;
+            this.shieldRechargeTimer = 0; // Start recharge timer
+            // Show shield block effect
+            if (this.game) {
+                this.game.showShieldBlockEffect(this.x, this.y);
+            }
+            return false; // No damage taken
+        }
+
+        this.hp -= amount;
+        this.invincible = true;
+        this.invincibleTimer = 0.5;
+        if (this.game) {
+            this.game.audio.play('playerHurt');
+        }
+
+        return this.hp <= 0;
+    }
+    
+    heal(amount) {
+        this.hp = Math.min(this.hp + amount, this.maxHp);
+    }
+    
+    /**
+     * @param {number} dt
+     * @param {Object} input - getMovement() source (InputHandler, replay or scripted)
+     * @param {ObstacleMap} [obstacles] - Solid decorations to slide along
+     */
+    update(dt, input, obstacles = null) {
+        const movement = input.getMovement();
+
+        if (movement.dx !== 0 || movement.dy !== 0) {
+            this.facing = { x: movement.dx, y: movement.dy };
+            // Normalize
+            const len = Math.sqrt(this.facing.x ** 2 + this.facing.y ** 2);
+            this.facing.x /= len;
+            this.facing.y /= len;
+        }
+
+        const speed = this.speed * (1 + this.movementBonus);
+        if (this.onIce) {
+            const blend = Math.min(1, CONFIG.ICE_ACCELERATION * dt);
+            this.vx += (movement.dx * speed - this.vx) * blend;
+            this.vy += (movement.dy * speed - this.vy) * blend;
+        } else {
+            this.vx = movement.dx * speed;
+            this.vy = movement.dy * speed;
+        }
+        this.x += this.vx * dt;
+        this.y += this.vy * dt;
+        if (obstacles) {
+            obstacles.resolve(this);
+        }
+
+        // Clamp to map bounds
+        this.x = Math.max(this.speed, Math.min(CONFIG.MAP_BOUNDS.width - this.speed, this.x));
+        this.y = Math.max(this.speed, Math.min(CONFIG.MAP_BOUNDS.height - this.speed, this.y));
+
+        // Update invincibility
+        if (this.invincible) {
+            this.invincibleTimer -= dt;
+            if (this.invincibleTimer <= 0) {
+                this.invincible = false;
+            }
+        }
+
+        // Apply regeneration
+        if (this.regeneration > 0 && this.hp < this.maxHp) {
+            this.hp = Math.min(this.hp + this.regeneration * dt, this.maxHp);
+        }
+
+        // Update Immortality Shield recharge
+        if (this.passives.immortalityShield && this.shieldCharges < this.shieldMaxCharges) {
+            this.shieldRechargeTimer += dt;
+            if (this.shieldRechargeTimer >= this.shieldRechargeInterval) {
+                this.shieldCharges++;
+                this.shieldRechargeTimer = 0;
+            }
+        }
+
+        // OPTIMIZATION: Cache array length for weapon cooldown update
+        const len = this.weapons.length;
+        for (let i = 0; i < len; i++) {
+            const weapon = this.weapons[i];
+            if (weapon.currentCooldown > 0) {
+                weapon.currentCooldown -= dt;
+            }
+        }
+    }
+    
+    getEffectiveStat(stat, baseValue) {
+        let multiplier = 1;
+        
+        switch (stat) {
+            case 'damage':
+                multiplier = this.damageMultiplier;
+                break;
+            case 'cooldown':
+                multiplier = 1 - Math.min(0.5, this.cooldownReduction);
+                break;
+            case 'area':
+                multiplier = this.areaMultiplier;
+                break;
+            case 'attackSpeed':
+                multiplier = this.attackSpeedMultiplier;
+                break;
+        }
+        
+        return baseValue * multiplier;
+    }
+}
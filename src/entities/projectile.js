@@ -0,0 +1,300 @@
+import { WEAPONS } from '../data/weapons.js';
+
+// ==================== PROJECTILE ====================
+export class Projectile {
+    constructor() {
+        this.active = false;
+    }
+
+    init(x, y, vx, vy, damage, owner, config) {
+        this.x = x;
+        this.y = y;
+        this.vx = vx;
+        this.vy = vy;
+        this.damage = damage;
+        this.owner = owner; // 'player' or 'enemy'
+        this.pierce = config.pierce || 0;
+        this.lifetime = config.lifetime || 5;
+        this.homing = config.homing || false;
+        this.target = null;
+        this.speed = config.speed || 400;
+        this.radius = config.radius || 5;
+        this.color = config.color || '#fff';
+        this.hitEnemies = new Set();
+        this.isExplosive = config.isExplosive || false;
+        this.explosionRadius = config.explosionRadius || 0;
+        this.critChance = config.critChance || 0;
+        // Weapon type for SVG rendering
+        this.weaponType = config.weaponType || null;
+        // WEAPONS id for damage attribution
+        this.weaponId = config.weaponId || null;
+        // Thrown weapons and enemy bolts break on solid decorations
+        const weapon = WEAPONS[this.weaponId];
+        this.blockedByObstacles = config.blockedByObstacles || (!!weapon && !!weapon.blockedByObstacles);
+        // Special weapon properties
+        this.isIceShard = config.isIceShard || false;
+        this.isSacredCross = config.isSacredCross || false;
+        this.isPoisonDagger = config.isPoisonDagger || false;
+        this.isSpinBlade = config.isSpinBlade || false;
+        this.isSoulOrb = config.isSoulOrb || false;
+        this.isBoneSpear = config.isBoneSpear || false;
+        this.isBloodMoonChakram = config.isBloodMoonChakram || false;
+        this.isVampireDagger = config.isVampireDagger || false;
+        this.isBatSwarm = config.isBatSwarm || false;
+        this.lifesteal = config.lifesteal || 0;
+        this.lifestealHeal = config.lifestealHeal || 0;
+        this.explosionDamage = config.explosionDamage || 0;
+        this.hasExploded = config.hasExploded || false;
+        this.orbitAngle = config.orbitAngle || 0;
+        this.orbitSpeed = config.orbitSpeed || 0;
+        this.orbitRadius = config.orbitRadius || 0;
+        this.orbitCenterX = config.orbitCenterX || 0;
+        this.orbitCenterY = config.orbitCenterY || 0;
+        this.returnTime = config.returnTime || 0;
+        this.returnSpeed = config.returnSpeed || 0;
+        this.isReturning = false;
+        this.hitClearTimer = config.hitClearTimer || 0;
+    }
+
+    reset() {
+        this.active = false;
+        this.x = 0;
+        this.y = 0;
+        this.vx = 0;
+        this.vy = 0;
+        this.damage = 0;
+        this.owner = 'player';
+        this.pierce = 0;
+        this.lifetime = 0;
+        this.homing = false;
+        this.target = null;
+        this.speed = 400;
+        this.radius = 5;
+        this.color = '#fff';
+        this.hitEnemies.clear();
+        this.isExplosive = false;
+        this.explosionRadius = 0;
+        this.critChance = 0;
+        this.weaponType = null;
+        this.weaponId = null;
+        this.blockedByObstacles = false;
+        this.isIceShard = false;
+        this.isSacredCross = false;
+        this.isPoisonDagger = false;
+        this.isSpinBlade = false;
+        this.isSoulOrb = false;
+        this.isBoneSpear = false;
+        this.isBloodMoonChakram = false;
+        this.isVampireDagger = false;
+        this.isBatSwarm = false;
+        this.lifesteal = 0;
+        this.lifestealHeal = 0;
+        this.explosionDamage = 0;
+        this.hasExploded = false;
+        this.orbitAngle = 0;
+        this.orbitSpeed = 0;
+        this.orbitRadius = 0;
+        this.orbitCenterX = 0;
+        this.orbitCenterY = 0;
+        this.returnTime = 0;
+        this.returnSpeed = 0;
+        this.isReturning = false;
+        this.hitClearTimer = 0;
+    }
+
+    update(dt, player, game) {
+        // Handle Soul Orb orbit behavior
+        if (this.isSoulOrb) {
+            this.orbitAngle += this.orbitSpeed * dt;
+            this.x = player.x + Math.cos(this.orbitAngle) * this.orbitRadius;
+            this.y = player.y + Math.sin(this.orbitAngle) * this.orbitRadius;
+            this.lifetime -= dt;
+
+            // Check collision with enemies - explode on first hit
+            // OPTIMIZATION: The grid finds enemies touching the orb
+            const touching = this.hasExploded ? null : game.spatialHash.query(this.x, this.y, this.radius);
+            if (touching && touching.length > 0) {
+                const enemy = touching[0];
+
+                // Explode on enemy - deal explosion damage
+                const explosionDmg = this.damage * this.explosionDamage;
+                const dead = enemy.takeDamage(explosionDmg, 0, 0);
+                game.damageNumbers.add(enemy.x, enemy.y - 20, Math.round(explosionDmg), true);
+
+                // Track damage dealt
+                game.recordDamage(enemy, explosionDmg, this.weaponId);
+
+                // Create explosion particles
+                for (let p = 0; p < 8; p++) {
+                    const angle = (Math.PI * 2 / 8) * p;
+                    const dist = 20;
+                    game.particles.emit(
+                        this.x + Math.cos(angle) * dist,
+                        this.y + Math.sin(angle) * dist,
+                        { color: '#9370db', size: 4, life: 0.5, type: 'circle', vy: -30 }
+                    );
+                }
+
+                this.hasExploded = true;
+                this.lifetime = 0; // Mark for removal
+
+                if (dead) {
+                    game.killEnemy(enemy);
+                }
+            }
+
+            // Emit soul particles while orbiting
+            if (!this.hasExploded && game && game.particles && Math.random() < 0.15) {
+                const angle = Math.random() * Math.PI * 2;
+                const dist = Math.random() * 10;
+                game.particles.emit(
+                    this.x + Math.cos(angle) * dist,
+                    this.y + Math.sin(angle) * dist,
+                    { color: '#9370db', size: 2, life: 0.4, type: 'circle' }
+                );
+            }
+
+            return this.lifetime > 0 && this.active;
+        }
+
+        // Handle Blood Moon Chakram return behavior
+        if (this.isBloodMoonChakram) {
+            this.returnTime -= dt;
+            if (this.returnTime <= 0 && !this.isReturning) {
+                this.isReturning = true;
+                this.hitEnemies.clear();
+            }
+
+            if (this.isReturning) {
+                const dx = player.x - this.x;
+                const dy = player.y - this.y;
+                const dist = Math.sqrt(dx * dx + dy * dy);
+
+                if (dist > 10) {
+                    this.vx = (dx / dist) * this.returnSpeed;
+                    this.vy = (dy / dist) * this.returnSpeed;
+                } else {
+                    this.lifetime = 0;
+                }
+            }
+        }
+
+        // Handle Vampire Dagger lifesteal
+        if (this.isVampireDagger && this.lifesteal > 0) {
+            // Lifesteal is applied in collision check below
+        }
+
+        // Handle Sacred Cross orbit behavior
+        if (this.isSacredCross) {
+            this.orbitAngle += this.orbitSpeed * dt;
+            this.x = player.x + Math.cos(this.orbitAngle) * this.orbitRadius;
+            this.y = player.y + Math.sin(this.orbitAngle) * this.orbitRadius;
+            this.lifetime -= dt;
+
+            // Clear hitEnemies periodically so cross can damage enemies multiple times
+            this.hitClearTimer -= dt;
+            if (this.hitClearTimer <= 0) {
+                this.hitEnemies.clear();
+                this.hitClearTimer = 0.5; // Clear every 0.5 seconds
+            }
+
+            // Check collision with enemies while orbiting - one new enemy per frame,
+            // the cross pierces so it carries on to the rest
+            // OPTIMIZATION: The grid finds enemies touching the cross
+            const touching = game.spatialHash.query(this.x, this.y, this.radius);
+            let enemy = null;
+            for (let i = 0; i < touching.length; i++) {
+                if (!this.hitEnemies.has(touching[i])) {
+                    enemy = touching[i];
+                    break;
+                }
+            }
+
+            if (enemy) {
+                const dead = enemy.takeDamage(this.damage, 0, 0);
+                game.damageNumbers.add(enemy.x, enemy.y - 20, this.damage);
+                this.hitEnemies.add(enemy);
+
+                // Track damage dealt
+                game.recordDamage(enemy, this.damage, this.weaponId);
+
+                if (dead) {
+                    game.killEnemy(enemy);
+                }
+            }
+
+            // Emit holy particles while orbiting
+            if (game && game.particles && Math.random() < 0.15) {
+                const angle = Math.random() * Math.PI * 2;
+                const dist = Math.random() * 15;
+                game.particles.emit(
+                    this.x + Math.cos(angle) * dist,
+                    this.y + Math.sin(angle) * dist,
+                    { color: '#fbbf24', size: 3, life: 0.3, type: 'square' }
+                );
+            }
+
+            return this.lifetime > 0 && this.active;
+        }
+
+        // Handle Spin Blade return behavior
+        if (this.isSpinBlade) {
+            this.returnTime -= dt;
+            if (this.returnTime <= 0 && !this.isReturning) {
+                this.isReturning = true;
+                // Clear hit enemies so blade can hit again on return
+                this.hitEnemies.clear();
+            }
+
+            if (this.isReturning) {
+                // Return to player
+                const dx = player.x - this.x;
+                const dy = player.y - this.y;
+                const dist = Math.sqrt(dx * dx + dy * dy);
+
+                if (dist > 10) {
+                    this.vx = (dx / dist) * this.returnSpeed;
+                    this.vy = (dy / dist) * this.returnSpeed;
+                } else {
+                    // Reached player, end lifetime
+                    this.lifetime = 0;
+                }
+            }
+        }
+
+        // Enemy homing projectiles (Blood Queen bolts) always chase the player
+        if (this.homing && this.owner === 'enemy') {
+            this.target = player;
+        }
+
+        if (this.homing && !this.target) {
+            this.target = game.findNearestEnemy(500, this.x, this.y);
+        }
+
+        if (this.homing && this.target) {
+            const dx = this.target.x - this.x;
+            const dy = this.target.y - this.y;
+            const dist = Math.sqrt(dx * dx + dy * dy);
+
+            if (dist > 0 && this.owner === 'enemy') {
+                // Enemy bolts turn gradually so the player can outmaneuver them
+                const turn = Math.min(1, 2.5 * dt);
+                this.vx += ((dx / dist) * this.speed - this.vx) * turn;
+                this.vy += ((dy / dist) * this.speed - this.vy) * turn;
+            } else if (dist > 0) {
+                this.vx = (dx / dist) * this.speed;
+                this.vy = (dy / dist) * this.speed;
+            }
+
+            if (this.target.hp <= 0 && this.owner !== 'enemy') {
+                this.target = null;
+            }
+        }
+
+        this.x += this.vx * dt;
+        this.y += this.vy * dt;
+        this.lifetime -= dt;
+        
+        return this.lifetime > 0 && this.active;
+    }
+}
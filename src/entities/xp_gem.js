@@ -0,0 +1,79 @@
+// ==================== XP GEM ====================
+export class XpGem {
+    constructor(x, y, value) {
+        this.x = x;
+        this.y = y;
+        this.value = value;
+        this.radius = 8 + value * 0.5;
+        this.tier = this.getTier(); // Size class, also picks the colourblind palette color
+        this.color = this.getColor();
+        this.magnetized = false;
+        this.lifetime = 5; // XP gems disappear after 5 seconds
+        this.maxLifetime = 5;
+    }
+
+    getTier() {
+        if (this.value >= 50) return 'huge';
+        if (this.value >= 10) return 'large';
+        if (this.value >= 5) return 'medium';
+        return 'small';
+    }
+
+    getColor() {
+        if (this.tier === 'huge') return '#ffd700'; // Gold
+        if (this.tier === 'large') return '#ff4444'; // Red
+        if (this.tier === 'medium') return '#44ff44'; // Green
+        return '#4488ff'; // Blue
+    }
+
+    // OPTIMIZATION: Use squared distance for range checks
+    update(dt, player) {
+        // Decrease lifetime
+        this.lifetime -= dt;
+        
+        // Return false if expired (will be removed by game loop)
+        if (this.lifetime <= 0) {
+            return false;
+        }
+
+        const dx = player.x - this.x;
+        const dy = player.y - this.y;
+        const distSq = dx * dx + dy * dy;
+
+        const magnetRange = 100 * (1 + (player.passives.goldMagnet || 0) + player.pickupRangeBonus);
+        const magnetRangeSq = magnetRange * magnetRange;
+
+        // OPTIMIZATION: Use squared distance for magnet check
+        if (distSq < magnetRangeSq) {
+            this.magnetized = true;
+        }
+
+        if (this.magnetized) {
+            const speed = 400;
+            // Need actual distance for normalization
+            const dist = Math.sqrt(distSq);
+            if (dist > 0) {
+                this.x += (dx / dist) * speed * dt;
+                this.y += (dy / dist) * speed * dt;
+            }
+
+            // Recalculate distance after movement
+            const collectDx = player.x - this.x;
+            const collectDy = player.y - this.y;
+            const collectDistSq = collectDx * collectDx + collectDy * collectDy;
+            const combinedRadius = player.radius + this.radius;
+
+            // OPTIMIZATION: Use squared distance for collection check
+            if (collectDistSq < combinedRadius * combinedRadius) {
+                return true;
+            }
+            return false;
+        }
+        // OPTIMIZATION: Use squared distance for initial collection check
+        const combinedRadius = player.radius + this.radius;
+        if (distSq < combinedRadius * combinedRadius) {
+            return true;
+        }
+        return false;
+    }
+}
@@ -0,0 +1,7493 @@
+import { CONFIG } from './config.js';
+import { WEAPONS } from './data/weapons.js';
+import { PASSIVES } from './data/passives.js';
+import { SHOP_UPGRADES } from './data/shop_upgrades.js';
+import { EVOLUTIONS } from './data/evolutions.js';
+import { ENEMIES } from './data/enemies.js';
+import { STAGES, DEFAULT_STAGE, validateStage } from './data/stages.js';
+import { BIOMES, DEFAULT_BIOME } from './data/biomes.js';
+import { CURSES } from './data/curses.js';
+import { SETTINGS, COLORBLIND_PALETTE, getSettingOption } from './data/settings.js';
+import { INPUT_ACTIONS } from './data/input_bindings.js';
+import { SeededRandom } from './engine/seeded_random.js';
+import { ObjectPool } from './engine/object_pool.js';
+import { SpatialHash } from './engine/spatial_hash.js';
+import { swapRemove, addEntity, removeEntity } from './engine/entity_list.js';
+import { ObstacleMap } from './engine/obstacle_map.js';
+import { SpriteAtlas } from './engine/sprite_atlas.js';
+import { Viewport } from './engine/viewport.js';
+import { FRAME_BUDGET_MS, summarizeFrameTimes } from './engine/frame_stats.js';
+import { InputHandler } from './input/input_handler.js';
+import { VirtualJoystick } from './input/virtual_joystick.js';
+import { ReplayRecorder, ReplayPlayer } from './systems/replay.js';
+import { RunHistory, RUN_SORTS } from './systems/run_history.js';
+import { ParticleSystem } from './systems/particle_system.js';
+import { DamageNumberSystem } from './systems/damage_numbers.js';
+import { AudioEngine } from './systems/audio.js';
+import { Player } from './entities/player.js';
+import { Enemy } from './entities/enemy.js';
+import { Projectile } from './entities/projectile.js';
+import { XpGem } from './entities/xp_gem.js';
+import { HealthPack } from './entities/health_pack.js';
+import { GroundEffect } from './entities/ground_effect.js';
+
+// ENEMIES/WEAPONS ids are camelCase, CharacterRenderer and WeaponAssets keys are snake_case
+const assetKeys = new Map();
+function toAssetKey(id) {
+    let key = assetKeys.get(id);
+    if (key === undefined) {
+        key = id.replace(/[A-Z]/g, c => '_' + c.toLowerCase());
+        assetKeys.set(id, key);
+    }
+    return key;
+}
+
+// Decoration size/shape ranges - counts and colors come from the biome.
+// Types with a collider are solid: a circle of radius * size, offsetY * size below the center
+const DECORATION_SHAPES = {
+    tree: { minSize: 25, sizeRange: 20, variations: 3, collider: { radius: 0.3, offsetY: 0.6 } }, // Trunk
+    rock: { minSize: 15, sizeRange: 15, variations: 3, collider: { radius: 0.75, offsetY: 0 } },
+    grass: { minSize: 10, sizeRange: 10, variations: 4 },
+    ruins: { minSize: 30, sizeRange: 25, variations: 4, collider: { radius: 0.7, offsetY: 0.4 } },
+    tombstone: { minSize: 12, sizeRange: 8, variations: 3 }
+};
+
+// Vector enemies whose art flickers are baked into the atlas as this many
+// variations, cycled at ATLAS_ANIMATION_FPS
+const ENEMY_ANIMATION_FRAMES = { voidReaper: 4, voidLord: 4 };
+const ATLAS_ANIMATION_FPS = 12;
+
+// Projectile art that turns with the projectile's velocity when drawn from the atlas
+const VELOCITY_ROTATED_PROJECTILES = new Set([
+    'throwing_knife', 'ice_shard', 'poison_dagger', 'bone_spear', 'blood_moon_chakram', 'vampire_dagger'
+]);
+
+// Damage sources that aren't weapons (see Game.recordDamage)
+const DAMAGE_SOURCES = {
+    thorns: PASSIVES.thorns,
+    poison: { name: 'Poison', icon: '🧪' }
+};
+
+// Endless overtime cycles through every boss in ENEMIES order
+const ENDLESS_BOSSES = Object.keys(ENEMIES).filter(id => ENEMIES[id].isBoss);
+
+// Benchmark scene loadout - projectiles, chain lightning, pools and an aura all hitting the horde
+const BENCHMARK_WEAPONS = ['magicWand', 'throwingKnife', 'lightningBolt', 'holyWater', 'magicAura', 'fireballArc'];
+const BENCHMARK_WARMUP_FRAMES = 60;  // Let the JIT and sprite atlas settle before timing
+const BENCHMARK_SAMPLE_FRAMES = 600; // Frames timed for the in-browser report
+
+// ==================== MAIN GAME CLASS ====================
+export class Game {
+    /**
+     * @param {Object} [options]
+     * @param {boolean} [options.headless] - Run without canvas, DOM, input listeners or saves (tools/simulate.js)
+     * @param {Object} [options.input] - Input source with getMovement()/resetJoystick(), replaces InputHandler
+     * @param {string} [options.stage] - STAGES id to play (defaults to DEFAULT_STAGE)
+     */
+    constructor(options = {}) {
+        this.headless = !!options.headless;
+        this.stageId = DEFAULT_STAGE;
+        if (options.stage) {
+            this.setStage(options.stage);
+        }
+        this.canvas = null;
+        this.ctx = null;
+        this.viewport = new Viewport(); // Visible part of the world, sized by resize()
+        if (!this.headless) {
+            this.canvas = document.getElementById('gameCanvas');
+            this.ctx = this.canvas.getContext('2d');
+            this.resize();
+        }
+
+        this.input = options.input || new InputHandler(() => this.togglePause(), action => this.handleMenuInput(action));
+        this.particles = new ParticleSystem();
+        this.damageNumbers = new DamageNumberSystem();
+        this.audio = new AudioEngine(); // Silent until unlock() from a click
+        this.spatialHash = new SpatialHash(100);
+
+        this.player = null;
+        this.enemies = [];
+        this.projectiles = [];
+        this.xpGems = [];
+        this.healthPacks = [];
+        this.groundEffects = [];
+        this.lightningBolts = [];
+        this.biome = BIOMES[DEFAULT_BIOME];
+        this.hazards = [];
+        this.obstacles = new ObstacleMap();
+
+        this.camera = { x: 0, y: 0 };
+        this.gameTime = 0;
+        this.wave = 1;
+        this.waveTimer = 0;
+        this.spawnTimer = 0;
+        this.kills = 0;
+
+        // Seeded RNG for gameplay (re-seeded every run in initGame)
+        this.seed = SeededRandom.randomSeed();
+        this.rng = new SeededRandom(this.seed);
+
+        // Replay recording/playback
+        this.recorder = null;
+        this.replayPlayer = null;
+        this.lastReplay = null;
+        this.currentUpgradeOptions = [];
+
+        // Damage tracking system
+        this.totalDamageDealt = 0;
+        this.damageSources = {};
+        this.pendingReflectDamage = 0; // Crystal Golem reflect, applied once per frame
+
+        this.state = 'start'; // start, playing, paused, resuming, levelup, gameover, victory
+        this.levelUpPending = false;
+        this.pendingLevel = 0;
+
+        // Performance monitoring
+        this.frameCount = 0;
+        this.fpsTimer = 0;
+        this.currentFPS = 60;
+        this.updateTime = 0;
+        this.renderTime = 0;
+
+        // Special Event State
+        this.activeEvents = {
+            bloodMoon: false,
+            treasureWave: false
+        };
+        this.bloodMoonTimer = 0;
+        this.eventNotifications = [];
+
+        // Shield block effects
+        this.shieldBlockEffects = [];
+        this.benchmark = null; // { enemyCount } while the benchmark scene runs
+        this.loopRunning = false; // gameLoop() has a frame requested
+        this.resumeCountdown = 0; // Seconds left before play resumes ('resuming' state)
+        this.resumeOnReturn = false; // Auto-paused in the background, resume when the player is back
+        this.screenShake = 0; // Shake intensity in pixels, decays every frame
+        this.settingsReturnScreen = null; // Screen the settings screen was opened from
+
+        this.saveData = this.loadSave();
+        this.settings = this.loadSettings();
+
+        // SVG character sprites and weapon icons (classic scripts loaded by index.html)
+        this.characterRenderer = null;
+        this.spriteStatus = {};
+        this.weaponAssets = null;
+        this.atlas = null; // Pre-rendered vector art, see SpriteAtlas
+
+        // Mobile touch controls
+        this.joystick = null;
+        if (this.headless) return;
+
+        if (typeof CharacterRenderer !== 'undefined') {
+            this.characterRenderer = new CharacterRenderer();
+        }
+        if (typeof WeaponAssets !== 'undefined') {
+            this.weaponAssets = WeaponAssets;
+        }
+        this.atlas = new SpriteAtlas();
+        this.loadAssets();
+        this.updateGraphicsToggle();
+        this.updateModeToggle();
+        this.renderBiomeSelect();
+
+        this.isMobile = this.detectMobile();
+        this.pauseButton = document.getElementById('pauseButton');
+        this.pauseIcon = document.getElementById('pauseIcon');
+        this.playIcon = document.getElementById('playIcon');
+
+        this.setupMobileControls();
+        this.setupAutoPause();
+        this.applySettings();
+
+        window.addEventListener('resize', () => this.resize());
+    }
+
+    detectMobile() {
+        return 'ontouchstart' in window || 
+               navigator.maxTouchPoints > 0 ||
+               window.innerWidth <= 768;
+    }
+
+    setupMobileControls() {
+        // Initialize virtual joystick for mobile devices
+        if (this.isMobile) {
+            const joystickContainer = document.getElementById('virtualJoystick');
+            // Rotating the phone mid-run pauses until the player is ready again
+            this.joystick = new VirtualJoystick(joystickContainer, this.input, () => this.autoPause(false));
+            
+            // Add mobile-ui class to body for CSS
+            document.body.classList.add('mobile-ui');
+        }
+
+        // Setup pause button
+        if (this.pauseButton) {
+            this.pauseButton.addEventListener('click', () => this.togglePause());
+            this.pauseButton.addEventListener('touchstart', (e) => {
+                e.preventDefault();
+                this.togglePause();
+            }, { passive: false });
+        }
+
+        // Prevent default touch behaviors on the entire document
+        document.addEventListener('touchmove', (e) => {
+            // Allow touch movement only if it's on the joystick
+            if (this.joystick && this.joystick.active) {
+                return;
+            }
+            // Prevent scrolling when touching the game area
+            if (e.target === this.canvas || e.target.closest('#gameCanvas')) {
+                e.preventDefault();
+            }
+        }, { passive: false });
+
+        this.setupPinchZoom();
+
+        // Prevent double-tap zoom
+        document.addEventListener('dblclick', (e) => {
+            e.preventDefault();
+        }, { passive: false });
+
+        // Prevent context menu on long press
+        document.addEventListener('contextmenu', (e) => {
+            e.preventDefault();
+        });
+    }
+    
+    /**
+     * Two-finger pinch on the canvas zooms the view
+     */
+    setupPinchZoom() {
+        let startDistance = 0;
+        let startZoom = 1;
+        const distance = touches => Math.hypot(
+            touches[0].clientX - touches[1].clientX,
+            touches[0].clientY - touches[1].clientY
+        );
+
+        this.canvas.addEventListener('touchstart', (e) => {
+            // A thumb on the joystick plus a tap elsewhere is not a pinch
+            if (e.touches.length === 2 && !(this.joystick && this.joystick.active)) {
+                startDistance = distance(e.touches);
+                startZoom = this.viewport.zoom;
+            }
+        }, { passive: true });
+        this.canvas.addEventListener('touchmove', (e) => {
+            if (startDistance === 0 || e.touches.length !== 2) return;
+            e.preventDefault();
+            this.viewport.setZoom(startZoom * distance(e.touches) / startDistance);
+        }, { passive: false });
+        this.canvas.addEventListener('touchend', (e) => {
+            if (e.touches.length < 2) startDistance = 0;
+        });
+    }
+
+    /**
+     * Match the canvas to the window - its backing store is devicePixelRatio
+     * times the CSS size so the game stays sharp on high-DPI screens
+     */
+    resize() {
+        const pixelRatio = window.devicePixelRatio || 1;
+        this.viewport.resize(window.innerWidth, window.innerHeight, pixelRatio);
+        this.canvas.width = Math.round(window.innerWidth * pixelRatio);
+        this.canvas.height = Math.round(window.innerHeight * pixelRatio);
+        this.canvas.style.width = `${window.innerWidth}px`;
+        this.canvas.style.height = `${window.innerHeight}px`;
+    }
+    
+    loadSave() {
+        const defaults = {
+            unlockedWeapons: ['magicWand'],
+            unlockedPassives: [],
+            permanentUpgrades: {},
+            souls: 0, // Shop currency
+            runHistory: [], // Finished runs, newest first (see RunHistory)
+            stats: {
+                totalPlayTime: 0,
+                totalKills: 0,
+                highestWave: 0,
+                runsCompleted: 0,
+                endlessBestTime: 0, // Endless leaderboard - longest time survived
+                endlessBestWave: 0
+            }
+        };
+        // Headless simulations never read or write the player's save
+        if (!this.headless) {
+            try {
+                const data = localStorage.getItem('shadowSurvivorSave');
+                if (data) {
+                    // Older saves are missing newer fields
+                    const saved = JSON.parse(data);
+                    saved.stats = Object.assign(defaults.stats, saved.stats);
+                    return Object.assign(defaults, saved);
+                }
+            } catch (e) {
+                console.error('Failed to load save:', e);
+            }
+        }
+        return defaults;
+    }
+    
+    saveGame() {
+        if (this.headless) return;
+        try {
+            localStorage.setItem('shadowSurvivorSave', JSON.stringify(this.saveData));
+        } catch (e) {
+            console.error('Failed to save:', e);
+        }
+    }
+    
+    loadSettings() {
+        const defaults = {
+            graphics: 'sprite', // 'sprite' (SVG via CharacterRenderer) or 'vector' (canvas drawing)
+            biome: DEFAULT_BIOME, // BIOMES id picked on the start screen
+            endless: false // Keep playing past the stage duration
+        };
+        // Settings screen options (see SETTINGS)
+        for (const setting of Object.values(SETTINGS)) {
+            defaults[setting.id] = setting.default;
+        }
+        if (!this.headless) {
+            try {
+                const data = localStorage.getItem('shadowSurvivorSettings');
+                if (data) {
+                    return Object.assign(defaults, JSON.parse(data));
+                }
+            } catch (e) {
+                console.error('Failed to load settings:', e);
+            }
+        }
+        return defaults;
+    }
+
+    saveSettings() {
+        if (this.headless) return;
+        try {
+            localStorage.setItem('shadowSurvivorSettings', JSON.stringify(this.settings));
+        } catch (e) {
+            console.error('Failed to save settings:', e);
+        }
+    }
+
+    // ==================== ASSET LOADING ====================
+    /**
+     * Preload character and weapon SVGs behind the loading screen, then reveal the start screen
+     */
+    loadAssets() {
+        const loadingScreen = document.getElementById('loadingScreen');
+        const loads = [];
+
+        if (this.characterRenderer) {
+            loads.push(this.characterRenderer.preload(
+                () => {
+                    this.spriteStatus = this.characterRenderer.getLoadStatus();
+                    const failed = Object.keys(this.spriteStatus).filter(name => !this.spriteStatus[name]);
+                    if (failed.length > 0) {
+                        console.warn(`[SPRITES] ${failed.length} sprite(s) failed, vector fallback for: ${failed.join(', ')}`);
+                    }
+                },
+                () => this.updateLoadingScreen()
+            ));
+        } else {
+            console.warn('[SPRITES] CharacterRenderer unavailable, using vector graphics');
+        }
+
+        if (this.weaponAssets) {
+            // Load one at a time through preloadWeapon() so the bar moves per icon
+            for (const key of this.weaponAssets.getAllKeys()) {
+                loads.push(this.weaponAssets.preloadWeapon(key).then(() => this.updateLoadingScreen()));
+            }
+        } else {
+            console.warn('[WEAPON] WeaponAssets unavailable, using emoji icons');
+        }
+
+        Promise.all(loads).then(() => {
+            if (loadingScreen) loadingScreen.style.display = 'none';
+        });
+    }
+
+    updateLoadingScreen() {
+        let done = 0;
+        let failed = 0;
+        let total = 0;
+
+        if (this.characterRenderer) {
+            const status = this.characterRenderer.getLoadStatus();
+            done += Object.keys(status).length;
+            failed += Object.values(status).filter(loaded => !loaded).length;
+            total += this.characterRenderer.totalAssets;
+        }
+        if (this.weaponAssets) {
+            const weapons = Object.values(this.weaponAssets.getAllWeapons());
+            done += weapons.filter(w => w.loaded || w.failed).length;
+            failed += weapons.filter(w => w.failed).length;
+            total += weapons.length;
+        }
+
+        const percent = total > 0 ? Math.min(100, (done / total) * 100) : 100;
+        document.getElementById('loadingBarFill').style.width = `${percent}%`;
+        document.getElementById('loadingText').textContent = failed > 0
+            ? `Loading sprites... ${done}/${total} (${failed} failed)`
+            : `Loading sprites... ${done}/${total}`;
+    }
+
+    /**
+     * Whether a character should be drawn from its SVG sprite instead of canvas vectors
+     * @param {string} key - CharacterRenderer asset key
+     */
+    useSprite(key) {
+        return this.settings.graphics === 'sprite' && this.spriteStatus[key] === true;
+    }
+
+    /**
+     * Whether a projectile should be drawn from its weapon SVG instead of canvas shapes
+     * @param {string} key - WeaponAssets key
+     */
+    useWeaponSprite(key) {
+        return this.settings.graphics === 'sprite' && this.weaponAssets !== null && this.weaponAssets.isLoaded(key);
+    }
+
+    /**
+     * Weapon icon markup for cards and the weapon bar - the SVG when loaded, the emoji otherwise
+     * @param {string} weaponId - WEAPONS id
+     */
+    getWeaponIconHtml(weaponId) {
+        // Evolved weapons have no SVG of their own
+        if (EVOLUTIONS[weaponId]) {
+            return EVOLUTIONS[weaponId].icon;
+        }
+        const asset = this.weaponAssets && this.weaponAssets.getWeapon(toAssetKey(weaponId));
+        if (asset && asset.loaded) {
+            return `<img class="weapon-icon-img" src="${asset.image.src}" alt="${asset.name}">`;
+        }
+        return WEAPONS[weaponId].icon;
+    }
+
+    toggleGraphicsMode() {
+        this.settings.graphics = this.settings.graphics === 'sprite' ? 'vector' : 'sprite';
+        this.saveSettings();
+        this.updateGraphicsToggle();
+    }
+
+    updateGraphicsToggle() {
+        const button = document.getElementById('graphicsToggle');
+        if (button) {
+            button.textContent = this.settings.graphics === 'sprite' ? 'Sprites' : 'Vector';
+        }
+    }
+
+    toggleEndlessMode() {
+        this.settings.endless = !this.settings.endless;
+        this.saveSettings();
+        this.updateModeToggle();
+    }
+
+    updateModeToggle() {
+        const button = document.getElementById('modeToggle');
+        if (button) {
+            button.textContent = this.settings.endless ? 'Endless' : 'Standard';
+        }
+    }
+
+    // ==================== SETTINGS SCREEN ====================
+    /**
+     * Push the current settings into the systems that use them
+     */
+    applySettings() {
+        this.damageNumbers.enabled = this.settings.damageNumbers;
+        this.audio.setVolumes(this.settings.masterVolume, this.settings.sfxVolume, this.settings.musicVolume);
+        this.particles.setDensity(getSettingOption('particleDensity', this.settings.particleDensity).multiplier);
+        this.viewport.setZoom(this.settings.zoom);
+        if (this.joystick) {
+            this.joystick.setLayout(
+                getSettingOption('joystickSize', this.settings.joystickSize).scale,
+                this.settings.joystickSide
+            );
+        }
+
+        const fps = document.getElementById('fpsDisplay');
+        fps.style.display = this.settings.showFps ? 'block' : 'none';
+        fps.textContent = `${this.currentFPS} FPS`;
+    }
+
+    /**
+     * @param {string} fromScreen - Id of the screen to return to (startScreen or pauseScreen)
+     */
+    openSettings(fromScreen) {
+        this.settingsReturnScreen = fromScreen;
+        document.getElementById(fromScreen).style.display = 'none';
+        document.getElementById('settingsScreen').style.display = 'flex';
+        this.renderSettings();
+    }
+
+    closeSettings() {
+        document.getElementById('settingsScreen').style.display = 'none';
+        document.getElementById('controlsScreen').style.display = 'none';
+        document.getElementById(this.settingsReturnScreen).style.display = 'flex';
+        this.settingsReturnScreen = null;
+    }
+
+    renderSettings() {
+        const container = document.getElementById('settingsOptions');
+        container.innerHTML = '';
+
+        for (const setting of Object.values(SETTINGS)) {
+            const row = document.createElement('div');
+            row.className = 'graphics-toggle-row';
+            row.innerHTML = `
+                <span>${setting.name}</span>
+                <button>${getSettingOption(setting.id, this.settings[setting.id]).label}</button>
+            `;
+            row.querySelector('button').onclick = () => this.cycleSetting(setting.id);
+            container.appendChild(row);
+        }
+    }
+
+    /**
+     * Step a setting to its next option
+     * @param {string} id - SETTINGS id
+     */
+    cycleSetting(id) {
+        const options = SETTINGS[id].options;
+        const index = options.indexOf(getSettingOption(id, this.settings[id]));
+        this.settings[id] = options[(index + 1) % options.length].value;
+        this.saveSettings();
+        this.applySettings();
+        this.renderSettings();
+    }
+
+    openControls() {
+        document.getElementById('settingsScreen').style.display = 'none';
+        document.getElementById('controlsScreen').style.display = 'flex';
+        this.renderControls();
+    }
+
+    closeControls() {
+        this.input.rebinding = null;
+        document.getElementById('controlsScreen').style.display = 'none';
+        document.getElementById('settingsScreen').style.display = 'flex';
+    }
+
+    /**
+     * Key and gamepad bindings per action - click one, then press the new key or button
+     */
+    renderControls() {
+        const hasGamepad = this.input.gamepadId !== null;
+        document.getElementById('controlsGamepad').textContent = hasGamepad
+            ? `🎮 ${this.input.gamepadId}`
+            : '🎮 No controller connected - press a button on it to connect';
+
+        const container = document.getElementById('controlsOptions');
+        container.innerHTML = '';
+        for (const action of Object.values(INPUT_ACTIONS)) {
+            const row = document.createElement('div');
+            row.className = 'graphics-toggle-row';
+            row.innerHTML = `
+                <span>${action.name}</span>
+                <button data-device="keyboard">${this.input.getBindingLabel('keyboard', action.id)}</button>
+                <button data-device="gamepad" ${hasGamepad ? '' : 'disabled'}>${hasGamepad ? this.input.getBindingLabel('gamepad', action.id) : '-'}</button>
+            `;
+            for (const button of row.querySelectorAll('button')) {
+                button.onclick = () => {
+                    button.textContent = button.dataset.device === 'keyboard' ? 'Press a key...' : 'Press a button...';
+                    this.input.startRebind(button.dataset.device, action.id, () => this.renderControls());
+                };
+            }
+            container.appendChild(row);
+        }
+    }
+
+    resetControls() {
+        this.input.resetBindings('keyboard');
+        if (this.input.gamepadId !== null) {
+            this.input.resetBindings('gamepad');
+        }
+        this.renderControls();
+    }
+
+    /**
+     * Biome buttons on the start screen
+     */
+    renderBiomeSelect() {
+        const container = document.getElementById('biomeSelect');
+        if (!container) return;
+        container.innerHTML = '';
+
+        for (const biome of Object.values(BIOMES)) {
+            const button = document.createElement('button');
+            button.className = biome.id === this.settings.biome ? 'selected' : '';
+            button.textContent = `${biome.icon} ${biome.name}`;
+            button.title = biome.description;
+            button.onclick = () => this.selectBiome(biome.id);
+            container.appendChild(button);
+        }
+    }
+
+    selectBiome(biomeId) {
+        if (!BIOMES[biomeId]) return;
+        this.settings.biome = biomeId;
+        this.saveSettings();
+        this.renderBiomeSelect();
+    }
+
+    start() {
+        this.audio.unlock();
+        document.getElementById('startScreen').style.display = 'none';
+        document.getElementById('weaponSelectScreen').style.display = 'flex';
+        this.showWeaponSelection();
+    }
+
+    showWeaponSelection() {
+        const container = document.getElementById('weaponSelectCards');
+        container.innerHTML = '';
+        
+        for (const weaponId of Object.keys(WEAPONS)) {
+            const weapon = WEAPONS[weaponId];
+            const card = document.createElement('div');
+
+            if (this.isWeaponUnlocked(weaponId)) {
+                card.className = 'weapon-select-card';
+                card.innerHTML = `
+                    <div class="weapon-select-icon">${this.getWeaponIconHtml(weaponId)}</div>
+                    <div class="weapon-select-name">${weapon.name}</div>
+                    <div class="weapon-select-description">${weapon.description}</div>
+                `;
+                card.onclick = () => this.selectStartingWeapon(weaponId);
+            } else {
+                card.className = 'weapon-select-card locked';
+                card.innerHTML = `
+                    <div class="weapon-select-icon">🔒</div>
+                    <div class="weapon-select-name">${weapon.name}</div>
+                    <div class="weapon-select-description">${this.getUnlockText(weapon.unlock)}</div>
+                    <div class="weapon-unlock-hint">or pick it up during a run</div>
+                `;
+            }
+            container.appendChild(card);
+        }
+    }
+
+    // ==================== WEAPON UNLOCKS ====================
+    isWeaponUnlocked(weaponId) {
+        return !WEAPONS[weaponId].unlock || this.saveData.unlockedWeapons.includes(weaponId);
+    }
+
+    getUnlockText(unlock) {
+        switch (unlock.type) {
+            case 'wave':
+                return `Reach wave ${unlock.value}`;
+            case 'bossKill':
+                return `Kill the ${ENEMIES[unlock.enemy].name}`;
+            case 'totalKills':
+                return `Kill ${unlock.value} enemies in total (${this.saveData.stats.totalKills}/${unlock.value})`;
+        }
+        return 'Locked';
+    }
+
+    /**
+     * Unlock any weapons whose condition is now met
+     * @param {string|null} [killedBossType] - Boss type that was just killed
+     */
+    checkWeaponUnlocks(killedBossType = null) {
+        for (const weaponId of Object.keys(WEAPONS)) {
+            const unlock = WEAPONS[weaponId].unlock;
+            if (!unlock || this.saveData.unlockedWeapons.includes(weaponId)) continue;
+
+            let met = false;
+            switch (unlock.type) {
+                case 'wave':
+                    met = this.wave >= unlock.value;
+                    break;
+                case 'bossKill':
+                    met = killedBossType === unlock.enemy;
+                    break;
+                case 'totalKills':
+                    met = this.saveData.stats.totalKills >= unlock.value;
+                    break;
+            }
+            if (met) this.unlockWeapon(weaponId);
+        }
+    }
+
+    unlockWeapon(weaponId) {
+        // Replays and headless runs never change the save
+        if (this.headless || this.replayPlayer) return;
+        if (this.saveData.unlockedWeapons.includes(weaponId)) return;
+
+        this.saveData.unlockedWeapons.push(weaponId);
+        this.saveGame();
+        console.log('[UNLOCK] Weapon unlocked:', weaponId);
+
+        if (WEAPONS[weaponId].unlock) {
+            this.showEventNotification(`🔓 ${WEAPONS[weaponId].name} UNLOCKED`, '#fbbf24');
+        }
+    }
+
+    selectStartingWeapon(weaponId) {
+        document.getElementById('weaponSelectScreen').style.display = 'none';
+        const seed = SeededRandom.parseSeed(document.getElementById('seedInput').value);
+        this.replayPlayer = null;
+        this.initGame(weaponId, seed);
+        this.state = 'playing';
+        this.lastTime = performance.now();
+
+        // Reset joystick state
+        if (this.joystick) {
+            this.joystick.setActive(false);
+        }
+        this.input.resetJoystick();
+
+        requestAnimationFrame(() => this.gameLoop());
+    }
+    
+    /**
+     * @param {string} [selectedWeaponId] - Starting weapon
+     * @param {number|null} [seed] - Run seed, random when null
+     * @param {Object} [run] - Run setup, anything missing comes from the save and settings
+     * @param {Object} [run.permanentUpgrades] - Shop upgrades to apply (replays pass their recorded ones)
+     * @param {string} [run.stage] - STAGES id
+     * @param {string} [run.biome] - BIOMES id
+     * @param {boolean} [run.endless] - Keep playing past the stage duration
+     */
+    initGame(selectedWeaponId = 'magicWand', seed = null, run = {}) {
+        const permanentUpgrades = run.permanentUpgrades || this.saveData.permanentUpgrades;
+        const stageId = run.stage || this.stageId;
+        const biomeId = run.biome || this.settings.biome;
+
+        // All gameplay randomness goes through this.rng so a seed reproduces the run
+        this.seed = seed !== null ? seed : SeededRandom.randomSeed();
+        this.rng = new SeededRandom(this.seed);
+        console.log('[SEED] Run seed', this.seed);
+
+        // Stage script drives wave length, spawn rate, events and bosses for this run
+        this.stage = STAGES[stageId];
+        this.stageWave = 0; // Last wave whose script entries have run
+        this.stageTimelineIndex = 0;
+        this.stageTimeline = [...(this.stage.timeline || [])].sort((a, b) => a.at - b.at);
+        console.log('[STAGE] Playing', this.stage.name);
+
+        // Biome decides the map look, enemy mix and hazards
+        this.biome = BIOMES[biomeId] || BIOMES[DEFAULT_BIOME];
+        this.spawnTable = null;
+        console.log('[BIOME]', this.biome.name);
+
+        // Endless runs skip victory and escalate with rotating bosses and curses instead
+        this.endless = run.endless !== undefined ? run.endless : this.settings.endless;
+        this.overtimeWave = null; // Wave the stage duration ran out on
+        this.endlessBossIndex = 0;
+        this.curses = {}; // CURSES id -> stacks
+
+        this.startingWeapon = selectedWeaponId;
+
+        // Replays show the view they were recorded with (see update())
+        if (!this.replayPlayer) {
+            this.viewport.unlock();
+        }
+
+        // Record every live run so it can be replayed or exported afterwards
+        this.recorder = this.replayPlayer ? null : new ReplayRecorder(this.seed, selectedWeaponId, {
+            permanentUpgrades: permanentUpgrades,
+            stage: stageId,
+            biome: this.biome.id,
+            endless: this.endless
+        });
+
+        this.player = new Player();
+        this.player.game = this; // Shield block effect and hurt sound
+        this.player.applyPermanentUpgrades(permanentUpgrades);
+
+        // Give selected starting weapon (defaults to Magic Wand)
+        this.player.weapons.push(this.createWeapon(selectedWeaponId));
+
+        this.enemies = [];
+        this.spatialHash.clear();
+        this.projectiles = [];
+        this.xpGems = [];
+        this.healthPacks = [];
+        this.groundEffects = [];
+        this.lightningBolts = [];
+        this.decorations = [];
+        this.gameTime = 0;
+        this.wave = 1;
+        this.waveTimer = 0;
+        this.spawnTimer = 0;
+        this.kills = 0;
+        this.levelUpPending = false;
+        this.waveNotifications = [];
+
+        // Reset damage tracking
+        this.totalDamageDealt = 0;
+        this.damageSources = {}; // Source id -> { damage, kills, heldTime, heldSince } this run
+        this.pendingReflectDamage = 0;
+        this.setWeaponHeld(selectedWeaponId, true);
+
+        // Reset event state
+        this.activeEvents = {
+            bloodMoon: false,
+            treasureWave: false
+        };
+        this.bloodMoonTimer = 0;
+        this.eventNotifications = [];
+
+        // Reset shield block effects
+        this.shieldBlockEffects = [];
+        this.benchmark = null;
+
+        // Generate map decorations and biome hazards
+        this.generateDecorations();
+        this.generateHazards();
+
+        // Setup projectile pool with proper reset function
+        this.projectilePool = new ObjectPool(
+            () => new Projectile(),
+            (p) => p.reset()
+        );
+
+        this.audio.startMusic();
+
+        this.updateUI();
+        this.updateWeaponBar();
+    }
+    
+    createWeapon(weaponId) {
+        const data = WEAPONS[weaponId];
+        const weapon = {
+            ...data,
+            level: 1,
+            currentCooldown: 0,
+            damage: data.baseDamage,
+            range: data.baseRange,
+            projectileCount: data.projectileCount || 0,
+            pierce: data.pierce || 0,
+            critChance: data.critChance || 0,
+            explosionRadius: data.explosionRadius || 0,
+            chainCount: data.chainCount || 0,
+            chainRange: data.chainRange || 0,
+            poolDuration: data.poolDuration || 0,
+            poolRadius: data.poolRadius || 0,
+            tickRate: data.tickRate || 0,
+        };
+
+        // Initialize Sacred Cross specific properties
+        if (weaponId === 'sacredCross') {
+            weapon.sacredCrossActive = false;
+            weapon.sacredCrossTimer = 0; // Ready to spawn immediately
+        }
+
+        return weapon;
+    }
+
+    togglePause() {
+        // Escape backs out of the settings screen first
+        if (this.settingsReturnScreen) {
+            this.closeSettings();
+            return;
+        }
+
+        // Pausing again during the resume countdown stops it
+        if (this.state === 'playing' || this.state === 'resuming') {
+            this.state = 'paused';
+            this.resumeOnReturn = false;
+            this.audio.suspend();
+            document.getElementById('pauseScreen').style.display = 'flex';
+            this.updatePauseButtonIcon(true);
+        } else if (this.state === 'paused') {
+            // Count down before play picks up again (see updateResumeCountdown)
+            this.state = 'resuming';
+            this.resumeCountdown = CONFIG.RESUME_COUNTDOWN;
+            this.audio.resume();
+            this.audio.play('countdown');
+            document.getElementById('pauseScreen').style.display = 'none';
+            this.updatePauseButtonIcon(false);
+            this.lastTime = performance.now();
+            // A quick pause and resume finds the old loop still running
+            if (!this.loopRunning) {
+                requestAnimationFrame(() => this.gameLoop());
+            }
+        }
+    }
+
+    // ==================== AUTO-PAUSE ====================
+    setupAutoPause() {
+        document.addEventListener('visibilitychange', () => {
+            if (document.hidden) {
+                this.autoPause(true);
+            } else {
+                this.resumeFromBackground();
+            }
+        });
+        window.addEventListener('blur', () => this.autoPause(true));
+        window.addEventListener('focus', () => this.resumeFromBackground());
+    }
+
+    /**
+     * Pause without the player asking - the tab was hidden, the window lost focus
+     * or the screen rotated. requestAnimationFrame slows or stops in the background,
+     * but the clamped dt would still let enemies chew through the player
+     * @param {boolean} resumeOnReturn - Count back in once the page is visible and focused again
+     */
+    autoPause(resumeOnReturn) {
+        if (this.state !== 'playing' && this.state !== 'resuming') return;
+        console.log('[PAUSE] Auto-paused');
+        this.togglePause();
+        this.resumeOnReturn = resumeOnReturn;
+
+        // Touches that end while the page is hidden never reach the joystick
+        if (this.joystick) {
+            this.joystick.setActive(false);
+        }
+        this.input.resetJoystick();
+    }
+
+    resumeFromBackground() {
+        if (this.state !== 'paused' || !this.resumeOnReturn) return;
+        if (this.settingsReturnScreen) return; // Player opened settings from the pause screen
+        if (document.hidden || !document.hasFocus()) return;
+        this.togglePause();
+    }
+
+    /**
+     * Tick the 3-2-1 resume countdown - the world stays frozen until it runs out
+     * @param {number} dt - Wall-clock seconds
+     */
+    updateResumeCountdown(dt) {
+        const shown = Math.ceil(this.resumeCountdown);
+        this.resumeCountdown -= dt;
+        if (this.resumeCountdown <= 0) {
+            this.resumeCountdown = 0;
+            this.state = 'playing';
+        } else if (Math.ceil(this.resumeCountdown) < shown) {
+            this.audio.play('countdown');
+        }
+    }
+
+    updatePauseButtonIcon(isPaused) {
+        if (this.pauseIcon && this.playIcon) {
+            if (isPaused) {
+                this.pauseIcon.style.display = 'none';
+                this.playIcon.style.display = 'block';
+            } else {
+                this.pauseIcon.style.display = 'block';
+                this.playIcon.style.display = 'none';
+            }
+        }
+    }
+
+    restart() {
+        document.getElementById('gameOverScreen').style.display = 'none';
+        document.getElementById('levelUpScreen').style.display = 'none';
+        document.getElementById('startScreen').style.display = 'flex';
+        this.state = 'start';
+        this.replayPlayer = null;
+        this.saveData = this.loadSave();
+        this.updatePauseButtonIcon(false);
+    }
+    
+    gameLoop() {
+        this.loopRunning = this.state === 'playing' || this.state === 'levelup' || this.state === 'resuming';
+        if (!this.loopRunning) return;
+
+        const now = performance.now();
+        const dt = Math.min((now - this.lastTime) / 1000, 0.1);
+        this.lastTime = now;
+
+        // FPS counter (log only when drops below 30)
+        this.frameCount = (this.frameCount || 0) + 1;
+        if (!this.fpsTimer) this.fpsTimer = 0;
+        this.fpsTimer += dt;
+        if (this.fpsTimer >= 1) {
+            this.currentFPS = Math.round(this.frameCount / this.fpsTimer);
+            this.frameCount = 0;
+            this.fpsTimer = 0;
+            if (this.currentFPS < 30) {
+                console.warn('[FPS] Low:', this.currentFPS);
+            }
+            if (this.benchmark) {
+                const report = this.benchmark.report;
+                document.getElementById('fpsDisplay').textContent =
+                    `${this.currentFPS} FPS | ${this.enemies.length} enemies | ` +
+                    `update ${this.updateTime.toFixed(1)}ms | render ${this.renderTime.toFixed(1)}ms` +
+                    (report ? ` | ${report.pass ? 'PASS' : 'FAIL'}: p95 frame ${report.frame.p95Ms.toFixed(1)}ms` : '');
+            } else if (this.settings.showFps) {
+                document.getElementById('fpsDisplay').textContent = `${this.currentFPS} FPS`;
+            }
+        }
+
+        // Replays pick the recorded upgrade on the frame after the level-up
+        if (this.state === 'levelup' && this.replayPlayer) {
+            this.applyReplayUpgrade();
+        }
+
+        if (this.state === 'resuming') {
+            this.updateResumeCountdown(dt);
+        }
+        if (this.state === 'playing') {
+            if (this.replayPlayer) {
+                if (this.replayPlayer.finished) {
+                    console.warn('[REPLAY] Ran out of frames before the run ended');
+                    this.gameOver();
+                    return;
+                }
+                // Replays step with the recorded dt, not wall-clock time
+                this.update(this.replayPlayer.nextFrame());
+            } else {
+                this.update(dt);
+            }
+        }
+        const renderStart = performance.now();
+        this.render();
+
+        // Smoothed frame cost for the benchmark readout
+        if (this.benchmark) {
+            const renderEnd = performance.now();
+            this.updateTime += (renderStart - now - this.updateTime) * 0.1;
+            this.renderTime += (renderEnd - renderStart - this.renderTime) * 0.1;
+            this.recordBenchmarkFrame(renderStart - now, renderEnd - renderStart);
+        }
+        this.audio.updateMusic(this.activeEvents.bloodMoon);
+
+        this.loopRunning = this.state === 'playing' || this.state === 'levelup' || this.state === 'resuming';
+        if (this.loopRunning) {
+            requestAnimationFrame(() => this.gameLoop());
+        }
+    }
+    
+    update(dt) {
+        this.gameTime += dt;
+        this.waveTimer += dt;
+
+        if (this.benchmark) {
+            this.updateBenchmark();
+        }
+
+        // Update Blood Moon event timer
+        if (this.activeEvents.bloodMoon) {
+            this.bloodMoonTimer -= dt;
+            if (this.bloodMoonTimer <= 0) {
+                this.activeEvents.bloodMoon = false;
+                this.showEventNotification('BLOOD MOON ENDED', '#ef4444');
+            }
+        }
+
+        // Wave progression, scripted events and bosses
+        this.updateStage();
+
+        // Check victory - endless runs go into overtime instead
+        if (this.gameTime >= this.stage.duration && this.overtimeWave === null) {
+            if (!this.endless) {
+                this.victory();
+                return;
+            }
+            this.startOvertime();
+        }
+
+        // Update player
+        // Replays drive movement instead of the keyboard/joystick
+        const input = this.replayPlayer || this.input;
+        if (this.recorder) {
+            this.recorder.recordFrame(dt, input.getMovement(), this.viewport);
+        }
+        // Spawn distance and the camera depend on the view size, so replays re-use the recorded one
+        if (this.replayPlayer) {
+            this.viewport.lock(this.replayPlayer.view.width, this.replayPlayer.view.height);
+        }
+        this.player.update(dt, input, this.obstacles);
+        this.updateHazards(dt);
+        
+        // Update camera with clamped target position
+        const targetCamX = this.player.x - this.viewport.width / 2;
+        const targetCamY = this.player.y - this.viewport.height / 2;
+        const clampedTargetX = Math.max(0, Math.min(CONFIG.MAP_BOUNDS.width - this.viewport.width, targetCamX));
+        const clampedTargetY = Math.max(0, Math.min(CONFIG.MAP_BOUNDS.height - this.viewport.height, targetCamY));
+        
+        this.camera.x += (clampedTargetX - this.camera.x) * CONFIG.CAMERA_SMOOTHING;
+        this.camera.y += (clampedTargetY - this.camera.y) * CONFIG.CAMERA_SMOOTHING;
+        
+        // Spawn enemies
+        this.updateSpawning(dt);
+        
+        // Update weapons
+        this.updateWeapons(dt);
+        
+        // Update enemies
+        this.updateEnemies(dt);
+        
+        // Update projectiles
+        this.updateProjectiles(dt);
+
+        // Update lightning bolts
+        this.updateLightningBolts(dt);
+
+        // Update ground effects
+        this.updateGroundEffects(dt);
+        
+        // Update XP gems
+        this.updateXpGems(dt);
+
+        // Update health packs
+        this.updateHealthPacks(dt);
+
+        // Update particles
+        this.particles.update(dt);
+        
+        // Update damage numbers
+        this.damageNumbers.update(dt);
+
+        if (this.screenShake > 0) {
+            this.screenShake = Math.max(0, this.screenShake - CONFIG.SCREEN_SHAKE_DECAY * dt);
+        }
+        
+        // Update UI
+        this.updateUI();
+    }
+    
+    updateSpawning(dt) {
+        const interval = this.stage.spawnInterval;
+        let spawnInterval = Math.max(
+            interval.min,
+            interval.base * Math.pow(interval.decay, this.wave - 1)
+        ) / (1 + this.getCurseBonus('spawnRate'));
+        
+        // Blood Moon doubles spawn rate (halves interval)
+        if (this.activeEvents.bloodMoon) {
+            spawnInterval *= CONFIG.BLOOD_MOON_SPAWN_MULTIPLIER;
+        }
+
+        this.spawnTimer += dt;
+        if (this.spawnTimer >= spawnInterval) {
+            this.spawnTimer = 0;
+            this.spawnEnemy();
+        }
+    }
+    
+    spawnEnemy(siegeMode = false) {
+        // ENFORCEMENT: Check enemy limit before spawning
+        if (this.enemies.length >= CONFIG.MAX_ENEMIES) {
+            this.spawnTimer = 0;
+            return;
+        }
+
+        // Determine enemy type based on wave
+        const { types, weights } = this.getSpawnTable();
+
+        let type = this.weightedRandom(types, weights);
+
+        let x, y;
+
+        if (siegeMode) {
+            const angle = this.rng.next() * Math.PI * 2;
+            const distance = 300 + this.rng.next() * 100;
+            x = this.player.x + Math.cos(angle) * distance;
+            y = this.player.y + Math.sin(angle) * distance;
+        } else {
+            const angle = this.rng.next() * Math.PI * 2;
+            const distance = Math.max(this.viewport.width, this.viewport.height) / 2 + 100;
+            x = this.player.x + Math.cos(angle) * distance;
+            y = this.player.y + Math.sin(angle) * distance;
+        }
+
+        this.createEnemy(type, x, y);
+    }
+
+    spawnSiegeEnemies() {
+        const count = 8 + Math.floor(this.rng.next() * 5);
+        this.spawnFormation({ count: count, formation: 'ring' });
+    }
+    
+    /**
+     * Create an enemy scaled to the current wave, clamped to the map and buffed by Blood Moon
+     * @param {string} type - ENEMIES key
+     * @returns {Enemy}
+     */
+    createEnemy(type, x, y) {
+        const clampedX = Math.max(50, Math.min(CONFIG.MAP_BOUNDS.width - 50, x));
+        const clampedY = Math.max(50, Math.min(CONFIG.MAP_BOUNDS.height - 50, y));
+
+        const enemy = new Enemy(type, clampedX, clampedY, this.getWaveMultiplier());
+        this.applyCurses(enemy);
+
+        if (this.activeEvents.bloodMoon) {
+            enemy.speed *= CONFIG.BLOOD_MOON_SPEED_MULTIPLIER;
+            enemy.damage *= CONFIG.BLOOD_MOON_DAMAGE_MULTIPLIER;
+        }
+
+        addEntity(this.enemies, enemy);
+        this.spatialHash.insert(enemy); // Hittable before the next grid rebuild
+        return enemy;
+    }
+
+    /**
+     * Enemy HP/damage scaling for the current wave
+     */
+    getWaveMultiplier() {
+        // FIXED: Linear damage/HP scaling instead of exponential
+        // Old: Math.pow(2.5, this.wave - 1) = 1, 2.5, 6.25, 15.6, 39, 97... (way too fast)
+        // New: 1 + (wave-1) * 0.3 = 1, 1.3, 1.6, 1.9, 2.2, 2.5... (much smoother)
+        const linear = 1 + (this.wave - 1) * 0.3;
+        if (this.overtimeWave === null) return linear;
+
+        // Endless overtime compounds on top so the run eventually ends
+        return linear * Math.pow(CONFIG.ENDLESS_MULTIPLIER_GROWTH, this.wave - this.overtimeWave);
+    }
+
+    /**
+     * Spawnable enemy types and weights for the current wave, built from ENEMIES
+     * (waveRequirement gates a type, spawnWeight/spawnWeightFalloff and the biome set its weight)
+     * @returns {{types: string[], weights: number[]}}
+     */
+    getSpawnTable() {
+        // OPTIMIZATION: Only rebuild when the wave changes
+        if (this.spawnTable && this.spawnTable.wave === this.wave) {
+            return this.spawnTable;
+        }
+
+        const types = [];
+        const weights = [];
+        for (const data of Object.values(ENEMIES)) {
+            if (!data.spawnWeight || this.wave < (data.waveRequirement || 1)) continue;
+
+            let weight = data.spawnWeight * (this.biome.enemyWeights[data.id] ?? 1);
+            if (weight <= 0) continue;
+            const falloff = data.spawnWeightFalloff;
+            if (falloff && this.wave >= falloff.fromWave) {
+                weight = Math.max(falloff.min, weight - this.wave * falloff.perWave);
+            }
+            types.push(data.id);
+            weights.push(weight);
+        }
+
+        this.spawnTable = { wave: this.wave, types, weights };
+        return this.spawnTable;
+    }
+
+    weightedRandom(items, weights) {
+        let total = 0;
+        for (const w of weights) total += w;
+
+        let random = this.rng.next() * total;
+        for (let i = 0; i < items.length; i++) {
+            random -= weights[i];
+            if (random <= 0) return items[i];
+        }
+        return items[0];
+    }
+    
+    // ==================== STAGE SCRIPT ====================
+    /**
+     * Choose the stage script for the next run
+     * @param {string} stageId - STAGES id
+     * @returns {boolean} - False if the stage is unknown or invalid
+     */
+    setStage(stageId) {
+        const stage = STAGES[stageId];
+        if (!stage) {
+            console.warn(`[STAGE] Unknown stage "${stageId}", keeping ${this.stageId}`);
+            return false;
+        }
+        const errors = validateStage(stage);
+        if (errors.length > 0) {
+            console.error(`[STAGE] ${stageId} is invalid:\n  ${errors.join('\n  ')}`);
+            return false;
+        }
+        this.stageId = stageId;
+        return true;
+    }
+
+    /**
+     * Advance waves and fire the stage's wave and timeline entries
+     */
+    updateStage() {
+        if (this.waveTimer >= this.stage.waveDuration) {
+            this.wave++;
+            this.waveTimer = 0;
+            this.showWaveNotification();
+        }
+
+        if (this.wave > this.stageWave) {
+            this.stageWave = this.wave;
+            for (const entry of this.stage.waves) {
+                // Overtime bosses come from the endless rotation instead
+                if (entry.boss && this.overtimeWave !== null) continue;
+                if (this.matchesStageWave(entry)) {
+                    this.runStageEntry(entry);
+                }
+            }
+            if (this.overtimeWave !== null) {
+                this.updateEndlessWave();
+            }
+            if (this.wave > 1) {
+                this.checkWeaponUnlocks();
+            }
+        }
+
+        while (this.stageTimelineIndex < this.stageTimeline.length &&
+               this.stageTimeline[this.stageTimelineIndex].at <= this.gameTime) {
+            this.runStageEntry(this.stageTimeline[this.stageTimelineIndex++]);
+        }
+    }
+
+    // ==================== ENDLESS MODE ====================
+    /**
+     * The stage duration ran out on an endless run - keep going with escalating scaling
+     */
+    startOvertime() {
+        this.overtimeWave = this.wave;
+        console.log('[ENDLESS] Overtime from wave', this.wave);
+        this.showEventNotification('♾️ ENDLESS - SURVIVE AS LONG AS YOU CAN ♾️', '#a855f7');
+    }
+
+    /**
+     * Rotating bosses and new curses on overtime waves
+     */
+    updateEndlessWave() {
+        const overtime = this.wave - this.overtimeWave;
+        if (overtime <= 0) return;
+
+        if (overtime % CONFIG.ENDLESS_BOSS_INTERVAL === 0) {
+            const bossType = ENDLESS_BOSSES[this.endlessBossIndex % ENDLESS_BOSSES.length];
+            this.endlessBossIndex++;
+            this.triggerBossSpawn(bossType);
+        }
+        if (overtime % CONFIG.ENDLESS_CURSE_INTERVAL === 0) {
+            this.addCurse();
+        }
+    }
+
+    /**
+     * Stack a random curse
+     */
+    addCurse() {
+        const ids = Object.keys(CURSES);
+        const curse = CURSES[ids[Math.floor(this.rng.next() * ids.length)]];
+        this.curses[curse.id] = (this.curses[curse.id] || 0) + 1;
+
+        console.log('[ENDLESS] Curse', curse.id, 'x' + this.curses[curse.id]);
+        this.showEventNotification(`${curse.icon} ${curse.name.toUpperCase()}: ${curse.description}`, '#a855f7');
+    }
+
+    /**
+     * Summed bonus of every curse stack on a stat
+     * @param {string} stat - CURSES stat
+     */
+    getCurseBonus(stat) {
+        let bonus = 0;
+        for (const id in this.curses) {
+            if (CURSES[id].stat === stat) {
+                bonus += CURSES[id].valuePerStack * this.curses[id];
+            }
+        }
+        return bonus;
+    }
+
+    /**
+     * Apply enemy curses to a freshly spawned enemy
+     * @param {Enemy} enemy
+     */
+    applyCurses(enemy) {
+        const hp = 1 + this.getCurseBonus('enemyHp');
+        enemy.hp *= hp;
+        enemy.maxHp *= hp;
+        enemy.speed *= 1 + this.getCurseBonus('enemySpeed');
+        enemy.damage *= 1 + this.getCurseBonus('enemyDamage');
+    }
+
+    /**
+     * Whether a stage wave entry applies to the current wave
+     * @param {Object} entry - { wave } or { every, from, to }
+     */
+    matchesStageWave(entry) {
+        if (entry.wave !== undefined) return this.wave === entry.wave;
+        if (this.wave < (entry.from || 1)) return false;
+        if (entry.to !== undefined && this.wave > entry.to) return false;
+        return this.wave % entry.every === 0;
+    }
+
+    /**
+     * Roll an entry's chance (if any) and perform its event, boss or spawn
+     * @param {Object} entry - Stage wave or timeline entry
+     */
+    runStageEntry(entry) {
+        if (entry.chance !== undefined && this.rng.next() >= entry.chance) return;
+
+        if (entry.boss) {
+            this.triggerBossSpawn(entry.boss);
+            return;
+        }
+        if (entry.spawn) {
+            this.spawnFormation(entry.spawn);
+            return;
+        }
+
+        switch (entry.event) {
+            case 'bloodMoon':
+                this.triggerBloodMoon();
+                break;
+            case 'siege':
+                this.triggerEnemySiege();
+                break;
+            case 'treasureWave':
+                this.triggerTreasureWave();
+                break;
+            case 'batSwarm':
+                this.triggerBatSwarm();
+                break;
+        }
+    }
+
+    /**
+     * Spawn a group of enemies around the player (respects MAX_ENEMIES)
+     * @param {Object} spawn - { type, count, formation } - no type means the current spawn table
+     */
+    spawnFormation(spawn) {
+        const count = spawn.count;
+        const actualCount = Math.min(count, CONFIG.MAX_ENEMIES - this.enemies.length);
+        if (actualCount <= 0) return;
+
+        const { types, weights } = this.getSpawnTable();
+        const pickType = () => spawn.type || this.weightedRandom(types, weights);
+        const offscreen = Math.max(this.viewport.width, this.viewport.height) / 2 + 100;
+
+        switch (spawn.formation) {
+            case 'ring':
+                // Closes in from every side at once
+                for (let i = 0; i < actualCount; i++) {
+                    const type = pickType();
+                    const angle = (Math.PI * 2 / count) * i + this.rng.next() * 0.3;
+                    const distance = 350 + this.rng.next() * 50;
+                    this.createEnemy(
+                        type,
+                        this.player.x + Math.cos(angle) * distance,
+                        this.player.y + Math.sin(angle) * distance
+                    );
+                }
+                break;
+
+            case 'line': {
+                // A wall just off-screen, side-on to the direction it comes from
+                const angle = this.rng.next() * Math.PI * 2;
+                const centerX = this.player.x + Math.cos(angle) * offscreen;
+                const centerY = this.player.y + Math.sin(angle) * offscreen;
+                const spacing = 40;
+                for (let i = 0; i < actualCount; i++) {
+                    const offset = (i - (actualCount - 1) / 2) * spacing;
+                    this.createEnemy(
+                        pickType(),
+                        centerX - Math.sin(angle) * offset,
+                        centerY + Math.cos(angle) * offset
+                    );
+                }
+                break;
+            }
+
+            default: {
+                // Cluster: a tight pack from one direction
+                const angle = this.rng.next() * Math.PI * 2;
+                const centerX = this.player.x + Math.cos(angle) * offscreen;
+                const centerY = this.player.y + Math.sin(angle) * offscreen;
+                for (let i = 0; i < actualCount; i++) {
+                    const type = pickType();
+                    this.createEnemy(
+                        type,
+                        centerX + (this.rng.next() - 0.5) * 120,
+                        centerY + (this.rng.next() - 0.5) * 120
+                    );
+                }
+                break;
+            }
+        }
+    }
+
+    /**
+     * Trigger Blood Moon event - red tint, faster spawns, buffed enemies
+     */
+    triggerBloodMoon() {
+        this.activeEvents.bloodMoon = true;
+        this.bloodMoonTimer = CONFIG.BLOOD_MOON_DURATION;
+        this.showEventNotification('⚠️ BLOOD MOON ⚠️', '#ef4444');
+        this.audio.play('bloodMoon');
+        
+        // Visual effect - blood particles
+        for (let i = 0; i < 50; i++) {
+            const angle = Math.random() * Math.PI * 2;
+            const dist = Math.random() * 500;
+            this.particles.emit(
+                this.player.x + Math.cos(angle) * dist,
+                this.player.y + Math.sin(angle) * dist,
+                { 
+                    color: '#7f1d1d', 
+                    size: 5 + Math.random() * 5, 
+                    life: 1.5,
+                    type: 'circle',
+                    vy: -30
+                }
+            );
+        }
+    }
+    
+    /**
+     * Trigger Enemy Siege event - enemies spawn in circle and charge player
+     */
+    triggerEnemySiege() {
+        this.showEventNotification('💀 ENEMY SIEGE 💀', '#f97316');
+        this.spawnSiegeEnemies();
+        
+        // Visual effect - warning particles
+        for (let i = 0; i < 30; i++) {
+            const angle = (Math.PI * 2 / 30) * i;
+            const dist = 350;
+            this.particles.emit(
+                this.player.x + Math.cos(angle) * dist,
+                this.player.y + Math.sin(angle) * dist,
+                { 
+                    color: '#f97316', 
+                    size: 8, 
+                    life: 1.0,
+                    type: 'square'
+                }
+            );
+        }
+    }
+    
+    /**
+     * Trigger Treasure Wave event - extra XP from enemies
+     */
+    triggerTreasureWave() {
+        this.activeEvents.treasureWave = true;
+        this.showEventNotification('💎 TREASURE WAVE 💎', '#fbbf24');
+
+        // Visual effect - gold particles
+        for (let i = 0; i < 40; i++) {
+            const angle = Math.random() * Math.PI * 2;
+            const dist = Math.random() * 400;
+            this.particles.emit(
+                this.player.x + Math.cos(angle) * dist,
+                this.player.y + Math.sin(angle) * dist,
+                {
+                    color: '#fbbf24',
+                    size: 4 + Math.random() * 4,
+                    life: 1.0,
+                    type: 'circle',
+                    vy: -50
+                }
+            );
+        }
+    }
+
+    /**
+     * Trigger Bat Swarm event - bats fly across screen from random direction
+     */
+    triggerBatSwarm() {
+        console.log('[BAT SWARM] Triggering bat swarm at wave', this.wave);
+        this.showEventNotification('🦇 BAT SWARM 🦇', '#6b8c42');
+        this.audio.play('batSwarm');
+
+        // Spawn bats from one side flying to the other
+        const numBats = 30 + Math.floor(this.rng.next() * 20);
+        const side = Math.floor(this.rng.next() * 4); // 0=top, 1=right, 2=bottom, 3=left
+
+        for (let i = 0; i < numBats; i++) {
+            let startX, startY, vx, vy;
+            const speed = 200 + this.rng.next() * 100;
+            // Spread along the edge the swarm enters from
+            const edgeLength = side % 2 === 0 ? this.viewport.width : this.viewport.height;
+            const offset = (i / numBats) * edgeLength;
+
+            switch (side) {
+                case 0: // Top to bottom
+                    startX = this.camera.x + offset;
+                    startY = this.camera.y - 50;
+                    vx = (this.rng.next() - 0.5) * 50;
+                    vy = speed;
+                    break;
+                case 1: // Right to left
+                    startX = this.camera.x + this.viewport.width + 50;
+                    startY = this.camera.y + offset;
+                    vx = -speed;
+                    vy = (this.rng.next() - 0.5) * 50;
+                    break;
+                case 2: // Bottom to top
+                    startX = this.camera.x + offset;
+                    startY = this.camera.y + this.viewport.height + 50;
+                    vx = (this.rng.next() - 0.5) * 50;
+                    vy = -speed;
+                    break;
+                case 3: // Left to right
+                    startX = this.camera.x - 50;
+                    startY = this.camera.y + offset;
+                    vx = speed;
+                    vy = (this.rng.next() - 0.5) * 50;
+                    break;
+            }
+
+            // Create bat projectile that flies across screen
+            const bat = this.projectilePool.get();
+            bat.active = true;
+            bat.init(
+                startX, startY,
+                vx, vy,
+                5 + this.wave * 0.5, // Small damage
+                'enemy',
+                {
+                    speed: speed,
+                    radius: 6,
+                    color: '#6b8c42',
+                    lifetime: 8,
+                    isBatSwarm: true
+                }
+            );
+            this.projectiles.push(bat);
+        }
+
+        // Visual effect - bat particles
+        for (let i = 0; i < 20; i++) {
+            const angle = Math.random() * Math.PI * 2;
+            const dist = Math.random() * 300;
+            this.particles.emit(
+                this.player.x + Math.cos(angle) * dist,
+                this.player.y + Math.sin(angle) * dist,
+                {
+                    color: '#6b8c42',
+                    size: 3 + Math.random() * 3,
+                    life: 1.5,
+                    type: 'circle',
+                    vy: -20
+                }
+            );
+        }
+    }
+
+    /**
+     * Trigger boss spawn - spawns a powerful boss enemy
+     * @param {string} bossType - ENEMIES id, chosen by the stage script
+     */
+    triggerBossSpawn(bossType) {
+        console.log('[BOSS] Triggering boss spawn at wave', this.wave, bossType);
+        this.audio.play('bossSpawn');
+
+        const bossData = ENEMIES[bossType];
+
+        // Spawn boss at player position with offset
+        const angle = this.rng.next() * Math.PI * 2;
+        const distance = 400;
+        const x = this.player.x + Math.cos(angle) * distance;
+        const y = this.player.y + Math.sin(angle) * distance;
+
+        const boss = new Enemy(bossType, x, y, this.getWaveMultiplier());
+        this.applyCurses(boss);
+
+        // Boss-specific enhancements
+        boss.isBoss = true;
+        boss.specialAbility = bossData.specialAbility;
+        boss.abilityCooldown = CONFIG.BOSS_ABILITY_INTERVAL;
+        boss.abilityInterval = CONFIG.BOSS_ABILITY_INTERVAL; // Use ability every 3 seconds
+        boss.phase = 1;
+        boss.telegraph = null; // Active warning before an ability fires
+
+        addEntity(this.enemies, boss);
+        this.spatialHash.insert(boss); // Hittable before the next grid rebuild
+
+        // Show boss notification - special notification for the final boss
+        if (bossData.isFinalBoss) {
+            this.showEventNotification(`⚠️ FINAL BOSS: ${bossData.name.toUpperCase()} ⚠️`, '#ff0000');
+        } else {
+            this.showEventNotification(`⚠️ BOSS: ${bossData.name.toUpperCase()} ⚠️`, '#ef4444');
+        }
+
+        // Visual effect - dramatic particles
+        for (let i = 0; i < 80; i++) {
+            const angle = Math.random() * Math.PI * 2;
+            const dist = Math.random() * 200;
+            this.particles.emit(
+                x + Math.cos(angle) * dist,
+                y + Math.sin(angle) * dist,
+                {
+                    color: bossData.color,
+                    size: 8 + Math.random() * 8,
+                    life: 2.0,
+                    type: 'square',
+                    vy: -40
+                }
+            );
+        }
+
+        // Screen shake effect
+        this.screenShake = 10;
+    }
+
+    /**
+     * End Treasure Wave event
+     */
+    endTreasureWave() {
+        this.activeEvents.treasureWave = false;
+    }
+    
+    /**
+     * Show event notification on screen
+     */
+    showEventNotification(text, color) {
+        this.eventNotifications.push({
+            text: text,
+            color: color,
+            alpha: 1,
+            scale: 1.3,
+            life: 4, // seconds to display
+            yOffset: 0
+        });
+    }
+
+    // OPTIMIZATION: Cache array length for iteration
+    updateWeapons(dt) {
+        // Update Sacred Cross cooldown system separately
+        this.updateSacredCrossWeapons(dt);
+
+        const len = this.player.weapons.length;
+        for (let i = 0; i < len; i++) {
+            const weapon = this.player.weapons[i];
+            // Sacred Cross uses its own cooldown system
+            if (weapon.id === 'sacredCross') {
+                // Only fire if ready (timer >= 0)
+                if (weapon.sacredCrossTimer >= 0) {
+                    this.fireWeapon(weapon);
+                }
+                continue;
+            }
+
+            if (weapon.currentCooldown > 0) continue;
+
+            const cooldown = weapon.baseCooldown /
+                (1 + this.player.attackSpeedMultiplier) /
+                (1 - Math.min(0.5, this.player.cooldownReduction));
+
+            // Minimum cooldown floor of 0.05s to prevent negative cooldowns
+            weapon.currentCooldown = Math.max(0.05, cooldown);
+            this.fireWeapon(weapon);
+        }
+    }
+    
+    fireWeapon(weapon) {
+        const player = this.player;
+        const damage = weapon.damage * player.damageMultiplier;
+        const range = weapon.range * player.areaMultiplier;
+
+        // DEBUG: Log damage calculation
+        console.log(`[WEAPON] ${weapon.name}: base=${weapon.damage}, mult=${player.damageMultiplier.toFixed(2)}, final=${damage.toFixed(1)}`);
+
+        // Only sound off when the attack put something in the world (no target, no sound)
+        const spawnedBefore = this.projectiles.length + this.groundEffects.length + this.lightningBolts.length;
+
+        switch (weapon.id) {
+            case 'magicAura':
+                this.fireMagicAura(weapon, damage, range);
+                break;
+            case 'fireballArc':
+                this.fireFireball(weapon, damage, range);
+                break;
+            case 'magicWand':
+                this.fireMagicWand(weapon, damage, range);
+                break;
+            case 'throwingKnife':
+                this.fireThrowingKnife(weapon, damage, range);
+                break;
+            case 'lightningBolt':
+                this.fireLightning(weapon, damage, range);
+                break;
+            case 'holyWater':
+                this.fireHolyWater(weapon, damage, range);
+                break;
+            case 'iceShard':
+                this.fireIceShard(weapon, damage, range);
+                break;
+            case 'sacredCross':
+                this.fireSacredCross(weapon, damage, range);
+                break;
+            case 'poisonDagger':
+                this.firePoisonDagger(weapon, damage, range);
+                break;
+            case 'spinBlade':
+                this.fireSpinBlade(weapon, damage, range);
+                break;
+            case 'soulOrb':
+                this.fireSoulOrb(weapon, damage, range);
+                break;
+            case 'boneSpear':
+                this.fireBoneSpear(weapon, damage, range);
+                break;
+            case 'bloodMoonChakram':
+                this.fireBloodMoonChakram(weapon, damage, range);
+                break;
+            case 'vampireDagger':
+                this.fireVampireDagger(weapon, damage, range);
+                break;
+            // EVOLUTIONS
+            case 'arcaneBarrage':
+                this.fireArcaneBarrage(weapon, damage, range);
+                break;
+            case 'bloodReaver':
+                this.fireBloodReaver(weapon, damage, range);
+                break;
+            case 'thousandEdges':
+                this.fireThousandEdges(weapon, damage, range);
+                break;
+            case 'hellfire':
+                this.fireHellfire(weapon, damage, range);
+                break;
+            case 'thunderstorm':
+                this.fireThunderstorm(weapon, damage, range);
+                break;
+            case 'sanctuary':
+                this.fireSanctuary(weapon, damage, range);
+                break;
+        }
+
+        if (this.projectiles.length + this.groundEffects.length + this.lightningBolts.length > spawnedBefore) {
+            this.audio.playWeapon(weapon.id);
+        }
+    }
+
+    fireMagicAura(weapon, damage, range) {
+        // Damage all enemies in radius - tick damage is per tick
+        const tickDamage = damage;
+        const effectiveRange = range * this.player.areaMultiplier;
+
+        // OPTIMIZATION: The grid finds enemies in range (accounting for enemy radius)
+        const enemiesInRange = this.spatialHash.query(this.player.x, this.player.y, effectiveRange);
+        const enemiesToKill = [];
+
+        // OPTIMIZATION: Cache array length
+        const len = enemiesInRange.length;
+        for (let i = 0; i < len; i++) {
+            const enemy = enemiesInRange[i];
+            const isCrit = this.rollCrit();
+            const hitDamage = isCrit ? tickDamage * 2 : tickDamage;
+            const dead = enemy.takeDamage(hitDamage, 0, 0);
+            this.damageNumbers.add(enemy.x, enemy.y - 20, hitDamage, isCrit);
+
+            // Track damage dealt
+            this.recordDamage(enemy, hitDamage, 'magicAura');
+
+            if (dead) {
+                enemiesToKill.push(enemy);
+            }
+        }
+
+        // Kill enemies after processing all damage
+        const killLen = enemiesToKill.length;
+        for (let i = 0; i < killLen; i++) {
+            this.killEnemy(enemiesToKill[i]);
+        }
+
+        // Visual effect
+        for (let i = 0; i < 3; i++) {
+            const angle = Math.random() * Math.PI * 2;
+            const dist = Math.random() * effectiveRange;
+            this.particles.emit(
+                this.player.x + Math.cos(angle) * dist,
+                this.player.y + Math.sin(angle) * dist,
+                { color: '#a855f7', size: 3 + Math.random() * 3, life: 0.3, type: 'circle' }
+            );
+        }
+    }
+    
+    fireFireball(weapon, damage, range) {
+        const count = weapon.projectileCount + this.player.projectileBonus;
+        
+        for (let i = 0; i < count; i++) {
+            const target = this.findNearestEnemy(range);
+            if (!target) continue;
+            
+            const dx = target.x - this.player.x;
+            const dy = target.y - this.player.y;
+            const dist = Math.sqrt(dx * dx + dy * dy);
+            
+            if (dist > 0) {
+                const vx = (dx / dist) * weapon.projectileSpeed;
+                const vy = (dy / dist) * weapon.projectileSpeed;
+                
+                const proj = this.projectilePool.get();
+                proj.active = true;
+                proj.init(
+                    this.player.x, this.player.y,
+                    vx, vy,
+                    damage,
+                    'player',
+                    {
+                        speed: weapon.projectileSpeed,
+                        radius: 8,
+                        color: '#ff6b35',
+                        pierce: 999, // Pierces all
+                        lifetime: 2,
+                        weaponType: 'fireball_arc',
+                        weaponId: 'fireballArc'
+                    }
+                );
+                proj.explosionRadius = weapon.explosionRadius * this.player.areaMultiplier;
+                proj.isExplosive = true;
+                this.projectiles.push(proj);
+            }
+        }
+    }
+    
+    fireMagicWand(weapon, damage, range) {
+        const count = weapon.projectileCount + this.player.projectileBonus;
+        
+        for (let i = 0; i < count; i++) {
+            const target = this.findNearestEnemy(range);
+            if (!target) continue;
+            
+            const dx = target.x - this.player.x;
+            const dy = target.y - this.player.y;
+            const dist = Math.sqrt(dx * dx + dy * dy);
+            
+            const speed = weapon.projectileSpeed;
+            const vx = dist > 0 ? (dx / dist) * speed : speed;
+            const vy = dist > 0 ? (dy / dist) * speed : 0;
+            
+            const proj = this.projectilePool.get();
+            proj.active = true;
+            proj.init(
+                this.player.x, this.player.y,
+                vx, vy,
+                damage,
+                'player',
+                {
+                    homing: true,
+                    speed: speed,
+                    radius: 6,
+                    color: '#4299e1',
+                    pierce: weapon.pierce,
+                    lifetime: 5,
+                    weaponType: 'magic_wand',
+                    weaponId: 'magicWand'
+                }
+            );
+            this.projectiles.push(proj);
+        }
+    }
+
+    fireThrowingKnife(weapon, damage, range) {
+        const count = weapon.projectileCount + this.player.projectileBonus;
+        let facing = { ...this.player.facing };
+        
+        // Default to right if no direction
+        if (facing.x === 0 && facing.y === 0) {
+            facing.x = 1;
+        }
+        
+        for (let i = 0; i < count; i++) {
+            const spreadAngle = (i - (count - 1) / 2) * 0.15;
+            const cos = Math.cos(spreadAngle);
+            const sin = Math.sin(spreadAngle);
+            
+            const vx = (facing.x * cos - facing.y * sin) * weapon.projectileSpeed;
+            const vy = (facing.x * sin + facing.y * cos) * weapon.projectileSpeed;
+            
+            const proj = this.projectilePool.get();
+            proj.active = true;
+            proj.init(
+                this.player.x, this.player.y,
+                vx, vy,
+                damage,
+                'player',
+                {
+                    speed: weapon.projectileSpeed,
+                    radius: 4,
+                    color: '#ffd700',
+                    pierce: 1,
+                    lifetime: 2,
+                    critChance: weapon.critChance,
+                    weaponType: 'throwing_knife',
+                    weaponId: 'throwingKnife'
+                }
+            );
+            this.projectiles.push(proj);
+        }
+    }
+
+    fireLightning(weapon, damage, range) {
+        const target = this.findNearestEnemy(range);
+        if (!target) return;
+
+        this.strikeChainLightning(target, weapon, damage);
+    }
+
+    /**
+     * Chain lightning from the player through up to weapon.chainCount enemies
+     * @param {Enemy} target - First enemy hit
+     */
+    strikeChainLightning(target, weapon, damage) {
+        let currentTarget = target;
+        let chainCount = 0;
+        let chainOrigins = []; // Store origin points for lightning bolts
+        const visited = new Set();
+
+        while (currentTarget && chainCount < weapon.chainCount) {
+            visited.add(currentTarget);
+
+            // Store origin point for this chain link
+            const origin = chainCount === 0 ? 
+                { x: this.player.x, y: this.player.y } : 
+                { x: currentTarget.x, y: currentTarget.y };
+            
+            // Deal damage
+            const isCrit = this.rollCrit();
+            const chainDamage = damage * Math.max(0.5, 1 - chainCount * 0.1) * (isCrit ? 2 : 1);
+            const dead = currentTarget.takeDamage(
+                chainDamage,
+                (currentTarget.x - this.player.x) * 0.01,
+                (currentTarget.y - this.player.y) * 0.01
+            );
+
+            this.damageNumbers.add(currentTarget.x, currentTarget.y - 20, chainDamage, isCrit);
+
+            // Track damage dealt
+            this.recordDamage(currentTarget, chainDamage, weapon.id);
+
+            // Store lightning bolt endpoints for rendering
+            chainOrigins.push({
+                startX: origin.x,
+                startY: origin.y,
+                endX: currentTarget.x,
+                endY: currentTarget.y
+            });
+
+            // Lightning visual - particles at impact
+            for (let i = 0; i < 5; i++) {
+                this.particles.emit(
+                    currentTarget.x + (Math.random() - 0.5) * 40,
+                    currentTarget.y + (Math.random() - 0.5) * 40,
+                    { color: '#fbbf24', size: 4, life: 0.3, type: 'square' }
+                );
+            }
+
+            if (dead) {
+                this.killEnemy(currentTarget);
+                break;
+            }
+
+            // Find next chain target
+            currentTarget = this.findNearestEnemy(weapon.chainRange, currentTarget.x, currentTarget.y, visited);
+            chainCount++;
+        }
+
+        // Create lightning bolt visual effects
+        const chainLen = chainOrigins.length;
+        for (let i = 0; i < chainLen; i++) {
+            const bolt = chainOrigins[i];
+            this.createLightningBolt(bolt.startX, bolt.startY, bolt.endX, bolt.endY);
+        }
+    }
+
+    createLightningBolt(startX, startY, endX, endY) {
+        // Create a temporary lightning bolt effect
+        const bolt = {
+            startX: startX,
+            startY: startY,
+            endX: endX,
+            endY: endY,
+            life: 0.15, // 150ms visible
+            maxLife: 0.15,
+            segments: []
+        };
+
+        // Generate jagged lightning segments
+        const dx = endX - startX;
+        const dy = endY - startY;
+        const dist = Math.sqrt(dx * dx + dy * dy);
+        const segments = Math.floor(dist / 20); // Segment every 20 pixels
+
+        bolt.segments.push({ x: startX, y: startY });
+        
+        for (let i = 1; i < segments; i++) {
+            const t = i / segments;
+            const baseX = startX + dx * t;
+            const baseY = startY + dy * t;
+            // Add perpendicular offset for jagged effect
+            const offset = (Math.random() - 0.5) * 30;
+            const perpX = -dy / dist * offset;
+            const perpY = dx / dist * offset;
+            bolt.segments.push({ x: baseX + perpX, y: baseY + perpY });
+        }
+        
+        bolt.segments.push({ x: endX, y: endY });
+
+        this.lightningBolts.push(bolt);
+    }
+    
+    fireHolyWater(weapon, damage, range) {
+        const target = this.findNearestEnemy(range);
+        if (!target) return;
+        
+        // Create pool near enemy
+        const offsetX = (this.rng.next() - 0.5) * 100;
+        const offsetY = (this.rng.next() - 0.5) * 100;
+        
+        const pool = new GroundEffect(
+            target.x + offsetX,
+            target.y + offsetY,
+            weapon.poolRadius * this.player.areaMultiplier,
+            weapon.poolDuration,
+            damage,
+            weapon.tickRate,
+            '#06b6d4'
+        );
+        pool.weaponId = weapon.id;
+        
+        this.groundEffects.push(pool);
+    }
+
+    fireIceShard(weapon, damage, range) {
+        const count = weapon.projectileCount + this.player.projectileBonus;
+        const target = this.findNearestEnemy(range);
+        
+        if (!target && count > 0) {
+            // If no target, fire in player facing direction
+            let facing = { ...this.player.facing };
+            if (facing.x === 0 && facing.y === 0) {
+                facing.x = 1;
+            }
+            
+            for (let i = 0; i < count; i++) {
+                const spreadAngle = (i - (count - 1) / 2) * 0.1;
+                const cos = Math.cos(spreadAngle);
+                const sin = Math.sin(spreadAngle);
+                
+                const vx = (facing.x * cos - facing.y * sin) * weapon.projectileSpeed;
+                const vy = (facing.x * sin + facing.y * cos) * weapon.projectileSpeed;
+                
+                const proj = this.projectilePool.get();
+                proj.active = true;
+                proj.init(
+                    this.player.x, this.player.y,
+                    vx, vy,
+                    damage,
+                    'player',
+                    {
+                        speed: weapon.projectileSpeed,
+                        radius: 5,
+                        color: '#67e8f9',
+                        pierce: weapon.pierce,
+                        lifetime: 2,
+                        isIceShard: true,
+                        weaponType: 'ice_shard',
+                        weaponId: 'iceShard'
+                    }
+                );
+                this.projectiles.push(proj);
+            }
+            return;
+        }
+
+        for (let i = 0; i < count; i++) {
+            const dx = target.x - this.player.x;
+            const dy = target.y - this.player.y;
+            const dist = Math.sqrt(dx * dx + dy * dy);
+
+            // Add slight spread for multiple projectiles
+            const spreadAngle = (i - (count - 1) / 2) * 0.08;
+            const cos = Math.cos(spreadAngle);
+            const sin = Math.sin(spreadAngle);
+
+            const baseVx = (dx / dist) * weapon.projectileSpeed;
+            const baseVy = (dy / dist) * weapon.projectileSpeed;
+
+            const vx = baseVx * cos - baseVy * sin;
+            const vy = baseVx * sin + baseVy * cos;
+
+            const proj = this.projectilePool.get();
+            proj.active = true;
+            proj.init(
+                this.player.x, this.player.y,
+                vx, vy,
+                damage,
+                'player',
+                {
+                    speed: weapon.projectileSpeed,
+                    radius: 5,
+                    color: '#67e8f9',
+                    pierce: weapon.pierce,
+                    lifetime: 2,
+                    isIceShard: true,
+                    weaponType: 'ice_shard',
+                    weaponId: 'iceShard'
+                }
+            );
+            this.projectiles.push(proj);
+        }
+    }
+
+    fireSacredCross(weapon, damage, range) {
+        // Check if weapon has cooldown tracking
+        if (!weapon.sacredCrossActive) {
+            weapon.sacredCrossActive = false;
+            weapon.sacredCrossTimer = 0;
+        }
+
+        // Calculate cross count based on weapon level
+        // Level 1: 1 cross, Level 2: 2 crosses, Level 3: 3 crosses, Level 4: 4 crosses, Level 5: 5 crosses, Level 6+: 6 crosses
+        let crossCount = Math.min(6, weapon.level);
+        
+        // After level 6, only damage increases (handled by weapon.damage)
+        
+        const effectiveRange = range * this.player.areaMultiplier;
+        const orbitDuration = 2.5; // Seconds for one full orbit
+
+        // Check if we should spawn new crosses
+        if (!weapon.sacredCrossActive) {
+            // Spawn crosses
+            weapon.sacredCrossActive = true;
+            weapon.sacredCrossTimer = orbitDuration; // Active for one orbit
+
+            for (let i = 0; i < crossCount; i++) {
+                const baseAngle = (Math.PI * 2 / crossCount) * i;
+                const orbitSpeed = 2.0; // Radians per second
+
+                const cross = this.projectilePool.get();
+                cross.active = true;
+                cross.init(
+                    this.player.x + Math.cos(baseAngle) * effectiveRange,
+                    this.player.y + Math.sin(baseAngle) * effectiveRange,
+                    0, 0,
+                    damage,
+                    'player',
+                    {
+                        speed: 0,
+                        radius: 10,
+                        color: '#fbbf24',
+                        pierce: 999,
+                        lifetime: orbitDuration,
+                        isSacredCross: true,
+                        weaponType: 'sacred_cross',
+                        weaponId: 'sacredCross',
+                        orbitAngle: baseAngle,
+                        orbitSpeed: orbitSpeed * (i % 2 === 0 ? 1 : -1), // Alternate CW/CCW rotation
+                        orbitRadius: effectiveRange,
+                        hitClearTimer: 0
+                    }
+                );
+                this.projectiles.push(cross);
+            }
+
+            // Visual effect - holy particles
+            for (let i = 0; i < crossCount * 5; i++) {
+                const angle = Math.random() * Math.PI * 2;
+                const dist = Math.random() * effectiveRange;
+                this.particles.emit(
+                    this.player.x + Math.cos(angle) * dist,
+                    this.player.y + Math.sin(angle) * dist,
+                    { color: '#fbbf24', size: 4, life: 0.5, type: 'square' }
+                );
+            }
+        }
+    }
+
+    // OPTIMIZATION: Cache array length for iteration
+    updateSacredCrossWeapons(dt) {
+        // Update cooldown timers for all sacred cross weapons
+        const len = this.player.weapons.length;
+        for (let i = 0; i < len; i++) {
+            const weapon = this.player.weapons[i];
+            if (weapon.id === 'sacredCross') {
+                if (weapon.sacredCrossActive) {
+                    weapon.sacredCrossTimer -= dt;
+                    if (weapon.sacredCrossTimer <= 0) {
+                        weapon.sacredCrossActive = false;
+                        // Cooldown before next spawn = weapon base cooldown
+                        weapon.sacredCrossTimer = -weapon.baseCooldown;
+                    }
+                } else {
+                    weapon.sacredCrossTimer += dt;
+                    if (weapon.sacredCrossTimer >= 0) {
+                        // Ready to spawn again - will be handled by fireSacredCross
+                    }
+                }
+            }
+        }
+    }
+
+    firePoisonDagger(weapon, damage, range) {
+        const count = weapon.projectileCount + this.player.projectileBonus;
+        const target = this.findNearestEnemy(range);
+        
+        if (!target && count > 0) {
+            // If no target, fire in player facing direction
+            let facing = { ...this.player.facing };
+            if (facing.x === 0 && facing.y === 0) {
+                facing.x = 1;
+            }
+            
+            for (let i = 0; i < count; i++) {
+                const spreadAngle = (i - (count - 1) / 2) * 0.12;
+                const cos = Math.cos(spreadAngle);
+                const sin = Math.sin(spreadAngle);
+                
+                const vx = (facing.x * cos - facing.y * sin) * weapon.projectileSpeed;
+                const vy = (facing.x * sin + facing.y * cos) * weapon.projectileSpeed;
+                
+                const proj = this.projectilePool.get();
+                proj.active = true;
+                proj.init(
+                    this.player.x, this.player.y,
+                    vx, vy,
+                    damage,
+                    'player',
+                    {
+                        speed: weapon.projectileSpeed,
+                        radius: 5,
+                        color: '#4ade80',
+                        pierce: 1,
+                        lifetime: 1.5,
+                        isPoisonDagger: true,
+                        weaponType: 'poison_dagger',
+                        weaponId: 'poisonDagger'
+                    }
+                );
+                this.projectiles.push(proj);
+            }
+            return;
+        }
+
+        for (let i = 0; i < count; i++) {
+            const dx = target.x - this.player.x;
+            const dy = target.y - this.player.y;
+            const dist = Math.sqrt(dx * dx + dy * dy);
+
+            const vx = (dx / dist) * weapon.projectileSpeed;
+            const vy = (dy / dist) * weapon.projectileSpeed;
+
+            const proj = this.projectilePool.get();
+            proj.active = true;
+            proj.init(
+                this.player.x, this.player.y,
+                vx, vy,
+                damage,
+                'player',
+                {
+                    speed: weapon.projectileSpeed,
+                    radius: 5,
+                    color: '#4ade80',
+                    pierce: 1,
+                    lifetime: 1.5,
+                    isPoisonDagger: true,
+                    weaponType: 'poison_dagger',
+                    weaponId: 'poisonDagger'
+                }
+            );
+            this.projectiles.push(proj);
+        }
+    }
+
+    fireSpinBlade(weapon, damage, range) {
+        const count = weapon.projectileCount + this.player.projectileBonus;
+        let facing = { ...this.player.facing };
+        
+        // Default to right if no direction
+        if (facing.x === 0 && facing.y === 0) {
+            facing.x = 1;
+        }
+        
+        for (let i = 0; i < count; i++) {
+            const spreadAngle = (i - (count - 1) / 2) * 0.15;
+            const cos = Math.cos(spreadAngle);
+            const sin = Math.sin(spreadAngle);
+            
+            const vx = (facing.x * cos - facing.y * sin) * weapon.projectileSpeed;
+            const vy = (facing.x * sin + facing.y * cos) * weapon.projectileSpeed;
+            
+            const blade = this.projectilePool.get();
+            blade.active = true;
+            blade.init(
+                this.player.x, this.player.y,
+                vx, vy,
+                damage,
+                'player',
+                {
+                    speed: weapon.projectileSpeed,
+                    radius: 6,
+                    color: '#e5e5e5',
+                    pierce: weapon.pierce,
+                    lifetime: 1.2,
+                    isSpinBlade: true,
+                    weaponType: 'spin_blade',
+                    weaponId: 'spinBlade',
+                    returnTime: 0.6,
+                    returnSpeed: weapon.projectileSpeed * 1.5
+                }
+            );
+            this.projectiles.push(blade);
+        }
+    }
+
+    fireSoulOrb(weapon, damage, range) {
+        const count = Math.min(weapon.projectileCount, 3); // Max 3 orbs
+
+        for (let i = 0; i < count; i++) {
+            const baseAngle = (Math.PI * 2 / count) * i;
+            const proj = this.projectilePool.get();
+            proj.active = true;
+            proj.init(
+                this.player.x, this.player.y,
+                0, 0,
+                damage,
+                'player',
+                {
+                    speed: 0,
+                    radius: 10,
+                    color: '#9370db',
+                    pierce: 999,
+                    lifetime: weapon.orbLifetime || 4, // Orbs last 4 seconds
+                    weaponType: 'soul_orb',
+                    weaponId: 'soulOrb',
+                    isSoulOrb: true,
+                    orbitAngle: baseAngle,
+                    orbitSpeed: 3.0, // Faster orbit
+                    orbitRadius: range,
+                    orbitCenterX: this.player.x,
+                    orbitCenterY: this.player.y,
+                    explosionDamage: weapon.explosionDamage || 1.5,
+                    hasExploded: false
+                }
+            );
+            this.projectiles.push(proj);
+        }
+    }
+
+    fireBoneSpear(weapon, damage, range) {
+        const count = weapon.projectileCount + this.player.projectileBonus;
+        let facing = { ...this.player.facing };
+
+        if (facing.x === 0 && facing.y === 0) {
+            facing.x = 1;
+        }
+
+        for (let i = 0; i < count; i++) {
+            const spreadAngle = (i - (count - 1) / 2) * 0.1;
+            const cos = Math.cos(spreadAngle);
+            const sin = Math.sin(spreadAngle);
+
+            const vx = (facing.x * cos - facing.y * sin) * weapon.projectileSpeed;
+            const vy = (facing.x * sin + facing.y * cos) * weapon.projectileSpeed;
+
+            const proj = this.projectilePool.get();
+            proj.active = true;
+            proj.init(
+                this.player.x, this.player.y,
+                vx, vy,
+                damage,
+                'player',
+                {
+                    speed: weapon.projectileSpeed,
+                    radius: 7,
+                    color: '#d4c4a8',
+                    pierce: weapon.pierce || 999,
+                    lifetime: 3,
+                    weaponType: 'bone_spear',
+                    weaponId: 'boneSpear',
+                    isBoneSpear: true
+                }
+            );
+            this.projectiles.push(proj);
+        }
+    }
+
+    fireBloodMoonChakram(weapon, damage, range) {
+        const count = weapon.projectileCount + this.player.projectileBonus;
+        let facing = { ...this.player.facing };
+
+        if (facing.x === 0 && facing.y === 0) {
+            facing.x = 1;
+        }
+
+        for (let i = 0; i < count; i++) {
+            const spreadAngle = (i - (count - 1) / 2) * 0.15;
+            const cos = Math.cos(spreadAngle);
+            const sin = Math.sin(spreadAngle);
+
+            const vx = (facing.x * cos - facing.y * sin) * weapon.projectileSpeed;
+            const vy = (facing.x * sin + facing.y * cos) * weapon.projectileSpeed;
+
+            const proj = this.projectilePool.get();
+            proj.active = true;
+            proj.init(
+                this.player.x, this.player.y,
+                vx, vy,
+                damage,
+                'player',
+                {
+                    speed: weapon.projectileSpeed,
+                    radius: 9,
+                    color: '#ff6b6b',
+                    pierce: weapon.pierce || 1,
+                    lifetime: 1.5,
+                    weaponType: 'blood_moon_chakram',
+                    weaponId: 'bloodMoonChakram',
+                    isBloodMoonChakram: true,
+                    returnTime: 0.75,
+                    returnSpeed: weapon.projectileSpeed * 1.3
+                }
+            );
+            this.projectiles.push(proj);
+        }
+    }
+
+    fireVampireDagger(weapon, damage, range) {
+        const count = weapon.projectileCount + this.player.projectileBonus;
+        const target = this.findNearestEnemy(range);
+
+        for (let i = 0; i < count; i++) {
+            let vx, vy;
+
+            if (target) {
+                const dx = target.x - this.player.x;
+                const dy = target.y - this.player.y;
+                const dist = Math.sqrt(dx * dx + dy * dy);
+                vx = (dx / dist) * weapon.projectileSpeed;
+                vy = (dy / dist) * weapon.projectileSpeed;
+            } else {
+                let facing = { ...this.player.facing };
+                if (facing.x === 0 && facing.y === 0) facing.x = 1;
+                vx = facing.x * weapon.projectileSpeed;
+                vy = facing.y * weapon.projectileSpeed;
+            }
+
+            const proj = this.projectilePool.get();
+            proj.active = true;
+            proj.init(
+                this.player.x, this.player.y,
+                vx, vy,
+                damage,
+                'player',
+                {
+                    speed: weapon.projectileSpeed,
+                    radius: 6,
+                    color: '#8b0000',
+                    pierce: 0,
+                    lifetime: 2,
+                    weaponType: 'vampire_dagger',
+                    weaponId: 'vampireDagger',
+                    isVampireDagger: true,
+                    lifestealHeal: weapon.lifestealHeal || 1 // Fixed +1 HP heal
+                }
+            );
+            this.projectiles.push(proj);
+        }
+    }
+
+    // ==================== EVOLVED WEAPONS ====================
+    fireArcaneBarrage(weapon, damage, range) {
+        const count = weapon.projectileCount + this.player.projectileBonus;
+        const targets = this.findNearestEnemies(range, count);
+        if (targets.length === 0) return;
+
+        // One bolt per target, wrapping around when there are fewer enemies than bolts
+        for (let i = 0; i < count; i++) {
+            const target = targets[i % targets.length];
+            const dx = target.x - this.player.x;
+            const dy = target.y - this.player.y;
+            const dist = Math.sqrt(dx * dx + dy * dy);
+
+            const speed = weapon.projectileSpeed;
+            const vx = dist > 0 ? (dx / dist) * speed : speed;
+            const vy = dist > 0 ? (dy / dist) * speed : 0;
+
+            const proj = this.projectilePool.get();
+            proj.active = true;
+            proj.init(
+                this.player.x, this.player.y,
+                vx, vy,
+                damage,
+                'player',
+                {
+                    homing: true,
+                    speed: speed,
+                    radius: 8,
+                    color: '#a78bfa',
+                    pierce: weapon.pierce,
+                    lifetime: 5,
+                    weaponType: 'magic_wand',
+                    weaponId: weapon.id
+                }
+            );
+            proj.target = target;
+            this.projectiles.push(proj);
+        }
+    }
+
+    fireBloodReaver(weapon, damage, range) {
+        // Full ring of daggers, always at least 8
+        const count = Math.max(8, (weapon.projectileCount + this.player.projectileBonus) * 4);
+
+        for (let i = 0; i < count; i++) {
+            const angle = (i / count) * Math.PI * 2;
+            const proj = this.projectilePool.get();
+            proj.active = true;
+            proj.init(
+                this.player.x, this.player.y,
+                Math.cos(angle) * weapon.projectileSpeed,
+                Math.sin(angle) * weapon.projectileSpeed,
+                damage,
+                'player',
+                {
+                    speed: weapon.projectileSpeed,
+                    radius: 7,
+                    color: '#dc2626',
+                    pierce: 1,
+                    lifetime: 1.5,
+                    critChance: weapon.critChance,
+                    weaponType: 'vampire_dagger',
+                    weaponId: weapon.id,
+                    isVampireDagger: true,
+                    lifestealHeal: weapon.lifestealHeal
+                }
+            );
+            this.projectiles.push(proj);
+        }
+    }
+
+    fireThousandEdges(weapon, damage, range) {
+        const count = weapon.projectileCount + this.player.projectileBonus + 2;
+        let facing = { ...this.player.facing };
+        if (facing.x === 0 && facing.y === 0) facing.x = 1;
+
+        // Same spread as Throwing Knife, mirrored behind the player
+        for (const direction of [1, -1]) {
+            for (let i = 0; i < count; i++) {
+                const spreadAngle = (i - (count - 1) / 2) * 0.12;
+                const cos = Math.cos(spreadAngle);
+                const sin = Math.sin(spreadAngle);
+
+                const vx = (facing.x * cos - facing.y * sin) * weapon.projectileSpeed * direction;
+                const vy = (facing.x * sin + facing.y * cos) * weapon.projectileSpeed * direction;
+
+                const proj = this.projectilePool.get();
+                proj.active = true;
+                proj.init(
+                    this.player.x, this.player.y,
+                    vx, vy,
+                    damage,
+                    'player',
+                    {
+                        speed: weapon.projectileSpeed,
+                        radius: 5,
+                        color: '#fde68a',
+                        pierce: 3,
+                        lifetime: 2,
+                        critChance: weapon.critChance,
+                        weaponType: 'throwing_knife',
+                        weaponId: weapon.id
+                    }
+                );
+                this.projectiles.push(proj);
+            }
+        }
+    }
+
+    fireHellfire(weapon, damage, range) {
+        const count = weapon.projectileCount + this.player.projectileBonus;
+        const targets = this.findNearestEnemies(range, count);
+
+        for (const target of targets) {
+            const dx = target.x - this.player.x;
+            const dy = target.y - this.player.y;
+            const dist = Math.sqrt(dx * dx + dy * dy);
+            if (dist === 0) continue;
+
+            const proj = this.projectilePool.get();
+            proj.active = true;
+            proj.init(
+                this.player.x, this.player.y,
+                (dx / dist) * weapon.projectileSpeed,
+                (dy / dist) * weapon.projectileSpeed,
+                damage,
+                'player',
+                {
+                    speed: weapon.projectileSpeed,
+                    radius: 11,
+                    color: '#dc2626',
+                    pierce: 999,
+                    lifetime: 2,
+                    weaponType: 'fireball_arc',
+                    weaponId: weapon.id
+                }
+            );
+            proj.explosionRadius = weapon.explosionRadius * this.player.areaMultiplier;
+            proj.isExplosive = true;
+            this.projectiles.push(proj);
+
+            // Burning ground where the target stands
+            const fire = new GroundEffect(
+                target.x, target.y,
+                weapon.explosionRadius * 0.8 * this.player.areaMultiplier,
+                3,
+                damage * 0.25,
+                0.5,
+                '#f97316'
+            );
+            fire.weaponId = weapon.id;
+            this.groundEffects.push(fire);
+        }
+    }
+
+    fireThunderstorm(weapon, damage, range) {
+        // Three separate chains, each starting from a different random enemy in range
+        const candidates = this.findNearestEnemies(range, 10);
+        for (let strike = 0; strike < 3 && candidates.length > 0; strike++) {
+            const index = Math.floor(this.rng.next() * candidates.length);
+            const target = candidates.splice(index, 1)[0];
+            if (target.hp > 0) {
+                this.strikeChainLightning(target, weapon, damage);
+            }
+        }
+    }
+
+    fireSanctuary(weapon, damage, range) {
+        // Consecrated ground under the player instead of near an enemy
+        const pool = new GroundEffect(
+            this.player.x,
+            this.player.y,
+            weapon.poolRadius * this.player.areaMultiplier,
+            weapon.poolDuration,
+            damage,
+            weapon.tickRate,
+            '#fde047'
+        );
+        pool.weaponId = weapon.id;
+        this.groundEffects.push(pool);
+
+        // Heal 2% max HP per cast while enemies are close
+        if (this.findNearestEnemy(range)) {
+            this.player.heal(this.player.maxHp * 0.02);
+        }
+    }
+
+    /**
+     * Up to `count` enemies whose centers are within range of the player, nearest first
+     * OPTIMIZATION: Grid queries over a growing radius, so a crowd next to the
+     * player settles it without touching the rest of the map
+     * @returns {Enemy[]}
+     */
+    findNearestEnemies(range, count) {
+        const x = this.player.x;
+        const y = this.player.y;
+        const inRange = [];
+        let radius = Math.min(range, this.spatialHash.cellSize);
+
+        while (true) {
+            inRange.length = 0;
+            const radiusSq = radius * radius;
+            const nearby = this.spatialHash.query(x, y, radius);
+            for (let i = 0; i < nearby.length; i++) {
+                const enemy = nearby[i];
+                const dx = enemy.x - x;
+                const dy = enemy.y - y;
+                const distSq = dx * dx + dy * dy;
+                if (distSq < radiusSq) {
+                    inRange.push({ enemy, distSq });
+                }
+            }
+            // Everything closer than radius was found - enough of them means the nearest are known
+            if (inRange.length >= count || radius >= range) break;
+            radius = Math.min(range, radius * 2);
+        }
+
+        inRange.sort((a, b) => a.distSq - b.distSq);
+        return inRange.slice(0, count).map(entry => entry.enemy);
+    }
+
+    /**
+     * Nearest enemy whose center is within range of a point, the player by default
+     * OPTIMIZATION: Grid queries over a growing radius, like findNearestEnemies()
+     * @param {number} range
+     * @param {number} [x]
+     * @param {number} [y]
+     * @param {Set<Enemy>} [skip] - Enemies to pass over (chain lightning's earlier links)
+     * @returns {Enemy|null}
+     */
+    findNearestEnemy(range, x = this.player.x, y = this.player.y, skip = null) {
+        let radius = Math.min(range, this.spatialHash.cellSize);
+
+        while (true) {
+            let nearest = null;
+            let minDistSq = radius * radius;
+            const nearby = this.spatialHash.query(x, y, radius);
+            for (let i = 0; i < nearby.length; i++) {
+                const enemy = nearby[i];
+                if (skip && skip.has(enemy)) continue;
+                const dx = enemy.x - x;
+                const dy = enemy.y - y;
+                const distSq = dx * dx + dy * dy;
+                if (distSq < minDistSq) {
+                    minDistSq = distSq;
+                    nearest = enemy;
+                }
+            }
+            if (nearest || radius >= range) return nearest;
+            radius = Math.min(range, radius * 2);
+        }
+    }
+    
+    // OPTIMIZATION: Use squared distance and cache array lengths
+    updateEnemies(dt) {
+        for (let i = this.enemies.length - 1; i >= 0; i--) {
+            const enemy = this.enemies[i];
+            const dist = enemy.update(dt, this.player, this.obstacles);
+
+            // Poison ticks inside Enemy.update - record them and finish off what they killed
+            if (enemy.poisonDamageTaken > 0) {
+                this.recordDamage(enemy, enemy.poisonDamageTaken, 'poison');
+                enemy.poisonDamageTaken = 0;
+                if (enemy.hp <= 0) {
+                    this.killEnemy(enemy);
+                    continue;
+                }
+            }
+
+            if (enemy.isBoss && enemy.specialAbility) {
+                this.updateBossAbility(enemy, dist, dt);
+            }
+
+            if (enemy.isSupport) {
+                this.updateSupportEnemy(enemy, dist, dt);
+            }
+
+            if (enemy.reflectedDamage > 0) {
+                this.pendingReflectDamage += enemy.reflectedDamage;
+                enemy.reflectedDamage = 0;
+            }
+
+            // OPTIMIZATION: Use squared distance for collision check
+            const combinedRadius = this.player.radius + enemy.radius;
+            const combinedRadiusSq = combinedRadius * combinedRadius;
+            const distSq = dist * dist;
+            if (distSq < combinedRadiusSq && enemy.attackCooldown <= 0) {
+                const landed = !this.player.invincible;
+                const dead = this.player.takeDamage(enemy.damage);
+                enemy.attackCooldown = enemy.attackSpeed;
+
+                if (dead && !this.tryRevive()) {
+                    this.gameOver();
+                    return;
+                }
+
+                // Thorn Armor hits back whenever a melee attack lands (shield blocks count)
+                if (landed && this.player.thornDamage > 0 && this.applyThorns(enemy)) {
+                    continue; // Attacker died
+                }
+            }
+
+            // Ranged enemy attack
+            if (enemy.isRanged && !enemy.isSupport && enemy.attackCooldown <= 0) {
+                // OPTIMIZATION: Use squared distance for range check
+                const attackRangeSq = enemy.attackRange * enemy.attackRange;
+                const distSqToPlayer = dist * dist;
+                if (distSqToPlayer < attackRangeSq) {
+                    // Fire projectile at player
+                    const dx = this.player.x - enemy.x;
+                    const dy = this.player.y - enemy.y;
+                    const len = Math.sqrt(dx * dx + dy * dy);
+
+                    const proj = this.projectilePool.get();
+                    proj.active = true;
+                    proj.init(
+                        enemy.x, enemy.y,
+                        (len > 0 ? (dx / len) * 200 : 200),
+                        (len > 0 ? (dy / len) * 200 : 0),
+                        enemy.damage,
+                        'enemy',
+                        { speed: 200, radius: 6, color: '#8b5cf6', lifetime: 5, blockedByObstacles: true }
+                    );
+                    this.projectiles.push(proj);
+
+                    enemy.attackCooldown = enemy.attackSpeed;
+                }
+            }
+        }
+
+        // OPTIMIZATION: One grid rebuild per frame, after everything has moved - weapons,
+        // projectiles, explosions and pools query it instead of scanning every enemy.
+        // Enemies spawned before the next rebuild are insert()ed as they appear
+        this.spatialHash.build(this.enemies);
+
+        if (this.pendingReflectDamage > 0 && this.applyReflectedDamage()) {
+            this.gameOver();
+        }
+    }
+
+    // ==================== ENEMY TRAITS ====================
+    /**
+     * Necromancer/Dark Priest casting - only while the player is within attack range
+     * @param {Enemy} enemy - Enemy with a summon and/or heal trait
+     * @param {number} dist - Distance from enemy to player
+     * @param {number} dt - Delta time
+     */
+    updateSupportEnemy(enemy, dist, dt) {
+        const inRange = dist < enemy.attackRange;
+
+        if (enemy.summon) {
+            enemy.summonTimer -= dt;
+            if (enemy.summonTimer <= 0 && inRange) {
+                enemy.summonTimer = enemy.summon.interval;
+                this.summonMinions(enemy);
+            }
+        }
+
+        if (enemy.heal) {
+            enemy.healTimer -= dt;
+            if (enemy.healTimer <= 0 && inRange) {
+                enemy.healTimer = enemy.heal.interval;
+                this.healAllies(enemy);
+            }
+        }
+    }
+
+    /**
+     * Raise summon.count minions around a summoner (respects MAX_ENEMIES)
+     * @param {Enemy} summoner
+     */
+    summonMinions(summoner) {
+        const count = Math.min(summoner.summon.count, CONFIG.MAX_ENEMIES - this.enemies.length);
+        for (let i = 0; i < count; i++) {
+            const angle = this.rng.next() * Math.PI * 2;
+            const distance = summoner.radius + 30;
+            const minion = this.createEnemy(
+                summoner.summon.type,
+                summoner.x + Math.cos(angle) * distance,
+                summoner.y + Math.sin(angle) * distance
+            );
+
+            for (let p = 0; p < 4; p++) {
+                this.particles.emit(minion.x, minion.y, {
+                    vx: (Math.random() - 0.5) * 60,
+                    vy: -40 - Math.random() * 60,
+                    life: 0.6,
+                    size: 4,
+                    color: '#a855f7',
+                    drag: 0.92
+                });
+            }
+        }
+    }
+
+    /**
+     * Heal every wounded ally within heal.radius (including the healer) by heal.percent of max HP
+     * @param {Enemy} healer
+     */
+    healAllies(healer) {
+        const { percent, radius } = healer.heal;
+        const nearby = this.spatialHash.query(healer.x, healer.y, radius);
+        const radiusSq = radius * radius;
+
+        for (const ally of nearby) {
+            if (ally.hp <= 0 || ally.hp >= ally.maxHp || ally.isBoss) continue;
+            const dx = ally.x - healer.x;
+            const dy = ally.y - healer.y;
+            if (dx * dx + dy * dy > radiusSq) continue;
+
+            const amount = Math.min(ally.maxHp * percent, ally.maxHp - ally.hp);
+            ally.hp += amount;
+            this.damageNumbers.add(ally.x, ally.y - 20, amount, false, '#4ade80');
+        }
+
+        for (let p = 0; p < 6; p++) {
+            const angle = (Math.PI * 2 / 6) * p;
+            this.particles.emit(healer.x, healer.y, {
+                vx: Math.cos(angle) * radius,
+                vy: Math.sin(angle) * radius,
+                life: 0.5,
+                size: 4,
+                color: '#4ade80',
+                drag: 0.9
+            });
+        }
+    }
+
+    /**
+     * Crystal Golem reflect - damage bounced back since last frame hits the player directly
+     * (ignores the shield and grants no invincibility frames so it can't be farmed)
+     * @returns {boolean} - True if the player died
+     */
+    applyReflectedDamage() {
+        const amount = this.pendingReflectDamage;
+        this.pendingReflectDamage = 0;
+        if (this.player.invincible) return false;
+
+        this.player.hp -= amount;
+        this.damageNumbers.add(this.player.x, this.player.y - 30, amount, false, '#5eead4');
+        return this.player.hp <= 0 && !this.tryRevive();
+    }
+
+    /**
+     * Mini-boss death - scatter extra XP gems and drop a health pack where it fell
+     * @param {Enemy} enemy
+     * @param {number} xpValue - XP of the regular drop, split across the extra gems
+     */
+    dropMiniBossLoot(enemy, xpValue) {
+        const { xpGems, healthPack } = enemy.loot;
+        for (let i = 0; i < xpGems; i++) {
+            const angle = (Math.PI * 2 / xpGems) * i;
+            const distance = 30 + this.rng.next() * 30;
+            this.xpGems.push(new XpGem(
+                enemy.x + Math.cos(angle) * distance,
+                enemy.y + Math.sin(angle) * distance,
+                Math.ceil(xpValue / xpGems)
+            ));
+        }
+        if (healthPack) {
+            this.healthPacks.push(new HealthPack(enemy.x, enemy.y, healthPack));
+        }
+        this.particles.emitExplosion(enemy.x, enemy.y, '#fbbf24');
+        this.showEventNotification(`💰 ${ENEMIES[enemy.type].name} DEFEATED`, '#fbbf24');
+    }
+
+    /**
+     * Update boss phase and special ability - abilities are telegraphed before they fire
+     * @param {Enemy} boss - The boss enemy
+     * @param {number} dist - Distance from boss to player
+     * @param {number} dt - Delta time
+     */
+    updateBossAbility(boss, dist, dt) {
+        // Phase transitions at HP thresholds
+        const threshold = CONFIG.BOSS_PHASE_THRESHOLDS[boss.phase - 1];
+        if (threshold !== undefined && boss.hp > 0 && boss.hp / boss.maxHp <= threshold) {
+            this.advanceBossPhase(boss);
+        }
+
+        if (boss.telegraph) {
+            boss.telegraph.timer -= dt;
+            if (boss.telegraph.timer <= 0) {
+                this.executeBossAbility(boss, boss.telegraph);
+                boss.telegraph = null;
+                boss.abilityCooldown = boss.abilityInterval;
+            }
+            return;
+        }
+
+        boss.abilityCooldown -= dt;
+
+        // Only start an ability when the player is close enough to see the warning
+        if (boss.abilityCooldown <= 0 && dist < 900) {
+            this.startBossTelegraph(boss);
+        }
+    }
+
+    /**
+     * Advance boss to its next phase - abilities fire faster and with more projectiles
+     * @param {Enemy} boss - The boss enemy
+     */
+    advanceBossPhase(boss) {
+        boss.phase++;
+        boss.abilityInterval *= CONFIG.BOSS_PHASE_INTERVAL_MULTIPLIER;
+        console.log(`[BOSS] ${boss.type} entered phase ${boss.phase}, ability interval ${boss.abilityInterval.toFixed(2)}s`);
+
+        this.showEventNotification(`⚠️ ${ENEMIES[boss.type].name.toUpperCase()} ENRAGED - PHASE ${boss.phase} ⚠️`, boss.color);
+
+        for (let i = 0; i < 30; i++) {
+            const angle = Math.random() * Math.PI * 2;
+            this.particles.emit(
+                boss.x + Math.cos(angle) * boss.radius,
+                boss.y + Math.sin(angle) * boss.radius,
+                {
+                    color: boss.color,
+                    size: 6 + Math.random() * 6,
+                    life: 1.0,
+                    type: 'square',
+                    vx: Math.cos(angle) * 150,
+                    vy: Math.sin(angle) * 150
+                }
+            );
+        }
+    }
+
+    /**
+     * Begin an ability telegraph - aim is locked now so the player can dodge
+     * @param {Enemy} boss - The boss enemy
+     */
+    startBossTelegraph(boss) {
+        const angle = Math.atan2(this.player.y - boss.y, this.player.x - boss.x);
+        const telegraph = {
+            ability: boss.specialAbility,
+            timer: CONFIG.BOSS_TELEGRAPH_TIME,
+            duration: CONFIG.BOSS_TELEGRAPH_TIME,
+            angle: angle,
+            angles: [],
+            zones: []
+        };
+
+        switch (boss.specialAbility) {
+            case 'bone_spear': {
+                // Fan of spears, two more per phase
+                const count = 3 + (boss.phase - 1) * 2;
+                const spread = 0.25;
+                const startAngle = angle - spread * (count - 1) / 2;
+                for (let i = 0; i < count; i++) {
+                    telegraph.angles.push(startAngle + spread * i);
+                }
+                break;
+            }
+            case 'void_blast':
+                // One zone on the player plus one more per phase around them
+                telegraph.zones.push({ x: this.player.x, y: this.player.y, radius: 90 });
+                for (let i = 1; i <= boss.phase; i++) {
+                    const zoneAngle = this.rng.next() * Math.PI * 2;
+                    const zoneDist = 120 + this.rng.next() * 100;
+                    telegraph.zones.push({
+                        x: this.player.x + Math.cos(zoneAngle) * zoneDist,
+                        y: this.player.y + Math.sin(zoneAngle) * zoneDist,
+                        radius: 90
+                    });
+                }
+                break;
+            case 'devil_blast':
+                // Fire pit under the player alongside the radial burst
+                telegraph.zones.push({ x: this.player.x, y: this.player.y, radius: 110 });
+                break;
+        }
+
+        boss.telegraph = telegraph;
+    }
+
+    /**
+     * Fire a boss special ability once its telegraph completes
+     * @param {Enemy} boss - The boss enemy
+     * @param {Object} telegraph - The completed telegraph
+     */
+    executeBossAbility(boss, telegraph) {
+        switch (telegraph.ability) {
+            case 'bone_spear': {
+                // Fan of bone spears along the telegraphed lines
+                for (let i = 0; i < telegraph.angles.length; i++) {
+                    this.fireBossProjectile(boss, telegraph.angles[i], 350, boss.damage * 0.6, {
+                        radius: 10, color: '#e8dcc0', lifetime: 3, weaponType: 'bone_spear'
+                    });
+                }
+                break;
+            }
+            case 'blood_bolt': {
+                // Slow homing bolts released in a small arc
+                const count = 2 + boss.phase;
+                const spread = 0.6;
+                const startAngle = telegraph.angle - spread * (count - 1) / 2;
+                for (let i = 0; i < count; i++) {
+                    this.fireBossProjectile(boss, startAngle + spread * i, 160, boss.damage * 0.4, {
+                        radius: 7, color: '#dc2626', lifetime: 4, homing: true
+                    });
+                }
+                break;
+            }
+            case 'void_blast': {
+                for (let i = 0; i < telegraph.zones.length; i++) {
+                    const zone = telegraph.zones[i];
+                    this.groundEffects.push(new GroundEffect(
+                        zone.x, zone.y, zone.radius, 4, boss.damage * 0.3, 0.5, '#7c3aed', 'enemy'
+                    ));
+                    this.particles.emitExplosion(zone.x, zone.y, '#7c3aed');
+                }
+                break;
+            }
+            case 'devil_blast': {
+                // Radial burst from the Devil plus a lingering fire pit
+                const count = 12 + boss.phase * 4;
+                for (let i = 0; i < count; i++) {
+                    const angle = telegraph.angle + (Math.PI * 2 / count) * i;
+                    this.fireBossProjectile(boss, angle, 260, boss.damage * 0.5, {
+                        radius: 9, color: '#ff4500', lifetime: 3
+                    });
+                }
+                for (let i = 0; i < telegraph.zones.length; i++) {
+                    const zone = telegraph.zones[i];
+                    this.groundEffects.push(new GroundEffect(
+                        zone.x, zone.y, zone.radius, 3, boss.damage * 0.3, 0.5, '#ff4500', 'enemy'
+                    ));
+                    this.particles.emitExplosion(zone.x, zone.y, '#ff4500');
+                }
+                break;
+            }
+        }
+
+        console.log(`[BOSS] ${boss.type} used ${telegraph.ability} (phase ${boss.phase})`);
+    }
+
+    /**
+     * Spawn an enemy-owned projectile from a boss
+     */
+    fireBossProjectile(boss, angle, speed, damage, config) {
+        const proj = this.projectilePool.get();
+        proj.active = true;
+        proj.init(
+            boss.x, boss.y,
+            Math.cos(angle) * speed,
+            Math.sin(angle) * speed,
+            damage,
+            'enemy',
+            { ...config, speed: speed }
+        );
+        this.projectiles.push(proj);
+    }
+    
+    updateProjectiles(dt) {
+        for (let i = this.projectiles.length - 1; i >= 0; i--) {
+            const proj = this.projectiles[i];
+            if (!proj.active) {
+                swapRemove(this.projectiles, i);
+                continue;
+            }
+
+            const alive = proj.update(dt, this.player, this);
+
+            if (!alive) {
+                if (proj.isExplosive) {
+                    this.createExplosion(proj.x, proj.y, proj.explosionRadius, proj.damage, proj.weaponId);
+                }
+                this.removeProjectile(i);
+                continue;
+            }
+            
+            // Check bounds
+            if (proj.x < 0 || proj.x > CONFIG.MAP_BOUNDS.width ||
+                proj.y < 0 || proj.y > CONFIG.MAP_BOUNDS.height) {
+                this.removeProjectile(i);
+                continue;
+            }
+
+            // Thrown weapons and enemy bolts break on trees, rocks and ruins
+            if (proj.blockedByObstacles && this.obstacles.blocks(proj.x, proj.y, proj.radius)) {
+                this.particles.emitExplosion(proj.x, proj.y, proj.color);
+                this.removeProjectile(i);
+                continue;
+            }
+            
+            // Check collisions
+            if (proj.owner === 'player') {
+                // OPTIMIZATION: The grid finds enemies touching the projectile
+                const enemiesHit = this.spatialHash.query(proj.x, proj.y, proj.radius);
+                const enemiesToKill = [];
+                
+                const enemyLen = enemiesHit.length;
+                for (let j = 0; j < enemyLen; j++) {
+                    const enemy = enemiesHit[j];
+                    if (proj.hitEnemies.has(enemy)) continue;
+
+                    let damage = proj.damage;
+                    let isCrit = false;
+
+                    if (this.rollCrit(proj.critChance)) {
+                        damage *= 2;
+                        isCrit = true;
+                    }
+
+                    const knockbackX = proj.vx * 0.05;
+                    const knockbackY = proj.vy * 0.05;
+
+                    const dead = enemy.takeDamage(damage, knockbackX, knockbackY);
+                    this.damageNumbers.add(enemy.x, enemy.y - 20, damage, isCrit);
+
+                    // Track damage dealt
+                    this.recordDamage(enemy, damage, proj.weaponId);
+
+                    proj.hitEnemies.add(enemy);
+
+                    // Apply Ice Shard slow effect
+                    if (proj.isIceShard) {
+                        enemy.applySlow(0.5, 1.5);
+                    }
+
+                    // Apply Poison Dagger poison effect
+                    if (proj.isPoisonDagger) {
+                        enemy.applyPoison(5.0);
+                    }
+
+                    // Apply Vampire Dagger lifesteal (fixed +1 HP)
+                    if (proj.isVampireDagger && proj.lifestealHeal) {
+                        const healAmount = proj.lifestealHeal; // Fixed +1 HP
+                        this.player.heal(healAmount);
+                        // Show heal effect
+                        this.showPickupEffect(this.player.x, this.player.y - 20, `+${healAmount}`, 'health');
+                    }
+
+                    if (dead) {
+                        enemiesToKill.push(enemy);
+                    }
+
+                    if (proj.isExplosive) {
+                        // Don't remove projectile, it will explode on lifetime end
+                    } else {
+                        proj.pierce--;
+                        if (proj.pierce <= 0) {
+                            this.removeProjectile(i);
+                            break;
+                        }
+                    }
+                }
+                
+                // Kill enemies after processing all collisions
+                for (let k = 0; k < enemiesToKill.length; k++) {
+                    this.killEnemy(enemiesToKill[k]);
+                }
+            } else {
+                // Enemy projectile hitting player
+                const dx = this.player.x - proj.x;
+                const dy = this.player.y - proj.y;
+                // OPTIMIZATION: Use squared distance for collision check
+                const distSq = dx * dx + dy * dy;
+                const combinedRadius = this.player.radius + proj.radius;
+                const combinedRadiusSq = combinedRadius * combinedRadius;
+
+                if (distSq < combinedRadiusSq) {
+                    const dead = this.player.takeDamage(proj.damage);
+                    this.removeProjectile(i);
+
+                    if (dead && !this.tryRevive()) {
+                        this.gameOver();
+                        return;
+                    }
+                }
+            }
+        }
+    }
+
+    /**
+     * OPTIMIZATION: Swap-remove a projectile and hand it back to the pool
+     * @param {number} index - Index in this.projectiles
+     */
+    removeProjectile(index) {
+        this.projectilePool.release(this.projectiles[index]);
+        swapRemove(this.projectiles, index);
+    }
+
+    updateLightningBolts(dt) {
+        // Update and remove expired lightning bolts
+        for (let i = this.lightningBolts.length - 1; i >= 0; i--) {
+            const bolt = this.lightningBolts[i];
+            bolt.life -= dt;
+            if (bolt.life <= 0) {
+                swapRemove(this.lightningBolts, i);
+            }
+        }
+    }
+
+    /**
+     * Track damage dealt to an enemy - run total and per-source breakdown
+     * @param {Enemy} enemy - The enemy that was hit
+     * @param {number} amount - Damage dealt
+     * @param {string|null} source - WEAPONS/EVOLUTIONS id, 'thorns' or 'poison', if known
+     */
+    recordDamage(enemy, amount, source) {
+        this.totalDamageDealt += amount;
+        if (source) {
+            this.getDamageSource(source).damage += amount;
+            enemy.lastDamageSource = source; // Credited with the kill
+        }
+    }
+
+    /**
+     * Per-run stats for one damage source, created on first use
+     * @param {string} id - WEAPONS/EVOLUTIONS id, 'thorns' or 'poison'
+     */
+    getDamageSource(id) {
+        let source = this.damageSources[id];
+        if (!source) {
+            source = { damage: 0, kills: 0, heldTime: 0, heldSince: null };
+            this.damageSources[id] = source;
+        }
+        return source;
+    }
+
+    /**
+     * Start or stop the clock on how long a weapon has been held this run
+     * @param {string} weaponId - WEAPONS/EVOLUTIONS id
+     * @param {boolean} held
+     */
+    setWeaponHeld(weaponId, held) {
+        const source = this.getDamageSource(weaponId);
+        if (held && source.heldSince === null) {
+            source.heldSince = this.gameTime;
+        } else if (!held && source.heldSince !== null) {
+            source.heldTime += this.gameTime - source.heldSince;
+            source.heldSince = null;
+        }
+    }
+
+    /**
+     * Roll a crit for one hit - the weapon's own crit chance plus Luck Clover
+     * @param {number} [baseChance] - Weapon/projectile crit chance
+     * @returns {boolean}
+     */
+    rollCrit(baseChance = 0) {
+        const chance = baseChance + this.player.critBonus;
+        return chance > 0 && this.rng.next() < chance;
+    }
+
+    /**
+     * Thorn Armor damage against a melee attacker
+     * @param {Enemy} enemy - The attacker
+     * @returns {boolean} - True if the attacker died
+     */
+    applyThorns(enemy) {
+        const damage = this.player.thornDamage * this.player.damageMultiplier;
+        const dead = enemy.takeDamage(damage, 0, 0);
+        this.damageNumbers.add(enemy.x, enemy.y - 20, damage, false, '#a3e635');
+        this.recordDamage(enemy, damage, 'thorns');
+
+        if (dead) {
+            this.killEnemy(enemy);
+        }
+        return dead;
+    }
+
+    // OPTIMIZATION: Use squared distance for explosion radius check
+    createExplosion(x, y, radius, damage, weaponId = null) {
+        // OPTIMIZATION: The grid finds enemies caught in the blast
+        const enemiesInBlast = this.spatialHash.query(x, y, radius);
+        const enemiesToKill = [];
+
+        const enemyLen = enemiesInBlast.length;
+        for (let i = 0; i < enemyLen; i++) {
+            const enemy = enemiesInBlast[i];
+            const dx = enemy.x - x;
+            const dy = enemy.y - y;
+            const isCrit = this.rollCrit();
+            const hitDamage = isCrit ? damage * 2 : damage;
+            const dead = enemy.takeDamage(hitDamage, dx * 0.1, dy * 0.1);
+            this.damageNumbers.add(enemy.x, enemy.y - 20, hitDamage, isCrit);
+
+            // Track damage dealt
+            this.recordDamage(enemy, hitDamage, weaponId);
+
+            if (dead) {
+                enemiesToKill.push(enemy);
+            }
+        }
+
+        // Kill enemies after processing all damage
+        for (let i = 0; i < enemiesToKill.length; i++) {
+            this.killEnemy(enemiesToKill[i]);
+        }
+
+        // Visual
+        this.particles.emitExplosion(x, y, '#ff6b35');
+    }
+
+    // OPTIMIZATION: Use squared distance and cache array lengths
+    updateGroundEffects(dt) {
+        for (let i = this.groundEffects.length - 1; i >= 0; i--) {
+            const effect = this.groundEffects[i];
+            const alive = effect.update(dt);
+
+            if (!alive) {
+                swapRemove(this.groundEffects, i);
+                continue;
+            }
+
+            // Boss hazard zones damage the player instead of enemies
+            if (effect.owner === 'enemy') {
+                if (effect.tickCooldown <= 0) {
+                    const dx = this.player.x - effect.x;
+                    const dy = this.player.y - effect.y;
+                    const combinedRadius = effect.radius + this.player.radius;
+                    if (dx * dx + dy * dy < combinedRadius * combinedRadius) {
+                        effect.tickCooldown = effect.tickRate;
+                        const dead = this.player.takeDamage(effect.damage);
+                        if (dead && !this.tryRevive()) {
+                            this.gameOver();
+                            return;
+                        }
+                    }
+                }
+                continue;
+            }
+
+            // Damage enemies in pool
+            if (effect.tickCooldown <= 0) {
+                effect.tickCooldown = effect.tickRate;
+
+                // OPTIMIZATION: The grid finds enemies standing in the pool
+                const enemiesInPool = this.spatialHash.query(effect.x, effect.y, effect.radius);
+                const enemiesToKill = [];
+
+                const enemyLen = enemiesInPool.length;
+                for (let j = 0; j < enemyLen; j++) {
+                    const enemy = enemiesInPool[j];
+                    if (effect.hitEnemies.has(enemy)) {
+                        // DEBUG: Skip already hit enemy
+                        if (enemy.isBoss) {
+                            console.log(`[GROUND] Skip ${enemy.type} - already hit this pool`);
+                        }
+                        continue;
+                    }
+
+                    const isCrit = this.rollCrit();
+                    const hitDamage = isCrit ? effect.damage * 2 : effect.damage;
+                    const dead = enemy.takeDamage(hitDamage, 0, 0);
+                    this.damageNumbers.add(enemy.x, enemy.y - 20, hitDamage, isCrit);
+
+                    // Track damage dealt
+                    this.recordDamage(enemy, hitDamage, effect.weaponId);
+
+                    // FIX: Add enemy to hit set to prevent multiple damage ticks per pool
+                    effect.hitEnemies.add(enemy);
+                    if (enemy.isBoss) {
+                        console.log(`[GROUND] Hit ${enemy.type} for ${effect.damage.toFixed(1)}, pool hits=${effect.hitEnemies.size}`);
+                    }
+
+                    if (dead) {
+                        enemiesToKill.push(enemy);
+                    }
+                }
+
+                // Kill enemies after processing all damage
+                for (let k = 0; k < enemiesToKill.length; k++) {
+                    this.killEnemy(enemiesToKill[k]);
+                }
+            }
+        }
+    }
+    
+    updateXpGems(dt) {
+        for (let i = this.xpGems.length - 1; i >= 0; i--) {
+            const gem = this.xpGems[i];
+            const collected = gem.update(dt, this.player);
+
+            if (collected === true) {
+                // Collected by player
+                // Luck Clover scales gem XP
+                const leveledUp = this.player.addXp(gem.value * (1 + this.player.xpBonus));
+                swapRemove(this.xpGems, i);
+
+                // Only trigger level up if game is in playing state
+                if (leveledUp && this.state === 'playing') {
+                    this.triggerLevelUp();
+                }
+            } else if (collected === false && gem.lifetime <= 0) {
+                // Expired - remove without collecting
+                swapRemove(this.xpGems, i);
+            }
+        }
+    }
+
+    updateHealthPacks(dt) {
+        for (let i = this.healthPacks.length - 1; i >= 0; i--) {
+            const pack = this.healthPacks[i];
+            const collected = pack.update(dt, this.player);
+
+            if (collected) {
+                // Heal player
+                const healAmount = this.player.maxHp * pack.healPercent;
+                this.player.heal(healAmount);
+
+                // Show pickup effect
+                this.showPickupEffect(pack.x, pack.y, `+${Math.round(healAmount)} HP`, 'health');
+
+                swapRemove(this.healthPacks, i);
+            }
+        }
+    }
+
+    showPickupEffect(x, y, text, type) {
+        // Create a floating text effect using the damage number system
+        this.damageNumbers.numbers.push({
+            x, y,
+            damage: text,
+            life: 0.8,
+            isCrit: false,
+            vy: -40,
+            isHeal: true,
+            healType: type
+        });
+    }
+
+    killEnemy(enemy) {
+        // Already dead - a second lethal hit in the same frame must not pay out twice
+        if (!removeEntity(this.enemies, enemy)) return;
+        this.spatialHash.remove(enemy);
+
+        this.kills++;
+        this.saveData.stats.totalKills++;
+        if (enemy.lastDamageSource) {
+            this.getDamageSource(enemy.lastDamageSource).kills++;
+        }
+
+        // Calculate XP value with Treasure Wave bonus
+        let xpValue = enemy.xpValue;
+        if (this.activeEvents.treasureWave) {
+            xpValue = Math.floor(xpValue * (1 + CONFIG.TREASURE_WAVE_XP_BONUS));
+        }
+        if (this.curses.famine) {
+            xpValue = Math.max(1, Math.floor(xpValue * (1 + this.getCurseBonus('xpGain'))));
+        }
+
+        // Drop XP
+        const gem = new XpGem(enemy.x, enemy.y, xpValue);
+        this.xpGems.push(gem);
+
+        // Spawn health pack every 100 kills
+        if (this.kills % 100 === 0) {
+            this.spawnHealthPack();
+        }
+
+        if (enemy.isMiniBoss && enemy.loot) {
+            this.dropMiniBossLoot(enemy, xpValue);
+        }
+
+        // Killing blows on a reflecting enemy still bounce back next frame
+        this.pendingReflectDamage += enemy.reflectedDamage;
+
+        // Blood particles
+        this.particles.emitBlood(enemy.x, enemy.y);
+        this.audio.play(enemy.isBoss ? 'bossKill' : 'kill');
+
+        if (enemy.isBoss) {
+            this.checkWeaponUnlocks(enemy.type);
+        }
+    }
+
+    spawnHealthPack() {
+        // Spawn at random position within map bounds
+        const padding = 100;
+        const x = padding + this.rng.next() * (CONFIG.MAP_BOUNDS.width - padding * 2);
+        const y = padding + this.rng.next() * (CONFIG.MAP_BOUNDS.height - padding * 2);
+        const healthPack = new HealthPack(x, y, 0.2); // Heals 20% HP
+        this.healthPacks.push(healthPack);
+    }
+    
+    triggerLevelUp() {
+        this.state = 'levelup';
+        this.audio.play('levelUp');
+        this.pendingLevel = this.player.level;
+        this.showLevelUpScreen();
+    }
+    
+    showLevelUpScreen() {
+        const options = this.generateUpgradeOptions();
+        this.currentUpgradeOptions = options;
+
+        // Headless runs pick from currentUpgradeOptions directly
+        if (this.headless) return;
+
+        const screen = document.getElementById('levelUpScreen');
+        const container = document.getElementById('upgradeCards');
+        container.innerHTML = '';
+        
+        for (const option of options) {
+            const card = this.createUpgradeCard(option);
+            container.appendChild(card);
+        }
+        this.focusedCardIndex = -1; // Nothing focused until a key/gamepad navigates
+        
+        screen.style.display = 'block';
+    }
+
+    /**
+     * Keyboard/gamepad navigation of the level-up cards
+     * @param {string} action - 'up', 'down', 'left', 'right' or 'confirm'
+     */
+    handleMenuInput(action) {
+        if (this.state !== 'levelup' || this.replayPlayer) return;
+
+        const count = this.currentUpgradeOptions.length;
+        if (count === 0) return;
+
+        if (action === 'confirm') {
+            if (this.focusedCardIndex >= 0) {
+                this.selectUpgrade(this.currentUpgradeOptions[this.focusedCardIndex]);
+            }
+            return;
+        }
+
+        // Cards are one row (wrapping into a column on phones) - both axes step through them
+        const step = action === 'left' || action === 'up' ? -1 : 1;
+        this.focusedCardIndex = this.focusedCardIndex < 0
+            ? 0
+            : (this.focusedCardIndex + step + count) % count;
+
+        const cards = document.getElementById('upgradeCards').children;
+        for (let i = 0; i < cards.length; i++) {
+            cards[i].classList.toggle('focused', i === this.focusedCardIndex);
+        }
+    }
+    
+    /**
+     * Evolutions whose maxed weapon and maxed passive the player currently holds
+     * @returns {Object[]} - Upgrade options of type 'evolution'
+     */
+    getAvailableEvolutions() {
+        const options = [];
+        for (const evolution of Object.values(EVOLUTIONS)) {
+            const weapon = this.player.weapons.find(w => w.id === evolution.from);
+            if (!weapon || weapon.level < weapon.maxLevel) continue;
+            if ((this.player.passives[evolution.passive] || 0) < PASSIVES[evolution.passive].maxLevel) continue;
+
+            options.push({
+                type: 'evolution',
+                weapon: weapon,
+                weaponId: weapon.id,
+                evolutionId: evolution.id,
+                rarity: 'legendary'
+            });
+        }
+        return options;
+    }
+
+    generateUpgradeOptions() {
+        const options = [];
+        const pool = [];
+        
+        // Add weapon upgrades
+        for (const weapon of this.player.weapons) {
+            if (weapon.level < weapon.maxLevel) {
+                pool.push({
+                    type: 'weaponUpgrade',
+                    weapon: weapon,
+                    weaponId: weapon.id,
+                    rarity: this.getRarity()
+                });
+            }
+        }
+        
+        // Add new weapon option (only if less than 6 weapons)
+        if (this.player.weapons.length < 6) {
+            for (const weaponId of Object.keys(WEAPONS)) {
+                if (!this.player.weapons.find(w => w.id === weaponId || w.evolvedFrom === weaponId)) {
+                    pool.push({
+                        type: 'newWeapon',
+                        weaponId: weaponId,
+                        rarity: 'rare'
+                    });
+                }
+            }
+        }
+        
+        // Add passive upgrades
+        for (const passiveId of Object.keys(PASSIVES)) {
+            const current = this.player.passives[passiveId] || 0;
+            if (current < PASSIVES[passiveId].maxLevel) {
+                pool.push({
+                    type: 'passive',
+                    passiveId: passiveId,
+                    rarity: this.getRarity()
+                });
+            }
+        }
+        
+        // Shuffle and select 3 unique options
+        for (let i = pool.length - 1; i > 0; i--) {
+            const j = Math.floor(this.rng.next() * (i + 1));
+            [pool[i], pool[j]] = [pool[j], pool[i]];
+        }
+        
+        // Evolutions always take the first slots (outside the pool so they don't change the RNG draws)
+        const selected = this.getAvailableEvolutions().slice(0, 3);
+        const seen = new Set();
+        
+        for (const option of pool) {
+            if (selected.length >= 3) break;
+            
+            let key = option.type;
+            if (option.type === 'weaponUpgrade') key += option.weaponId;
+            if (option.type === 'newWeapon') key += option.weaponId;
+            if (option.type === 'passive') key += option.passiveId;
+            
+            if (!seen.has(key)) {
+                seen.add(key);
+                selected.push(option);
+            }
+        }
+        
+        // Ensure we have at least 3 options
+        while (selected.length < 3 && pool.length > 0) {
+            const random = pool[Math.floor(this.rng.next() * pool.length)];
+            selected.push(random);
+        }
+        
+        return selected;
+    }
+    
+    /**
+     * Replace a maxed weapon with its evolved form, keeping its upgraded stats
+     * @param {string} weaponId - WEAPONS id of the maxed weapon
+     * @param {string} evolutionId - EVOLUTIONS id
+     */
+    evolveWeapon(weaponId, evolutionId) {
+        const index = this.player.weapons.findIndex(w => w.id === weaponId);
+        if (index === -1) return;
+
+        const base = this.player.weapons[index];
+        const evolution = EVOLUTIONS[evolutionId];
+        const evolved = {
+            ...base,
+            id: evolution.id,
+            name: evolution.name,
+            icon: evolution.icon,
+            description: evolution.description,
+            evolvedFrom: base.id,
+            damage: base.damage * evolution.damageMultiplier,
+            baseCooldown: base.baseCooldown * evolution.cooldownMultiplier,
+            currentCooldown: 0
+        };
+        for (const [stat, value] of Object.entries(evolution.bonus)) {
+            evolved[stat] = (evolved[stat] || 0) + value;
+        }
+
+        this.player.weapons[index] = evolved;
+        this.setWeaponHeld(base.id, false);
+        this.setWeaponHeld(evolution.id, true);
+        console.log(`[EVOLUTION] ${base.name} evolved into ${evolution.name}`);
+        if (!this.headless) {
+            this.showEventNotification(`${evolution.icon} ${evolution.name.toUpperCase()} ${evolution.icon}`, '#fbbf24');
+        }
+    }
+
+    getRarity() {
+        const rand = this.rng.next();
+        if (rand < 0.03) return 'legendary';
+        if (rand < 0.15) return 'epic';
+        if (rand < 0.5) return 'rare';
+        return 'common';
+    }
+    
+    createUpgradeCard(option) {
+        const card = document.createElement('div');
+        card.className = `upgrade-card ${option.rarity}`;
+        
+        let icon, name, description;
+        
+        if (option.type === 'weaponUpgrade') {
+            const weapon = option.weapon;
+            const nextLevel = weapon.level + 1;
+            const upgrade = weapon.upgrades.find(u => u.level === nextLevel);
+            
+            icon = this.getWeaponIconHtml(weapon.id);
+            name = `${weapon.name} Lv.${nextLevel}`;
+            description = this.getUpgradeDescription(weapon, upgrade);
+        } else if (option.type === 'newWeapon') {
+            const weapon = WEAPONS[option.weaponId];
+            icon = this.getWeaponIconHtml(option.weaponId);
+            name = weapon.name;
+            description = weapon.description;
+        } else if (option.type === 'passive') {
+            const passive = PASSIVES[option.passiveId];
+            const current = this.player.passives[option.passiveId] || 0;
+            icon = passive.icon;
+            name = `${passive.name} Lv.${current + 1}`;
+            description = passive.description;
+        } else if (option.type === 'evolution') {
+            const evolution = EVOLUTIONS[option.evolutionId];
+            card.classList.add('evolution');
+            icon = evolution.icon;
+            name = `EVOLVE: ${evolution.name}`;
+            description = `${option.weapon.name} + ${PASSIVES[evolution.passive].name}. ${evolution.description}`;
+        }
+        
+        card.innerHTML = `
+            <div class="upgrade-icon">${icon}</div>
+            <div class="upgrade-name">${name}</div>
+            <div class="upgrade-description">${description}</div>
+            <span class="upgrade-rarity">${option.rarity}</span>
+        `;
+        
+        card.onclick = () => this.selectUpgrade(option);
+        
+        return card;
+    }
+    
+    getUpgradeDescription(weapon, upgrade) {
+        if (!upgrade) return 'Max level reached';
+
+        const parts = [];
+        if (upgrade.damage) parts.push(`+${upgrade.damage} Damage`);
+        if (upgrade.range) parts.push(`+${upgrade.range} Range`);
+
+        if (upgrade.pierce) parts.push(`+1 Pierce`);
+        if (upgrade.explosionRadius) parts.push(`+${upgrade.explosionRadius} Explosion`);
+        if (upgrade.chainCount) parts.push(`+${upgrade.chainCount} Chains`);
+        if (upgrade.chainRange) parts.push(`+${upgrade.chainRange} Chain Range`);
+        if (upgrade.poolDuration) parts.push(`+${upgrade.poolDuration}s Duration`);
+        if (upgrade.poolRadius) parts.push(`+${upgrade.poolRadius} Pool Size`);
+        if (upgrade.critChance) parts.push(`+${(upgrade.critChance * 100).toFixed(0)}% Crit`);
+
+        return parts.join(', ');
+    }
+    
+    selectUpgrade(option) {
+        if (this.recorder) {
+            this.recorder.recordUpgrade(this.currentUpgradeOptions.indexOf(option), option);
+        }
+
+        if (option.type === 'weaponUpgrade') {
+            const weapon = option.weapon;
+            const nextLevel = weapon.level + 1;
+            const upgrade = weapon.upgrades.find(u => u.level === nextLevel);
+
+            if (upgrade) {
+                weapon.level = nextLevel;
+                if (upgrade.damage) weapon.damage += upgrade.damage;
+                if (upgrade.range) weapon.range += upgrade.range;
+                if (upgrade.pierce) weapon.pierce += upgrade.pierce;
+                if (upgrade.explosionRadius) weapon.explosionRadius += upgrade.explosionRadius;
+                if (upgrade.chainCount) weapon.chainCount += upgrade.chainCount;
+                if (upgrade.chainRange) weapon.chainRange += upgrade.chainRange;
+                if (upgrade.poolDuration) weapon.poolDuration += upgrade.poolDuration;
+                if (upgrade.poolRadius) weapon.poolRadius += upgrade.poolRadius;
+                if (upgrade.critChance) weapon.critChance += upgrade.critChance;
+            }
+        } else if (option.type === 'newWeapon') {
+            const weapon = this.createWeapon(option.weaponId);
+            this.player.weapons.push(weapon);
+            this.setWeaponHeld(option.weaponId, true);
+            
+            // Finding a weapon in a run also unlocks it as a starting weapon
+            this.unlockWeapon(option.weaponId);
+        } else if (option.type === 'evolution') {
+            this.evolveWeapon(option.weaponId, option.evolutionId);
+        } else if (option.type === 'passive') {
+            const passiveId = option.passiveId;
+            const passive = PASSIVES[passiveId];
+            const current = this.player.passives[passiveId] || 0;
+
+            if (current < passive.maxLevel) {
+                this.player.passives[passiveId] = current + 1;
+                const value = passive.values[current];
+
+                switch (passive.stat) {
+                    case 'movementSpeed':
+                        this.player.movementBonus += value;
+                        break;
+                    case 'attackSpeed':
+                        this.player.attackSpeedMultiplier += value;
+                        break;
+                    case 'damage':
+                        this.player.damageMultiplier += value;
+                        break;
+                    case 'maxHealth':
+                        this.player.maxHp += value;
+                        this.player.heal(Math.floor(value * 0.3));
+                        break;
+                    case 'area':
+                        this.player.areaMultiplier += value;
+                        break;
+                    case 'cooldownReduction':
+                        this.player.cooldownReduction += value;
+                        break;
+                    case 'pickupRange':
+                        this.player.passives.goldMagnet = (this.player.passives.goldMagnet || 0) + value;
+                        break;
+                    case 'regeneration':
+                        this.player.regeneration += value;
+                        break;
+                    case 'immortalityShield':
+                        // Grant full shield charges when acquiring Immortality Shield
+                        this.player.shieldCharges = this.player.shieldMaxCharges;
+                        break;
+                    case 'luck':
+                        this.player.critBonus += value;
+                        this.player.xpBonus += passive.xpBonus[current];
+                        break;
+                    case 'thornDamage':
+                        this.player.thornDamage += value;
+                        break;
+                }
+            }
+        }
+
+        if (!this.headless) {
+            document.getElementById('levelUpScreen').style.display = 'none';
+        }
+        this.state = 'playing';
+        this.lastTime = performance.now();
+        
+        // Reset joystick and input
+        if (this.joystick) {
+            this.joystick.setActive(false);
+        }
+        this.input.resetJoystick();
+        
+        // gameLoop keeps running during level-up, so no new requestAnimationFrame here
+        // (a second loop would double-step replays)
+        this.updateWeaponBar();
+    }
+
+    /**
+     * Apply the next recorded upgrade pick during replay playback
+     */
+    applyReplayUpgrade() {
+        const pick = this.replayPlayer.nextUpgrade();
+        const options = this.currentUpgradeOptions;
+        let option = pick ? options[pick.index] : null;
+
+        if (!option || option.type !== pick.type || (option.weaponId || option.passiveId) !== pick.id) {
+            console.warn('[REPLAY] Upgrade pick does not match the offered options - replay may desync', pick);
+            option = options[0];
+        }
+        if (option) {
+            this.selectUpgrade(option);
+        }
+    }
+
+    /**
+     * Start playing back a replay - re-seeds the run and drives it from recorded frames
+     * @param {Object} data - Replay data (see ReplayRecorder)
+     */
+    startReplay(data) {
+        if (!ReplayPlayer.isValid(data)) {
+            console.error('[REPLAY] Invalid replay data');
+            alert('This replay file is invalid or from an unsupported version.');
+            return;
+        }
+
+        document.getElementById('startScreen').style.display = 'none';
+        document.getElementById('gameOverScreen').style.display = 'none';
+        document.getElementById('levelUpScreen').style.display = 'none';
+
+        this.audio.unlock();
+        this.replayPlayer = new ReplayPlayer(data);
+        this.initGame(data.weapon, data.seed, {
+            permanentUpgrades: data.permanentUpgrades || {},
+            stage: data.stage || DEFAULT_STAGE,
+            biome: data.biome || DEFAULT_BIOME,
+            endless: !!data.endless
+        });
+        this.state = 'playing';
+        this.lastTime = performance.now();
+        this.showEventNotification('▶ REPLAY', '#667eea');
+
+        if (this.joystick) {
+            this.joystick.setActive(false);
+        }
+        this.input.resetJoystick();
+
+        requestAnimationFrame(() => this.gameLoop());
+    }
+
+    watchLastReplay() {
+        if (this.lastReplay) {
+            this.startReplay(this.lastReplay);
+        }
+    }
+
+    loadReplayFile(file) {
+        if (!file) return;
+
+        const reader = new FileReader();
+        reader.onload = () => {
+            let data = null;
+            try {
+                data = JSON.parse(reader.result);
+            } catch (e) {
+                console.error('[REPLAY] Failed to parse replay file:', e);
+            }
+            this.startReplay(data);
+        };
+        reader.readAsText(file);
+    }
+
+    exportReplay() {
+        if (!this.lastReplay) return;
+
+        const blob = new Blob([JSON.stringify(this.lastReplay)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `shadow-survivor-replay-${this.lastReplay.seed}.json`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
+    /**
+     * Keep the finished run's replay and show the replay buttons on the end screen
+     */
+    finishReplayRecording() {
+        if (this.replayPlayer) {
+            this.lastReplay = this.replayPlayer.data;
+        } else if (this.recorder) {
+            this.lastReplay = this.recorder.data;
+            this.recorder = null;
+        }
+
+        const display = this.lastReplay ? 'inline-block' : 'none';
+        document.getElementById('watchReplayBtn').style.display = display;
+        document.getElementById('exportReplayBtn').style.display = display;
+    }
+
+    // ==================== BENCHMARK ====================
+    /**
+     * Stress scene for the entity update path - an unkillable player with BENCHMARK_WEAPONS,
+     * kept surrounded by at least enemyCount enemies.
+     * index.html?benchmark=500 in the browser (update + render, see recordBenchmarkFrame),
+     * tools/benchmark.js headless (update only)
+     * @param {number} enemyCount
+     * @param {number} [seed]
+     */
+    startBenchmark(enemyCount, seed = 1) {
+        console.log('[BENCHMARK] Starting with', enemyCount, 'enemies');
+        this.replayPlayer = null;
+        this.initGame(BENCHMARK_WEAPONS[0], seed);
+        this.recorder = null; // Nothing to replay or save
+
+        for (const weaponId of BENCHMARK_WEAPONS.slice(1)) {
+            this.player.weapons.push(this.createWeapon(weaponId));
+            this.setWeaponHeld(weaponId, true);
+        }
+        this.player.xpToNext = Infinity; // No level-up screens
+        this.benchmark = { enemyCount, frames: 0, updateTimes: [], renderTimes: [], frameTimes: [], report: null };
+        this.updateBenchmark();
+        this.state = 'playing';
+        if (this.headless) return;
+
+        document.getElementById('startScreen').style.display = 'none';
+        document.getElementById('fpsDisplay').style.display = 'block';
+        this.updateWeaponBar();
+        this.lastTime = performance.now();
+        requestAnimationFrame(() => this.gameLoop());
+    }
+
+    /**
+     * Top the horde back up around the player and undo any damage taken
+     */
+    updateBenchmark() {
+        const { types, weights } = this.getSpawnTable();
+        while (this.enemies.length < this.benchmark.enemyCount) {
+            const angle = this.rng.next() * Math.PI * 2;
+            const distance = 150 + this.rng.next() * 1000;
+            this.createEnemy(
+                this.weightedRandom(types, weights),
+                this.player.x + Math.cos(angle) * distance,
+                this.player.y + Math.sin(angle) * distance
+            );
+        }
+        this.player.hp = this.player.maxHp;
+    }
+
+    /**
+     * Time one browser frame of the benchmark scene. After the warmup, BENCHMARK_SAMPLE_FRAMES
+     * frames are logged as a [BENCHMARK] report (also kept in game.benchmark.report) that
+     * passes if the 95th percentile update + render fits the 60 FPS frame budget
+     * @param {number} updateMs
+     * @param {number} renderMs
+     */
+    recordBenchmarkFrame(updateMs, renderMs) {
+        const benchmark = this.benchmark;
+        benchmark.frames++;
+        if (benchmark.report || benchmark.frames <= BENCHMARK_WARMUP_FRAMES) return;
+
+        benchmark.updateTimes.push(updateMs);
+        benchmark.renderTimes.push(renderMs);
+        benchmark.frameTimes.push(updateMs + renderMs);
+        if (benchmark.frameTimes.length < BENCHMARK_SAMPLE_FRAMES) return;
+
+        const frame = summarizeFrameTimes(benchmark.frameTimes);
+        benchmark.report = {
+            enemies: benchmark.enemyCount,
+            frames: benchmark.frameTimes.length,
+            update: summarizeFrameTimes(benchmark.updateTimes),
+            render: summarizeFrameTimes(benchmark.renderTimes),
+            frame: frame,
+            budgetMs: FRAME_BUDGET_MS,
+            pass: frame.p95Ms < FRAME_BUDGET_MS
+        };
+
+        const row = stats => `avg ${stats.avgMs.toFixed(2)}ms, p95 ${stats.p95Ms.toFixed(2)}ms, max ${stats.maxMs.toFixed(2)}ms`;
+        const report = benchmark.report;
+        console.log(`[BENCHMARK] ${report.enemies} enemies over ${report.frames} frames`);
+        console.log(`[BENCHMARK] update:          ${row(report.update)}`);
+        console.log(`[BENCHMARK] render:          ${row(report.render)}`);
+        console.log(`[BENCHMARK] update + render: ${row(report.frame)}`);
+        console.log(`[BENCHMARK] ${report.pass ? 'PASS' : 'FAIL'}: p95 frame ${report.pass ? 'within' : 'over'} the ${FRAME_BUDGET_MS.toFixed(1)}ms budget`);
+    }
+
+    // ==================== META PROGRESSION ====================
+    /**
+     * Spend a shop revive instead of ending the run
+     * @returns {boolean} - True if the player was revived
+     */
+    tryRevive() {
+        const p = this.player;
+        if (p.revives <= 0) return false;
+
+        p.revives--;
+        p.hp = p.maxHp * CONFIG.REVIVE_HP_PERCENT;
+        p.invincible = true;
+        p.invincibleTimer = CONFIG.REVIVE_INVINCIBILITY;
+        console.log('[SHOP] Revive used,', p.revives, 'left');
+
+        if (!this.headless) {
+            this.showEventNotification('✨ REVIVED ✨', '#fbbf24');
+            this.particles.emitExplosion(p.x, p.y, '#fbbf24');
+        }
+        return true;
+    }
+
+    /**
+     * Add this run's souls (kills + waves) to the save
+     * @param {boolean} isVictory - Survived the full run
+     * @returns {number} - Souls earned
+     */
+    awardSouls(isVictory) {
+        let souls = Math.floor(this.kills * CONFIG.SOULS_PER_KILL + this.wave * CONFIG.SOULS_PER_WAVE);
+        if (isVictory) souls += CONFIG.SOULS_VICTORY_BONUS;
+        this.saveData.souls += souls;
+        console.log('[SHOP] Earned', souls, 'souls, total', this.saveData.souls);
+        return souls;
+    }
+
+    getShopUpgradeCost(upgradeId) {
+        const upgrade = SHOP_UPGRADES[upgradeId];
+        const level = this.saveData.permanentUpgrades[upgradeId] || 0;
+        return level < upgrade.maxLevel ? upgrade.costs[level] : null;
+    }
+
+    buyShopUpgrade(upgradeId) {
+        const cost = this.getShopUpgradeCost(upgradeId);
+        if (cost === null || this.saveData.souls < cost) return;
+
+        this.saveData.souls -= cost;
+        this.saveData.permanentUpgrades[upgradeId] = (this.saveData.permanentUpgrades[upgradeId] || 0) + 1;
+        this.saveGame();
+        console.log('[SHOP] Bought', upgradeId, 'level', this.saveData.permanentUpgrades[upgradeId]);
+        this.renderShop();
+    }
+
+    openShop() {
+        document.getElementById('startScreen').style.display = 'none';
+        document.getElementById('shopScreen').style.display = 'flex';
+        this.renderShop();
+    }
+
+    closeShop() {
+        document.getElementById('shopScreen').style.display = 'none';
+        document.getElementById('startScreen').style.display = 'flex';
+    }
+
+    renderShop() {
+        document.getElementById('shopSouls').textContent = this.saveData.souls;
+        const container = document.getElementById('shopCards');
+        container.innerHTML = '';
+
+        for (const upgrade of Object.values(SHOP_UPGRADES)) {
+            const level = this.saveData.permanentUpgrades[upgrade.id] || 0;
+            const cost = this.getShopUpgradeCost(upgrade.id);
+            const affordable = cost !== null && this.saveData.souls >= cost;
+
+            const card = document.createElement('div');
+            card.className = `weapon-select-card shop-card${affordable ? '' : ' disabled'}`;
+            card.innerHTML = `
+                <div class="weapon-select-icon">${upgrade.icon}</div>
+                <div class="weapon-select-name">${upgrade.name}</div>
+                <div class="weapon-select-description">${upgrade.description}</div>
+                <div class="shop-level">Lv. ${level}/${upgrade.maxLevel}</div>
+                <div class="shop-cost">${cost === null ? 'MAX' : `👻 ${cost}`}</div>
+            `;
+            if (affordable) {
+                card.onclick = () => this.buyShopUpgrade(upgrade.id);
+            }
+            container.appendChild(card);
+        }
+    }
+
+    // ==================== RUN HISTORY ====================
+    getRunHistory() {
+        return new RunHistory(this.saveData.runHistory);
+    }
+
+    /**
+     * Snapshot the finished run for the leaderboard
+     * @param {string} result - 'death' or 'victory'
+     * @returns {Object}
+     */
+    createRunRecord(result) {
+        const date = Date.now();
+        const weaponDamage = {};
+        for (const id in this.damageSources) {
+            weaponDamage[id] = Math.round(this.damageSources[id].damage);
+        }
+
+        return {
+            id: `${date}-${this.seed}`,
+            date: date,
+            seed: this.seed,
+            weapon: this.startingWeapon,
+            mode: this.endless ? 'endless' : 'standard',
+            stage: this.stageId,
+            biome: this.biome.id,
+            result: result,
+            time: Math.floor(this.gameTime),
+            level: this.player.level,
+            kills: this.kills,
+            wave: this.wave,
+            build: {
+                weapons: this.player.weapons.map(w => ({ id: w.id, level: w.level })),
+                passives: { ...this.player.passives }
+            },
+            totalDamage: Math.round(this.totalDamageDealt),
+            weaponDamage: weaponDamage
+        };
+    }
+
+    openLeaderboard() {
+        document.getElementById('startScreen').style.display = 'none';
+        document.getElementById('leaderboardScreen').style.display = 'flex';
+        this.renderLeaderboard();
+    }
+
+    closeLeaderboard() {
+        document.getElementById('leaderboardScreen').style.display = 'none';
+        document.getElementById('startScreen').style.display = 'flex';
+    }
+
+    /**
+     * Leaderboard table for the current filter and sort selections
+     */
+    renderLeaderboard() {
+        const history = this.getRunHistory();
+        const weaponSelect = document.getElementById('leaderboardWeapon');
+        const modeSelect = document.getElementById('leaderboardMode');
+        const sortSelect = document.getElementById('leaderboardSort');
+
+        // Only offer weapons that have runs, keeping the current pick
+        const weapon = weaponSelect.value || 'all';
+        const weapons = history.getWeapons().filter(id => WEAPONS[id]);
+        weaponSelect.innerHTML = '<option value="all">All Weapons</option>' +
+            weapons.map(id => `<option value="${id}">${WEAPONS[id].icon} ${WEAPONS[id].name}</option>`).join('');
+        weaponSelect.value = weapons.includes(weapon) ? weapon : 'all';
+
+        if (!sortSelect.options.length) {
+            sortSelect.innerHTML = Object.entries(RUN_SORTS)
+                .map(([key, sort]) => `<option value="${key}">${sort.label}</option>`)
+                .join('');
+        }
+
+        const runs = history.query({
+            weapon: weaponSelect.value,
+            mode: modeSelect.value,
+            sort: sortSelect.value
+        });
+
+        const body = document.getElementById('leaderboardRows');
+        if (runs.length === 0) {
+            body.innerHTML = '<tr><td colspan="9" class="leaderboard-empty">No runs yet</td></tr>';
+            return;
+        }
+
+        // Rows are built with textContent - imported histories come from other players
+        body.innerHTML = '';
+        runs.forEach((run, i) => {
+            const weaponData = WEAPONS[run.weapon] || EVOLUTIONS[run.weapon] || { icon: '?', name: run.weapon };
+            const build = (run.build ? run.build.weapons : [])
+                .map(w => (WEAPONS[w.id] || EVOLUTIONS[w.id] || { icon: '?' }).icon)
+                .join('');
+            const row = document.createElement('tr');
+            if (run.result === 'victory') row.className = 'leaderboard-victory';
+
+            const cells = [
+                i + 1,
+                new Date(run.date).toLocaleDateString(),
+                weaponData.icon,
+                `${run.mode === 'endless' ? '♾️' : ''}${this.formatTime(run.time)}`,
+                run.level,
+                run.kills,
+                run.wave,
+                run.totalDamage,
+                build
+            ];
+            cells.forEach(text => {
+                const cell = document.createElement('td');
+                cell.textContent = text;
+                row.appendChild(cell);
+            });
+            row.children[2].title = weaponData.name;
+            row.lastChild.className = 'leaderboard-build';
+            body.appendChild(row);
+        });
+    }
+
+    exportRunHistory() {
+        const blob = new Blob([JSON.stringify(this.getRunHistory().export())], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = 'shadow-survivor-runs.json';
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
+    /**
+     * Merge a teammate's exported run history into ours
+     * @param {File} file
+     */
+    importRunHistoryFile(file) {
+        if (!file) return;
+
+        const reader = new FileReader();
+        reader.onload = () => {
+            let data = null;
+            try {
+                data = JSON.parse(reader.result);
+            } catch (e) {
+                console.error('[RUNS] Failed to parse run history file:', e);
+            }
+
+            const added = this.getRunHistory().import(data);
+            if (added < 0) {
+                alert('This file is not a run history or is from an unsupported version.');
+                return;
+            }
+            console.log('[RUNS] Imported', added, 'runs');
+            this.saveGame();
+            this.renderLeaderboard();
+        };
+        reader.readAsText(file);
+    }
+
+    // ==================== DAMAGE BREAKDOWN ====================
+    /**
+     * Per-source damage, DPS, kills and time held for the results screen, most damage first.
+     * Weapon DPS is over the time the weapon was held, thorns and poison over the whole run
+     * @returns {Object[]}
+     */
+    getDamageBreakdown() {
+        const rows = [];
+        for (const [id, source] of Object.entries(this.damageSources)) {
+            if (source.damage <= 0) continue;
+
+            const data = WEAPONS[id] || EVOLUTIONS[id] || DAMAGE_SOURCES[id];
+            const isWeapon = !DAMAGE_SOURCES[id];
+            const heldTime = source.heldTime + (source.heldSince !== null ? this.gameTime - source.heldSince : 0);
+            const activeTime = isWeapon ? heldTime : this.gameTime;
+            rows.push({
+                id: id,
+                name: data ? data.name : id,
+                icon: data ? data.icon : '?',
+                damage: source.damage,
+                dps: activeTime > 0 ? source.damage / activeTime : 0,
+                kills: source.kills,
+                heldTime: isWeapon ? heldTime : null
+            });
+        }
+        return rows.sort((a, b) => b.damage - a.damage);
+    }
+
+    renderDamageBreakdown() {
+        const container = document.getElementById('damageBreakdown');
+        const rows = this.getDamageBreakdown();
+        if (rows.length === 0) {
+            container.innerHTML = '';
+            return;
+        }
+
+        container.innerHTML = `
+            <table class="damage-table">
+                <thead>
+                    <tr><th>Source</th><th>Damage</th><th>DPS</th><th>Kills</th><th>Held</th></tr>
+                </thead>
+                <tbody>
+                    ${rows.map(row => `
+                        <tr>
+                            <td class="damage-source">${row.icon} ${row.name}</td>
+                            <td>${Math.round(row.damage)}</td>
+                            <td>${row.dps.toFixed(1)}</td>
+                            <td>${row.kills}</td>
+                            <td>${row.heldTime === null ? '-' : this.formatTime(row.heldTime)}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    gameOver() {
+        this.state = 'gameover';
+        if (this.headless) return;
+
+        this.audio.stopMusic();
+        this.audio.play('gameOver');
+
+        this.finishReplayRecording();
+
+        // Replays don't count towards saved stats
+        let soulsEarned = 0;
+        let newEndlessBest = false;
+        if (!this.replayPlayer) {
+            soulsEarned = this.awardSouls(false);
+            this.getRunHistory().add(this.createRunRecord('death'));
+            this.saveData.stats.totalPlayTime += Math.floor(this.gameTime);
+            this.saveData.stats.highestWave = Math.max(this.saveData.stats.highestWave, this.wave);
+            if (this.endless) {
+                newEndlessBest = this.gameTime > this.saveData.stats.endlessBestTime;
+                if (newEndlessBest) {
+                    this.saveData.stats.endlessBestTime = Math.floor(this.gameTime);
+                    this.saveData.stats.endlessBestWave = this.wave;
+                }
+            }
+            this.saveGame();
+        }
+
+        // Reset joystick and input
+        if (this.joystick) {
+            this.joystick.setActive(false);
+        }
+        this.input.resetJoystick();
+        this.updatePauseButtonIcon(false);
+
+        const screen = document.getElementById('gameOverScreen');
+        const title = document.getElementById('gameOverTitle');
+        const stats = document.getElementById('endStats');
+
+        title.textContent = this.endless ? 'ENDLESS RUN OVER' : 'GAME OVER';
+        title.className = 'game-over-title';
+
+        // Build damage stats
+        const damageStats = `
+            <div class="stat-item">
+                <div class="stat-item-label">Total Damage Dealt</div>
+                <div class="stat-item-value">${Math.round(this.totalDamageDealt)}</div>
+            </div>
+        `;
+
+        let endlessStats = '';
+        if (this.endless) {
+            const curses = Object.keys(this.curses)
+                .map(id => `${CURSES[id].icon}${this.curses[id] > 1 ? ' x' + this.curses[id] : ''}`)
+                .join(' ');
+            endlessStats = `
+                <div class="stat-item">
+                    <div class="stat-item-label">Curses</div>
+                    <div class="stat-item-value">${curses || 'None'}</div>
+                </div>
+                <div class="stat-item">
+                    <div class="stat-item-label">${newEndlessBest ? 'New Endless Best!' : 'Endless Best'}</div>
+                    <div class="stat-item-value">${this.formatTime(this.saveData.stats.endlessBestTime)} (Wave ${this.saveData.stats.endlessBestWave})</div>
+                </div>
+            `;
+        }
+
+        stats.innerHTML = `
+            <div class="stat-item">
+                <div class="stat-item-label">Time Survived</div>
+                <div class="stat-item-value">${this.formatTime(this.gameTime)}</div>
+            </div>
+            <div class="stat-item">
+                <div class="stat-item-label">Level Reached</div>
+                <div class="stat-item-value">${this.player.level}</div>
+            </div>
+            <div class="stat-item">
+                <div class="stat-item-label">Enemies Killed</div>
+                <div class="stat-item-value">${this.kills}</div>
+            </div>
+            <div class="stat-item">
+                <div class="stat-item-label">Wave Reached</div>
+                <div class="stat-item-value">${this.wave}</div>
+            </div>
+            <div class="stat-item">
+                <div class="stat-item-label">Seed</div>
+                <div class="stat-item-value seed-value">${this.seed}</div>
+            </div>
+            <div class="stat-item">
+                <div class="stat-item-label">Souls Earned</div>
+                <div class="stat-item-value">${soulsEarned}</div>
+            </div>
+            ${endlessStats}
+            ${damageStats}
+        `;
+
+        this.renderDamageBreakdown();
+        screen.style.display = 'block';
+    }
+
+    victory() {
+        this.state = 'victory';
+        if (this.headless) return;
+
+        this.audio.stopMusic();
+        this.audio.play('victory');
+
+        this.finishReplayRecording();
+
+        // Replays don't count towards saved stats
+        let soulsEarned = 0;
+        if (!this.replayPlayer) {
+            soulsEarned = this.awardSouls(true);
+            this.getRunHistory().add(this.createRunRecord('victory'));
+            this.saveData.stats.totalPlayTime += Math.floor(this.gameTime);
+            this.saveData.stats.runsCompleted++;
+            this.saveData.stats.highestWave = Math.max(this.saveData.stats.highestWave, this.wave);
+            this.saveGame();
+        }
+
+        // Reset joystick and input
+        if (this.joystick) {
+            this.joystick.setActive(false);
+        }
+        this.input.resetJoystick();
+        this.updatePauseButtonIcon(false);
+
+        const screen = document.getElementById('gameOverScreen');
+        const title = document.getElementById('gameOverTitle');
+        const stats = document.getElementById('endStats');
+
+        title.textContent = 'VICTORY!';
+        title.className = 'victory-title';
+
+        // Build damage stats
+        const damageStats = `
+            <div class="stat-item">
+                <div class="stat-item-label">Total Damage Dealt</div>
+                <div class="stat-item-value">${Math.round(this.totalDamageDealt)}</div>
+            </div>
+        `;
+
+        stats.innerHTML = `
+            <div class="stat-item">
+                <div class="stat-item-label">Time Survived</div>
+                <div class="stat-item-value">${this.formatTime(this.gameTime)}</div>
+            </div>
+            <div class="stat-item">
+                <div class="stat-item-label">Final Level</div>
+                <div class="stat-item-value">${this.player.level}</div>
+            </div>
+            <div class="stat-item">
+                <div class="stat-item-label">Total Kills</div>
+                <div class="stat-item-value">${this.kills}</div>
+            </div>
+            <div class="stat-item">
+                <div class="stat-item-label">Wave Completed</div>
+                <div class="stat-item-value">${this.wave}</div>
+            </div>
+            <div class="stat-item">
+                <div class="stat-item-label">Seed</div>
+                <div class="stat-item-value seed-value">${this.seed}</div>
+            </div>
+            <div class="stat-item">
+                <div class="stat-item-label">Souls Earned</div>
+                <div class="stat-item-value">${soulsEarned}</div>
+            </div>
+            ${damageStats}
+        `;
+
+        this.renderDamageBreakdown();
+        screen.style.display = 'block';
+    }
+    
+    formatTime(seconds) {
+        const mins = Math.floor(seconds / 60);
+        const secs = Math.floor(seconds % 60);
+        return `${mins.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
+    }
+    
+    updateUI() {
+        if (this.headless) return;
+        document.getElementById('levelValue').textContent = this.player.level;
+
+        const xpPercent = (this.player.xp / this.player.xpToNext) * 100;
+        document.getElementById('xpBar').style.width = `${xpPercent}%`;
+
+        document.getElementById('timer').textContent = this.formatTime(this.gameTime);
+
+        const hpPercent = Math.max(0, Math.min(100, (this.player.hp / this.player.maxHp) * 100));
+        document.getElementById('healthBar').style.width = `${hpPercent}%`;
+        document.getElementById('healthText').textContent = `${Math.ceil(this.player.hp)} / ${this.player.maxHp}`;
+
+        // Update shield UI
+        const shieldContainer = document.getElementById('shieldContainer');
+        const shieldText = document.getElementById('shieldText');
+        if (this.player.passives.immortalityShield) {
+            shieldContainer.style.display = 'block';
+            // Show shield icons based on current charges
+            let shieldIcons = '';
+            for (let i = 0; i < this.player.shieldMaxCharges; i++) {
+                if (i < this.player.shieldCharges) {
+                    shieldIcons += '🛡️';
+                } else {
+                    shieldIcons += '⬜';
+                }
+            }
+            shieldText.textContent = shieldIcons;
+        } else {
+            shieldContainer.style.display = 'none';
+        }
+
+        document.getElementById('killsValue').textContent = this.kills;
+        document.getElementById('waveValue').textContent = this.wave;
+    }
+    
+    updateWeaponBar() {
+        if (this.headless) return;
+        const bar = document.getElementById('weaponBar');
+        bar.innerHTML = '';
+        
+        for (let i = 0; i < 6; i++) {
+            const slot = document.createElement('div');
+            slot.className = 'weapon-slot';
+            
+            if (i < this.player.weapons.length) {
+                const weapon = this.player.weapons[i];
+                slot.classList.add('has-weapon');
+                slot.innerHTML = `
+                    ${this.getWeaponIconHtml(weapon.id)}
+                    <span class="weapon-level">${weapon.level}</span>
+                    <div class="cooldown-overlay" id="cd-${i}" style="height: 0%"></div>
+                `;
+            }
+            
+            bar.appendChild(slot);
+        }
+    }
+
+    updateWeaponCooldowns() {
+        // Disabled: Visual cooldown overlay removed to prevent distracting flashing
+        // Cooldown system still works, just no visual overlay
+        return;
+    }
+
+    render() {
+        const ctx = this.ctx;
+        const view = this.viewport;
+
+        // Bake atlas art at the resolution it ends up on screen
+        this.atlas.setResolution(Math.min(3, Math.ceil(view.pixelRatio * view.scale)));
+
+        // Clear screen
+        view.applyScreenTransform(ctx);
+        ctx.fillStyle = this.biome.background;
+        ctx.fillRect(0, 0, view.screenWidth, view.screenHeight);
+
+        // Render game world
+        ctx.save();
+        view.applyWorldTransform(ctx, this.camera);
+        if (this.screenShake > 0 && this.settings.screenShake) {
+            ctx.translate(
+                (Math.random() - 0.5) * 2 * this.screenShake,
+                (Math.random() - 0.5) * 2 * this.screenShake
+            );
+        }
+
+        // Draw background grid
+        this.renderBackground();
+
+        // Draw biome hazards (ice sheets) under everything else
+        this.renderHazards();
+
+        // Draw decorations (trees, rocks, ruins, etc.) - BELOW entities
+        this.renderDecorations();
+
+        // Draw ground effects
+        this.renderGroundEffects();
+
+        // Draw boss ability warnings
+        this.renderBossTelegraphs();
+
+        // Draw XP gems
+        this.renderXpGems();
+
+        // Draw health packs
+        this.renderHealthPacks();
+
+        // Draw enemies
+        this.renderEnemies();
+
+        // Draw player
+        this.renderPlayer();
+
+        // Draw projectiles
+        this.renderProjectiles();
+
+        // Draw lightning bolts
+        this.renderLightningBolts();
+
+        // Draw particles
+        this.particles.render(ctx);
+
+        ctx.restore();
+
+        // Draw damage numbers (screen space)
+        this.damageNumbers.render(ctx, view, this.camera.x, this.camera.y);
+
+        // Draw shield block effects
+        this.renderShieldBlockEffects();
+
+        // Draw wave notifications
+        this.renderWaveNotifications();
+        
+        // Draw event notifications
+        this.renderEventNotifications();
+        
+        // Draw Blood Moon overlay
+        this.renderBloodMoonOverlay();
+
+        // Draw the 3-2-1 after a pause
+        this.renderResumeCountdown();
+
+        // Update weapon cooldowns UI
+        this.updateWeaponCooldowns();
+    }
+    
+    renderBackground() {
+        const ctx = this.ctx;
+        const gridSize = 100;
+        const startX = Math.floor(this.camera.x / gridSize) * gridSize;
+        const startY = Math.floor(this.camera.y / gridSize) * gridSize;
+        
+        ctx.strokeStyle = this.biome.grid;
+        ctx.lineWidth = 1;
+        
+        for (let x = startX; x < this.camera.x + this.viewport.width + gridSize; x += gridSize) {
+            ctx.beginPath();
+            ctx.moveTo(x, this.camera.y);
+            ctx.lineTo(x, this.camera.y + this.viewport.height);
+            ctx.stroke();
+        }
+        
+        for (let y = startY; y < this.camera.y + this.viewport.height + gridSize; y += gridSize) {
+            ctx.beginPath();
+            ctx.moveTo(this.camera.x, y);
+            ctx.lineTo(this.camera.x + this.viewport.width, y);
+            ctx.stroke();
+        }
+        
+        // Draw map boundaries
+        ctx.strokeStyle = '#ff0000';
+        ctx.lineWidth = 3;
+        ctx.strokeRect(0, 0, CONFIG.MAP_BOUNDS.width, CONFIG.MAP_BOUNDS.height);
+    }
+    
+    renderPlayer() {
+        const ctx = this.ctx;
+        const p = this.player;
+
+        // Validate player position and radius to prevent gradient errors
+        if (!isFinite(p.x) || !isFinite(p.y) || !isFinite(p.radius) || p.radius <= 0) {
+            return; // Skip rendering invalid player
+        }
+
+        // Blink when invincible using game timer for consistency
+        if (p.invincible) {
+            // Use game.gameTime for consistent 10Hz blink (not countdown timer)
+            if (Math.floor(this.gameTime * 10) % 2 === 0) {
+                return; // Skip rendering this frame
+            }
+        }
+
+        // Calculate facing direction for sprite orientation
+        let facingX = p.facing.x;
+        let facingY = p.facing.y;
+        if (facingX === 0 && facingY === 0) facingX = 1; // Default facing right
+
+        const radius = p.radius;
+        const centerX = p.x;
+        const centerY = p.y;
+
+        // Validate calculated values before rendering
+        if (!isFinite(centerX) || !isFinite(centerY) || !isFinite(radius)) {
+            return;
+        }
+
+        if (this.useSprite('hero')) {
+            const renderer = this.characterRenderer;
+            renderer.setHeroDirection(Math.atan2(facingY, facingX));
+            renderer.render(ctx, 'hero', centerX, centerY, radius / renderer.radii.hero);
+        } else {
+            this.renderPlayerVector(centerX, centerY, radius, facingX, facingY);
+        }
+
+        // Draw magic aura range indicator if owned
+        const aura = p.weapons.find(w => w.id === 'magicAura');
+        if (aura) {
+            ctx.strokeStyle = 'rgba(168, 85, 247, 0.2)';
+            ctx.lineWidth = 2;
+            ctx.setLineDash([5, 5]);
+            ctx.beginPath();
+            ctx.arc(p.x, p.y, aura.range * p.areaMultiplier, 0, Math.PI * 2);
+            ctx.stroke();
+            ctx.setLineDash([]);
+        }
+    }
+
+    /**
+     * Canvas-drawn hero, used in vector mode or when the hero sprite failed to load
+     */
+    renderPlayerVector(centerX, centerY, radius, facingX, facingY) {
+        const ctx = this.ctx;
+
+        // Draw cape/cloth trailing behind (opposite of movement direction)
+        const capeLength = radius * 0.8;
+        const capeAngle = Math.atan2(-facingY, -facingX);
+        const capeX = centerX + Math.cos(capeAngle) * radius * 0.5;
+        const capeY = centerY + Math.sin(capeAngle) * radius * 0.5;
+
+        // Validate cape position
+        if (!isFinite(capeX) || !isFinite(capeY)) {
+            return;
+        }
+
+        ctx.fillStyle = '#155e75'; // Dark teal cape
+        ctx.beginPath();
+        ctx.moveTo(capeX, capeY);
+        ctx.lineTo(capeX + Math.cos(capeAngle - 0.5) * capeLength, capeY + Math.sin(capeAngle - 0.5) * capeLength);
+        ctx.lineTo(capeX + Math.cos(capeAngle + 0.5) * capeLength, capeY + Math.sin(capeAngle + 0.5) * capeLength);
+        ctx.closePath();
+        ctx.fill();
+
+        // Draw body with gradient - validate gradient parameters
+        const innerRadius = 0;
+        const outerRadius = radius;
+        const gradientX = centerX - radius * 0.3;
+        const gradientY = centerY - radius * 0.3;
+
+        if (!isFinite(gradientX) || !isFinite(gradientY) || !isFinite(outerRadius) || outerRadius <= 0) {
+            return;
+        }
+
+        const bodyGradient = ctx.createRadialGradient(
+            gradientX, gradientY, innerRadius,
+            centerX, centerY, outerRadius
+        );
+        bodyGradient.addColorStop(0, '#86efac'); // Light green highlight
+        bodyGradient.addColorStop(0.5, '#4ade80'); // Main green
+        bodyGradient.addColorStop(1, '#22c55e'); // Darker green edge
+
+        ctx.fillStyle = bodyGradient;
+        ctx.beginPath();
+        ctx.arc(centerX, centerY, radius, 0, Math.PI * 2);
+        ctx.fill();
+
+        // Draw body outline
+        ctx.strokeStyle = '#16a34a';
+        ctx.lineWidth = 3;
+        ctx.stroke();
+
+        // Draw eyes that face the movement direction
+        const eyeOffsetX = facingX * radius * 0.25;
+        const eyeOffsetY = facingY * radius * 0.25;
+        const eyeSpacing = radius * 0.35;
+        const eyeAngle = Math.atan2(facingY, facingX);
+        const perpAngle = eyeAngle + Math.PI / 2;
+
+        // Eye positions (perpendicular to facing direction)
+        const leftEyeX = centerX + eyeOffsetX + Math.cos(perpAngle) * eyeSpacing;
+        const leftEyeY = centerY + eyeOffsetY + Math.sin(perpAngle) * eyeSpacing;
+        const rightEyeX = centerX + eyeOffsetX - Math.cos(perpAngle) * eyeSpacing;
+        const rightEyeY = centerY + eyeOffsetY - Math.sin(perpAngle) * eyeSpacing;
+
+        // White of eyes
+        ctx.fillStyle = '#ffffff';
+        ctx.beginPath();
+        ctx.arc(leftEyeX, leftEyeY, radius * 0.28, 0, Math.PI * 2);
+        ctx.arc(rightEyeX, rightEyeY, radius * 0.28, 0, Math.PI * 2);
+        ctx.fill();
+
+        // Black pupils (looking in facing direction)
+        const pupilOffset = radius * 0.15;
+        const pupilX = pupilOffset * facingX;
+        const pupilY = pupilOffset * facingY;
+
+        ctx.fillStyle = '#000000';
+        ctx.beginPath();
+        ctx.arc(leftEyeX + pupilX, leftEyeY + pupilY, radius * 0.15, 0, Math.PI * 2);
+        ctx.arc(rightEyeX + pupilX, rightEyeY + pupilY, radius * 0.15, 0, Math.PI * 2);
+        ctx.fill();
+    }
+    
+    // OPTIMIZATION: Use separate if statements for frustum culling (better branch prediction)
+    // OPTIMIZATION: Vector mode stamps art pre-rendered into the sprite atlas - one drawImage per enemy
+    renderEnemies() {
+        const ctx = this.ctx;
+        const camLeft = this.camera.x - 50;
+        const camRight = this.camera.x + this.viewport.width + 50;
+        const camTop = this.camera.y - 50;
+        const camBottom = this.camera.y + this.viewport.height + 50;
+
+        const len = this.enemies.length;
+        for (let i = 0; i < len; i++) {
+            const enemy = this.enemies[i];
+
+            // OPTIMIZATION: Separate if statements for better branch prediction
+            if (enemy.x + enemy.radius < camLeft) continue;
+            if (enemy.x - enemy.radius > camRight) continue;
+            if (enemy.y + enemy.radius < camTop) continue;
+            if (enemy.y - enemy.radius > camBottom) continue;
+
+            // Trait rings - enraged enemies glow red, mini-bosses gold
+            if (enemy.enraged || enemy.isMiniBoss) {
+                ctx.strokeStyle = enemy.enraged ? 'rgba(239, 68, 68, 0.8)' : 'rgba(251, 191, 36, 0.8)';
+                ctx.lineWidth = 3;
+                ctx.beginPath();
+                ctx.arc(enemy.x, enemy.y, enemy.radius + 5, 0, Math.PI * 2);
+                ctx.stroke();
+            }
+
+            const spriteKey = toAssetKey(enemy.type);
+            if (this.useSprite(spriteKey)) {
+                const renderer = this.characterRenderer;
+                renderer.render(ctx, spriteKey, enemy.x, enemy.y, enemy.radius / renderer.radii[spriteKey]);
+            } else {
+                this.drawEnemyVector(enemy, i);
+            }
+
+            // Draw health bar for damaged enemies
+            if (enemy.hp < enemy.maxHp) {
+                const barWidth = 30;
+                const barHeight = 4;
+                const hpPercent = Math.max(0, enemy.hp / enemy.maxHp);
+
+                ctx.fillStyle = 'rgba(0, 0, 0, 0.5)';
+                ctx.fillRect(enemy.x - barWidth/2, enemy.y - enemy.radius - 10, barWidth, barHeight);
+                ctx.fillStyle = hpPercent > 0.5 ? '#22c55e' : hpPercent > 0.25 ? '#eab308' : '#ef4444';
+                ctx.fillRect(enemy.x - barWidth/2, enemy.y - enemy.radius - 10, barWidth * hpPercent, barHeight);
+            }
+        }
+    }
+
+    /**
+     * Stamp an enemy's vector art from the atlas, baking it on first use.
+     * Used in vector mode or when its sprite failed to load
+     * @param {Enemy} enemy
+     * @param {number} index - Offsets the animation so a crowd doesn't flicker in sync
+     */
+    drawEnemyVector(enemy, index) {
+        const frameCount = ENEMY_ANIMATION_FRAMES[enemy.type] || 1;
+        const frameIndex = (Math.floor(this.gameTime * ATLAS_ANIMATION_FPS) + index) % frameCount;
+        const radius = Math.max(1, Math.round(enemy.radius));
+        const key = `${enemy.type}:${radius}:${frameIndex}`;
+
+        let frame = this.atlas.get(key);
+        if (!frame) {
+            // Auras and scythes reach 1.5x the radius, plus their outlines
+            frame = this.bakeAtlasFrame(key, radius * 1.6 + 4, () => {
+                this.renderEnemyVector({ type: enemy.type, x: 0, y: 0, radius });
+            });
+        }
+        this.atlas.draw(this.ctx, frame, enemy.x, enemy.y, enemy.radius / radius);
+
+        if (enemy.type === 'devil') {
+            this.emitDevilFire(enemy);
+        }
+    }
+
+    /**
+     * Bake art from the vector render methods, which all draw on this.ctx
+     * @param {string} key - Atlas key
+     * @param {number} half - Half the frame size (see SpriteAtlas.add)
+     * @param {Function} draw - Draws the art centered on 0, 0
+     * @returns {Object} Atlas frame
+     */
+    bakeAtlasFrame(key, half, draw) {
+        const screenCtx = this.ctx;
+        const frame = this.atlas.add(key, half, (atlasCtx) => {
+            this.ctx = atlasCtx;
+            draw();
+        });
+        this.ctx = screenCtx;
+        return frame;
+    }
+
+    /**
+     * Canvas-drawn enemy art - baked into the atlas by drawEnemyVector()
+     */
+    renderEnemyVector(enemy) {
+        switch (enemy.type) {
+            case 'zombie':
+                this.renderZombie(enemy);
+                break;
+            case 'ghoul':
+                this.renderGhoul(enemy);
+                break;
+            case 'skeleton':
+                this.renderSkeleton(enemy);
+                break;
+            case 'witch':
+                this.renderWitch(enemy);
+                break;
+            case 'shadowStalker':
+                this.renderShadowStalker(enemy);
+                break;
+            case 'demonImp':
+                this.renderDemonImp(enemy);
+                break;
+            case 'cursedKnight':
+                this.renderCursedKnight(enemy);
+                break;
+            case 'plagueBats':
+                this.renderPlagueBats(enemy);
+                break;
+            case 'necromancer':
+                this.renderNecromancer(enemy);
+                break;
+            case 'voidReaper':
+                this.renderVoidReaper(enemy);
+                break;
+            // NEW MONSTERS
+            case 'cryptWraith':
+                this.renderCryptWraith(enemy);
+                break;
+            case 'berserkerMutant':
+                this.renderBerserkerMutant(enemy);
+                break;
+            case 'darkPriest':
+                this.renderDarkPriest(enemy);
+                break;
+            case 'crystalGolem':
+                this.renderCrystalGolem(enemy);
+                break;
+            // BOSSES
+            case 'lordOfBones':
+                this.renderLordOfBones(enemy);
+                break;
+            case 'bloodQueen':
+                this.renderBloodQueen(enemy);
+                break;
+            case 'voidLord':
+                this.renderVoidLord(enemy);
+                break;
+            // FINAL BOSS
+            case 'devil':
+                this.renderDevil(enemy);
+                break;
+        }
+    }
+
+    renderZombie(enemy) {
+        const ctx = this.ctx;
+        const { x, y, radius } = enemy;
+
+        // Body - irregular green shape
+        ctx.fillStyle = '#4a7c4e';
+        ctx.beginPath();
+        // Slightly irregular circle for zombie
+        for (let i = 0; i < Math.PI * 2; i += 0.3) {
+            const r = radius * (0.9 + Math.sin(i * 3) * 0.1);
+            const px = x + Math.cos(i) * r;
+            const py = y + Math.sin(i) * r;
+            if (i === 0) ctx.moveTo(px, py);
+            else ctx.lineTo(px, py);
+        }
+        ctx.closePath();
+        ctx.fill();
+
+        // Dark spots on body
+        ctx.fillStyle = '#2d4a2f';
+        ctx.beginPath();
+        ctx.arc(x - radius * 0.3, y - radius * 0.2, radius * 0.2, 0, Math.PI * 2);
+        ctx.arc(x + radius * 0.25, y + radius * 0.15, radius * 0.18, 0, Math.PI * 2);
+        ctx.arc(x - radius * 0.15, y + radius * 0.3, radius * 0.15, 0, Math.PI * 2);
+        ctx.fill();
+
+        // Dull yellow-green eyes
+        ctx.fillStyle = '#8b9c6b';
+        ctx.beginPath();
+        ctx.arc(x - radius * 0.3, y - radius * 0.15, radius * 0.2, 0, Math.PI * 2);
+        ctx.arc(x + radius * 0.3, y - radius * 0.15, radius * 0.2, 0, Math.PI * 2);
+        ctx.fill();
+
+        // Small black pupils
+        ctx.fillStyle = '#1a1a1a';
+        ctx.beginPath();
+        ctx.arc(x - radius * 0.3, y - radius * 0.15, radius * 0.08, 0, Math.PI * 2);
+        ctx.arc(x + radius * 0.3, y - radius * 0.15, radius * 0.08, 0, Math.PI * 2);
+        ctx.fill();
+
+        // Dark outline
+        ctx.strokeStyle = '#1a2a1a';
+        ctx.lineWidth = 2;
+        ctx.stroke();
+    }
+
+    renderGhoul(enemy) {
+        const ctx = this.ctx;
+        const { x, y, radius } = enemy;
+
+        // Body - brown/tan with sharp features
+        const bodyGradient = ctx.createRadialGradient(
+            x - radius * 0.2, y - radius * 0.2, 0,
+            x, y, radius
+        );
+        bodyGradient.addColorStop(0, '#a07050');
+        bodyGradient.addColorStop(1, '#6b4423');
+
+        ctx.fillStyle = bodyGradient;
+        ctx.beginPath();
+
+        // Elongated, sharp shape
+        ctx.ellipse(x, y, radius * 0.9, radius * 1.1, 0, 0, Math.PI * 2);
+        ctx.fill();
+
+        // Sharp facial features - ridges
+        ctx.fillStyle = '#4a2f1a';
+        ctx.beginPath();
+        ctx.moveTo(x - radius * 0.4, y - radius * 0.5);
+        ctx.lineTo(x - radius * 0.2, y);
+        ctx.lineTo(x - radius * 0.5, y + radius * 0.3);
+        ctx.fill();
+        ctx.beginPath();
+        ctx.moveTo(x + radius * 0.4, y - radius * 0.5);
+        ctx.lineTo(x + radius * 0.2, y);
+        ctx.lineTo(x + radius * 0.5, y + radius * 0.3);
+        ctx.fill();
+
+        // Glowing yellow eyes (removed expensive shadowBlur for performance)
+        ctx.fillStyle = '#ffdd44';
+        ctx.beginPath();
+        ctx.arc(x - radius * 0.25, y - radius * 0.2, radius * 0.18, 0, Math.PI * 2);
+        ctx.arc(x + radius * 0.25, y - radius * 0.2, radius * 0.18, 0, Math.PI * 2);
+        ctx.fill();
+
+        // Black slit pupils
+        ctx.fillStyle = '#000000';
+        ctx.beginPath();
+        ctx.ellipse(x - radius * 0.25, y - radius * 0.2, radius * 0.06, radius * 0.15, 0, 0, Math.PI * 2);
+        ctx.ellipse(x + radius * 0.25, y - radius * 0.2, radius * 0.06, radius * 0.15, 0, 0, Math.PI * 2);
+        ctx.fill();
+
+        // Dark outline
+        ctx.strokeStyle = '#3a2010';
+        ctx.lineWidth = 2;
+        ctx.stroke();
+    }
+
+    renderSkeleton(enemy) {
+        const ctx = this.ctx;
+        const { x, y, radius } = enemy;
+
+        // Bone white body
+        ctx.fillStyle = '#e8dcc5';
+        ctx.beginPath();
+        ctx.arc(x, y, radius, 0, Math.PI * 2);
+        ctx.fill();
+
+        // Rib cage lines
+        ctx.strokeStyle = '#c4b5a0';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        // Horizontal rib lines
+        for (let i = -2; i <= 2; i++) {
+            const ribY = y + i * (radius * 0.25);
+            const ribWidth = radius * 0.7 * (1 - Math.abs(i) * 0.15);
+            ctx.moveTo(x - ribWidth, ribY);
+            ctx.lineTo(x + ribWidth, ribY);
+        }
+        // Spine line
+        ctx.moveTo(x, y - radius * 0.5);
+        ctx.lineTo(x, y + radius * 0.5);
+        ctx.stroke();
+
+        // Dark eye sockets
+        ctx.fillStyle = '#1a1a1a';
+        ctx.beginPath();
+        ctx.ellipse(x - radius * 0.3, y - radius * 0.15, radius * 0.22, radius * 0.25, 0, 0, Math.PI * 2);
+        ctx.ellipse(x + radius * 0.3, y - radius * 0.15, radius * 0.22, radius * 0.25, 0, 0, Math.PI * 2);
+        ctx.fill();
+
+        // Glowing pupils in sockets (removed expensive shadowBlur for performance)
+        ctx.fillStyle = '#ff6600';
+        ctx.beginPath();
+        ctx.arc(x - radius * 0.25, y - radius * 0.15, radius * 0.08, 0, Math.PI * 2);
+        ctx.arc(x + radius * 0.25, y - radius * 0.15, radius * 0.08, 0, Math.PI * 2);
+        ctx.fill();
+
+        // Nose cavity
+        ctx.fillStyle = '#1a1a1a';
+        ctx.beginPath();
+        ctx.moveTo(x, y + radius * 0.1);
+        ctx.lineTo(x - radius * 0.1, y + radius * 0.25);
+        ctx.lineTo(x + radius * 0.1, y + radius * 0.25);
+        ctx.closePath();
+        ctx.fill();
+
+        // Dark outline
+        ctx.strokeStyle = '#a09080';
+        ctx.lineWidth = 2;
+        ctx.stroke();
+    }
+
+    renderWitch(enemy) {
+        const ctx = this.ctx;
+        const { x, y, radius } = enemy;
+
+        // Purple robe/body
+        const robeGradient = ctx.createRadialGradient(
+            x, y + radius * 0.2, 0,
+            x, y, radius * 1.2
+        );
+        robeGradient.addColorStop(0, '#8b5cf6');
+        robeGradient.addColorStop(1, '#5b21b6');
+
+        ctx.fillStyle = robeGradient;
+        ctx.beginPath();
+        // Robe shape - wider at bottom
+        ctx.moveTo(x - radius * 0.8, y + radius * 0.9);
+        ctx.lineTo(x - radius * 0.7, y - radius * 0.3);
+        ctx.arc(x, y - radius * 0.5, radius * 0.6, Math.PI, 0);
+        ctx.lineTo(x + radius * 0.8, y + radius * 0.9);
+        ctx.closePath();
+        ctx.fill();
+
+        // Pointed hat
+        ctx.fillStyle = '#4c1d95';
+        ctx.beginPath();
+        ctx.moveTo(x - radius * 0.7, y - radius * 0.3);
+        ctx.lineTo(x, y - radius * 1.3); // Pointy top
+        ctx.lineTo(x + radius * 0.7, y - radius * 0.3);
+        ctx.closePath();
+        ctx.fill();
+
+        // Hat band
+        ctx.fillStyle = '#7c3aed';
+        ctx.fillRect(x - radius * 0.7, y - radius * 0.4, radius * 1.4, radius * 0.15);
+
+        // Glowing yellow eyes (removed expensive shadowBlur for performance)
+        ctx.fillStyle = '#ffff66';
+        ctx.beginPath();
+        ctx.arc(x - radius * 0.25, y - radius * 0.1, radius * 0.15, 0, Math.PI * 2);
+        ctx.arc(x + radius * 0.25, y - radius * 0.1, radius * 0.15, 0, Math.PI * 2);
+        ctx.fill();
+
+        // Black pupils
+        ctx.fillStyle = '#000000';
+        ctx.beginPath();
+        ctx.arc(x - radius * 0.25, y - radius * 0.1, radius * 0.06, 0, Math.PI * 2);
+        ctx.arc(x + radius * 0.25, y - radius * 0.1, radius * 0.06, 0, Math.PI * 2);
+        ctx.fill();
+
+        // Dark outline
+        ctx.strokeStyle = '#3b0764';
+        ctx.lineWidth = 2;
+        ctx.stroke();
+    }
+
+    renderShadowStalker(enemy) {
+        const ctx = this.ctx;
+        const { x, y, radius } = enemy;
+
+        // Dark gray/black body with semi-transparent effect
+        ctx.fillStyle = 'rgba(45, 45, 45, 0.9)';
+        ctx.beginPath();
+        ctx.arc(x, y, radius, 0, Math.PI * 2);
+        ctx.fill();
+
+        // Glowing red eyes (removed expensive shadowBlur for performance)
+        ctx.fillStyle = '#ff3333';
+        ctx.beginPath();
+        ctx.arc(x - radius * 0.3, y - radius * 0.1, radius * 0.2, 0, Math.PI * 2);
+        ctx.arc(x + radius * 0.3, y - radius * 0.1, radius * 0.2, 0, Math.PI * 2);
+        ctx.fill();
+
+        // Black pupils
+        ctx.fillStyle = '#000000';
+        ctx.beginPath();
+        ctx.arc(x - radius * 0.3, y - radius * 0.1, radius * 0.08, 0, Math.PI * 2);
+        ctx.arc(x + radius * 0.3, y - radius * 0.1, radius * 0.08, 0, Math.PI * 2);
+        ctx.fill();
+
+        // Dark outline
+        ctx.strokeStyle = '#1a1a1a';
+        ctx.lineWidth = 2;
+        ctx.stroke();
+    }
+
+    renderDemonImp(enemy) {
+        const ctx = this.ctx;
+        const { x, y, radius } = enemy;
+
+        // Red-orange body
+        const bodyGradient = ctx.createRadialGradient(
+            x - radius * 0.2, y - radius * 0.2, 0,
+            x, y, radius
+        );
+        bodyGradient.addColorStop(0, '#ff6b4a');
+        bodyGradient.addColorStop(1, '#c44536');
+
+        ctx.fillStyle = bodyGradient;
+        ctx.beginPath();
+        // Elongated imp shape
+        ctx.ellipse(x, y, radius * 0.85, radius * 1.1, 0, 0, Math.PI * 2);
+        ctx.fill();
+
+        // Small horns
+        ctx.fillStyle = '#8b2a1a';
+        ctx.beginPath();
+        ctx.moveTo(x - radius * 0.4, y - radius * 0.8);
+        ctx.lineTo(x - radius * 0.3, y - radius * 1.1);
+        ctx.lineTo(x - radius * 0.2, y - radius * 0.8);
+        ctx.moveTo(x + radius * 0.4, y - radius * 0.8);
+        ctx.lineTo(x + radius * 0.3, y - radius * 1.1);
+        ctx.lineTo(x + radius * 0.2, y - radius * 0.8);
+        ctx.fill();
+
+        // Yellow eyes (removed expensive shadowBlur for performance)
+        ctx.fillStyle = '#ffdd44';
+        ctx.beginPath();
+        ctx.arc(x - radius * 0.25, y - radius * 0.15, radius * 0.15, 0, Math.PI * 2);
+        ctx.arc(x + radius * 0.25, y - radius * 0.15, radius * 0.15, 0, Math.PI * 2);
+        ctx.fill();
+
+        // Black pupils
+        ctx.fillStyle = '#000000';
+        ctx.beginPath();
+        ctx.arc(x - radius * 0.25, y - radius * 0.15, radius * 0.06, 0, Math.PI * 2);
+        ctx.arc(x + radius * 0.25, y - radius * 0.15, radius * 0.06, 0, Math.PI * 2);
+        ctx.fill();
+
+        // Dark outline
+        ctx.strokeStyle = '#6b1a1a';
+        ctx.lineWidth = 2;
+        ctx.stroke();
+    }
+
+    renderCursedKnight(enemy) {
+        const ctx = this.ctx;
+        const { x, y, radius } = enemy;
+
+        // Steel blue-gray armor
+        const armorGradient = ctx.createRadialGradient(
+            x - radius * 0.3, y - radius * 0.3, 0,
+            x, y, radius
+        );
+        armorGradient.addColorStop(0, '#7a8b9c');
+        armorGradient.addColorStop(0.5, '#5a6b7c');
+        armorGradient.addColorStop(1, '#3a4b5c');
+
+        ctx.fillStyle = armorGradient;
+        ctx.beginPath();
+        ctx.arc(x, y, radius, 0, Math.PI * 2);
+        ctx.fill();
+
+        // Armor plates
+        ctx.strokeStyle = '#2a3b4c';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.arc(x, y, radius * 0.7, 0, Math.PI * 2);
+        ctx.stroke();
+
+        // Vertical plate lines
+        ctx.beginPath();
+        ctx.moveTo(x, y - radius * 0.7);
+        ctx.lineTo(x, y + radius * 0.7);
+        ctx.moveTo(x - radius * 0.5, y - radius * 0.3);
+        ctx.lineTo(x + radius * 0.5, y - radius * 0.3);
+        ctx.stroke();
+
+        // Glowing orange eyes (from helmet slits) - removed expensive shadowBlur for performance
+        ctx.fillStyle = '#ff8833';
+        ctx.fillRect(x - radius * 0.35, y - radius * 0.2, radius * 0.25, radius * 0.1);
+        ctx.fillRect(x + radius * 0.1, y - radius * 0.2, radius * 0.25, radius * 0.1);
+
+        // Dark outline
+        ctx.strokeStyle = '#1a2b3c';
+        ctx.lineWidth = 3;
+        ctx.stroke();
+    }
+
+    renderPlagueBats(enemy) {
+        const ctx = this.ctx;
+        const { x, y, radius } = enemy;
+
+        // Sickly green swarm of bats
+        ctx.fillStyle = '#6b8c42';
+        
+        // Draw 3 small bat shapes
+        const batPositions = [
+            { dx: -0.4, dy: -0.3, size: 0.7 },
+            { dx: 0.3, dy: -0.2, size: 0.8 },
+            { dx: 0, dy: 0.2, size: 0.6 }
+        ];
+
+        for (const pos of batPositions) {
+            const bx = x + pos.dx * radius;
+            const by = y + pos.dy * radius;
+            const bSize = radius * pos.size * 0.5;
+
+            // Bat body
+            ctx.beginPath();
+            ctx.arc(bx, by, bSize, 0, Math.PI * 2);
+            ctx.fill();
+
+            // Bat wings
+            ctx.beginPath();
+            ctx.moveTo(bx - bSize, by);
+            ctx.quadraticCurveTo(bx - bSize * 2, by - bSize, bx - bSize * 2.5, by);
+            ctx.quadraticCurveTo(bx - bSize * 2, by + bSize, bx - bSize, by);
+            ctx.moveTo(bx + bSize, by);
+            ctx.quadraticCurveTo(bx + bSize * 2, by - bSize, bx + bSize * 2.5, by);
+            ctx.quadraticCurveTo(bx + bSize * 2, by + bSize, bx + bSize, by);
+            ctx.fill();
+        }
+
+        // Glowing green eyes for each bat (removed expensive shadowBlur for performance)
+        ctx.fillStyle = '#88aa44';
+        for (const pos of batPositions) {
+            const bx = x + pos.dx * radius;
+            const by = y + pos.dy * radius;
+            ctx.beginPath();
+            ctx.arc(bx - pos.size * radius * 0.1, by - pos.size * radius * 0.1, radius * 0.08, 0, Math.PI * 2);
+            ctx.fill();
+        }
+    }
+
+    renderNecromancer(enemy) {
+        const ctx = this.ctx;
+        const { x, y, radius } = enemy;
+
+        // Dark purple hooded robe
+        const robeGradient = ctx.createRadialGradient(
+            x, y + radius * 0.3, 0,
+            x, y, radius * 1.1
+        );
+        robeGradient.addColorStop(0, '#6a4d7c');
+        robeGradient.addColorStop(1, '#2a1d3c');
+
+        ctx.fillStyle = robeGradient;
+        ctx.beginPath();
+        // Robe shape
+        ctx.moveTo(x - radius * 0.7, y + radius * 0.8);
+        ctx.lineTo(x - radius * 0.6, y - radius * 0.4);
+        ctx.arc(x, y - radius * 0.6, radius * 0.5, Math.PI, 0);
+        ctx.lineTo(x + radius * 0.6, y + radius * 0.8);
+        ctx.closePath();
+        ctx.fill();
+
+        // Hood shadow
+        ctx.fillStyle = '#1a0f2c';
+        ctx.beginPath();
+        ctx.arc(x, y - radius * 0.5, radius * 0.45, 0, Math.PI * 2);
+        ctx.fill();
+
+        // Glowing staff (removed expensive shadowBlur for performance)
+        ctx.fillStyle = '#cc66ff';
+        ctx.fillRect(x + radius * 0.4, y - radius * 0.8, radius * 0.15, radius * 1.8);
+
+        // Glowing eyes from hood
+        ctx.fillStyle = '#ff44ff';
+        ctx.beginPath();
+        ctx.arc(x - radius * 0.15, y - radius * 0.5, radius * 0.08, 0, Math.PI * 2);
+        ctx.arc(x + radius * 0.15, y - radius * 0.5, radius * 0.08, 0, Math.PI * 2);
+        ctx.fill();
+
+        // Dark outline
+        ctx.strokeStyle = '#2a1f3c';
+        ctx.lineWidth = 2;
+        ctx.stroke();
+    }
+
+    renderVoidReaper(enemy) {
+        const ctx = this.ctx;
+        const { x, y, radius } = enemy;
+
+        // Deep purple-black body with particle trail effect
+        const bodyGradient = ctx.createRadialGradient(
+            x, y, 0,
+            x, y, radius
+        );
+        bodyGradient.addColorStop(0, '#5a2f6a');
+        bodyGradient.addColorStop(0.7, '#3d1f4a');
+        bodyGradient.addColorStop(1, '#1a0f2a');
+
+        ctx.fillStyle = bodyGradient;
+        ctx.beginPath();
+        // Imposing figure shape - larger at top
+        ctx.moveTo(x - radius * 0.7, y + radius * 0.9);
+        ctx.lineTo(x - radius * 0.6, y - radius * 0.5);
+        ctx.arc(x, y - radius * 0.7, radius * 0.65, Math.PI, 0);
+        ctx.lineTo(x + radius * 0.7, y + radius * 0.9);
+        ctx.closePath();
+        ctx.fill();
+
+        // Dark hood
+        ctx.fillStyle = '#0f051a';
+        ctx.beginPath();
+        ctx.arc(x, y - radius * 0.65, radius * 0.55, 0, Math.PI * 2);
+        ctx.fill();
+
+        // Glowing scythe (removed expensive shadowBlur for performance)
+        ctx.strokeStyle = '#cc66ff';
+        ctx.lineWidth = 3;
+        ctx.beginPath();
+        ctx.moveTo(x + radius * 0.5, y);
+        ctx.lineTo(x + radius * 1.2, y - radius * 0.8);
+        ctx.quadraticCurveTo(x + radius * 1.5, y - radius * 1.0, x + radius * 1.3, y - radius * 0.6);
+        ctx.stroke();
+
+        // Menacing glowing eyes (removed expensive shadowBlur for performance)
+        ctx.fillStyle = '#ff44ff';
+        ctx.beginPath();
+        ctx.ellipse(x - radius * 0.2, y - radius * 0.6, radius * 0.12, radius * 0.08, -0.2, 0, Math.PI * 2);
+        ctx.ellipse(x + radius * 0.2, y - radius * 0.6, radius * 0.12, radius * 0.08, 0.2, 0, Math.PI * 2);
+        ctx.fill();
+
+        // OPTIMIZATION: Removed unnecessary ctx.shadowBlur = 0
+        // Particle trail effect
+        for (let i = 0; i < 5; i++) {
+            const trailX = x + (Math.random() - 0.5) * radius * 1.5;
+            const trailY = y + radius * 0.8 + Math.random() * radius * 0.5;
+            ctx.fillStyle = `rgba(170, 68, 255, ${0.2 + Math.random() * 0.3})`;
+            ctx.beginPath();
+            ctx.arc(trailX, trailY, radius * 0.15, 0, Math.PI * 2);
+            ctx.fill();
+        }
+
+        // Dark outline
+        ctx.strokeStyle = '#1a0f2a';
+        ctx.lineWidth = 3;
+        ctx.stroke();
+    }
+
+    // ==================== BOSS RENDERING ====================
+    renderLordOfBones(enemy) {
+        const ctx = this.ctx;
+        const { x, y, radius } = enemy;
+
+        // Bone-colored body with glow
+        const bodyGradient = ctx.createRadialGradient(x, y - radius * 0.3, 0, x, y, radius);
+        bodyGradient.addColorStop(0, '#f5f5dc');
+        bodyGradient.addColorStop(0.5, '#c4b494');
+        bodyGradient.addColorStop(1, '#8b7d6b');
+
+        ctx.fillStyle = bodyGradient;
+        ctx.beginPath();
+        ctx.arc(x, y, radius, 0, Math.PI * 2);
+        ctx.fill();
+
+        // Skull face
+        ctx.fillStyle = '#2d1a0a';
+        ctx.beginPath();
+        ctx.ellipse(x - radius * 0.25, y - radius * 0.15, radius * 0.2, radius * 0.25, 0, 0, Math.PI * 2);
+        ctx.ellipse(x + radius * 0.25, y - radius * 0.15, radius * 0.2, radius * 0.25, 0, 0, Math.PI * 2);
+        ctx.fill();
+
+        // Glowing orange eyes
+        ctx.fillStyle = '#ff6b35';
+        ctx.beginPath();
+        ctx.arc(x - radius * 0.25, y - radius * 0.15, radius * 0.1, 0, Math.PI * 2);
+        ctx.arc(x + radius * 0.25, y - radius * 0.15, radius * 0.1, 0, Math.PI * 2);
+        ctx.fill();
+
+        // Bone crown/spikes
+        ctx.fillStyle = '#c4b494';
+        ctx.beginPath();
+        ctx.moveTo(x - radius * 0.5, y - radius * 0.8);
+        ctx.lineTo(x - radius * 0.7, y - radius * 1.2);
+        ctx.lineTo(x - radius * 0.3, y - radius * 0.9);
+        ctx.lineTo(x, y - radius * 1.3);
+        ctx.lineTo(x + radius * 0.3, y - radius * 0.9);
+        ctx.lineTo(x + radius * 0.7, y - radius * 1.2);
+        ctx.lineTo(x + radius * 0.5, y - radius * 0.8);
+        ctx.closePath();
+        ctx.fill();
+
+        // Ribcage pattern
+        ctx.strokeStyle = '#8b7d6b';
+        ctx.lineWidth = 2;
+        for (let i = -2; i <= 2; i++) {
+            ctx.beginPath();
+            ctx.arc(x, y + radius * 0.3, radius * 0.8 - i * radius * 0.15, 0.2, Math.PI - 0.2);
+            ctx.stroke();
+        }
+
+        // Boss health bar indicator
+        ctx.strokeStyle = '#ff4444';
+        ctx.lineWidth = 3;
+        ctx.beginPath();
+        ctx.arc(x, y, radius * 1.1, 0, Math.PI * 2);
+        ctx.stroke();
+    }
+
+    renderBloodQueen(enemy) {
+        const ctx = this.ctx;
+        const { x, y, radius } = enemy;
+
+        // Blood red dress/body
+        const dressGradient = ctx.createRadialGradient(x, y, 0, x, y, radius);
+        dressGradient.addColorStop(0, '#cc0000');
+        dressGradient.addColorStop(0.6, '#8b0000');
+        dressGradient.addColorStop(1, '#4a0000');
+
+        ctx.fillStyle = dressGradient;
+        ctx.beginPath();
+        ctx.ellipse(x, y, radius * 0.9, radius * 1.1, 0, 0, Math.PI * 2);
+        ctx.fill();
+
+        // Pale face
+        ctx.fillStyle = '#ffd4cc';
+        ctx.beginPath();
+        ctx.arc(x, y - radius * 0.5, radius * 0.4, 0, Math.PI * 2);
+        ctx.fill();
+
+        // Blood crown
+        ctx.fillStyle = '#8b0000';
+        ctx.beginPath();
+        ctx.moveTo(x - radius * 0.35, y - radius * 0.7);
+        ctx.lineTo(x - radius * 0.35, y - radius * 0.95);
+        ctx.lineTo(x - radius * 0.2, y - radius * 0.75);
+        ctx.lineTo(x, y - radius * 1.0);
+        ctx.lineTo(x + radius * 0.2, y - radius * 0.75);
+        ctx.lineTo(x + radius * 0.35, y - radius * 0.95);
+        ctx.lineTo(x + radius * 0.35, y - radius * 0.7);
+        ctx.closePath();
+        ctx.fill();
+
+        // Blood red eyes
+        ctx.fillStyle = '#ff0000';
+        ctx.beginPath();
+        ctx.ellipse(x - radius * 0.15, y - radius * 0.5, radius * 0.12, radius * 0.08, 0, 0, Math.PI * 2);
+        ctx.ellipse(x + radius * 0.15, y - radius * 0.5, radius * 0.12, radius * 0.08, 0, 0, Math.PI * 2);
+        ctx.fill();
+
+        // Blood aura
+        ctx.strokeStyle = 'rgba(255, 0, 0, 0.4)';
+        ctx.lineWidth = 4;
+        ctx.beginPath();
+        ctx.arc(x, y, radius * 1.15, 0, Math.PI * 2);
+        ctx.stroke();
+    }
+
+    renderVoidLord(enemy) {
+        const ctx = this.ctx;
+        const { x, y, radius } = enemy;
+
+        // Void aura
+        const voidGradient = ctx.createRadialGradient(x, y, 0, x, y, radius * 1.2);
+        voidGradient.addColorStop(0, 'rgba(192, 132, 252, 0.3)');
+        voidGradient.addColorStop(0.5, 'rgba(107, 44, 145, 0.5)');
+        voidGradient.addColorStop(1, 'rgba(45, 26, 74, 0)');
+
+        ctx.fillStyle = voidGradient;
+        ctx.beginPath();
+        ctx.arc(x, y, radius * 1.2, 0, Math.PI * 2);
+        ctx.fill();
+
+        // Dark body
+        const bodyGradient = ctx.createRadialGradient(x, y - radius * 0.2, 0, x, y, radius);
+        bodyGradient.addColorStop(0, '#6b4c7a');
+        bodyGradient.addColorStop(0.5, '#3d2a5a');
+        bodyGradient.addColorStop(1, '#1a0f2e');
+
+        ctx.fillStyle = bodyGradient;
+        ctx.beginPath();
+        ctx.ellipse(x, y, radius * 0.95, radius * 1.05, 0, 0, Math.PI * 2);
+        ctx.fill();
+
+        // Void face mask
+        ctx.fillStyle = '#0f051e';
+        ctx.beginPath();
+        ctx.ellipse(x, y - radius * 0.3, radius * 0.5, radius * 0.4, 0, Math.PI, 0);
+        ctx.fill();
+
+        // Glowing purple eyes
+        ctx.fillStyle = '#c084fc';
+        ctx.beginPath();
+        ctx.ellipse(x - radius * 0.2, y - radius * 0.35, radius * 0.15, radius * 0.1, 0, 0, Math.PI * 2);
+        ctx.ellipse(x + radius * 0.2, y - radius * 0.35, radius * 0.15, radius * 0.1, 0, 0, Math.PI * 2);
+        ctx.fill();
+
+        // Void crown/horns
+        ctx.fillStyle = '#2d1a4a';
+        ctx.beginPath();
+        ctx.moveTo(x - radius * 0.4, y - radius * 0.7);
+        ctx.lineTo(x - radius * 0.6, y - radius * 1.1);
+        ctx.lineTo(x - radius * 0.25, y - radius * 0.8);
+        ctx.lineTo(x, y - radius * 1.2);
+        ctx.lineTo(x + radius * 0.25, y - radius * 0.8);
+        ctx.lineTo(x + radius * 0.6, y - radius * 1.1);
+        ctx.lineTo(x + radius * 0.4, y - radius * 0.7);
+        ctx.closePath();
+        ctx.fill();
+
+        // Void stars inside body
+        ctx.fillStyle = '#c084fc';
+        for (let i = 0; i < 8; i++) {
+            const starX = x + (Math.random() - 0.5) * radius * 1.2;
+            const starY = y + (Math.random() - 0.5) * radius * 1.4;
+            ctx.beginPath();
+            ctx.arc(starX, starY, radius * 0.05, 0, Math.PI * 2);
+            ctx.fill();
+        }
+
+        // Boss health bar indicator
+        ctx.strokeStyle = '#c084fc';
+        ctx.lineWidth = 4;
+        ctx.beginPath();
+        ctx.arc(x, y, radius * 1.15, 0, Math.PI * 2);
+        ctx.stroke();
+    }
+
+    renderDevil(enemy) {
+        const ctx = this.ctx;
+        const { x, y, radius } = enemy;
+
+        // Fiery aura
+        const fireAura = ctx.createRadialGradient(x, y, 0, x, y, radius * 1.5);
+        fireAura.addColorStop(0, 'rgba(255, 100, 0, 0.4)');
+        fireAura.addColorStop(0.5, 'rgba(200, 50, 0, 0.3)');
+        fireAura.addColorStop(1, 'rgba(100, 0, 0, 0)');
+
+        ctx.fillStyle = fireAura;
+        ctx.beginPath();
+        ctx.arc(x, y, radius * 1.5, 0, Math.PI * 2);
+        ctx.fill();
+
+        // Dark red body
+        const bodyGradient = ctx.createRadialGradient(x - radius * 0.3, y - radius * 0.3, 0, x, y, radius);
+        bodyGradient.addColorStop(0, '#ff4444');
+        bodyGradient.addColorStop(0.5, '#aa0000');
+        bodyGradient.addColorStop(1, '#550000');
+
+        ctx.fillStyle = bodyGradient;
+        ctx.beginPath();
+        ctx.ellipse(x, y, radius * 1.0, radius * 1.05, 0, 0, Math.PI * 2);
+        ctx.fill();
+
+        // Horns
+        ctx.fillStyle = '#1a0505';
+        ctx.beginPath();
+        ctx.moveTo(x - radius * 0.5, y - radius * 0.6);
+        ctx.lineTo(x - radius * 0.8, y - radius * 1.3);
+        ctx.lineTo(x - radius * 0.3, y - radius * 0.8);
+        ctx.lineTo(x + radius * 0.3, y - radius * 0.8);
+        ctx.lineTo(x + radius * 0.8, y - radius * 1.3);
+        ctx.lineTo(x + radius * 0.5, y - radius * 0.6);
+        ctx.closePath();
+        ctx.fill();
+
+        // Glowing yellow eyes
+        ctx.fillStyle = '#ffdd00';
+        ctx.beginPath();
+        ctx.ellipse(x - radius * 0.3, y - radius * 0.2, radius * 0.2, radius * 0.12, 0, 0, Math.PI * 2);
+        ctx.ellipse(x + radius * 0.3, y - radius * 0.2, radius * 0.2, radius * 0.12, 0, 0, Math.PI * 2);
+        ctx.fill();
+
+        // Black slit pupils
+        ctx.fillStyle = '#000000';
+        ctx.beginPath();
+        ctx.ellipse(x - radius * 0.3, y - radius * 0.2, radius * 0.08, radius * 0.12, 0, 0, Math.PI * 2);
+        ctx.ellipse(x + radius * 0.3, y - radius * 0.2, radius * 0.08, radius * 0.12, 0, 0, Math.PI * 2);
+        ctx.fill();
+
+        // Menacing grin
+        ctx.strokeStyle = '#ff6600';
+        ctx.lineWidth = 3;
+        ctx.beginPath();
+        ctx.arc(x, y + radius * 0.3, radius * 0.3, 0.1 * Math.PI, 0.9 * Math.PI);
+        ctx.stroke();
+
+        // Sharp teeth
+        ctx.fillStyle = '#ffffff';
+        for (let i = 0; i < 5; i++) {
+            const toothX = x - radius * 0.25 + (radius * 0.125 * i);
+            const toothY = y + radius * 0.35 + Math.sin(i * 0.5) * radius * 0.05;
+            ctx.beginPath();
+            ctx.moveTo(toothX - radius * 0.05, toothY);
+            ctx.lineTo(toothX, toothY + radius * 0.08);
+            ctx.lineTo(toothX + radius * 0.05, toothY);
+            ctx.closePath();
+            ctx.fill();
+        }
+
+        // Boss health bar indicator - golden for final boss
+        ctx.strokeStyle = '#ffd700';
+        ctx.lineWidth = 5;
+        ctx.beginPath();
+        ctx.arc(x, y, radius * 1.15, 0, Math.PI * 2);
+        ctx.stroke();
+    }
+
+    /**
+     * Fire particles around the devil - live every frame, so they stay out of its atlas art
+     */
+    emitDevilFire(enemy) {
+        if (Math.random() < 0.3) {
+            const angle = Math.random() * Math.PI * 2;
+            const dist = enemy.radius * (0.8 + Math.random() * 0.5);
+            this.particles.emit(
+                enemy.x + Math.cos(angle) * dist,
+                enemy.y + Math.sin(angle) * dist,
+                { color: '#ff6600', size: 4 + Math.random() * 4, life: 0.5, type: 'circle', vy: -30 }
+            );
+        }
+    }
+
+    // ==================== NEW MONSTER RENDERING ====================
+    renderCryptWraith(enemy) {
+        const ctx = this.ctx;
+        const { x, y, radius } = enemy;
+
+        // Ghostly translucent body
+        ctx.fillStyle = 'rgba(125, 107, 143, 0.7)';
+        ctx.beginPath();
+        ctx.ellipse(x, y, radius * 0.7, radius, 0, 0, Math.PI * 2);
+        ctx.fill();
+
+        // Hood
+        ctx.fillStyle = '#5a4d6a';
+        ctx.beginPath();
+        ctx.arc(x, y - radius * 0.3, radius * 0.5, Math.PI, 0);
+        ctx.fill();
+
+        // Glowing red eyes
+        ctx.fillStyle = '#ff6b6b';
+        ctx.beginPath();
+        ctx.arc(x - radius * 0.2, y - radius * 0.25, radius * 0.12, 0, Math.PI * 2);
+        ctx.arc(x + radius * 0.2, y - radius * 0.25, radius * 0.12, 0, Math.PI * 2);
+        ctx.fill();
+
+        // Wispy edges
+        ctx.globalAlpha = 0.4;
+        ctx.fillStyle = '#7d6b8f';
+        ctx.beginPath();
+        ctx.arc(x - radius * 0.4, y + radius * 0.5, radius * 0.25, 0, Math.PI * 2);
+        ctx.arc(x + radius * 0.4, y + radius * 0.5, radius * 0.25, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.globalAlpha = 1;
+    }
+
+    renderBerserkerMutant(enemy) {
+        const ctx = this.ctx;
+        const { x, y, radius } = enemy;
+
+        // Reddish body
+        const bodyGradient = ctx.createRadialGradient(x, y, 0, x, y, radius);
+        bodyGradient.addColorStop(0, '#c48b8b');
+        bodyGradient.addColorStop(1, '#8b3d3d');
+
+        ctx.fillStyle = bodyGradient;
+        ctx.beginPath();
+        ctx.arc(x, y, radius, 0, Math.PI * 2);
+        ctx.fill();
+
+        // Wild hair
+        ctx.fillStyle = '#4a3728';
+        ctx.beginPath();
+        ctx.arc(x, y - radius * 0.6, radius * 0.5, Math.PI, 0);
+        ctx.fill();
+
+        // Angry eyebrows
+        ctx.strokeStyle = '#2d1f15';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.moveTo(x - radius * 0.3, y - radius * 0.4);
+        ctx.lineTo(x - radius * 0.1, y - radius * 0.3);
+        ctx.moveTo(x + radius * 0.3, y - radius * 0.4);
+        ctx.lineTo(x + radius * 0.1, y - radius * 0.3);
+        ctx.stroke();
+
+        // Bloodshot eyes
+        ctx.fillStyle = '#ffffff';
+        ctx.beginPath();
+        ctx.arc(x - radius * 0.25, y - radius * 0.15, radius * 0.18, 0, Math.PI * 2);
+        ctx.arc(x + radius * 0.25, y - radius * 0.15, radius * 0.18, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.fillStyle = '#ff3333';
+        ctx.beginPath();
+        ctx.arc(x - radius * 0.2, y - radius * 0.15, radius * 0.08, 0, Math.PI * 2);
+        ctx.arc(x + radius * 0.2, y - radius * 0.15, radius * 0.08, 0, Math.PI * 2);
+        ctx.fill();
+
+        // Rage veins
+        ctx.strokeStyle = '#8b3d3d';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(x + radius * 0.3, y - radius * 0.5);
+        ctx.quadraticCurveTo(x + radius * 0.4, y - radius * 0.4, x + radius * 0.35, y - radius * 0.3);
+        ctx.stroke();
+    }
+
+    renderDarkPriest(enemy) {
+        const ctx = this.ctx;
+        const { x, y, radius } = enemy;
+
+        // Dark purple robe
+        const robeGradient = ctx.createRadialGradient(x, y, 0, x, y, radius);
+        robeGradient.addColorStop(0, '#4a3d5a');
+        robeGradient.addColorStop(1, '#1a0f2e');
+
+        ctx.fillStyle = robeGradient;
+        ctx.beginPath();
+        ctx.ellipse(x, y, radius * 0.8, radius * 1.1, 0, 0, Math.PI * 2);
+        ctx.fill();
+
+        // Deep hood
+        ctx.fillStyle = '#2d1a4a';
+        ctx.beginPath();
+        ctx.arc(x, y - radius * 0.3, radius * 0.5, Math.PI, 0);
+        ctx.fill();
+
+        // Glowing purple eyes
+        ctx.fillStyle = '#c084fc';
+        ctx.beginPath();
+        ctx.arc(x - radius * 0.2, y - radius * 0.25, radius * 0.12, 0, Math.PI * 2);
+        ctx.arc(x + radius * 0.2, y - radius * 0.25, radius * 0.12, 0, Math.PI * 2);
+        ctx.fill();
+
+        // Dark orb above head
+        ctx.fillStyle = 'rgba(147, 112, 219, 0.6)';
+        ctx.beginPath();
+        ctx.arc(x, y - radius * 0.8, radius * 0.3, 0, Math.PI * 2);
+        ctx.fill();
+    }
+
+    renderCrystalGolem(enemy) {
+        const ctx = this.ctx;
+        const { x, y, radius } = enemy;
+
+        // Crystalline body
+        const crystalGradient = ctx.createLinearGradient(x - radius, y - radius, x + radius, y + radius);
+        crystalGradient.addColorStop(0, '#7dd3c4');
+        crystalGradient.addColorStop(0.5, '#4a9d8b');
+        crystalGradient.addColorStop(1, '#2d5a4f');
+
+        ctx.fillStyle = crystalGradient;
+        ctx.beginPath();
+        ctx.moveTo(x, y - radius * 0.9);
+        ctx.lineTo(x + radius * 0.7, y - radius * 0.3);
+        ctx.lineTo(x + radius * 0.8, y + radius * 0.5);
+        ctx.lineTo(x, y + radius * 0.9);
+        ctx.lineTo(x - radius * 0.8, y + radius * 0.5);
+        ctx.lineTo(x - radius * 0.7, y - radius * 0.3);
+        ctx.closePath();
+        ctx.fill();
+
+        // Crystal facets
+        ctx.fillStyle = 'rgba(125, 211, 196, 0.5)';
+        ctx.beginPath();
+        ctx.moveTo(x, y - radius * 0.5);
+        ctx.lineTo(x + radius * 0.4, y);
+        ctx.lineTo(x, y + radius * 0.4);
+        ctx.lineTo(x - radius * 0.4, y);
+        ctx.closePath();
+        ctx.fill();
+
+        // Glowing red eyes
+        ctx.fillStyle = '#ff6b6b';
+        ctx.beginPath();
+        ctx.moveTo(x - radius * 0.3, y - radius * 0.3);
+        ctx.lineTo(x - radius * 0.15, y - radius * 0.2);
+        ctx.lineTo(x - radius * 0.3, y - radius * 0.1);
+        ctx.fill();
+        ctx.beginPath();
+        ctx.moveTo(x + radius * 0.3, y - radius * 0.3);
+        ctx.lineTo(x + radius * 0.15, y - radius * 0.2);
+        ctx.lineTo(x + radius * 0.3, y - radius * 0.1);
+        ctx.fill();
+
+        // Crystal spikes
+        ctx.strokeStyle = '#4a9d8b';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.moveTo(x - radius * 0.8, y);
+        ctx.lineTo(x - radius * 1.1, y - radius * 0.2);
+        ctx.moveTo(x + radius * 0.8, y);
+        ctx.lineTo(x + radius * 1.1, y - radius * 0.2);
+        ctx.stroke();
+    }
+
+    showWaveNotification() {
+        this.waveNotifications.push({
+            wave: this.wave,
+            alpha: 1,
+            scale: 1.5,
+            life: 6 // seconds to display (increased from 3 to 6)
+        });
+    }
+
+    showShieldBlockEffect(x, y) {
+        this.audio.play('shieldBlock');
+        this.shieldBlockEffects.push({
+            x: x,
+            y: y,
+            alpha: 1,
+            radius: 30,
+            life: 0.5
+        });
+    }
+
+    renderShieldBlockEffects() {
+        const ctx = this.ctx;
+        for (let i = this.shieldBlockEffects.length - 1; i >= 0; i--) {
+            const effect = this.shieldBlockEffects[i];
+            effect.life -= 1 / 60;
+            effect.alpha = Math.min(1, effect.life * 2);
+            effect.radius = 30 + (1 - effect.life) * 20;
+
+            if (effect.life <= 0) {
+                this.shieldBlockEffects.splice(i, 1);
+                continue;
+            }
+
+            const screenX = this.viewport.toScreenX(effect.x, this.camera.x);
+            const screenY = this.viewport.toScreenY(effect.y, this.camera.y);
+
+            // Draw shield block effect
+            ctx.save();
+            ctx.strokeStyle = `rgba(100, 150, 255, ${effect.alpha})`;
+            ctx.lineWidth = 4;
+            ctx.beginPath();
+            ctx.arc(screenX, screenY, effect.radius * this.viewport.scale, 0, Math.PI * 2);
+            ctx.stroke();
+
+            // Inner glow
+            ctx.fillStyle = `rgba(150, 200, 255, ${effect.alpha * 0.3})`;
+            ctx.beginPath();
+            ctx.arc(screenX, screenY, effect.radius * 0.7 * this.viewport.scale, 0, Math.PI * 2);
+            ctx.fill();
+
+            ctx.restore();
+        }
+    }
+    
+    renderWaveNotifications() {
+        const ctx = this.ctx;
+        const centerX = this.viewport.screenWidth / 2;
+        const centerY = this.viewport.screenHeight / 3;
+
+        for (let i = this.waveNotifications.length - 1; i >= 0; i--) {
+            const notif = this.waveNotifications[i];
+            notif.life -= 1 / 60; // Assume 60fps
+            notif.alpha = Math.min(1, notif.life);
+            notif.scale = 1 + (1.5 - 1) * (1 - notif.life);
+
+            if (notif.life <= 0) {
+                this.waveNotifications.splice(i, 1);
+                continue;
+            }
+
+            ctx.save();
+            ctx.translate(centerX, centerY);
+            ctx.scale(notif.scale, notif.scale);
+
+            // Background
+            ctx.fillStyle = `rgba(0, 0, 0, ${notif.alpha * 0.7})`;
+            ctx.fillRect(-150, -40, 300, 80);
+
+            // Border
+            ctx.strokeStyle = `rgba(102, 126, 234, ${notif.alpha})`;
+            ctx.lineWidth = 3;
+            ctx.strokeRect(-150, -40, 300, 80);
+
+            // Text
+            ctx.fillStyle = `rgba(255, 255, 255, ${notif.alpha})`;
+            ctx.font = 'bold 36px Arial';
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            ctx.fillText(`WAVE ${notif.wave}`, 0, 0);
+
+            ctx.restore();
+        }
+    }
+    
+    /**
+     * Render special event notifications on screen
+     */
+    renderEventNotifications() {
+        const ctx = this.ctx;
+        const centerX = this.viewport.screenWidth / 2;
+        let yOffset = 150; // Start below wave notifications
+
+        for (let i = this.eventNotifications.length - 1; i >= 0; i--) {
+            const notif = this.eventNotifications[i];
+            notif.life -= 1 / 60; // Assume 60fps
+            notif.alpha = Math.min(1, notif.life);
+            notif.scale = 1 + (1.3 - 1) * (1 - notif.life);
+
+            if (notif.life <= 0) {
+                this.eventNotifications.splice(i, 1);
+                continue;
+            }
+
+            ctx.save();
+            ctx.translate(centerX, yOffset);
+            ctx.scale(notif.scale, notif.scale);
+
+            // Background with event color tint
+            ctx.fillStyle = `rgba(0, 0, 0, ${notif.alpha * 0.8})`;
+            ctx.fillRect(-180, -35, 360, 70);
+
+            // Colored border matching event type
+            ctx.strokeStyle = notif.color;
+            ctx.lineWidth = 4;
+            ctx.strokeRect(-180, -35, 360, 70);
+            
+            // Inner glow (removed expensive shadowBlur for performance)
+
+            // Text with event color
+            ctx.fillStyle = notif.color;
+            ctx.font = 'bold 32px Arial';
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            ctx.fillText(notif.text, 0, 0);
+
+            ctx.restore();
+            
+            yOffset += 80; // Stack notifications vertically
+        }
+    }
+    
+    /**
+     * Render Blood Moon red overlay on screen
+     */
+    renderBloodMoonOverlay() {
+        if (!this.activeEvents.bloodMoon) return;
+        
+        const ctx = this.ctx;
+        const width = this.viewport.screenWidth;
+        const height = this.viewport.screenHeight;
+        
+        // Pulsing red overlay
+        const pulseIntensity = 0.15 + Math.sin(this.gameTime * 3) * 0.05; // Pulsing effect
+        
+        ctx.fillStyle = `rgba(139, 0, 0, ${pulseIntensity})`;
+        ctx.fillRect(0, 0, width, height);
+        
+        // Vignette effect (darker edges)
+        const gradient = ctx.createRadialGradient(
+            width / 2, height / 2, height / 3,
+            width / 2, height / 2, height
+        );
+        gradient.addColorStop(0, 'rgba(139, 0, 0, 0)');
+        gradient.addColorStop(1, `rgba(139, 0, 0, ${pulseIntensity * 0.5})`);
+        
+        ctx.fillStyle = gradient;
+        ctx.fillRect(0, 0, width, height);
+    }
+
+    renderResumeCountdown() {
+        if (this.state !== 'resuming') return;
+
+        const ctx = this.ctx;
+        const count = Math.ceil(this.resumeCountdown);
+        const progress = count - this.resumeCountdown; // 0-1 through the current number
+        const scale = 1.5 - progress * 0.5;
+
+        ctx.save();
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.4)';
+        ctx.fillRect(0, 0, this.viewport.screenWidth, this.viewport.screenHeight);
+
+        ctx.translate(this.viewport.screenWidth / 2, this.viewport.screenHeight / 2);
+        ctx.scale(scale, scale);
+        ctx.globalAlpha = 1 - progress * 0.5;
+        ctx.font = 'bold 120px Arial';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.lineWidth = 6;
+        ctx.strokeStyle = '#000000';
+        ctx.strokeText(count, 0, 0);
+        ctx.fillStyle = '#ffffff';
+        ctx.fillText(count, 0, 0);
+        ctx.restore();
+    }
+
+    /**
+     * Get the weapon SVG key for a projectile based on its properties
+     * @param {Projectile} proj - The projectile to get the weapon key for
+     * @returns {string} - The weapon SVG key
+     */
+    getProjectileWeaponKey(proj) {
+        // Check weaponType first (most reliable)
+        if (proj.weaponType) {
+            return proj.weaponType;
+        }
+        // WEAPONS ids are camelCase, the SVG keys are snake_case
+        if (proj.weaponId) {
+            return toAssetKey(proj.weaponId);
+        }
+        // Fallback to legacy property checks
+        if (proj.isIceShard) return 'ice_shard';
+        if (proj.isSacredCross) return 'sacred_cross';
+        if (proj.isPoisonDagger) return 'poison_dagger';
+        if (proj.isSpinBlade) return 'spin_blade';
+        if (proj.isExplosive) return 'fireball_arc';
+        if (proj.homing) return 'magic_wand';
+        // Default to magic_wand
+        return 'magic_wand';
+    }
+
+    /**
+     * Stamp a projectile's canvas art from the atlas, baking it on first use
+     * @param {Projectile} proj - The projectile to draw
+     * @param {string} weaponKey - The weapon type key
+     */
+    drawProjectile(proj, weaponKey) {
+        const radius = Math.max(1, Math.round(proj.radius));
+        const key = `${weaponKey}:${radius}:${proj.color}`;
+
+        let frame = this.atlas.get(key);
+        if (!frame) {
+            // Spears reach 2.5x the radius and glows blur up to 2.5x past the edge
+            frame = this.bakeAtlasFrame(key, radius * 3.5 + 4, () => {
+                this.renderProjectileArt(weaponKey, radius, proj.color);
+            });
+        }
+        this.atlas.draw(this.ctx, frame, proj.x, proj.y, proj.radius / radius, this.getProjectileRotation(proj, weaponKey));
+    }
+
+    /**
+     * Which way projectile art faces - blades point along their velocity,
+     * crosses face away from the player and spin blades spin
+     * @returns {number} Radians
+     */
+    getProjectileRotation(proj, weaponKey) {
+        if (VELOCITY_ROTATED_PROJECTILES.has(weaponKey)) {
+            return proj.vx !== 0 || proj.vy !== 0 ? Math.atan2(proj.vy, proj.vx) : 0;
+        }
+        if (weaponKey === 'sacred_cross') {
+            return Math.atan2(proj.y - this.player.y, proj.x - this.player.x) + Math.PI / 2;
+        }
+        if (weaponKey === 'spin_blade') {
+            return Date.now() / 100;
+        }
+        return 0;
+    }
+
+    /**
+     * Draw projectile art directly using canvas API, centered on 0, 0 and unrotated
+     * Each weapon type has a distinct visual style using gradients and effects
+     * @param {string} weaponKey - The weapon type key
+     * @param {number} r - Projectile radius
+     * @param {string} color - Fallback color for projectiles without their own art
+     */
+    renderProjectileArt(weaponKey, r, color) {
+        const ctx = this.ctx;
+        const x = 0;
+        const y = 0;
+
+        switch (weaponKey) {
+            case 'magic_aura':
+                // Purple/pink glow with soft gradient
+                ctx.save();
+                ctx.shadowBlur = r * 2;
+                ctx.shadowColor = '#ff00ff';
+                const auraGrad = ctx.createRadialGradient(x, y, 0, x, y, r);
+                auraGrad.addColorStop(0, '#ff66ff');
+                auraGrad.addColorStop(0.5, '#cc00cc');
+                auraGrad.addColorStop(1, 'rgba(150, 0, 150, 0.3)');
+                ctx.fillStyle = auraGrad;
+                ctx.beginPath();
+                ctx.arc(x, y, r, 0, Math.PI * 2);
+                ctx.fill();
+                // Inner bright core
+                ctx.shadowBlur = 0;
+                ctx.fillStyle = '#ffffff';
+                ctx.beginPath();
+                ctx.arc(x, y, r * 0.3, 0, Math.PI * 2);
+                ctx.fill();
+                ctx.restore();
+                break;
+
+            case 'fireball_arc':
+                // Orange/red fireball with glow
+                ctx.save();
+                ctx.shadowBlur = r * 1.5;
+                ctx.shadowColor = '#ff4400';
+                const fireGrad = ctx.createRadialGradient(x - r * 0.3, y - r * 0.3, 0, x, y, r);
+                fireGrad.addColorStop(0, '#ffff66');
+                fireGrad.addColorStop(0.4, '#ff6600');
+                fireGrad.addColorStop(1, '#cc0000');
+                ctx.fillStyle = fireGrad;
+                ctx.beginPath();
+                ctx.arc(x, y, r, 0, Math.PI * 2);
+                ctx.fill();
+                ctx.restore();
+                break;
+
+            case 'magic_wand':
+                // Blue/purple magic missile
+                ctx.save();
+                ctx.shadowBlur = r * 1.2;
+                ctx.shadowColor = '#6666ff';
+                const wandGrad = ctx.createRadialGradient(x, y, 0, x, y, r);
+                wandGrad.addColorStop(0, '#aaccff');
+                wandGrad.addColorStop(0.6, '#6666ff');
+                wandGrad.addColorStop(1, '#3300cc');
+                ctx.fillStyle = wandGrad;
+                ctx.beginPath();
+                ctx.arc(x, y, r, 0, Math.PI * 2);
+                ctx.fill();
+                // White streak effect
+                ctx.shadowBlur = 0;
+                ctx.strokeStyle = 'rgba(255, 255, 255, 0.6)';
+                ctx.lineWidth = 2;
+                ctx.beginPath();
+                ctx.moveTo(x - r * 0.8, y);
+                ctx.lineTo(x + r * 0.5, y);
+                ctx.stroke();
+                ctx.restore();
+                break;
+
+            case 'throwing_knife':
+                // Silver/gray ellipse (rotated to face direction)
+                ctx.save();
+                ctx.shadowBlur = r * 0.5;
+                ctx.shadowColor = '#888888';
+                const knifeGrad = ctx.createLinearGradient(-r * 1.5, 0, r * 1.5, 0);
+                knifeGrad.addColorStop(0, '#666666');
+                knifeGrad.addColorStop(0.3, '#cccccc');
+                knifeGrad.addColorStop(0.5, '#ffffff');
+                knifeGrad.addColorStop(0.7, '#cccccc');
+                knifeGrad.addColorStop(1, '#666666');
+                ctx.fillStyle = knifeGrad;
+                ctx.beginPath();
+                ctx.ellipse(0, 0, r * 1.8, r * 0.5, 0, 0, Math.PI * 2);
+                ctx.fill();
+                ctx.restore();
+                break;
+
+            case 'lightning_bolt':
+                // Yellow lightning with strong glow
+                ctx.save();
+                ctx.shadowBlur = r * 2.5;
+                ctx.shadowColor = '#ffff00';
+                const boltGrad = ctx.createRadialGradient(x, y, 0, x, y, r);
+                boltGrad.addColorStop(0, '#ffffff');
+                boltGrad.addColorStop(0.5, '#ffff00');
+                boltGrad.addColorStop(1, '#ffaa00');
+                ctx.fillStyle = boltGrad;
+                ctx.beginPath();
+                ctx.arc(x, y, r, 0, Math.PI * 2);
+                ctx.fill();
+                // Extra bright center
+                ctx.shadowBlur = 0;
+                ctx.fillStyle = '#ffffff';
+                ctx.beginPath();
+                ctx.arc(x, y, r * 0.4, 0, Math.PI * 2);
+                ctx.fill();
+                ctx.restore();
+                break;
+
+            case 'holy_water':
+                // Light blue/cyan with soft glow
+                ctx.save();
+                ctx.shadowBlur = r * 1.3;
+                ctx.shadowColor = '#00ffff';
+                const holyGrad = ctx.createRadialGradient(x, y, 0, x, y, r);
+                holyGrad.addColorStop(0, '#ffffff');
+                holyGrad.addColorStop(0.4, '#66ffff');
+                holyGrad.addColorStop(1, '#009999');
+                ctx.fillStyle = holyGrad;
+                ctx.beginPath();
+                ctx.arc(x, y, r, 0, Math.PI * 2);
+                ctx.fill();
+                // Sparkle effect
+                ctx.shadowBlur = 0;
+                ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
+                ctx.beginPath();
+                ctx.arc(x - r * 0.3, y - r * 0.3, r * 0.25, 0, Math.PI * 2);
+                ctx.fill();
+                ctx.restore();
+                break;
+
+            case 'ice_shard':
+                // Light blue/cyan with sharp edges (diamond shape)
+                ctx.save();
+                ctx.shadowBlur = r;
+                ctx.shadowColor = '#00ccff';
+                const iceGrad = ctx.createLinearGradient(-r, -r, r, r);
+                iceGrad.addColorStop(0, '#e0ffff');
+                iceGrad.addColorStop(0.5, '#66ccff');
+                iceGrad.addColorStop(1, '#0066cc');
+                ctx.fillStyle = iceGrad;
+                ctx.beginPath();
+                // Diamond shape
+                ctx.moveTo(0, -r * 1.4);
+                ctx.lineTo(r * 0.7, 0);
+                ctx.lineTo(0, r * 1.4);
+                ctx.lineTo(-r * 0.7, 0);
+                ctx.closePath();
+                ctx.fill();
+                ctx.restore();
+                break;
+
+            case 'sacred_cross':
+                // Gold/yellow cross shape
+                ctx.save();
+                ctx.shadowBlur = r * 1.5;
+                ctx.shadowColor = '#ffcc00';
+                const crossGrad = ctx.createRadialGradient(0, 0, 0, 0, 0, r);
+                crossGrad.addColorStop(0, '#ffffaa');
+                crossGrad.addColorStop(0.6, '#ffcc00');
+                crossGrad.addColorStop(1, '#cc8800');
+                ctx.fillStyle = crossGrad;
+                // Draw cross shape
+                const armW = r * 0.4;
+                const armL = r * 1.2;
+                ctx.fillRect(-armW / 2, -armL, armW, armL * 2);
+                ctx.fillRect(-armL / 2, -armW / 2, armL, armW);
+                ctx.restore();
+                break;
+
+            case 'poison_dagger':
+                // Green poison dart with trail effect
+                ctx.save();
+                ctx.shadowBlur = r;
+                ctx.shadowColor = '#00ff00';
+                const poisonGrad = ctx.createLinearGradient(-r, 0, r, 0);
+                poisonGrad.addColorStop(0, '#006600');
+                poisonGrad.addColorStop(0.5, '#00ff00');
+                poisonGrad.addColorStop(1, '#66ff66');
+                ctx.fillStyle = poisonGrad;
+                ctx.beginPath();
+                // Dagger shape
+                ctx.moveTo(r * 1.5, 0);
+                ctx.lineTo(-r * 0.5, r * 0.6);
+                ctx.lineTo(-r * 0.8, r * 0.4);
+                ctx.lineTo(-r * 0.8, -r * 0.4);
+                ctx.lineTo(-r * 0.5, -r * 0.6);
+                ctx.closePath();
+                ctx.fill();
+                ctx.restore();
+                break;
+
+            case 'spin_blade':
+                // Silver with blue trail, spinning
+                ctx.save();
+                ctx.shadowBlur = r * 1.2;
+                ctx.shadowColor = '#0066ff';
+                const bladeGrad = ctx.createRadialGradient(0, 0, 0, 0, 0, r);
+                bladeGrad.addColorStop(0, '#ffffff');
+                bladeGrad.addColorStop(0.5, '#cccccc');
+                bladeGrad.addColorStop(1, '#666666');
+                ctx.fillStyle = bladeGrad;
+                // Circular blade shape
+                ctx.beginPath();
+                ctx.arc(0, 0, r, 0, Math.PI * 2);
+                ctx.fill();
+                // Blue outer ring
+                ctx.strokeStyle = '#0066ff';
+                ctx.lineWidth = 2;
+                ctx.beginPath();
+                ctx.arc(0, 0, r * 0.8, 0, Math.PI * 2);
+                ctx.stroke();
+                ctx.restore();
+                break;
+
+            case 'soul_orb':
+                // Purple soul orb with ghostly glow
+                ctx.save();
+                ctx.shadowBlur = r * 2;
+                ctx.shadowColor = '#9370db';
+                const soulGrad = ctx.createRadialGradient(x, y, 0, x, y, r);
+                soulGrad.addColorStop(0, '#e0b0ff');
+                soulGrad.addColorStop(0.5, '#9370db');
+                soulGrad.addColorStop(1, 'rgba(75, 0, 130, 0.3)');
+                ctx.fillStyle = soulGrad;
+                ctx.beginPath();
+                ctx.arc(x, y, r, 0, Math.PI * 2);
+                ctx.fill();
+                // Swirl pattern inside
+                ctx.shadowBlur = 0;
+                ctx.strokeStyle = 'rgba(224, 176, 255, 0.6)';
+                ctx.lineWidth = 1.5;
+                ctx.beginPath();
+                ctx.arc(x, y, r * 0.6, 0, Math.PI * 1.5);
+                ctx.stroke();
+                ctx.restore();
+                break;
+
+            case 'bone_spear':
+                // Bone-colored piercing spear (rotated)
+                ctx.save();
+                ctx.shadowBlur = r * 0.8;
+                ctx.shadowColor = '#d4c4a8';
+                const boneGrad = ctx.createLinearGradient(-r * 2, 0, r * 2, 0);
+                boneGrad.addColorStop(0, '#f5f5dc');
+                boneGrad.addColorStop(0.5, '#e8dcc4');
+                boneGrad.addColorStop(1, '#d4c4a8');
+                ctx.fillStyle = boneGrad;
+                // Spear shape
+                ctx.beginPath();
+                ctx.ellipse(0, 0, r * 2.5, r * 0.5, 0, 0, Math.PI * 2);
+                ctx.fill();
+                // Spear tip
+                ctx.fillStyle = '#c4b494';
+                ctx.beginPath();
+                ctx.moveTo(r * 1.5, 0);
+                ctx.lineTo(r * 2.5, -r * 0.4);
+                ctx.lineTo(r * 2.5, r * 0.4);
+                ctx.closePath();
+                ctx.fill();
+                ctx.restore();
+                break;
+
+            case 'blood_moon_chakram':
+                // Red crescent blade (rotated)
+                ctx.save();
+                ctx.shadowBlur = r * 1.5;
+                ctx.shadowColor = '#ff6b6b';
+                const chakramGrad = ctx.createLinearGradient(-r, -r, r, r);
+                chakramGrad.addColorStop(0, '#ff6b6b');
+                chakramGrad.addColorStop(0.5, '#8b0000');
+                chakramGrad.addColorStop(1, '#4a0000');
+                ctx.fillStyle = chakramGrad;
+                // Crescent shape
+                ctx.beginPath();
+                ctx.arc(0, 0, r * 1.2, 0.3, Math.PI - 0.3);
+                ctx.arc(r * 0.5, 0, r * 0.8, Math.PI + 0.3, -0.3);
+                ctx.closePath();
+                ctx.fill();
+                // Sharp edge highlight
+                ctx.strokeStyle = '#ffcccc';
+                ctx.lineWidth = 1;
+                ctx.beginPath();
+                ctx.arc(0, 0, r * 1.15, 0.4, Math.PI - 0.4);
+                ctx.stroke();
+                ctx.restore();
+                break;
+
+            case 'vampire_dagger':
+                // Dark red dagger with blood effect (rotated)
+                ctx.save();
+                ctx.shadowBlur = r;
+                ctx.shadowColor = '#8b0000';
+                const daggerGrad = ctx.createLinearGradient(-r * 1.5, 0, r * 1.5, 0);
+                daggerGrad.addColorStop(0, '#4a0000');
+                daggerGrad.addColorStop(0.5, '#8b0000');
+                daggerGrad.addColorStop(1, '#cc0000');
+                ctx.fillStyle = daggerGrad;
+                // Dagger shape
+                ctx.beginPath();
+                ctx.moveTo(r * 1.5, 0);
+                ctx.lineTo(-r * 0.3, r * 0.5);
+                ctx.lineTo(-r * 0.5, r * 0.4);
+                ctx.lineTo(-r * 0.8, r * 0.5);
+                ctx.lineTo(-r * 0.8, -r * 0.5);
+                ctx.lineTo(-r * 0.5, -r * 0.4);
+                ctx.lineTo(-r * 0.3, -r * 0.5);
+                ctx.closePath();
+                ctx.fill();
+                // Blood drop
+                ctx.fillStyle = '#ff0000';
+                ctx.beginPath();
+                ctx.arc(-r * 0.4, 0, r * 0.2, 0, Math.PI * 2);
+                ctx.fill();
+                ctx.restore();
+                break;
+
+            default:
+                // Fallback: simple colored circle with white core
+                ctx.fillStyle = color || '#ffffff';
+                ctx.beginPath();
+                ctx.arc(x, y, r, 0, Math.PI * 2);
+                ctx.fill();
+                ctx.fillStyle = '#ffffff';
+                ctx.beginPath();
+                ctx.arc(x, y, r * 0.5, 0, Math.PI * 2);
+                ctx.fill();
+        }
+    }
+
+    drawColorblindEnemyProjectile(proj) {
+        const radius = Math.max(1, Math.round(proj.radius));
+        const key = `colorblindShot:${radius}`;
+
+        let frame = this.atlas.get(key);
+        if (!frame) {
+            frame = this.bakeAtlasFrame(key, radius + 2, () => {
+                const ctx = this.ctx;
+                ctx.fillStyle = COLORBLIND_PALETTE.enemyProjectile;
+                ctx.strokeStyle = COLORBLIND_PALETTE.enemyProjectileOutline;
+                ctx.lineWidth = 2;
+                ctx.beginPath();
+                ctx.arc(0, 0, radius, 0, Math.PI * 2);
+                ctx.fill();
+                ctx.stroke();
+            });
+        }
+        this.atlas.draw(this.ctx, frame, proj.x, proj.y, proj.radius / radius);
+    }
+
+    /**
+     * Draw a projectile from its preloaded weapon SVG
+     * Blades and spears point along their velocity, chakrams/crosses/spin blades spin in place
+     * @param {Projectile} proj - The projectile to draw
+     * @param {string} weaponKey - The weapon SVG key
+     */
+    drawProjectileSprite(proj, weaponKey) {
+        let rotation = 0;
+        if (weaponKey === 'spin_blade' || weaponKey === 'blood_moon_chakram' || weaponKey === 'sacred_cross') {
+            rotation = this.gameTime * 10;
+        } else if (proj.vx !== 0 || proj.vy !== 0) {
+            rotation = Math.atan2(proj.vy, proj.vx);
+        }
+        this.weaponAssets.render(this.ctx, weaponKey, proj.x, proj.y, proj.radius * 3, rotation);
+    }
+
+    // OPTIMIZATION: Use separate if statements for frustum culling
+    // OPTIMIZATION: Vector mode stamps art pre-rendered into the sprite atlas - one drawImage per projectile
+    renderProjectiles() {
+        const ctx = this.ctx;
+        const camLeft = this.camera.x - 50;
+        const camRight = this.camera.x + this.viewport.width + 50;
+        const camTop = this.camera.y - 50;
+        const camBottom = this.camera.y + this.viewport.height + 50;
+
+        const len = this.projectiles.length;
+        for (let i = 0; i < len; i++) {
+            const proj = this.projectiles[i];
+            if (!proj.active) continue;
+
+            // OPTIMIZATION: Separate if statements for better branch prediction
+            if (proj.x + proj.radius < camLeft) continue;
+            if (proj.x - proj.radius > camRight) continue;
+            if (proj.y + proj.radius < camTop) continue;
+            if (proj.y - proj.radius > camBottom) continue;
+
+            // Colourblind palette swaps every enemy projectile for one high-contrast shot
+            if (proj.owner === 'enemy' && this.settings.colorblind) {
+                this.drawColorblindEnemyProjectile(proj);
+                continue;
+            }
+
+            // Get weapon key, draw the SVG when available, otherwise directly with canvas API
+            const weaponKey = this.getProjectileWeaponKey(proj);
+            if (this.useWeaponSprite(weaponKey)) {
+                this.drawProjectileSprite(proj, weaponKey);
+            } else {
+                this.drawProjectile(proj, weaponKey);
+            }
+        }
+    }
+
+    // OPTIMIZATION: Cache array length for iteration
+    renderLightningBolts() {
+        const ctx = this.ctx;
+        const camLeft = this.camera.x - 50;
+        const camRight = this.camera.x + this.viewport.width + 50;
+        const camTop = this.camera.y - 50;
+        const camBottom = this.camera.y + this.viewport.height + 50;
+
+        const len = this.lightningBolts.length;
+        for (let i = 0; i < len; i++) {
+            const bolt = this.lightningBolts[i];
+            // Check if bolt is visible on screen
+            const isVisible = bolt.segments.some(seg =>
+                seg.x + 10 >= camLeft && seg.x - 10 <= camRight &&
+                seg.y + 10 >= camTop && seg.y - 10 <= camBottom
+            );
+
+            if (!isVisible) continue;
+
+            const alpha = bolt.life / bolt.maxLife;
+
+            // OPTIMIZATION: Removed expensive shadowBlur - use thicker stroke instead
+            // Draw lightning bolt segments
+            ctx.strokeStyle = `rgba(251, 191, 36, ${alpha})`; // Yellow-amber color
+            ctx.lineWidth = 5; // Increased from 3 to compensate for no glow
+            ctx.lineCap = 'round';
+            ctx.lineJoin = 'round';
+
+            ctx.beginPath();
+            ctx.moveTo(bolt.segments[0].x, bolt.segments[0].y);
+
+            const segLen = bolt.segments.length;
+            for (let j = 1; j < segLen; j++) {
+                ctx.lineTo(bolt.segments[j].x, bolt.segments[j].y);
+            }
+
+            ctx.stroke();
+
+            // Draw inner bright core (no shadow to clear)
+            ctx.strokeStyle = `rgba(255, 255, 255, ${alpha})`;
+            ctx.lineWidth = 2;
+
+            ctx.beginPath();
+            ctx.moveTo(bolt.segments[0].x, bolt.segments[0].y);
+
+            for (let j = 1; j < segLen; j++) {
+                ctx.lineTo(bolt.segments[j].x, bolt.segments[j].y);
+            }
+
+            ctx.stroke();
+        }
+    }
+
+    // OPTIMIZATION: Add frustum culling and cache array length
+    renderGroundEffects() {
+        const ctx = this.ctx;
+        const camLeft = this.camera.x - 50;
+        const camRight = this.camera.x + this.viewport.width + 50;
+        const camTop = this.camera.y - 50;
+        const camBottom = this.camera.y + this.viewport.height + 50;
+
+        const len = this.groundEffects.length;
+        for (let i = 0; i < len; i++) {
+            const effect = this.groundEffects[i];
+
+            // OPTIMIZATION: Frustum culling with separate if statements
+            if (effect.x + effect.radius < camLeft) continue;
+            if (effect.x - effect.radius > camRight) continue;
+            if (effect.y + effect.radius < camTop) continue;
+            if (effect.y - effect.radius > camBottom) continue;
+
+            const alpha = (effect.duration / effect.maxDuration) * 0.4;
+
+            // Boss hazard zones use their own color
+            if (effect.owner === 'enemy') {
+                ctx.save();
+                ctx.fillStyle = effect.color;
+                ctx.globalAlpha = alpha + 0.1;
+                ctx.beginPath();
+                ctx.arc(effect.x, effect.y, effect.radius, 0, Math.PI * 2);
+                ctx.fill();
+                ctx.strokeStyle = effect.color;
+                ctx.globalAlpha = alpha + 0.4;
+                ctx.lineWidth = 3;
+                ctx.stroke();
+                ctx.restore();
+                continue;
+            }
+
+            // Draw pool
+            ctx.fillStyle = `rgba(6, 182, 212, ${alpha})`;
+            ctx.beginPath();
+            ctx.arc(effect.x, effect.y, effect.radius, 0, Math.PI * 2);
+            ctx.fill();
+
+            // Draw border
+            ctx.strokeStyle = `rgba(6, 182, 212, ${alpha + 0.2})`;
+            ctx.lineWidth = 3;
+            ctx.stroke();
+
+            // Draw bubble particles
+            if (Math.random() < 0.3) {
+                const angle = Math.random() * Math.PI * 2;
+                const dist = Math.random() * effect.radius * 0.8;
+                this.particles.emit(
+                    effect.x + Math.cos(angle) * dist,
+                    effect.y + Math.sin(angle) * dist,
+                    {
+                        color: '#67e8f9',
+                        size: 2 + Math.random() * 3,
+                        life: 0.5,
+                        type: 'circle',
+                        vy: -20
+                    }
+                );
+            }
+        }
+    }
+
+    /**
+     * Render boss ability telegraphs - aim lines for projectiles, filling circles for zones
+     */
+    renderBossTelegraphs() {
+        const ctx = this.ctx;
+
+        const len = this.enemies.length;
+        for (let i = 0; i < len; i++) {
+            const boss = this.enemies[i];
+            const telegraph = boss.telegraph;
+            if (!telegraph) continue;
+
+            // 0 → 1 as the ability charges
+            const progress = 1 - telegraph.timer / telegraph.duration;
+            const flash = 0.4 + Math.sin(progress * Math.PI * 8) * 0.2;
+
+            ctx.save();
+
+            // Charging ring around the boss
+            ctx.strokeStyle = boss.color;
+            ctx.globalAlpha = 0.8;
+            ctx.lineWidth = 4;
+            ctx.beginPath();
+            ctx.arc(boss.x, boss.y, boss.radius + 12, -Math.PI / 2, -Math.PI / 2 + Math.PI * 2 * progress);
+            ctx.stroke();
+
+            ctx.strokeStyle = '#ff3333';
+            ctx.fillStyle = '#ff3333';
+            ctx.globalAlpha = flash;
+
+            switch (telegraph.ability) {
+                case 'bone_spear':
+                    ctx.lineWidth = 3;
+                    ctx.setLineDash([16, 10]);
+                    ctx.beginPath();
+                    for (let j = 0; j < telegraph.angles.length; j++) {
+                        const angle = telegraph.angles[j];
+                        ctx.moveTo(boss.x, boss.y);
+                        ctx.lineTo(boss.x + Math.cos(angle) * 700, boss.y + Math.sin(angle) * 700);
+                    }
+                    ctx.stroke();
+                    break;
+                case 'blood_bolt':
+                    // Pulsing blood orb gathering above the queen
+                    ctx.fillStyle = '#dc2626';
+                    ctx.beginPath();
+                    ctx.arc(boss.x, boss.y - boss.radius - 20, 6 + progress * 10, 0, Math.PI * 2);
+                    ctx.fill();
+                    break;
+                case 'devil_blast':
+                    ctx.lineWidth = 3;
+                    ctx.beginPath();
+                    ctx.arc(boss.x, boss.y, boss.radius + 40 + progress * 200, 0, Math.PI * 2);
+                    ctx.stroke();
+                    break;
+            }
+
+            // Zone warnings fill inward-out as the ability charges
+            ctx.setLineDash([]);
+            for (let j = 0; j < telegraph.zones.length; j++) {
+                const zone = telegraph.zones[j];
+                ctx.globalAlpha = flash;
+                ctx.lineWidth = 2;
+                ctx.beginPath();
+                ctx.arc(zone.x, zone.y, zone.radius, 0, Math.PI * 2);
+                ctx.stroke();
+                ctx.globalAlpha = 0.25;
+                ctx.beginPath();
+                ctx.arc(zone.x, zone.y, zone.radius * progress, 0, Math.PI * 2);
+                ctx.fill();
+            }
+
+            ctx.restore();
+        }
+    }
+
+    // OPTIMIZATION: Separate if statements for frustum culling, gems stamped from the sprite atlas
+    renderXpGems() {
+        const ctx = this.ctx;
+        const camLeft = this.camera.x - 50;
+        const camRight = this.camera.x + this.viewport.width + 50;
+        const camTop = this.camera.y - 50;
+        const camBottom = this.camera.y + this.viewport.height + 50;
+
+        const len = this.xpGems.length;
+        for (let i = 0; i < len; i++) {
+            const gem = this.xpGems[i];
+
+            // OPTIMIZATION: Separate if statements for better branch prediction
+            if (gem.x + gem.radius < camLeft) continue;
+            if (gem.x - gem.radius > camRight) continue;
+            if (gem.y + gem.radius < camTop) continue;
+            if (gem.y - gem.radius > camBottom) continue;
+
+            // Calculate alpha based on lifetime (fade out in last 1.5 seconds)
+            let alpha = 1;
+            if (gem.lifetime < 1.5) {
+                alpha = gem.lifetime / 1.5;
+            }
+
+            ctx.globalAlpha = alpha;
+
+            const color = this.settings.colorblind ? COLORBLIND_PALETTE.xpGems[gem.tier] : gem.color;
+            const radius = Math.max(1, Math.round(gem.radius));
+            const key = `gem:${color}:${radius}`;
+            let frame = this.atlas.get(key);
+            if (!frame) {
+                frame = this.bakeAtlasFrame(key, radius + 1, () => this.renderXpGemArt(color, radius));
+            }
+            this.atlas.draw(ctx, frame, gem.x, gem.y, gem.radius / radius);
+
+            // Warning indicator when about to expire (blink in last 1.5 seconds)
+            if (gem.lifetime < 1.5) {
+                const blink = Math.sin(Date.now() / 50) > 0;
+                if (blink) {
+                    ctx.strokeStyle = 'rgba(255, 0, 0, 0.8)';
+                    ctx.lineWidth = 2;
+                    ctx.beginPath();
+                    ctx.arc(gem.x, gem.y, gem.radius + 2, 0, Math.PI * 2);
+                    ctx.stroke();
+                }
+            }
+        }
+
+        ctx.globalAlpha = 1; // Reset alpha
+    }
+
+    /**
+     * Gem art centered on 0, 0 - baked into the atlas by renderXpGems()
+     */
+    renderXpGemArt(color, radius) {
+        const ctx = this.ctx;
+
+        // Draw circular gem (updated from diamond shape)
+        ctx.fillStyle = color;
+        ctx.beginPath();
+        ctx.arc(0, 0, radius, 0, Math.PI * 2);
+        ctx.fill();
+
+        // Inner highlight for glossy effect
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.5)';
+        ctx.beginPath();
+        ctx.arc(-radius * 0.25, -radius * 0.25, radius * 0.35, 0, Math.PI * 2);
+        ctx.fill();
+
+        // Subtle inner ring for depth
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.3)';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.arc(0, 0, radius * 0.6, 0, Math.PI * 2);
+        ctx.stroke();
+    }
+
+    renderHealthPacks() {
+        const ctx = this.ctx;
+        const camLeft = this.camera.x - 50;
+        const camRight = this.camera.x + this.viewport.width + 50;
+        const camTop = this.camera.y - 50;
+        const camBottom = this.camera.y + this.viewport.height + 50;
+
+        const len = this.healthPacks.length;
+        for (let i = 0; i < len; i++) {
+            const pack = this.healthPacks[i];
+
+            // Frustum culling
+            if (pack.x + pack.radius < camLeft) continue;
+            if (pack.x - pack.radius > camRight) continue;
+            if (pack.y + pack.radius < camTop) continue;
+            if (pack.y - pack.radius > camBottom) continue;
+
+            const bobY = pack.y + Math.sin(pack.bobOffset) * 3;
+
+            // Draw cross (red cross on white background)
+            const size = pack.radius * 2;
+
+            // White background circle
+            ctx.fillStyle = '#ffffff';
+            ctx.beginPath();
+            ctx.arc(pack.x, bobY, pack.radius, 0, Math.PI * 2);
+            ctx.fill();
+
+            // Red cross
+            ctx.fillStyle = '#ef4444';
+            const crossWidth = size * 0.6;
+            const crossThickness = size * 0.2;
+            ctx.fillRect(pack.x - crossThickness / 2, bobY - size * 0.4, crossThickness, size * 0.8);
+            ctx.fillRect(pack.x - size * 0.4, bobY - crossThickness / 2, size * 0.8, crossThickness);
+
+            // Glow effect when magnetized
+            if (pack.magnetized) {
+                ctx.strokeStyle = 'rgba(239, 68, 68, 0.6)';
+                ctx.lineWidth = 2;
+                ctx.beginPath();
+                ctx.arc(pack.x, bobY, pack.radius + 4, 0, Math.PI * 2);
+                ctx.stroke();
+            }
+        }
+    }
+
+    generateDecorations() {
+        this.decorations = [];
+        this.obstacles = new ObstacleMap();
+        const mapWidth = CONFIG.MAP_BOUNDS.width;
+        const mapHeight = CONFIG.MAP_BOUNDS.height;
+        const { decorations, palettes } = this.biome;
+
+        // Trees (dark silhouettes), rocks (boulders), grass patches, ruins (broken wall segments), tombstones
+        for (const type of Object.keys(DECORATION_SHAPES)) {
+            const shape = DECORATION_SHAPES[type];
+            const count = decorations[type] || 0;
+            for (let i = 0; i < count; i++) {
+                const dec = {
+                    type: type,
+                    x: this.rng.next() * mapWidth,
+                    y: this.rng.next() * mapHeight,
+                    size: shape.minSize + this.rng.next() * shape.sizeRange,
+                    variation: Math.floor(this.rng.next() * shape.variations),
+                    colorIndex: Math.floor(this.rng.next() * palettes[type].length)
+                };
+                this.decorations.push(dec);
+
+                if (shape.collider) {
+                    this.obstacles.add({
+                        x: dec.x,
+                        y: dec.y + dec.size * shape.collider.offsetY,
+                        radius: dec.size * shape.collider.radius
+                    });
+                }
+            }
+        }
+    }
+
+    // ==================== BIOME HAZARDS ====================
+    generateHazards() {
+        this.hazards = [];
+        this.lavaTimer = 0;
+
+        const ice = this.biome.hazards.ice;
+        if (ice) {
+            for (let i = 0; i < ice.count; i++) {
+                this.hazards.push({
+                    type: 'ice',
+                    x: this.rng.next() * CONFIG.MAP_BOUNDS.width,
+                    y: this.rng.next() * CONFIG.MAP_BOUNDS.height,
+                    radius: ice.minRadius + this.rng.next() * (ice.maxRadius - ice.minRadius)
+                });
+            }
+        }
+    }
+
+    /**
+     * Ice momentum for the player and periodic lava eruptions
+     */
+    updateHazards(dt) {
+        const p = this.player;
+        p.onIce = false;
+        for (const hazard of this.hazards) {
+            const dx = p.x - hazard.x;
+            const dy = p.y - hazard.y;
+            if (dx * dx + dy * dy < hazard.radius * hazard.radius) {
+                p.onIce = true;
+                break;
+            }
+        }
+
+        const lava = this.biome.hazards.lava;
+        if (lava) {
+            this.lavaTimer += dt;
+            if (this.lavaTimer >= lava.interval) {
+                this.lavaTimer = 0;
+                // Never right under the player - there's no telegraph
+                const angle = this.rng.next() * Math.PI * 2;
+                const distance = lava.minDistance + this.rng.next() * (lava.maxDistance - lava.minDistance);
+                const x = Math.max(0, Math.min(CONFIG.MAP_BOUNDS.width, p.x + Math.cos(angle) * distance));
+                const y = Math.max(0, Math.min(CONFIG.MAP_BOUNDS.height, p.y + Math.sin(angle) * distance));
+                this.groundEffects.push(new GroundEffect(
+                    x, y, lava.radius, lava.duration, lava.damage, lava.tickRate, '#f97316', 'enemy'
+                ));
+                this.particles.emitExplosion(x, y, '#f97316');
+            }
+        }
+    }
+
+    renderHazards() {
+        const ctx = this.ctx;
+        const camLeft = this.camera.x;
+        const camRight = this.camera.x + this.viewport.width;
+        const camTop = this.camera.y;
+        const camBottom = this.camera.y + this.viewport.height;
+
+        for (const hazard of this.hazards) {
+            if (hazard.x + hazard.radius < camLeft) continue;
+            if (hazard.x - hazard.radius > camRight) continue;
+            if (hazard.y + hazard.radius < camTop) continue;
+            if (hazard.y - hazard.radius > camBottom) continue;
+
+            ctx.fillStyle = 'rgba(186, 230, 253, 0.18)';
+            ctx.strokeStyle = 'rgba(224, 242, 254, 0.35)';
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            ctx.arc(hazard.x, hazard.y, hazard.radius, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.stroke();
+
+            // Cracks in the ice
+            ctx.beginPath();
+            ctx.moveTo(hazard.x - hazard.radius * 0.5, hazard.y - hazard.radius * 0.2);
+            ctx.lineTo(hazard.x, hazard.y + hazard.radius * 0.1);
+            ctx.lineTo(hazard.x + hazard.radius * 0.4, hazard.y - hazard.radius * 0.3);
+            ctx.moveTo(hazard.x, hazard.y + hazard.radius * 0.1);
+            ctx.lineTo(hazard.x + hazard.radius * 0.1, hazard.y + hazard.radius * 0.6);
+            ctx.stroke();
+        }
+    }
+
+    // OPTIMIZATION: Cache array length and use separate frustum culling
+    renderDecorations() {
+        const ctx = this.ctx;
+        const camLeft = this.camera.x;
+        const camRight = this.camera.x + this.viewport.width;
+        const camTop = this.camera.y;
+        const camBottom = this.camera.y + this.viewport.height;
+        const padding = 100;
+
+        const len = this.decorations.length;
+        for (let i = 0; i < len; i++) {
+            const dec = this.decorations[i];
+            // OPTIMIZATION: Separate if statements for better branch prediction
+            if (dec.x < camLeft - padding) continue;
+            if (dec.x > camRight + padding) continue;
+            if (dec.y < camTop - padding) continue;
+            if (dec.y > camBottom + padding) continue;
+
+            switch (dec.type) {
+                case 'tree':
+                    this.renderTree(dec);
+                    break;
+                case 'rock':
+                    this.renderRock(dec);
+                    break;
+                case 'grass':
+                    this.renderGrass(dec);
+                    break;
+                case 'ruins':
+                    this.renderRuins(dec);
+                    break;
+                case 'tombstone':
+                    this.renderTombstone(dec);
+                    break;
+            }
+        }
+    }
+
+    renderTree(dec) {
+        const ctx = this.ctx;
+        const { x, y, size, variation, colorIndex } = dec;
+
+        // Pick color based on stored colorIndex (no random per-frame)
+        const palette = this.biome.palettes.tree;
+        const colors = palette[colorIndex % palette.length];
+
+        // Tree trunk
+        ctx.fillStyle = colors.trunk;
+        ctx.fillRect(x - size * 0.15, y + size * 0.3, size * 0.3, size * 0.7);
+
+        // Tree foliage (dark silhouette)
+        ctx.fillStyle = colors.foliage;
+        ctx.beginPath();
+
+        if (variation === 0) {
+            // Round top tree
+            ctx.arc(x, y, size, 0, Math.PI * 2);
+        } else if (variation === 1) {
+            // Pointy tree
+            ctx.moveTo(x - size, y + size * 0.5);
+            ctx.lineTo(x, y - size * 0.8);
+            ctx.lineTo(x + size, y + size * 0.5);
+            ctx.closePath();
+        } else {
+            // Irregular tree
+            ctx.moveTo(x - size * 0.8, y + size * 0.3);
+            ctx.lineTo(x - size * 0.5, y - size * 0.6);
+            ctx.lineTo(x + size * 0.3, y - size * 0.8);
+            ctx.lineTo(x + size * 0.9, y + size * 0.4);
+            ctx.lineTo(x + size * 0.4, y + size * 0.6);
+            ctx.lineTo(x - size * 0.4, y + size * 0.7);
+            ctx.closePath();
+        }
+        ctx.fill();
+
+        // Darker shadow on foliage
+        ctx.fillStyle = colors.shadow;
+        ctx.beginPath();
+        ctx.arc(x + size * 0.2, y + size * 0.2, size * 0.4, 0, Math.PI * 2);
+        ctx.fill();
+    }
+
+    renderRock(dec) {
+        const ctx = this.ctx;
+        const { x, y, size, variation, colorIndex } = dec;
+
+        // Pick color based on stored colorIndex (no random per-frame)
+        const palette = this.biome.palettes.rock;
+        const colors = palette[colorIndex % palette.length];
+
+        ctx.fillStyle = colors.base;
+
+        if (variation === 0) {
+            // Round rock
+            ctx.beginPath();
+            ctx.ellipse(x, y, size, size * 0.7, 0, 0, Math.PI * 2);
+            ctx.fill();
+        } else if (variation === 1) {
+            // Angular rock
+            ctx.beginPath();
+            ctx.moveTo(x - size * 0.8, y + size * 0.3);
+            ctx.lineTo(x - size * 0.4, y - size * 0.6);
+            ctx.lineTo(x + size * 0.6, y - size * 0.4);
+            ctx.lineTo(x + size * 0.9, y + size * 0.5);
+            ctx.lineTo(x + size * 0.2, y + size * 0.7);
+            ctx.lineTo(x - size * 0.5, y + size * 0.6);
+            ctx.closePath();
+            ctx.fill();
+        } else {
+            // Clustered rocks
+            ctx.beginPath();
+            ctx.arc(x - size * 0.4, y + size * 0.2, size * 0.5, 0, Math.PI * 2);
+            ctx.arc(x + size * 0.3, y + size * 0.3, size * 0.4, 0, Math.PI * 2);
+            ctx.arc(x, y - size * 0.3, size * 0.45, 0, Math.PI * 2);
+            ctx.fill();
+        }
+
+        // Rock highlights
+        ctx.fillStyle = colors.highlight;
+        ctx.beginPath();
+        ctx.arc(x - size * 0.2, y - size * 0.2, size * 0.25, 0, Math.PI * 2);
+        ctx.fill();
+
+        // Dark cracks
+        ctx.strokeStyle = colors.crack;
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.moveTo(x - size * 0.3, y);
+        ctx.lineTo(x - size * 0.1, y + size * 0.3);
+        ctx.moveTo(x + size * 0.2, y - size * 0.2);
+        ctx.lineTo(x + size * 0.4, y + size * 0.1);
+        ctx.stroke();
+    }
+
+    renderGrass(dec) {
+        const ctx = this.ctx;
+        const { x, y, size, variation, colorIndex } = dec;
+
+        // Pick color based on stored colorIndex (no random per-frame)
+        const palette = this.biome.palettes.grass;
+        const colors = palette[colorIndex % palette.length];
+
+        ctx.fillStyle = colors.blade;
+
+        // Draw grass blades
+        const bladeCount = 5 + variation;
+        for (let i = 0; i < bladeCount; i++) {
+            const angle = (Math.PI / (bladeCount - 1)) * i - Math.PI * 0.3;
+            const spread = size * 0.8;
+            const startX = x - spread / 2 + (spread / (bladeCount - 1)) * i;
+
+            ctx.beginPath();
+            ctx.moveTo(startX, y + size * 0.3);
+            ctx.quadraticCurveTo(
+                startX + Math.sin(angle) * size * 0.3,
+                y - size * 0.2,
+                startX + Math.sin(angle) * size * 0.5,
+                y - size * 0.5 - Math.random() * size * 0.2
+            );
+            ctx.quadraticCurveTo(
+                startX + Math.sin(angle) * size * 0.2,
+                y - size * 0.2,
+                startX - size * 0.1,
+                y + size * 0.3
+            );
+            ctx.closePath();
+            ctx.fill();
+        }
+
+        // Darker center
+        ctx.fillStyle = colors.center;
+        ctx.beginPath();
+        ctx.ellipse(x, y + size * 0.2, size * 0.6, size * 0.3, 0, 0, Math.PI * 2);
+        ctx.fill();
+    }
+
+    renderRuins(dec) {
+        const ctx = this.ctx;
+        const { x, y, size, variation, colorIndex } = dec;
+
+        // Pick color based on stored colorIndex (no random per-frame)
+        const palette = this.biome.palettes.ruins;
+        const colors = palette[colorIndex % palette.length];
+
+        ctx.fillStyle = colors.base;
+        ctx.strokeStyle = colors.stroke;
+        ctx.lineWidth = 2;
+
+        if (variation === 0) {
+            // Broken wall segment
+            ctx.fillRect(x - size * 0.8, y, size * 1.6, size * 0.8);
+            ctx.strokeRect(x - size * 0.8, y, size * 1.6, size * 0.8);
+
+            // Cracks
+            ctx.beginPath();
+            ctx.moveTo(x - size * 0.5, y);
+            ctx.lineTo(x - size * 0.3, y + size * 0.5);
+            ctx.moveTo(x + size * 0.2, y);
+            ctx.lineTo(x + size * 0.4, y + size * 0.6);
+            ctx.stroke();
+
+            // Missing chunk
+            ctx.fillStyle = colors.missing;
+            ctx.beginPath();
+            ctx.arc(x + size * 0.5, y + size * 0.4, size * 0.3, 0, Math.PI * 2);
+            ctx.fill();
+        } else if (variation === 1) {
+            // Pillar remnant
+            ctx.fillRect(x - size * 0.4, y - size * 0.5, size * 0.8, size * 1.5);
+            ctx.strokeRect(x - size * 0.4, y - size * 0.5, size * 0.8, size * 1.5);
+
+            // Broken top
+            ctx.beginPath();
+            ctx.moveTo(x - size * 0.4, y - size * 0.5);
+            ctx.lineTo(x - size * 0.2, y - size * 0.8);
+            ctx.lineTo(x + size * 0.3, y - size * 0.5);
+            ctx.fill();
+        } else if (variation === 2) {
+            // Scattered rubble
+            const rubblePositions = [
+                { dx: -0.5, dy: 0.3, s: 0.4 },
+                { dx: 0.3, dy: 0.4, s: 0.35 },
+                { dx: 0, dy: -0.2, s: 0.3 },
+                { dx: -0.3, dy: -0.4, s: 0.25 },
+                { dx: 0.5, dy: 0, s: 0.3 }
+            ];
+
+            for (const r of rubblePositions) {
+                ctx.beginPath();
+                ctx.rect(x + r.dx * size, y + r.dy * size, size * r.s, size * r.s * 0.6);
+                ctx.fill();
+                ctx.stroke();
+            }
+        } else {
+            // Arch fragment
+            ctx.beginPath();
+            ctx.arc(x, y + size * 0.5, size * 0.6, Math.PI, 0);
+            ctx.lineTo(x + size * 0.7, y + size);
+            ctx.lineTo(x - size * 0.7, y + size);
+            ctx.closePath();
+            ctx.fill();
+            ctx.stroke();
+        }
+    }
+
+    renderTombstone(dec) {
+        const ctx = this.ctx;
+        const { x, y, size, variation, colorIndex } = dec;
+
+        // Pick color based on stored colorIndex (no random per-frame)
+        const palette = this.biome.palettes.tombstone;
+        const colors = palette[colorIndex % palette.length];
+
+        ctx.fillStyle = colors.base;
+        ctx.strokeStyle = colors.stroke;
+        ctx.lineWidth = 2;
+
+        if (variation === 0) {
+            // Classic rounded tombstone
+            ctx.beginPath();
+            ctx.moveTo(x - size * 0.4, y + size * 0.5);
+            ctx.lineTo(x - size * 0.4, y - size * 0.3);
+            ctx.arc(x, y - size * 0.3, size * 0.4, Math.PI, 0);
+            ctx.lineTo(x + size * 0.4, y + size * 0.5);
+            ctx.closePath();
+            ctx.fill();
+            ctx.stroke();
+
+            // Cross engraving
+            ctx.strokeStyle = colors.engraving;
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            ctx.moveTo(x, y - size * 0.2);
+            ctx.lineTo(x, y + size * 0.3);
+            ctx.moveTo(x - size * 0.15, y);
+            ctx.lineTo(x + size * 0.15, y);
+            ctx.stroke();
+        } else if (variation === 1) {
+            // Rectangular tombstone
+            ctx.fillRect(x - size * 0.35, y - size * 0.4, size * 0.7, size * 0.9);
+            ctx.strokeRect(x - size * 0.35, y - size * 0.4, size * 0.7, size * 0.9);
+
+            // Skull engraving (simple)
+            ctx.fillStyle = colors.engraving;
+            ctx.beginPath();
+            ctx.arc(x, y - size * 0.1, size * 0.15, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.beginPath();
+            ctx.moveTo(x - size * 0.1, y);
+            ctx.lineTo(x + size * 0.1, y);
+            ctx.stroke();
+        } else {
+            // Broken/tilted tombstone
+            ctx.save();
+            ctx.translate(x, y);
+            ctx.rotate(-0.2);
+
+            ctx.beginPath();
+            ctx.moveTo(-size * 0.3, size * 0.3);
+            ctx.lineTo(-size * 0.3, -size * 0.5);
+            ctx.lineTo(size * 0.2, -size * 0.3);
+            ctx.lineTo(size * 0.35, size * 0.4);
+            ctx.closePath();
+            ctx.fill();
+            ctx.stroke();
+
+            ctx.restore();
+        }
+
+        // Ground shadow
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.3)';
+        ctx.beginPath();
+        ctx.ellipse(x, y + size * 0.5, size * 0.5, size * 0.15, 0, 0, Math.PI * 2);
+        ctx.fill();
+    }
+}
@@ -0,0 +1,327 @@
+import { CONFIG } from '../config.js';
+import { INPUT_ACTIONS, GAMEPAD_BUTTON_NAMES } from '../data/input_bindings.js';
+
+// Custom bindings: { keyboard: { action: codes }, gamepads: { [Gamepad.id]: { action: buttons } } }
+const BINDINGS_STORAGE_KEY = 'shadowSurvivorBindings';
+
+// Actions that navigate menus (level-up cards) when pressed
+const MENU_ACTIONS = ['up', 'down', 'left', 'right', 'confirm'];
+
+// ==================== INPUT HANDLER ====================
+export class InputHandler {
+    /**
+     * @param {Function} onPause - Called when a pause key or button is pressed
+     * @param {Function} [onMenu] - Called with a MENU_ACTIONS id when one is pressed
+     */
+    constructor(onPause, onMenu = null) {
+        this.onPause = onPause;
+        this.onMenu = onMenu;
+        this.keys = {};
+        this.joystickMovement = { dx: 0, dy: 0 };
+        this.bindings = this.loadBindings();
+        this.rebinding = null; // { device, action, onDone } while waiting for a key/button
+
+        // Gamepad backend - polled every animation frame while one is connected
+        this.gamepadIndex = null;
+        this.gamepadId = null;
+        this.gamepadMovement = { dx: 0, dy: 0 };
+        this.gamepadButtons = [];   // Pressed state on the last poll, for press edges
+        this.polling = false;
+        this.stickDirection = null; // Stick menu navigation fires once per push
+
+        this.setupListeners();
+    }
+
+    setupListeners() {
+        window.addEventListener('keydown', (e) => {
+            if (this.rebinding && this.rebinding.device === 'keyboard') {
+                e.preventDefault();
+                this.finishRebind(e.code);
+                return;
+            }
+
+            this.keys[e.code] = true;
+            if (e.repeat) return;
+            if (this.getBindings('keyboard', 'pause').includes(e.code)) {
+                this.onPause();
+                return;
+            }
+            for (const action of MENU_ACTIONS) {
+                if (this.onMenu && this.getBindings('keyboard', action).includes(e.code)) {
+                    this.onMenu(action);
+                }
+            }
+        });
+        window.addEventListener('keyup', (e) => {
+            this.keys[e.code] = false;
+        });
+        // Keys let go of in another window never send a keyup here
+        window.addEventListener('blur', () => {
+            this.keys = {};
+        });
+
+        window.addEventListener('gamepadconnected', (e) => {
+            if (this.gamepadIndex !== null) return;
+            this.connectGamepad(e.gamepad);
+        });
+        window.addEventListener('gamepaddisconnected', (e) => {
+            if (e.gamepad.index !== this.gamepadIndex) return;
+            console.log('[INPUT] Gamepad disconnected:', e.gamepad.id);
+            this.gamepadIndex = null;
+            this.gamepadId = null;
+            this.gamepadMovement = { dx: 0, dy: 0 };
+            // Fall back to any other connected pad
+            const next = navigator.getGamepads().find(pad => pad && pad.connected);
+            if (next) this.connectGamepad(next);
+        });
+    }
+
+    // ==================== BINDINGS ====================
+    loadBindings() {
+        const defaults = { keyboard: {}, gamepads: {} };
+        try {
+            const data = localStorage.getItem(BINDINGS_STORAGE_KEY);
+            if (data) {
+                return Object.assign(defaults, JSON.parse(data));
+            }
+        } catch (e) {
+            console.error('Failed to load bindings:', e);
+        }
+        return defaults;
+    }
+
+    saveBindings() {
+        try {
+            localStorage.setItem(BINDINGS_STORAGE_KEY, JSON.stringify(this.bindings));
+        } catch (e) {
+            console.error('Failed to save bindings:', e);
+        }
+    }
+
+    /**
+     * Custom bindings for a device - the keyboard or the connected gamepad model
+     * @param {string} device - 'keyboard' or 'gamepad'
+     * @param {boolean} [create] - Create an empty entry if there is none
+     */
+    getDeviceBindings(device, create = false) {
+        if (device === 'keyboard') return this.bindings.keyboard;
+        if (!this.bindings.gamepads[this.gamepadId] && create) {
+            this.bindings.gamepads[this.gamepadId] = {};
+        }
+        return this.bindings.gamepads[this.gamepadId] || {};
+    }
+
+    /**
+     * Key codes or button indices bound to an action, custom or default
+     * @param {string} device - 'keyboard' or 'gamepad'
+     * @param {string} action - INPUT_ACTIONS id
+     * @returns {Array}
+     */
+    getBindings(device, action) {
+        const custom = this.getDeviceBindings(device)[action];
+        if (custom) return custom;
+        return device === 'keyboard' ? INPUT_ACTIONS[action].keys : INPUT_ACTIONS[action].buttons;
+    }
+
+    /**
+     * Readable names for an action's bindings
+     * @returns {string}
+     */
+    getBindingLabel(device, action) {
+        return this.getBindings(device, action)
+            .map(binding => device === 'keyboard' ? formatKeyCode(binding) : GAMEPAD_BUTTON_NAMES[binding] || `Button ${binding}`)
+            .join(' / ') || '-';
+    }
+
+    /**
+     * Bind the next key or gamepad button pressed to an action
+     * @param {string} device - 'keyboard' or 'gamepad'
+     * @param {string} action - INPUT_ACTIONS id
+     * @param {Function} onDone - Called once the binding is set
+     */
+    startRebind(device, action, onDone) {
+        this.rebinding = { device, action, onDone };
+    }
+
+    finishRebind(binding) {
+        const { device, action, onDone } = this.rebinding;
+        this.rebinding = null;
+
+        // A key or button only does one thing - take it away from any other action
+        const bindings = this.getDeviceBindings(device, true);
+        for (const other of Object.keys(INPUT_ACTIONS)) {
+            if (other === action) continue;
+            const current = this.getBindings(device, other);
+            if (current.includes(binding)) {
+                bindings[other] = current.filter(b => b !== binding);
+            }
+        }
+        bindings[action] = [binding];
+
+        this.saveBindings();
+        console.log(`[INPUT] ${device} ${action} bound to ${binding}`);
+        onDone();
+    }
+
+    /**
+     * Back to the default bindings for a device
+     * @param {string} device - 'keyboard' or 'gamepad'
+     */
+    resetBindings(device) {
+        if (device === 'keyboard') {
+            this.bindings.keyboard = {};
+        } else {
+            delete this.bindings.gamepads[this.gamepadId];
+        }
+        this.saveBindings();
+    }
+
+    // ==================== GAMEPAD ====================
+    connectGamepad(gamepad) {
+        console.log('[INPUT] Gamepad connected:', gamepad.id);
+        this.gamepadIndex = gamepad.index;
+        this.gamepadId = gamepad.id;
+        this.gamepadButtons = [];
+        if (this.polling) return; // A quick reconnect finds the old loop still running
+
+        const poll = () => {
+            if (this.gamepadIndex === null) {
+                this.polling = false;
+                return;
+            }
+            this.pollGamepad();
+            requestAnimationFrame(poll);
+        };
+        this.polling = true;
+        requestAnimationFrame(poll);
+    }
+
+    pollGamepad() {
+        const pad = navigator.getGamepads()[this.gamepadIndex];
+        if (!pad) return;
+
+        const pressed = pad.buttons.map(button => button.pressed);
+        const isDown = action => this.getBindings('gamepad', action).some(i => pressed[i]);
+
+        // Left stick with a rescaled deadzone, so movement still starts from zero
+        let dx = pad.axes[0] || 0;
+        let dy = pad.axes[1] || 0;
+        const magnitude = Math.sqrt(dx * dx + dy * dy);
+        if (magnitude < CONFIG.GAMEPAD_DEADZONE) {
+            dx = 0;
+            dy = 0;
+        } else {
+            const scale = Math.min(1, (magnitude - CONFIG.GAMEPAD_DEADZONE) / (1 - CONFIG.GAMEPAD_DEADZONE)) / magnitude;
+            dx *= scale;
+            dy *= scale;
+        }
+
+        // Bound buttons (the D-pad by default) move at full speed
+        if (dx === 0 && dy === 0) {
+            if (isDown('up')) dy -= 1;
+            if (isDown('down')) dy += 1;
+            if (isDown('left')) dx -= 1;
+            if (isDown('right')) dx += 1;
+            const length = Math.sqrt(dx * dx + dy * dy);
+            if (length > 0) {
+                dx /= length;
+                dy /= length;
+            }
+        }
+        this.gamepadMovement = { dx, dy };
+
+        for (let i = 0; i < pressed.length; i++) {
+            if (pressed[i] && !this.gamepadButtons[i]) {
+                this.handleGamepadButton(i);
+            }
+        }
+        this.gamepadButtons = pressed;
+
+        this.updateStickNavigation(pad.axes[0] || 0, pad.axes[1] || 0);
+    }
+
+    handleGamepadButton(index) {
+        if (this.rebinding && this.rebinding.device === 'gamepad') {
+            this.finishRebind(index);
+            return;
+        }
+
+        if (this.getBindings('gamepad', 'pause').includes(index)) {
+            this.onPause();
+            return;
+        }
+        for (const action of MENU_ACTIONS) {
+            if (this.onMenu && this.getBindings('gamepad', action).includes(index)) {
+                this.onMenu(action);
+            }
+        }
+    }
+
+    /**
+     * Pushing the stick past halfway navigates menus once, until it returns to center
+     */
+    updateStickNavigation(x, y) {
+        let direction = null;
+        if (Math.abs(x) > 0.5 || Math.abs(y) > 0.5) {
+            if (Math.abs(x) > Math.abs(y)) {
+                direction = x > 0 ? 'right' : 'left';
+            } else {
+                direction = y > 0 ? 'down' : 'up';
+            }
+        }
+        if (direction && direction !== this.stickDirection && this.onMenu) {
+            this.onMenu(direction);
+        }
+        this.stickDirection = direction;
+    }
+
+    setJoystickMovement(dx, dy) {
+        this.joystickMovement = { dx, dy };
+    }
+
+    getMovement() {
+        let dx = 0, dy = 0;
+
+        // Keyboard input
+        const isDown = action => this.getBindings('keyboard', action).some(code => this.keys[code]);
+        if (isDown('up')) dy -= 1;
+        if (isDown('down')) dy += 1;
+        if (isDown('left')) dx -= 1;
+        if (isDown('right')) dx += 1;
+
+        // Normalize keyboard diagonal movement
+        if (dx !== 0 || dy !== 0) {
+            const length = Math.sqrt(dx * dx + dy * dy);
+            dx /= length;
+            dy /= length;
+        }
+
+        // Gamepad overrides the keyboard while its stick or D-pad is in use
+        if (this.gamepadMovement.dx !== 0 || this.gamepadMovement.dy !== 0) {
+            dx = this.gamepadMovement.dx;
+            dy = this.gamepadMovement.dy;
+        }
+
+        // Joystick input takes priority if active
+        if (this.joystickMovement.dx !== 0 || this.joystickMovement.dy !== 0) {
+            dx = this.joystickMovement.dx;
+            dy = this.joystickMovement.dy;
+        }
+
+        return { dx, dy };
+    }
+
+    resetJoystick() {
+        this.joystickMovement = { dx: 0, dy: 0 };
+    }
+}
+
+/**
+ * 'KeyW' -> 'W', 'ArrowUp' -> '↑', 'Digit1' -> '1'
+ */
+function formatKeyCode(code) {
+    const arrows = { ArrowUp: '↑', ArrowDown: '↓', ArrowLeft: '←', ArrowRight: '→' };
+    if (arrows[code]) return arrows[code];
+    if (code === 'Escape') return 'Esc';
+    return code.replace(/^(Key|Digit)/, '');
+}
@@ -0,0 +1,254 @@
+// ==================== VIRTUAL JOYSTICK ====================
+export class VirtualJoystick {
+    /**
+     * @param {HTMLElement} containerElement - The #virtualJoystick container
+     * @param {InputHandler} input - Receives joystick movement
+     * @param {Function} [onLayoutChange] - Called when the screen is resized or rotated
+     */
+    constructor(containerElement, input, onLayoutChange = null) {
+        this.container = containerElement;
+        this.input = input;
+        this.onLayoutChange = onLayoutChange;
+        this.stickElement = document.getElementById('joystickStick');
+        this.baseElement = this.container.querySelector('.joystick-base');
+        
+        this.active = false;
+        this.touchId = null;
+        this.baseX = 0;
+        this.baseY = 0;
+        this.stickX = 0;
+        this.stickY = 0;
+        this.maxDistance = 35; // Maximum stick movement from center (pixels)
+        this.scale = 1;        // Joystick size setting
+        this.side = 'left';    // Joystick side setting
+        
+        this.movement = { dx: 0, dy: 0 };
+        
+        this.setupTouchListeners();
+        this.setupResizeListener();
+        this.updatePosition();
+    }
+
+    setupTouchListeners() {
+        // Touch events on the container area
+        this.container.addEventListener('touchstart', (e) => this.handleTouchStart(e), { passive: false });
+        this.container.addEventListener('touchmove', (e) => this.handleTouchMove(e), { passive: false });
+        this.container.addEventListener('touchend', (e) => this.handleTouchEnd(e), { passive: false });
+        this.container.addEventListener('touchcancel', (e) => this.handleTouchEnd(e), { passive: false });
+
+        // Also listen on canvas for joystick activation anywhere on screen
+        // This allows player to touch anywhere in bottom-left area to activate joystick
+        document.addEventListener('touchstart', (e) => this.handleGlobalTouchStart(e), { passive: false });
+        document.addEventListener('touchmove', (e) => this.handleGlobalTouchMove(e), { passive: false });
+        document.addEventListener('touchend', (e) => this.handleGlobalTouchEnd(e), { passive: false });
+    }
+
+    setupResizeListener() {
+        const onChange = () => {
+            this.updatePosition();
+            // The joystick moves out from under the thumb, so let go of it
+            if (this.active) {
+                this.endTouch();
+            }
+            if (this.onLayoutChange) {
+                this.onLayoutChange();
+            }
+        };
+        window.addEventListener('resize', onChange);
+        window.addEventListener('orientationchange', onChange);
+    }
+
+    /**
+     * Apply the joystick size/side settings
+     * @param {number} scale - Size multiplier
+     * @param {string} side - 'left' or 'right'
+     */
+    setLayout(scale, side) {
+        this.scale = scale;
+        this.side = side;
+        this.maxDistance = 35 * scale;
+        this.container.style.transform = `scale(${scale})`;
+        this.container.style.transformOrigin = `bottom ${side}`;
+        this.updatePosition();
+    }
+
+    updatePosition() {
+        // Update joystick position based on screen size
+        const isMobile = this.isMobileDevice();
+        if (isMobile) {
+            let offset = '80px';
+            if (window.innerWidth <= 480) {
+                offset = '40px';
+            } else if (window.innerWidth <= 768) {
+                offset = '60px';
+            }
+            this.container.style.bottom = offset;
+            this.container.style[this.side] = offset;
+            this.container.style[this.side === 'left' ? 'right' : 'left'] = 'auto';
+        }
+    }
+
+    isMobileDevice() {
+        return 'ontouchstart' in window || 
+               navigator.maxTouchPoints > 0 ||
+               window.innerWidth <= 768;
+    }
+
+    isInJoystickArea(x, y) {
+        // Check if touch is in the bottom quadrant of the screen on the joystick's side
+        const thresholdY = window.innerHeight * 0.6;
+        if (y <= thresholdY) return false;
+        return this.side === 'left' ? x < window.innerWidth * 0.4 : x > window.innerWidth * 0.6;
+    }
+
+    handleGlobalTouchStart(e) {
+        if (this.active) return;
+
+        const touch = e.changedTouches[0];
+        if (this.isInJoystickArea(touch.clientX, touch.clientY)) {
+            this.startTouch(touch.clientX, touch.clientY, touch.identifier);
+            e.preventDefault();
+        }
+    }
+
+    handleGlobalTouchMove(e) {
+        if (!this.active) return;
+
+        for (let i = 0; i < e.changedTouches.length; i++) {
+            if (e.changedTouches[i].identifier === this.touchId) {
+                this.moveTouch(e.changedTouches[i].clientX, e.changedTouches[i].clientY);
+                e.preventDefault();
+                break;
+            }
+        }
+    }
+
+    handleGlobalTouchEnd(e) {
+        if (!this.active) return;
+
+        for (let i = 0; i < e.changedTouches.length; i++) {
+            if (e.changedTouches[i].identifier === this.touchId) {
+                this.endTouch();
+                e.preventDefault();
+                break;
+            }
+        }
+    }
+
+    handleTouchStart(e) {
+        if (this.active) return;
+
+        const touch = e.changedTouches[0];
+        this.startTouch(touch.clientX, touch.clientY, touch.identifier);
+        e.preventDefault();
+    }
+
+    handleTouchMove(e) {
+        if (!this.active) return;
+        
+        for (let i = 0; i < e.changedTouches.length; i++) {
+            if (e.changedTouches[i].identifier === this.touchId) {
+                this.moveTouch(e.changedTouches[i].clientX, e.changedTouches[i].clientY);
+                e.preventDefault();
+                break;
+            }
+        }
+    }
+
+    handleTouchEnd(e) {
+        if (!this.active) return;
+        
+        for (let i = 0; i < e.changedTouches.length; i++) {
+            if (e.changedTouches[i].identifier === this.touchId) {
+                this.endTouch();
+                e.preventDefault();
+                break;
+            }
+        }
+    }
+
+    startTouch(clientX, clientY, touchId) {
+        this.active = true;
+        this.touchId = touchId;
+
+        // Get the base center position
+        const rect = this.baseElement.getBoundingClientRect();
+        this.baseX = rect.left + rect.width / 2;
+        this.baseY = rect.top + rect.height / 2;
+
+        // Initialize stick at touch position (clamped to max distance)
+        this.moveStick(clientX, clientY);
+
+        // Visual feedback
+        this.container.classList.add('active');
+        if (this.stickElement) {
+            this.stickElement.classList.add('active');
+        }
+    }
+
+    moveTouch(clientX, clientY) {
+        if (!this.active) return;
+        this.moveStick(clientX, clientY);
+    }
+
+    moveStick(clientX, clientY) {
+        // Calculate displacement from base center
+        let deltaX = clientX - this.baseX;
+        let deltaY = clientY - this.baseY;
+        
+        // Calculate distance and clamp to max
+        const distance = Math.sqrt(deltaX * deltaX + deltaY * deltaY);
+        
+        if (distance > this.maxDistance) {
+            const scale = this.maxDistance / distance;
+            deltaX *= scale;
+            deltaY *= scale;
+        }
+        
+        this.stickX = deltaX;
+        this.stickY = deltaY;
+        
+        // Update stick visual position
+        if (this.stickElement) {
+            this.stickElement.style.transform = `translate(calc(-50% + ${this.stickX}px), calc(-50% + ${this.stickY}px))`;
+        }
+        
+        // Calculate normalized movement values (-1 to 1)
+        const normalizedDistance = distance / this.maxDistance;
+        const angle = Math.atan2(deltaY, deltaX);
+        
+        this.movement.dx = Math.cos(angle) * normalizedDistance;
+        this.movement.dy = Math.sin(angle) * normalizedDistance;
+        
+        // Update InputHandler
+        this.input.setJoystickMovement(this.movement.dx, this.movement.dy);
+    }
+
+    endTouch() {
+        this.active = false;
+        this.touchId = null;
+        this.stickX = 0;
+        this.stickY = 0;
+        this.movement = { dx: 0, dy: 0 };
+        
+        // Reset stick visual position
+        if (this.stickElement) {
+            this.stickElement.style.transform = 'translate(-50%, -50%)';
+            this.stickElement.classList.remove('active');
+        }
+        this.container.classList.remove('active');
+        
+        // Reset InputHandler
+        this.input.resetJoystick();
+    }
+
+    getMovement() {
+        return { ...this.movement };
+    }
+
+    setActive(active) {
+        if (!active) {
+            this.endTouch();
+        }
+    }
+}
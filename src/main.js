@@ -0,0 +1,31 @@
+import { Game } from './game.js';
+import { loadStages } from './data/stages.js';
+
+// ==================== INITIALIZATION ====================
+// Inline onclick handlers in index.html call into the global game instance.
+// Stage scripts are fetched first - alternate ones can be played with ?stage=<id>
+// (see src/data/stages.js), and ?benchmark=<enemies> jumps straight into the benchmark scene
+const params = new URLSearchParams(window.location.search);
+const stagesUrl = new URL('./data/stages/', import.meta.url);
+
+async function fetchStageFile(file) {
+    const response = await fetch(new URL(file, stagesUrl));
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    return response.json();
+}
+
+try {
+    await loadStages(fetchStageFile);
+} catch (error) {
+    console.error('[STAGE] Could not load stage scripts:', error);
+    document.getElementById('loadingText').textContent = 'Could not load stage scripts - reload to try again';
+    throw error;
+}
+
+const game = new Game({ stage: params.get('stage') });
+window.game = game;
+
+const benchmarkEnemies = parseInt(params.get('benchmark'), 10);
+if (benchmarkEnemies > 0) {
+    game.startBenchmark(benchmarkEnemies);
+}
@@ -0,0 +1,237 @@
+import { SOUNDS, WEAPON_SOUNDS, MUSIC } from '../data/sounds.js';
+
+// ==================== AUDIO ENGINE ====================
+// Web Audio synth for sound effects and background music. The AudioContext can
+// only start after a user gesture, so everything is silent until unlock() - which
+// also keeps headless runs (no AudioContext at all) quiet without extra checks.
+const MAX_VOICES = 24;          // Effects dropped beyond this many playing at once
+const DEFAULT_MIN_INTERVAL = 0.05;
+const SCHEDULE_AHEAD = 0.15;    // Seconds of music queued ahead of the clock
+
+function midiToFrequency(note) {
+    return 440 * Math.pow(2, (note - 69) / 12);
+}
+
+export class AudioEngine {
+    constructor() {
+        this.context = null;
+        this.masterGain = null;
+        this.sfxGain = null;
+        this.musicGain = null;
+        this.noiseBuffer = null;
+        this.volumes = { master: 1, sfx: 1, music: 1 };
+
+        this.lastPlayed = {}; // Sound id -> context time, for minInterval
+        this.voices = 0;
+        this.music = null;    // { step, nextTime } while music is playing
+    }
+
+    /**
+     * Create or resume the AudioContext - call from a user gesture handler
+     */
+    unlock() {
+        if (!this.context) {
+            const AudioContextClass = globalThis.AudioContext || globalThis.webkitAudioContext;
+            if (!AudioContextClass) return;
+
+            this.context = new AudioContextClass();
+            this.masterGain = this.context.createGain();
+            this.masterGain.connect(this.context.destination);
+            this.sfxGain = this.context.createGain();
+            this.sfxGain.connect(this.masterGain);
+            this.musicGain = this.context.createGain();
+            this.musicGain.connect(this.masterGain);
+            this.applyVolumes();
+
+            // One second of white noise, shared by every noise sound
+            const length = this.context.sampleRate;
+            this.noiseBuffer = this.context.createBuffer(1, length, this.context.sampleRate);
+            const data = this.noiseBuffer.getChannelData(0);
+            for (let i = 0; i < length; i++) {
+                data[i] = Math.random() * 2 - 1;
+            }
+        }
+        if (this.context.state === 'suspended') {
+            this.context.resume();
+        }
+    }
+
+    /**
+     * @param {number} master - 0-1
+     * @param {number} sfx - 0-1
+     * @param {number} music - 0-1
+     */
+    setVolumes(master, sfx, music) {
+        this.volumes = { master, sfx, music };
+        this.applyVolumes();
+    }
+
+    applyVolumes() {
+        if (!this.context) return;
+        this.masterGain.gain.value = this.volumes.master;
+        this.sfxGain.gain.value = this.volumes.sfx;
+        this.musicGain.gain.value = this.volumes.music;
+    }
+
+    /**
+     * Freeze all sound (pause screen) - scheduled notes carry on after resume()
+     */
+    suspend() {
+        if (this.context && this.context.state === 'running') {
+            this.context.suspend();
+        }
+    }
+
+    resume() {
+        if (this.context && this.context.state === 'suspended') {
+            this.context.resume();
+        }
+    }
+
+    isRunning() {
+        return !!this.context && this.context.state === 'running';
+    }
+
+    /**
+     * @param {string} id - SOUNDS id
+     */
+    play(id) {
+        this.playSound(id, SOUNDS[id]);
+    }
+
+    /**
+     * @param {string} weaponId - WEAPONS/EVOLUTIONS id
+     */
+    playWeapon(weaponId) {
+        this.playSound(weaponId, WEAPON_SOUNDS[weaponId]);
+    }
+
+    playSound(id, sound) {
+        if (!sound || !this.isRunning()) return;
+        // Muted - skip building nodes nobody can hear
+        if (this.volumes.master === 0 || this.volumes.sfx === 0) return;
+
+        const now = this.context.currentTime;
+        const minInterval = sound.minInterval !== undefined ? sound.minInterval : DEFAULT_MIN_INTERVAL;
+        if (now - (this.lastPlayed[id] ?? -Infinity) < minInterval) return;
+        if (this.voices >= MAX_VOICES) return;
+        this.lastPlayed[id] = now;
+
+        const notes = sound.notes || [0];
+        for (let i = 0; i < notes.length; i++) {
+            const frequency = sound.freq * Math.pow(2, notes[i] / 12);
+            this.playTone(sound, frequency, now + i * (sound.noteLength || 0), this.sfxGain);
+        }
+    }
+
+    /**
+     * Schedule one note of a sound recipe (see SOUNDS)
+     * @param {Object} sound - Recipe
+     * @param {number} frequency - Start frequency in Hz (ignored for noise)
+     * @param {number} time - Context time to start at
+     * @param {GainNode} destination - sfxGain or musicGain
+     */
+    playTone(sound, frequency, time, destination) {
+        const ctx = this.context;
+        let source;
+        if (sound.wave === 'noise') {
+            source = ctx.createBufferSource();
+            source.buffer = this.noiseBuffer;
+        } else {
+            source = ctx.createOscillator();
+            source.type = sound.wave;
+            source.frequency.setValueAtTime(frequency, time);
+            if (sound.freqEnd) {
+                // Slides keep their shape when notes transpose the start pitch
+                const end = frequency * sound.freqEnd / sound.freq;
+                source.frequency.exponentialRampToValueAtTime(end, time + sound.duration);
+            }
+        }
+
+        const gain = ctx.createGain();
+        gain.gain.setValueAtTime(0.0001, time);
+        gain.gain.exponentialRampToValueAtTime(sound.volume, time + (sound.attack || 0.005));
+        gain.gain.exponentialRampToValueAtTime(0.0001, time + sound.duration);
+
+        let output = source;
+        if (sound.filter) {
+            const filter = ctx.createBiquadFilter();
+            filter.type = 'lowpass';
+            filter.frequency.value = sound.filter;
+            source.connect(filter);
+            output = filter;
+        }
+        output.connect(gain);
+        gain.connect(destination);
+
+        this.voices++;
+        source.onended = () => {
+            this.voices--;
+            gain.disconnect();
+        };
+        source.start(time);
+        source.stop(time + sound.duration + 0.05);
+    }
+
+    // ==================== MUSIC ====================
+    startMusic() {
+        if (!this.context) return;
+        this.music = { step: 0, nextTime: this.context.currentTime + 0.1 };
+    }
+
+    stopMusic() {
+        this.music = null;
+    }
+
+    /**
+     * Queue the music notes that fall inside the lookahead window - call every frame
+     * @param {boolean} intense - Blood Moon is active
+     */
+    updateMusic(intense) {
+        if (!this.music || !this.isRunning()) return;
+
+        const mood = intense ? MUSIC.moods.bloodMoon : MUSIC.moods.normal;
+        const stepTime = 60 / mood.tempo / 2;
+        const now = this.context.currentTime;
+
+        // After a long frame, pick up from now instead of bursting through missed steps
+        if (this.music.nextTime < now) {
+            this.music.nextTime = now;
+        }
+        while (this.music.nextTime < now + SCHEDULE_AHEAD) {
+            this.scheduleStep(mood, this.music.step, this.music.nextTime, stepTime);
+            this.music.nextTime += stepTime;
+            this.music.step++;
+        }
+    }
+
+    scheduleStep(mood, step, time, stepTime) {
+        const beat = step % MUSIC.stepsPerBar;
+        const bar = Math.floor(step / MUSIC.stepsPerBar) % MUSIC.progression.length;
+        const root = MUSIC.progression[bar] + mood.transpose;
+
+        this.playTone({
+            wave: mood.arpWave,
+            duration: stepTime * 0.9,
+            volume: mood.arpVolume,
+            filter: mood.arpFilter
+        }, midiToFrequency(root + mood.arp[beat]), time, this.musicGain);
+
+        if (beat % 4 === 0) {
+            this.playTone({
+                wave: mood.bassWave,
+                duration: stepTime * 3.5,
+                volume: mood.bassVolume,
+                filter: 600
+            }, midiToFrequency(root - 24), time, this.musicGain);
+        }
+
+        if (mood.drums) {
+            if (beat % 2 === 0) {
+                this.playTone(MUSIC.kick, MUSIC.kick.freq, time, this.musicGain);
+            } else {
+                this.playTone(MUSIC.hat, 0, time, this.musicGain);
+            }
+        }
+    }
+}
@@ -0,0 +1,88 @@
+import { swapRemove } from '../engine/entity_list.js';
+
+// ==================== DAMAGE NUMBER SYSTEM ====================
+export class DamageNumberSystem {
+    constructor() {
+        this.numbers = [];
+        this.enabled = true; // Settings can turn damage numbers off
+    }
+    
+    /**
+     * Spawn a floating damage number
+     * @param {number} x - World X
+     * @param {number} y - World Y
+     * @param {number} damage - Amount shown (rounded)
+     * @param {boolean} [isCrit] - Larger yellow text
+     * @param {string|null} [color] - Override color (e.g. Thorn Armor reflects)
+     */
+    add(x, y, damage, isCrit = false, color = null) {
+        if (!this.enabled) return;
+
+        this.numbers.push({
+            x, y,
+            damage: Math.round(damage),
+            life: 1,
+            isCrit,
+            color,
+            vy: -50 - Math.random() * 30
+        });
+    }
+    
+    update(dt) {
+        for (let i = this.numbers.length - 1; i >= 0; i--) {
+            const n = this.numbers[i];
+            n.y += n.vy * dt;
+            n.life -= dt;
+            
+            if (n.life <= 0) {
+                swapRemove(this.numbers, i);
+            }
+        }
+    }
+    
+    // OPTIMIZATION: Cache array length for iteration
+    /**
+     * Draw in screen space, so text stays the same size at any zoom
+     * @param {CanvasRenderingContext2D} ctx
+     * @param {Viewport} viewport
+     * @param {number} cameraX
+     * @param {number} cameraY
+     */
+    render(ctx, viewport, cameraX, cameraY) {
+        const len = this.numbers.length;
+        for (let i = 0; i < len; i++) {
+            const n = this.numbers[i];
+            const screenX = viewport.toScreenX(n.x, cameraX);
+            const screenY = viewport.toScreenY(n.y, cameraY);
+
+            if (screenX < -50 || screenX > viewport.screenWidth + 50 ||
+                screenY < -50 || screenY > viewport.screenHeight + 50) continue;
+
+            const alpha = n.life;
+            const scale = n.isCrit ? 1.5 : 1;
+
+            ctx.globalAlpha = alpha;
+            ctx.font = `bold ${16 * scale}px Arial`;
+
+            // Check if this is a heal effect (string with + prefix)
+            const isHeal = typeof n.damage === 'string' && n.damage.startsWith('+');
+
+            if (isHeal) {
+                // Green heal text
+                ctx.fillStyle = '#4ade80';
+                ctx.strokeStyle = '#000000';
+                ctx.lineWidth = 3;
+                ctx.strokeText(n.damage, screenX, screenY);
+                ctx.fillText(n.damage, screenX, screenY);
+            } else {
+                // Regular damage numbers
+                ctx.fillStyle = n.color || (n.isCrit ? '#ffcc00' : '#ffffff');
+                ctx.strokeStyle = '#000000';
+                ctx.lineWidth = 3;
+                ctx.strokeText(n.damage, screenX, screenY);
+                ctx.fillText(n.damage, screenX, screenY);
+            }
+        }
+        ctx.globalAlpha = 1;
+    }
+}
@@ -0,0 +1,121 @@
+import { CONFIG } from '../config.js';
+import { swapRemove } from '../engine/entity_list.js';
+
+// ==================== PARTICLE SYSTEM ====================
+export class ParticleSystem {
+    constructor() {
+        // OPTIMIZATION: Use CONFIG.MAX_PARTICLES for performance limit
+        this.particles = [];
+        this.MAX_PARTICLES = CONFIG.MAX_PARTICLES;
+    }
+
+    /**
+     * Scale the particle cap (particle density setting)
+     * @param {number} multiplier - x CONFIG.MAX_PARTICLES
+     */
+    setDensity(multiplier) {
+        this.MAX_PARTICLES = Math.round(CONFIG.MAX_PARTICLES * multiplier);
+    }
+
+    emit(x, y, config) {
+        // Don't emit if at max capacity
+        if (this.particles.length >= this.MAX_PARTICLES) return;
+
+        const particle = {
+            x, y,
+            vx: config.vx || (Math.random() - 0.5) * 100,
+            vy: config.vy || (Math.random() - 0.5) * 100,
+            life: config.life || 1,
+            maxLife: config.life || 1,
+            size: config.size || 5,
+            color: config.color || '#fff',
+            gravity: config.gravity || 0,
+            drag: config.drag || 1,
+            type: config.type || 'circle'
+        };
+        this.particles.push(particle);
+    }
+
+    // OPTIMIZATION: Reduced particle count from 8 to 4
+    emitBlood(x, y) {
+        for (let i = 0; i < 4; i++) {
+            this.emit(x, y, {
+                vx: (Math.random() - 0.5) * 200,
+                vy: (Math.random() - 0.5) * 200,
+                life: 0.5 + Math.random() * 0.3,
+                size: 3 + Math.random() * 4,
+                color: `hsl(${0 + Math.random() * 20}, 80%, 50%)`,
+                gravity: 50,
+                drag: 0.95
+            });
+        }
+    }
+
+    // OPTIMIZATION: Reduced particle count from 5 to 2
+    emitXP(x, y) {
+        for (let i = 0; i < 2; i++) {
+            this.emit(x, y, {
+                vx: (Math.random() - 0.5) * 150,
+                vy: (Math.random() - 0.5) * 150,
+                life: 0.3 + Math.random() * 0.2,
+                size: 2 + Math.random() * 3,
+                color: `hsl(${180 + Math.random() * 60}, 80%, 60%)`,
+                drag: 0.9
+            });
+        }
+    }
+
+    // OPTIMIZATION: Reduced particle count from 15 to 6
+    emitExplosion(x, y, color) {
+        for (let i = 0; i < 6; i++) {
+            const angle = (Math.PI * 2 / 6) * i;
+            const speed = 100 + Math.random() * 100;
+            this.emit(x, y, {
+                vx: Math.cos(angle) * speed,
+                vy: Math.sin(angle) * speed,
+                life: 0.4 + Math.random() * 0.2,
+                size: 4 + Math.random() * 4,
+                color: color,
+                drag: 0.92
+            });
+        }
+    }
+
+    // OPTIMIZATION: Cache array length and use indexed loop for better performance
+    update(dt) {
+        const len = this.particles.length;
+        for (let i = len - 1; i >= 0; i--) {
+            const p = this.particles[i];
+            p.x += p.vx * dt;
+            p.y += p.vy * dt;
+            p.vy += p.gravity * dt;
+            p.vx *= p.drag;
+            p.vy *= p.drag;
+            p.life -= dt;
+
+            if (p.life <= 0) {
+                swapRemove(this.particles, i);
+            }
+        }
+    }
+
+    // OPTIMIZATION: Cache array length for iteration
+    render(ctx) {
+        const len = this.particles.length;
+        for (let i = 0; i < len; i++) {
+            const p = this.particles[i];
+            const alpha = p.life / p.maxLife;
+            ctx.globalAlpha = alpha;
+            ctx.fillStyle = p.color;
+
+            if (p.type === 'circle') {
+                ctx.beginPath();
+                ctx.arc(p.x, p.y, p.size, 0, Math.PI * 2);
+                ctx.fill();
+            } else if (p.type === 'square') {
+                ctx.fillRect(p.x - p.size, p.y - p.size, p.size * 2, p.size * 2);
+            }
+        }
+        ctx.globalAlpha = 1;
+    }
+}
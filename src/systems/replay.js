@@ -0,0 +1,111 @@
+import { CONFIG } from '../config.js';
+import { WEAPONS } from '../data/weapons.js';
+import { STAGES, DEFAULT_STAGE } from '../data/stages.js';
+import { BIOMES, DEFAULT_BIOME } from '../data/biomes.js';
+
+// ==================== REPLAY SYSTEM ====================
+// Replays store the seed plus every frame's dt and movement - with the seeded RNG
+// that is enough to re-simulate the exact same run. The view size is stored too,
+// since spawn distance and the camera depend on it
+const REPLAY_VERSION = 1;
+
+export class ReplayRecorder {
+    /**
+     * @param {number} seed
+     * @param {string} weaponId - Starting weapon
+     * @param {Object} [run] - Same run setup Game.initGame() takes
+     */
+    constructor(seed, weaponId, run = {}) {
+        this.data = {
+            version: REPLAY_VERSION,
+            seed: seed,
+            weapon: weaponId,
+            stage: run.stage || DEFAULT_STAGE,
+            biome: run.biome || DEFAULT_BIOME,
+            endless: !!run.endless,
+            permanentUpgrades: { ...run.permanentUpgrades }, // Shop upgrades the run started with
+            frames: [],   // [dt, dx, dy] per update
+            upgrades: [], // { frame, index, type, id } per level-up pick
+            views: []     // { frame, width, height } whenever the visible world size changes
+        };
+        this.view = null;
+    }
+
+    /**
+     * @param {number} dt
+     * @param {{dx: number, dy: number}} movement
+     * @param {Viewport} viewport - Visible world size this frame
+     */
+    recordFrame(dt, movement, viewport) {
+        if (!this.view || this.view.width !== viewport.width || this.view.height !== viewport.height) {
+            this.view = { frame: this.data.frames.length, width: viewport.width, height: viewport.height };
+            this.data.views.push(this.view);
+        }
+        this.data.frames.push([dt, movement.dx, movement.dy]);
+    }
+
+    recordUpgrade(index, option) {
+        this.data.upgrades.push({
+            frame: this.data.frames.length,
+            index: index,
+            type: option.type,
+            id: option.weaponId || option.passiveId
+        });
+    }
+}
+
+export class ReplayPlayer {
+    constructor(data) {
+        this.data = data;
+        this.frameIndex = 0;
+        this.upgradeIndex = 0;
+        this.movement = { dx: 0, dy: 0 };
+        // Replays from before views were stored all used the default view
+        this.viewIndex = 0;
+        this.view = { width: CONFIG.CANVAS_WIDTH, height: CONFIG.CANVAS_HEIGHT };
+    }
+
+    /**
+     * Check that parsed JSON looks like a replay this version can play
+     * @param {Object} data - Parsed replay file
+     * @returns {boolean}
+     */
+    static isValid(data) {
+        return !!data &&
+            data.version === REPLAY_VERSION &&
+            typeof data.seed === 'number' &&
+            typeof data.weapon === 'string' && !!WEAPONS[data.weapon] &&
+            (data.stage === undefined || !!STAGES[data.stage]) && // Older replays are all classic
+            (data.biome === undefined || !!BIOMES[data.biome]) && // ...and graveyard
+            Array.isArray(data.frames) &&
+            Array.isArray(data.upgrades) &&
+            (data.views === undefined || Array.isArray(data.views));
+    }
+
+    get finished() {
+        return this.frameIndex >= this.data.frames.length;
+    }
+
+    /**
+     * Advance to the next recorded frame
+     * @returns {number} - The recorded dt for this frame
+     */
+    nextFrame() {
+        const views = this.data.views || [];
+        while (this.viewIndex < views.length && views[this.viewIndex].frame <= this.frameIndex) {
+            this.view = views[this.viewIndex++];
+        }
+        const frame = this.data.frames[this.frameIndex++];
+        this.movement = { dx: frame[1], dy: frame[2] };
+        return frame[0];
+    }
+
+    // Same interface as InputHandler so the player can be driven directly
+    getMovement() {
+        return this.movement;
+    }
+
+    nextUpgrade() {
+        return this.data.upgrades[this.upgradeIndex++] || null;
+    }
+}
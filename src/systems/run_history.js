@@ -0,0 +1,136 @@
+import { CONFIG } from '../config.js';
+import { WEAPONS } from '../data/weapons.js';
+import { EVOLUTIONS } from '../data/evolutions.js';
+import { PASSIVES } from '../data/passives.js';
+
+// ==================== RUN HISTORY ====================
+// Every finished run is kept in saveData.runHistory (newest first) for the
+// leaderboard screen. Exports wrap the runs in a versioned file so teammates
+// can merge each other's histories.
+const RUN_HISTORY_VERSION = 1;
+
+// Leaderboard sort keys - each sorts highest first
+export const RUN_SORTS = {
+    time: { label: 'Time', value: run => run.time },
+    kills: { label: 'Kills', value: run => run.kills },
+    level: { label: 'Level', value: run => run.level },
+    wave: { label: 'Wave', value: run => run.wave },
+    damage: { label: 'Damage', value: run => run.totalDamage },
+    date: { label: 'Newest', value: run => run.date }
+};
+
+export class RunHistory {
+    /**
+     * @param {Object[]} runs - saveData.runHistory, updated in place
+     */
+    constructor(runs) {
+        this.runs = runs;
+    }
+
+    /**
+     * Add a finished run, dropping the oldest once over CONFIG.RUN_HISTORY_LIMIT
+     * @param {Object} run - See Game.createRunRecord()
+     */
+    add(run) {
+        this.runs.unshift(run);
+        if (this.runs.length > CONFIG.RUN_HISTORY_LIMIT) {
+            this.runs.length = CONFIG.RUN_HISTORY_LIMIT;
+        }
+    }
+
+    /**
+     * Filtered and sorted copy of the history
+     * @param {Object} [options]
+     * @param {string} [options.weapon] - Starting WEAPONS id, or 'all'
+     * @param {string} [options.mode] - 'standard', 'endless' or 'all'
+     * @param {string} [options.sort] - RUN_SORTS key
+     * @returns {Object[]}
+     */
+    query({ weapon = 'all', mode = 'all', sort = 'time' } = {}) {
+        const value = (RUN_SORTS[sort] || RUN_SORTS.time).value;
+        return this.runs
+            .filter(run => (weapon === 'all' || run.weapon === weapon) && (mode === 'all' || run.mode === mode))
+            .sort((a, b) => value(b) - value(a));
+    }
+
+    /**
+     * Starting weapons that appear in the history, for the weapon filter
+     * @returns {string[]}
+     */
+    getWeapons() {
+        return [...new Set(this.runs.map(run => run.weapon))];
+    }
+
+    /**
+     * @returns {Object} - Versioned export file contents
+     */
+    export() {
+        return { version: RUN_HISTORY_VERSION, runs: this.runs };
+    }
+
+    /**
+     * Merge an exported history, skipping runs that are already in this one
+     * @param {Object} data - Parsed export file
+     * @returns {number} - Runs added, or -1 if the file is not a run history
+     */
+    import(data) {
+        if (!RunHistory.isValid(data)) return -1;
+
+        const known = new Set(this.runs.map(run => run.id));
+        const added = data.runs.filter(run => RunHistory.isValidRun(run) && !known.has(run.id));
+        this.runs.push(...added);
+        this.runs.sort((a, b) => b.date - a.date);
+        if (this.runs.length > CONFIG.RUN_HISTORY_LIMIT) {
+            this.runs.length = CONFIG.RUN_HISTORY_LIMIT;
+        }
+        return added.length;
+    }
+
+    /**
+     * Check that parsed JSON looks like an export this version can read
+     * @param {Object} data - Parsed export file
+     * @returns {boolean}
+     */
+    static isValid(data) {
+        return !!data &&
+            data.version === RUN_HISTORY_VERSION &&
+            Array.isArray(data.runs);
+    }
+
+    /**
+     * Check one imported run - the leaderboard trusts its fields, so weapon and
+     * passive ids must be ones this version knows
+     * @param {Object} run - See Game.createRunRecord()
+     * @returns {boolean}
+     */
+    static isValidRun(run) {
+        return !!run &&
+            typeof run.id === 'string' &&
+            typeof run.date === 'number' &&
+            isKnownWeapon(run.weapon) &&
+            isValidBuild(run.build) &&
+            (run.mode === 'standard' || run.mode === 'endless') &&
+            typeof run.time === 'number' &&
+            typeof run.kills === 'number' &&
+            typeof run.level === 'number' &&
+            typeof run.wave === 'number' &&
+            typeof run.totalDamage === 'number';
+    }
+}
+
+function isKnownWeapon(id) {
+    return typeof id === 'string' && (Object.hasOwn(WEAPONS, id) || Object.hasOwn(EVOLUTIONS, id));
+}
+
+/**
+ * @param {Object} build - { weapons: [{ id, level }], passives: { id: level } }
+ * @returns {boolean}
+ */
+function isValidBuild(build) {
+    if (!build || !Array.isArray(build.weapons)) return false;
+    if (!build.weapons.every(w => !!w && isKnownWeapon(w.id) && typeof w.level === 'number')) return false;
+
+    const passives = build.passives;
+    if (!passives || typeof passives !== 'object' || Array.isArray(passives)) return false;
+    return Object.entries(passives).every(([id, level]) => Object.hasOwn(PASSIVES, id) && typeof level === 'number');
+}
@@ -0,0 +1,119 @@
+/**
+ * Shadow Survivor - Entity Benchmark
+ * Times the real Game.update() in the benchmark scene (see Game.startBenchmark)
+ * under Node with no canvas or DOM. Rendering is not included, so a pass here does
+ * not by itself mean 60 FPS - open index.html?benchmark=500 and read the console's
+ * [BENCHMARK] report for update + render frame times in a real browser.
+ *
+ * Usage:
+ *   node tools/benchmark.js [--enemies 500] [--frames 600] [--seed 1] [--json]
+ *
+ * Exits with 1 if the 95th percentile update alone misses the 60 FPS frame budget.
+ */
+
+import { Game } from '../src/game.js';
+import { CONFIG } from '../src/config.js';
+import { FRAME_BUDGET_MS, summarizeFrameTimes } from '../src/engine/frame_stats.js';
+import { loadStagesFromDisk } from './stage_files.js';
+
+const print = console.log.bind(console);
+const WARMUP_FRAMES = 60; // Let the JIT settle before timing
+
+function parseArgs(argv) {
+    const options = {
+        enemies: 500,
+        frames: 600,
+        seed: 1,
+        json: false
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const next = () => argv[++i];
+        switch (arg) {
+            case '--enemies': options.enemies = parseInt(next(), 10); break;
+            case '--frames': options.frames = parseInt(next(), 10); break;
+            case '--seed': options.seed = parseInt(next(), 10); break;
+            case '--json': options.json = true; break;
+            default:
+                console.error(`Unknown option: ${arg}`);
+                process.exit(1);
+        }
+    }
+
+    return options;
+}
+
+/**
+ * Player stands still in the middle of the horde
+ */
+const idleInput = {
+    getMovement: () => ({ dx: 0, dy: 0 }),
+    resetJoystick() {}
+};
+
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    if (!(options.enemies > 0) || !(options.frames > 0)) {
+        console.error('--enemies and --frames must be positive numbers');
+        process.exit(1);
+    }
+    await loadStagesFromDisk();
+
+    // The game logs every shot
+    console.log = () => {};
+    console.warn = () => {};
+
+    const game = new Game({ headless: true, input: idleInput });
+    game.startBenchmark(options.enemies, options.seed);
+
+    const dt = 1 / CONFIG.FPS;
+    const times = [];
+    let enemyTotal = 0;
+    let projectileTotal = 0;
+    for (let frame = 0; frame < WARMUP_FRAMES + options.frames; frame++) {
+        const start = performance.now();
+        game.update(dt);
+        const elapsed = performance.now() - start;
+        if (game.state !== 'playing') {
+            console.error(`Benchmark run ended early (${game.state}) at frame ${frame}`);
+            process.exit(1);
+        }
+        if (frame < WARMUP_FRAMES) continue;
+
+        times.push(elapsed);
+        enemyTotal += game.enemies.length;
+        projectileTotal += game.projectiles.length;
+    }
+
+    const result = {
+        options,
+        avgEnemies: Math.round(enemyTotal / times.length),
+        avgProjectiles: Math.round(projectileTotal / times.length),
+        kills: game.kills,
+        ...summarizeFrameTimes(times),
+        budgetMs: FRAME_BUDGET_MS
+    };
+    result.pass = result.p95Ms < FRAME_BUDGET_MS;
+
+    if (options.json) {
+        print(JSON.stringify(result, null, 2));
+    } else {
+        print('==================== BENCHMARK ====================');
+        print(`Enemies:      ${result.avgEnemies} (avg)`);
+        print(`Projectiles:  ${result.avgProjectiles} (avg)`);
+        print(`Kills:        ${result.kills} over ${options.frames} frames`);
+        print(`update() avg: ${result.avgMs.toFixed(2)}ms`);
+        print(`update() p95: ${result.p95Ms.toFixed(2)}ms`);
+        print(`update() max: ${result.maxMs.toFixed(2)}ms`);
+        print(`${result.pass ? 'PASS' : 'FAIL'}: p95 update() ${result.pass ? 'within' : 'over'} the ${FRAME_BUDGET_MS.toFixed(1)}ms frame budget`);
+        print(`Rendering not timed - see the [BENCHMARK] report at index.html?benchmark=${options.enemies}`);
+    }
+
+    if (!result.pass) {
+        process.exit(1);
+    }
+}
+
+main();
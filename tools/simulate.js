@@ -0,0 +1,370 @@
+/**
+ * Shadow Survivor - Headless Simulation Runner
+ * Runs the real Game.update() from src/game.js under Node with no canvas or DOM
+ *
+ * Features:
+ * - Scripted or AI movement in place of keyboard/joystick
+ * - Auto-picked level-up upgrades
+ * - Seeded runs (same seed + options = same result)
+ * - Any stage script from src/data/stages on any biome
+ * - Per-run and aggregate survival time, wave, kills and per-weapon damage
+ *
+ * Usage:
+ *   node tools/simulate.js [--runs 10] [--seed 1] [--weapon magicWand]
+ *                          [--movement ai|circle|idle] [--picks greedy|random]
+ *                          [--stage classic] [--biome graveyard] [--endless]
+ *                          [--duration 1800] [--fps 60] [--json] [--verbose]
+ */
+
+import { Game } from '../src/game.js';
+import { CONFIG } from '../src/config.js';
+import { WEAPONS } from '../src/data/weapons.js';
+import { STAGES, DEFAULT_STAGE } from '../src/data/stages.js';
+import { BIOMES, DEFAULT_BIOME } from '../src/data/biomes.js';
+import { loadStagesFromDisk } from './stage_files.js';
+
+// Runner output - console.log is silenced during runs unless --verbose
+const print = console.log.bind(console);
+
+// ==================== ARGUMENTS ====================
+function parseArgs(argv) {
+    const options = {
+        runs: 10,
+        seed: 1,
+        weapon: 'magicWand',
+        movement: 'ai',
+        picks: 'greedy',
+        stage: DEFAULT_STAGE,
+        biome: DEFAULT_BIOME,
+        endless: false,
+        duration: null, // Defaults to the stage duration, endless runs go until death
+        fps: 60,
+        json: false,
+        verbose: false
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const next = () => argv[++i];
+        switch (arg) {
+            case '--runs': options.runs = parseInt(next(), 10); break;
+            case '--seed': options.seed = parseInt(next(), 10); break;
+            case '--weapon': options.weapon = next(); break;
+            case '--movement': options.movement = next(); break;
+            case '--picks': options.picks = next(); break;
+            case '--stage': options.stage = next(); break;
+            case '--biome': options.biome = next(); break;
+            case '--endless': options.endless = true; break;
+            case '--duration': options.duration = parseFloat(next()); break;
+            case '--fps': options.fps = parseFloat(next()); break;
+            case '--json': options.json = true; break;
+            case '--verbose': options.verbose = true; break;
+            default:
+                console.error(`Unknown option: ${arg}`);
+                process.exit(1);
+        }
+    }
+
+    return options;
+}
+
+// ==================== MOVEMENT ====================
+/**
+ * Input source for headless runs - same interface as InputHandler
+ */
+class ScriptedInput {
+    constructor(strategy, bounds) {
+        this.strategy = strategy;
+        this.bounds = bounds;
+        this.game = null;
+        this.time = 0;
+        this.movement = { dx: 0, dy: 0 };
+    }
+
+    update(dt) {
+        this.time += dt;
+        this.movement = this.strategy(this.game, this.time, this.bounds);
+    }
+
+    getMovement() {
+        return this.movement;
+    }
+
+    resetJoystick() {}
+}
+
+function normalize(dx, dy) {
+    const len = Math.sqrt(dx * dx + dy * dy);
+    return len > 0 ? { dx: dx / len, dy: dy / len } : { dx: 0, dy: 0 };
+}
+
+const MOVEMENT_STRATEGIES = {
+    idle: () => ({ dx: 0, dy: 0 }),
+
+    // Walk a large circle around the map center
+    circle: (game, time) => {
+        const angle = time * 0.3;
+        return { dx: -Math.sin(angle), dy: Math.cos(angle) };
+    },
+
+    // Kite away from nearby enemies and hazards, drift to XP gems and the map center when safe
+    ai: (game, time, bounds) => {
+        const player = game.player;
+        let fx = 0, fy = 0;
+
+        for (const enemy of game.enemies) {
+            const dx = player.x - enemy.x;
+            const dy = player.y - enemy.y;
+            const distSq = dx * dx + dy * dy;
+            if (distSq < 90000 && distSq > 0) { // 300^2
+                const weight = (enemy.isBoss ? 3 : 1) / distSq;
+                fx += dx * weight;
+                fy += dy * weight;
+            }
+        }
+
+        for (const proj of game.projectiles) {
+            if (proj.owner !== 'enemy') continue;
+            const dx = player.x - proj.x;
+            const dy = player.y - proj.y;
+            const distSq = dx * dx + dy * dy;
+            if (distSq < 40000 && distSq > 0) { // 200^2
+                fx += dx * 2 / distSq;
+                fy += dy * 2 / distSq;
+            }
+        }
+
+        for (const effect of game.groundEffects) {
+            if (effect.owner !== 'enemy') continue;
+            const dx = player.x - effect.x;
+            const dy = player.y - effect.y;
+            const reach = effect.radius + 60;
+            const distSq = dx * dx + dy * dy;
+            if (distSq < reach * reach && distSq > 0) {
+                fx += dx * 4 / distSq;
+                fy += dy * 4 / distSq;
+            }
+        }
+
+        const threat = Math.sqrt(fx * fx + fy * fy);
+        if (threat > 0.004) {
+            // Strafe sideways while backing off so we don't get pinned against the map edge
+            const away = normalize(fx, fy);
+            const toCenterX = (bounds.width / 2 - player.x) / bounds.width;
+            const toCenterY = (bounds.height / 2 - player.y) / bounds.height;
+            return normalize(
+                away.dx - away.dy * 0.8 + toCenterX * 2,
+                away.dy + away.dx * 0.8 + toCenterY * 2
+            );
+        }
+
+        // Safe: collect the nearest gem, otherwise head back toward the center
+        let nearestGem = null;
+        let nearestDistSq = 250000; // 500^2
+        for (const gem of game.xpGems) {
+            const dx = gem.x - player.x;
+            const dy = gem.y - player.y;
+            const distSq = dx * dx + dy * dy;
+            if (distSq < nearestDistSq) {
+                nearestDistSq = distSq;
+                nearestGem = gem;
+            }
+        }
+
+        let tx = 0, ty = 0;
+        if (nearestGem) {
+            tx = nearestGem.x - player.x;
+            ty = nearestGem.y - player.y;
+        } else {
+            tx = bounds.width / 2 - player.x;
+            ty = bounds.height / 2 - player.y;
+            if (tx * tx + ty * ty < 40000) return { dx: 0, dy: 0 };
+        }
+
+        // Blend in a little threat avoidance so we don't walk into packs
+        const target = normalize(tx, ty);
+        return normalize(target.dx + fx * 100, target.dy + fy * 100);
+    }
+};
+
+// ==================== UPGRADE PICKS ====================
+const UPGRADE_PICKERS = {
+    // Evolve whenever possible, level owned weapons first, then add weapons, then passives
+    greedy: (options, game) => {
+        const score = (option) => {
+            if (option.type === 'evolution') return 5;
+            const rarityBonus = { common: 0, rare: 0.1, epic: 0.2, legendary: 0.3 }[option.rarity] || 0;
+            if (option.type === 'weaponUpgrade') return 3 + rarityBonus;
+            if (option.type === 'newWeapon') return 2 + rarityBonus;
+            if (option.passiveId === 'vitality' && game.player.hp < game.player.maxHp * 0.5) return 4;
+            return 1 + rarityBonus;
+        };
+        let best = options[0];
+        for (const option of options) {
+            if (score(option) > score(best)) best = option;
+        }
+        return best;
+    },
+
+    random: (options, game) => options[Math.floor(game.rng.next() * options.length)]
+};
+
+// ==================== SIMULATION ====================
+/**
+ * Simulate one run to victory, death or the duration limit
+ * @returns {Object} - Run result
+ */
+function simulateRun(options, seed) {
+    const input = new ScriptedInput(MOVEMENT_STRATEGIES[options.movement], CONFIG.MAP_BOUNDS);
+    const game = new Game({ headless: true, input: input, stage: options.stage });
+    input.game = game;
+
+    const pickUpgrade = UPGRADE_PICKERS[options.picks];
+    const dt = 1 / options.fps;
+    game.initGame(options.weapon, seed, {
+        stage: options.stage,
+        biome: options.biome,
+        endless: options.endless
+    });
+    game.state = 'playing';
+    const duration = options.duration || (options.endless ? Infinity : game.stage.duration);
+
+    const started = Date.now();
+    while (game.gameTime < duration) {
+        if (game.state === 'levelup') {
+            const choices = game.currentUpgradeOptions;
+            if (choices.length === 0) {
+                game.state = 'playing'; // Everything maxed
+            } else {
+                game.selectUpgrade(pickUpgrade(choices, game));
+            }
+        }
+        if (game.state !== 'playing') break;
+
+        input.update(dt);
+        game.update(dt);
+    }
+
+    // Every weapon held at the end, plus anything else that dealt damage (thorns, poison, replaced weapons)
+    const weaponDamage = {};
+    for (const weapon of game.player.weapons) {
+        weaponDamage[weapon.id] = 0;
+    }
+    for (const [id, source] of Object.entries(game.damageSources)) {
+        if (source.damage > 0 || id in weaponDamage) {
+            weaponDamage[id] = Math.round(source.damage);
+        }
+    }
+
+    return {
+        seed: seed,
+        result: game.state === 'victory' ? 'victory' : game.state === 'gameover' ? 'death' : 'timeout',
+        timeSurvived: Math.round(game.gameTime * 10) / 10,
+        wave: game.wave,
+        level: game.player.level,
+        kills: game.kills,
+        totalDamage: Math.round(game.totalDamageDealt),
+        weaponDamage: weaponDamage,
+        simSeconds: (Date.now() - started) / 1000
+    };
+}
+
+function summarize(results) {
+    const avg = (key) => results.reduce((sum, r) => sum + r[key], 0) / results.length;
+    const weaponTotals = {};
+    for (const r of results) {
+        for (const [id, damage] of Object.entries(r.weaponDamage)) {
+            weaponTotals[id] = (weaponTotals[id] || 0) + damage;
+        }
+    }
+    const weaponAverages = {};
+    for (const [id, total] of Object.entries(weaponTotals)) {
+        weaponAverages[id] = Math.round(total / results.length);
+    }
+
+    return {
+        runs: results.length,
+        victories: results.filter(r => r.result === 'victory').length,
+        avgTimeSurvived: Math.round(avg('timeSurvived')),
+        minTimeSurvived: Math.min(...results.map(r => r.timeSurvived)),
+        maxTimeSurvived: Math.max(...results.map(r => r.timeSurvived)),
+        avgWave: Math.round(avg('wave') * 10) / 10,
+        avgLevel: Math.round(avg('level') * 10) / 10,
+        avgKills: Math.round(avg('kills')),
+        avgWeaponDamage: weaponAverages
+    };
+}
+
+function formatTime(seconds) {
+    const mins = Math.floor(seconds / 60);
+    const secs = Math.floor(seconds % 60);
+    return `${mins}:${secs.toString().padStart(2, '0')}`;
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    await loadStagesFromDisk(); // Invalid stages are reported and left out of STAGES
+    if (!WEAPONS[options.weapon]) {
+        console.error(`Unknown weapon "${options.weapon}". Valid: ${Object.keys(WEAPONS).join(', ')}`);
+        process.exit(1);
+    }
+    if (!STAGES[options.stage]) {
+        console.error(`Unknown stage "${options.stage}". Valid: ${Object.keys(STAGES).join(', ')}`);
+        process.exit(1);
+    }
+    if (!BIOMES[options.biome]) {
+        console.error(`Unknown biome "${options.biome}". Valid: ${Object.keys(BIOMES).join(', ')}`);
+        process.exit(1);
+    }
+    if (!MOVEMENT_STRATEGIES[options.movement]) {
+        console.error(`Unknown movement "${options.movement}". Valid: ${Object.keys(MOVEMENT_STRATEGIES).join(', ')}`);
+        process.exit(1);
+    }
+    if (!UPGRADE_PICKERS[options.picks]) {
+        console.error(`Unknown picks "${options.picks}". Valid: ${Object.keys(UPGRADE_PICKERS).join(', ')}`);
+        process.exit(1);
+    }
+
+    // The game logs every shot - keep output readable unless --verbose
+    if (!options.verbose) {
+        console.log = () => {};
+        console.warn = () => {};
+    }
+
+    const results = [];
+    for (let i = 0; i < options.runs; i++) {
+        const result = simulateRun(options, (options.seed + i) >>> 0);
+        results.push(result);
+        if (!options.json) {
+            const weapons = Object.entries(result.weaponDamage)
+                .map(([id, damage]) => `${id}=${damage}`)
+                .join(' ');
+            print(
+                `[RUN ${i + 1}/${options.runs}] seed=${result.seed} ${result.result} ` +
+                `time=${formatTime(result.timeSurvived)} wave=${result.wave} level=${result.level} ` +
+                `kills=${result.kills} | ${weapons} (${result.simSeconds.toFixed(1)}s)`
+            );
+        }
+    }
+
+    const summary = summarize(results);
+    if (options.json) {
+        print(JSON.stringify({ options, summary, results }, null, 2));
+        return;
+    }
+
+    print('\n==================== SUMMARY ====================');
+    print(`Runs:          ${summary.runs} (${summary.victories} victories)`);
+    print(`Survival time: avg ${formatTime(summary.avgTimeSurvived)}, ` +
+        `min ${formatTime(summary.minTimeSurvived)}, max ${formatTime(summary.maxTimeSurvived)}`);
+    print(`Wave:          avg ${summary.avgWave}`);
+    print(`Level:         avg ${summary.avgLevel}`);
+    print(`Kills:         avg ${summary.avgKills}`);
+    print('Avg damage per weapon:');
+    const sorted = Object.entries(summary.avgWeaponDamage).sort((a, b) => b[1] - a[1]);
+    for (const [id, damage] of sorted) {
+        print(`  ${id.padEnd(20)} ${damage}`);
+    }
+}
+
+main();
@@ -0,0 +1,19 @@
+import { readFile } from 'fs/promises';
+import { loadStages } from '../src/data/stages.js';
+
+// ==================== STAGE FILES ====================
+// The browser fetches stage scripts (src/main.js) - the tools read the same files from disk
+const STAGES_DIR = new URL('../src/data/stages/', import.meta.url);
+
+/**
+ * Load every stage in src/data/stages/index.json into STAGES, exiting with 1 if that fails
+ * @returns {Promise<Object>} - STAGES
+ */
+export async function loadStagesFromDisk() {
+    try {
+        return await loadStages(async file => JSON.parse(await readFile(new URL(file, STAGES_DIR), 'utf8')));
+    } catch (error) {
+        console.error(`Could not load stage scripts: ${error.message}`);
+        process.exit(1);
+    }
+}